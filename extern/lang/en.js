@@ -570,7 +570,10 @@ Lang.Blocks = {
         'HW connection is\nonly supported on desktop.\n \nPlease contact HW\nmanufacturer for tablet.',
     arduino_lite_alert:
         'Device not found.\nPlease check if firmware\nis installed on device,\nor if PC and device are connected.',
+    hardware_lite_disconnected: 'disconnected',
+    hardware_lite_reconnected: 'reconnected',
     arduino_lite_reconnect: 'Retry',
+    arduino_lite_simulate: 'Use virtual device',
     arduino_lite_download_firmware: 'Download firmware',
     arduino_lite_download_driver: 'Download Driver',
     arduino_lite_connect: 'Connect through web',
@@ -1311,6 +1314,8 @@ Lang.Blocks = {
     Clear_all_blocks: 'remove all codes',
     add_comment: 'add a memo',
     hide_all_comment: 'hide all memos',
+    add_breakpoint: 'add a breakpoint',
+    remove_breakpoint: 'remove the breakpoint',
     ROBOID_left: 'left',
     ROBOID_right: 'right',
     ROBOID_both: 'both',
@@ -1707,6 +1712,9 @@ Lang.Blocks = {
     START_message_send_wait_2: ' message and wait',
     Duplication_option: 'Duplicate',
     cut_blocks: 'Cut',
+    extract_function: 'Extract to function',
+    extract_function_start: 'Start a range to extract',
+    extract_function_range: 'Extract from the marked block to here',
     AI_analyze_option: 'AI Analyze',
     CONTEXT_COPY_option: 'Copy',
     Delete_Blocks: 'Remove',
@@ -2979,11 +2987,19 @@ Lang.Menus = {
     entry_copyright_info: 'ENTRY copyright guide',
     pdf: 'PDF',
     helper: 'helper',
+    linter: 'Code check',
+    debugger: 'Debugger',
+    trace: 'Trace',
+    projectTest: 'Tests',
+    record: 'Build record',
+    collaboration: 'Collaborate',
     youtube: 'vedio',
     tvcast: 'vedio',
     goal: 'goal',
     basicproject: 'basic',
     hw: 'hardware',
+    hwTraffic: 'Traffic',
+    hwSimulator: 'Virtual Device',
     object: 'object',
     console: 'Console',
     download_info: 'Click on the title to download resource',
@@ -5174,7 +5190,16 @@ Lang.Msgs = {
     hw_connection_success_desc2: 'You can use the device in the project.',
     hw_connection_termination_title: 'Disconnected',
     hw_connection_termination_desc: 'The device has been disconnected.',
+    hw_reconnecting_title: 'Reconnecting hardware',
+    hw_reconnecting_desc: 'The device was disconnected. Commands sent while reconnecting will be delivered once it is back.',
+    hw_reconnected_title: 'Hardware reconnected',
+    hw_reconnected_desc: 'The device has been reconnected.',
+    hw_reconnect_failed_desc: 'Could not reconnect to the device. Check the connection and connect again.',
     hw_connection_failed_title: 'Connection Failed',
+    hw_simulator_not_supported_title: 'Virtual Device Unavailable',
+    hw_simulator_not_supported_desc: 'This device cannot be simulated.',
+    hw_simulator_script_invalid_title: 'Invalid Script',
+    hw_simulator_script_invalid_desc: 'The script must be a JSON array of steps with delay and sensors.',
     hw_connection_failed_desc:
         'Please make sure that\nthe device used in the project is connected.',
     ie_page_title: 'This browser is not supported',
@@ -5317,11 +5342,84 @@ Lang.Workspace = {
     picture_rotation: 'Rotation',
     picture_size: 'Size',
     thickness: 'thickness',
+    project_test_result: '%1 / %2 tests passed',
+    project_test_run_all: 'Run all',
+    project_test_run: 'Run',
+    project_test_remove: 'Delete',
+    project_test_add: 'Add case',
+    project_test_empty: 'There are no test cases. Enter a case as JSON below to add one.',
+    project_test_invalid: 'A test case must be a JSON object with a name.',
+    project_test_ready: 'Not run',
+    project_test_passed: 'Passed',
+    project_test_failed: 'Failed',
+    project_test_failure: '{0}: expected {1} but was {2}',
+    record_start: 'Start recording',
+    record_stop: 'Stop recording',
+    record_export: 'Save to file',
+    record_import: 'Open file',
+    record_import_failed: 'This is not a build record file.',
+    record_play: 'Play',
+    record_pause: 'Pause',
+    record_step: 'Step',
+    record_rewind: 'Rewind',
+    record_recording: 'Recording how the blocks are built.',
+    record_empty: 'Start recording or open a build record file. Playback clears the board and builds the blocks from the beginning.',
+    record_progress: 'Step {0} / {1}',
+    collaboration_room: 'Room name',
+    collaboration_join: 'Join',
+    collaboration_leave: 'Leave',
+    collaboration_not_joined: 'Edit block code together with everyone who joins the same room.',
+    collaboration_joined: 'Editing in room {0} with {1} others.',
+    collaboration_me: 'me',
+    project_lint_unreachable_block: 'These blocks never run because they are not attached to a start block.',
+    project_lint_message_not_received: 'The signal {0} is sent but never received.',
+    project_lint_message_not_cast: 'The signal {0} is received but never sent.',
+    project_lint_variable_not_read: 'The variable {0} is set but its value is never used.',
+    project_lint_function_not_called: 'The function {0} is never used.',
+    project_lint_repeat_without_wait: 'This repeat forever loop has no wait block and may slow down the project.',
+    project_lint_scene_not_started: 'No block starts the scene {0}.',
+    project_lint_count: '{0} issues found',
+    project_lint_no_problem: 'No issues found.',
+    project_lint_refresh: 'Check again',
+    debugger_resume: 'Resume',
+    debugger_step_over: 'Step over',
+    debugger_step_into: 'Step into',
+    debugger_not_paused: 'Local variables and the call stack are shown when a breakpoint is hit.',
+    debugger_paused: 'Paused at a block of {0}.',
+    debugger_local_variables: 'Local variables',
+    debugger_call_stack: 'Call stack',
+    trace_record: 'Record',
+    trace_record_stop: 'Stop recording',
+    trace_step_backward: 'Previous tick',
+    trace_step_forward: 'Next tick',
+    trace_exit_replay: 'Exit replay',
+    trace_disabled: 'Turn on recording to record every tick while the project runs.',
+    trace_waiting: 'Run and stop the project to replay the recording.',
+    trace_tick: 'Tick {0} / {1}',
+    trace_tick_truncated: 'Tick {0} / {1} (recording stopped at the maximum length.)',
+    hw_traffic_record: 'Record',
+    hw_traffic_stop: 'Stop',
+    hw_traffic_all: 'All',
+    hw_traffic_send: 'Sent',
+    hw_traffic_receive: 'Received',
+    hw_traffic_search: 'Search',
+    hw_traffic_clear: 'Clear',
+    hw_traffic_export: 'Export',
+    hw_traffic_count: '{0} records',
+    hw_simulator_sensors: 'Sensors',
+    hw_simulator_outputs: 'Outputs',
+    hw_simulator_script: 'Sensor script',
+    hw_simulator_script_placeholder: '[{ "delay": 1000, "sensors": { "light": 50 } }]',
+    hw_simulator_play: 'Play',
+    hw_simulator_stop: 'Stop',
+    hw_simulator_sent: 'Sent commands',
+    extract_function_name: 'function{0}',
     follow: 'Follow',
     SaveWithPicture: 'You have a unsaved drawing. Do you want to save it?',
     RecursiveCallWarningTitle: 'Limitation of function call',
     RecursiveCallWarningContent:
         'Too many functions were called at once. Please reduce the function calls.',
+    function_call_depth_exceeded: 'The project stopped because the function {0} was called more than {1} times in a row. Check that the function has a condition to stop calling itself.',
     check_result_value: 'Return a value',
     check_local_variable: 'Use local variable',
     local_variable: 'Local variable',
@@ -5329,6 +5427,8 @@ Lang.Workspace = {
     local_variable_rename: 'Rename completed',
     local_variable_rename_failed: 'Rename failed',
     local_variable_rename_ok: 'The local variable has been renamed.',
+    local_list: 'Local list',
+    local_list_dup: 'The local list name changed automatically because it already exists.',
     use_block_objects1: 'Object using the function ({0} block(s))',
     use_block_objects2: 'Object using the function ({0})',
     message_too_long: 'Message name too long.',
@@ -5604,6 +5704,30 @@ Lang.Workspace = {
     list_create_normal: 'Use for list\n(Stored in Project)',
     list_create_cloud: 'Use for shared list \n(Stored in Server)',
     list_create_real_time: 'Use for real-time list\n(Stored in Server)',
+    dict: 'Dictionary',
+    dict_create: 'Add dictionary',
+    dict_create_placeholder: 'Input the name of the dictionary.',
+    dict_add: 'Add dictionary',
+    dict_name: 'Dictionary name',
+    dict_create_normal: 'Use for normal dictionary\n(Stored in Project)',
+    dict_create_cloud: 'Use for shared dictionary\n(Stored in Server)',
+    dict_create_real_time: 'Use for real-time dictionary\n(Stored in Server)',
+    dict_used_all_objects: 'Dictionary used for all objects',
+    dict_rename: 'Rename dictionary',
+    dict_rename_ok: 'The dictionary has been renamed.',
+    dict_rename_failed: 'Failed to rename the dictionary',
+    dict_dup: 'A dictionary with the same name already exists.',
+    dict_too_long: 'The name of the dictionary is too long.',
+    dict_name_auto_edited_title: 'Dictionary name changed automatically',
+    dict_property: 'Dictionary properties',
+    dict_default_value: 'Default values',
+    dict_key: 'Key',
+    dict_value: 'Value',
+    dict_add_item: 'Add item',
+    dict_export: 'Export',
+    dict_import: 'Import',
+    dict_import_failed: 'Only JSON files of keys and values (numbers or text) can be imported.',
+    create_dict_block: 'Add dictionary',
     confirm_quit: "You didn't saved your changes.",
     confirm_load_temporary: 'You have unsaved project. Do you want to open it?',
     login_to_save: 'Try to save after login.',
@@ -5909,6 +6033,7 @@ Lang.Helper = {
     when_object_click_canceled:
         'When the object click is released, the connect blocks below will run.',
     when_message_cast: 'When the signal is received, the connected blocks below will run.',
+    when_hardware_lite_connection_changed: 'When the hardware is disconnected or reconnected, the blocks connected below will run. A disconnected device is reconnected automatically.',
     message_cast: 'Sends signal selected from the list',
     message_cast_wait:
         'Sends signal selected from the list, and wait util the blocks finish running.',
@@ -6029,6 +6154,13 @@ Lang.Helper = {
     function_field_boolean:
         'Place inside the [Define function] block and the result depends on the boolean value of true or false. Grab/copy the [numberic/text value] block in the [Define function] block and use its value in function.',
     function_general: 'This is current function block or function blocks created so far.',
+    add_value_to_func_list: 'Adds the input item to the end of the selected local list. Local lists start empty every time the function runs.',
+    remove_value_from_func_list: 'Removes the item at the input position from the selected local list.',
+    change_value_func_list_index: 'Changes the item at the input position of the selected local list to the input value.',
+    value_of_index_from_func_list: 'Reports the item at the input position of the selected local list.',
+    length_of_func_list: 'Reports the number of items in the selected local list.',
+    function_exit: 'Exits the function without running the rest of its code.',
+    function_return_value: 'Exits the function and reports the input value as its result. In a function without a result, it only exits the function.',
     boolean_and: 'Checks whether both conditions are true.',
     boolean_or: 'Checks whether at least one of the two conditions is true.',
     boolean_not:
@@ -6127,6 +6259,12 @@ Lang.Helper = {
     length_of_list: 'Reports the number of items contained on the selected list.',
     show_list: 'Shows the selected list on the stage.',
     hide_list: 'Hides the selected list from the stage.',
+    set_value_to_dict: 'Sets the value of the entered key in the selected dictionary. Replaces the value if the key already exists.',
+    get_value_from_dict: 'The value of the entered key in the selected dictionary.',
+    is_key_in_dict: 'Returns True if the selected dictionary has the entered key.',
+    remove_key_from_dict: 'Removes the entered key and its value from the selected dictionary.',
+    length_of_dict: 'The number of items in the selected dictionary.',
+    keys_of_dict: 'Adds all keys of the selected dictionary, in the order they were added, to the end of the selected list.',
     text: 'Reports the text in the text box. ',
     text_read:
         'Reports the content of the text box or the text box itself.\n(If there is a line break in the content, it will be returned as a space.)',
@@ -7147,6 +7285,13 @@ Lang.template = {
     function_param_boolean: 'Judgement',
     function_create: 'define function %1 %2',
     function_general: 'function %1',
+    add_value_to_func_list: 'add %1 to the local list %2 %3',
+    remove_value_from_func_list: 'remove %1 th element from %2 %3',
+    change_value_func_list_index: 'change %1 %2 th element to %3 %4',
+    value_of_index_from_func_list: '%2 th element of %1',
+    length_of_func_list: 'length of %1',
+    function_exit: 'exit function %1',
+    function_return_value: 'return %1 and exit function %2',
     expansionBlockAddButton: '%1',
     aiUtilizeBlockAddButton: '%1',
     aiUtilizeModelTrainButton: '%1',
@@ -7520,6 +7665,7 @@ Lang.template = {
     when_object_click_canceled: '%1 When object click released',
     when_some_key_click: '%1 When press some key',
     when_message_cast: '%1 When %2 message received',
+    when_hardware_lite_connection_changed: '%1 When hardware is %2',
     message_cast: 'Send %1 message %2',
     message_cast_wait: 'Send %1  message and wait %2',
     text: '%1',
@@ -7563,6 +7709,13 @@ Lang.template = {
     length_of_list: '%1 %2 %3',
     show_list: 'Show list %1 %2',
     hide_list: 'Hide list %1 %2',
+    dictAddButton: '%1',
+    set_value_to_dict: 'Set %2 of %1 to %3 %4',
+    get_value_from_dict: '%2 of %1',
+    is_key_in_dict: '%1 has %2?',
+    remove_key_from_dict: 'Remove %2 from %1 %3',
+    length_of_dict: 'number of items in %1',
+    keys_of_dict: 'Add all keys of %1 to %2 %3',
     options_for_list: '%1  ',
     set_visible_answer: 'response %1 %2',
     is_included_in_list: '%1 %2 %3 %4 %5',
@@ -8019,6 +8172,17 @@ Lang.TextCoding = {
     message_conv_no_function: "Function can't convert",
     message_conv_no_entry_event_function:
         "Entry Event Function can't exist within other functions.",
+    message_conv_no_class: 'Classes are not supported.',
+    message_conv_no_for_iterable: 'A for loop can only iterate over range() or a list.',
+    message_conv_no_tuple_assignment: 'Multiple assignment needs the same number of variables and values.',
+    message_conv_no_list_comprehension: 'A list comprehension can only be assigned to a list.',
+    message_conv_no_tuple_return: 'A function can return only one value.',
+    lint_undefined_name: "Cannot find a variable or list named '%1'.",
+    lint_undefined_function: "Cannot find a function named '%1'.",
+    lint_argument_count: "'%1' takes %2 value(s).",
+    lint_unknown_object: "There is no object named '%1'.",
+    lint_unknown_picture: "There is no shape named '%1'.",
+    lint_unknown_sound: "There is no sound named '%1'.",
     message_conv_undefined_function:
         'Undefined instruction. Please make sure you instruction correctly.',
     message_conv_is_expect1: 'Syntax error. Please make sure you type ',
@@ -8065,6 +8229,7 @@ Lang.TextCoding = {
     warn_unnecessary_arguments:
         "&(calleeName)(); command doesn't require value within parentheses. (line:&(lineNumber))",
     python_code: "'s python code",
+    javascript_code: "'s javascript code",
     eof: 'line change',
     newline: 'line change',
     indent: 'indentation',
@@ -594,7 +594,10 @@ Lang.Blocks = {
         '하드웨어 연결은\n데스크톱 PC에서만 지원됩니다.\n \n태블릿 PC 연결 지원에 대해서는 \n하드웨어 제조사에 문의해 주세요.',
     arduino_lite_alert:
         '하드웨어를 찾을 수 없습니다.\n하드웨어에 펌웨어가 설치되었는지,\nPC와 하드웨어가 연결되어 있는지 \n다시 확인해 주세요.',
+    hardware_lite_disconnected: '끊어졌을',
+    hardware_lite_reconnected: '다시 연결되었을',
     arduino_lite_reconnect: '하드웨어 다시 연결',
+    arduino_lite_simulate: '가상 하드웨어로 연결',
     arduino_lite_download_firmware: '펌웨어 다운로드',
     arduino_lite_download_driver: '드라이버 다운로드',
     arduino_lite_connect: '브라우저로 연결하기',
@@ -1558,6 +1561,9 @@ Lang.Blocks = {
     Delete_Blocks: '코드 삭제하기',
     Duplication_option: '코드 복제하기',
     cut_blocks: '코드 잘라내기',
+    extract_function: '이 코드부터 함수로 만들기',
+    extract_function_start: '함수로 만들 범위 시작하기',
+    extract_function_range: '표시한 코드부터 여기까지 함수로 만들기',
     Paste_blocks: '붙여넣기',
     add_my_storage: '나의 보관함에 추가하기',
     export_object: '오브젝트 파일로 내보내기',
@@ -1568,6 +1574,8 @@ Lang.Blocks = {
     delete_comment: '메모 삭제하기',
     fold_comment: '메모 접기',
     open_comment: '메모 열기',
+    add_breakpoint: '중단점 추가하기',
+    remove_breakpoint: '중단점 삭제하기',
     separate_comment: '메모 분리하기',
     hide_all_comment: '모든 메모 숨기기',
     show_all_comment: '모든 메모 보이기',
@@ -3290,11 +3298,19 @@ Lang.Menus = {
     entry_copyright_info: '엔트리 저작권 가이드 보기',
     pdf: 'PDF',
     helper: '도움말',
+    linter: '코드 점검',
+    debugger: '디버거',
+    trace: '실행 기록',
+    projectTest: '테스트',
+    record: '조립 기록',
+    collaboration: '함께 만들기',
     youtube: '영상',
     tvcast: '영상',
     goal: '목표',
     basicproject: '시작단계',
     hw: '하드웨어',
+    hwTraffic: '통신 기록',
+    hwSimulator: '가상 하드웨어',
     object: '오브젝트',
     console: '콘솔',
     download_info: '모든 교육자료는 각각의 제목을 클릭 하시면 다운받으실 수 있습니다.',
@@ -5544,7 +5560,16 @@ Lang.Msgs = {
     hw_connection_success_desc2: '작품에서 하드웨어를 사용할 수 있습니다.',
     hw_connection_termination_title: '하드웨어 연결 해제',
     hw_connection_termination_desc: '하드웨어와 연결이 해제되었습니다.',
+    hw_reconnecting_title: '하드웨어 다시 연결 중',
+    hw_reconnecting_desc: '하드웨어와 연결이 끊어졌습니다. 다시 연결하는 동안 보낸 명령은 연결되면 보냅니다.',
+    hw_reconnected_title: '하드웨어 다시 연결 성공',
+    hw_reconnected_desc: '하드웨어와 다시 연결되었습니다.',
+    hw_reconnect_failed_desc: '하드웨어와 다시 연결하지 못했습니다. 연결 상태를 확인하고 다시 연결해 주세요.',
     hw_connection_failed_title: '하드웨어 연결 실패',
+    hw_simulator_not_supported_title: '가상 하드웨어 연결 실패',
+    hw_simulator_not_supported_desc: '이 하드웨어는 가상 하드웨어를 지원하지 않습니다.',
+    hw_simulator_script_invalid_title: '스크립트 오류',
+    hw_simulator_script_invalid_desc: '스크립트는 delay 와 sensors 를 가진 항목의 JSON 배열이어야 합니다.',
     hw_connection_failed_desc: '작품에서 사용된 하드웨어가\n연결되어 있는지 확인해 주세요.',
     hw_module_load_fail_title: '모듈 로드 실패',
     hw_module_load_fail_desc: '로드에 실패했습니다. 관리자에게 문의하세요.',
@@ -5682,11 +5707,84 @@ Lang.Workspace = {
     picture_rotation: '회전',
     picture_size: '크기',
     thickness: '굵기',
+    project_test_result: '테스트 %1 / %2 통과',
+    project_test_run_all: '모두 실행하기',
+    project_test_run: '실행',
+    project_test_remove: '삭제',
+    project_test_add: '케이스 추가하기',
+    project_test_empty: '테스트 케이스가 없습니다. 아래에 케이스를 JSON 으로 입력하여 추가하세요.',
+    project_test_invalid: '케이스는 name 이 있는 JSON 객체여야 합니다.',
+    project_test_ready: '실행 전',
+    project_test_passed: '통과',
+    project_test_failed: '실패',
+    project_test_failure: '{0}: {1} 이어야 하는데 {2} 입니다.',
+    record_start: '기록 시작',
+    record_stop: '기록 멈추기',
+    record_export: '파일로 저장',
+    record_import: '파일 불러오기',
+    record_import_failed: '조립 기록 파일이 아닙니다.',
+    record_play: '재생',
+    record_pause: '일시정지',
+    record_step: '한 단계',
+    record_rewind: '처음으로',
+    record_recording: '블록을 조립하는 과정을 기록하고 있습니다.',
+    record_empty: '기록을 시작하거나 조립 기록 파일을 불러오세요. 재생하면 보드의 블록을 지우고 처음부터 조립합니다.',
+    record_progress: '{0} / {1} 단계',
+    collaboration_room: '방 이름',
+    collaboration_join: '참여하기',
+    collaboration_leave: '나가기',
+    collaboration_not_joined: '같은 방 이름으로 참여한 사람들과 블록 코드를 함께 편집합니다.',
+    collaboration_joined: '{0} 방에서 {1}명과 함께 편집하고 있습니다.',
+    collaboration_me: '나',
+    project_lint_unreachable_block: '시작 블록에 연결되지 않아 실행되지 않는 블록입니다.',
+    project_lint_message_not_received: '{0} 신호를 보내지만 받는 블록이 없습니다.',
+    project_lint_message_not_cast: '{0} 신호를 받지만 보내는 블록이 없습니다.',
+    project_lint_variable_not_read: '{0} 변수의 값을 정하지만 값을 사용하는 곳이 없습니다.',
+    project_lint_function_not_called: '{0} 함수를 만들었지만 사용하지 않습니다.',
+    project_lint_repeat_without_wait: '기다리는 블록이 없는 계속 반복하기입니다. 작품이 느려질 수 있습니다.',
+    project_lint_scene_not_started: '{0} 장면을 시작하는 블록이 없습니다.',
+    project_lint_count: '점검할 항목 {0}개',
+    project_lint_no_problem: '점검할 항목이 없습니다.',
+    project_lint_refresh: '다시 점검하기',
+    debugger_resume: '계속 실행하기',
+    debugger_step_over: '한 단계 실행하기',
+    debugger_step_into: '안으로 들어가기',
+    debugger_not_paused: '중단점에서 멈추면 지역 변수와 호출 스택을 보여줍니다.',
+    debugger_paused: '{0} 의 블록에서 멈췄습니다.',
+    debugger_local_variables: '지역 변수',
+    debugger_call_stack: '호출 스택',
+    trace_record: '기록하기',
+    trace_record_stop: '기록 멈추기',
+    trace_step_backward: '이전 틱',
+    trace_step_forward: '다음 틱',
+    trace_exit_replay: '되돌려 보기 끝내기',
+    trace_disabled: '기록하기를 켜면 작품을 실행할 때마다 틱별로 기록합니다.',
+    trace_waiting: '작품을 실행하고 정지하면 기록을 되돌려 볼 수 있습니다.',
+    trace_tick: '틱 {0} / {1}',
+    trace_tick_truncated: '틱 {0} / {1} (최대 기록 길이를 넘어 이후는 기록하지 않았습니다.)',
+    hw_traffic_record: '기록 시작',
+    hw_traffic_stop: '기록 중지',
+    hw_traffic_all: '전체',
+    hw_traffic_send: '보낸 데이터',
+    hw_traffic_receive: '받은 데이터',
+    hw_traffic_search: '검색',
+    hw_traffic_clear: '지우기',
+    hw_traffic_export: '내보내기',
+    hw_traffic_count: '기록 {0}개',
+    hw_simulator_sensors: '센서값',
+    hw_simulator_outputs: '출력값',
+    hw_simulator_script: '센서값 스크립트',
+    hw_simulator_script_placeholder: '[{ "delay": 1000, "sensors": { "light": 50 } }]',
+    hw_simulator_play: '실행',
+    hw_simulator_stop: '멈추기',
+    hw_simulator_sent: '보낸 명령',
+    extract_function_name: '함수{0}',
     follow: '따라해보기',
     SaveWithPicture: '저장되지 않은 그림이 있습니다. 저장하시겠습니까?',
     RecursiveCallWarningTitle: '함수 호출 제한',
     RecursiveCallWarningContent:
         '함수를 한 번에 너무 많이 호출합니다. 함수의 호출 횟수를 줄여 주세요.',
+    function_call_depth_exceeded: '{0} 함수를 {1}번 넘게 이어서 불러 작품을 멈췄습니다. 함수가 자기 자신을 부르기 전에 끝나는 조건이 있는지 확인해 주세요.',
     SelectShape: '이동',
     SelectCut: '자르기',
     Pencil: '펜',
@@ -5978,6 +6076,30 @@ Lang.Workspace = {
     list_create_normal: '일반 리스트로 사용\n(작품에 저장)',
     list_create_cloud: '공유 리스트로 사용 \n(서버에 저장)',
     list_create_real_time: '실시간 리스트로 사용\n(서버에 저장)',
+    dict: '사전',
+    dict_create: '사전 만들기',
+    dict_create_placeholder: '사전의 이름을 입력해주세요.',
+    dict_add: '사전 추가',
+    dict_name: '사전 이름',
+    dict_create_normal: '기본 사전으로 사용\n(작품에 저장)',
+    dict_create_cloud: '공유 사전으로 사용\n(서버에 저장)',
+    dict_create_real_time: '실시간 사전으로 사용\n(서버에 저장)',
+    dict_used_all_objects: '모든 오브젝트에서 사용되는 사전',
+    dict_rename: '사전 이름 변경',
+    dict_rename_ok: '사전의 이름이 성공적으로 변경되었습니다.',
+    dict_rename_failed: '사전 이름 변경 실패',
+    dict_dup: '같은 이름의 사전이 이미 존재합니다.',
+    dict_too_long: '사전의 이름이 너무 깁니다.',
+    dict_name_auto_edited_title: '사전 이름 자동 변경',
+    dict_property: '사전 속성',
+    dict_default_value: '기본값',
+    dict_key: '키',
+    dict_value: '값',
+    dict_add_item: '항목 추가',
+    dict_export: '내보내기',
+    dict_import: '가져오기',
+    dict_import_failed: '키와 값(숫자 또는 문자)으로 된 JSON 파일만 가져올 수 있습니다.',
+    create_dict_block: '사전 만들기',
     confirm_quit: '바꾼 내용을 저장하지 않았습니다.',
     confirm_load_temporary:
         '저장하지 않고 종료한 작품이 있습니다.\n저장하지 않은 작품을 먼저 열까요?',
@@ -6086,6 +6208,8 @@ Lang.Workspace = {
     local_variable_rename: '지역변수 이름 변경 완료',
     local_variable_rename_failed: '지역변수 이름 변경 실패',
     local_variable_rename_ok: '지역변수의 이름이 성공적으로 변경되었습니다.',
+    local_list: '지역리스트',
+    local_list_dup: '같은 이름의 지역리스트가 이미 있어 이름이 자동으로 변경되었습니다.',
     use_block_objects1: '사용된 오브젝트 (블록 {0}개)',
     use_block_objects2: '사용된 오브젝트',
     use_block_function: '함수에 조립되어 있어요.',
@@ -6288,6 +6412,7 @@ Lang.Helper = {
     when_object_click: '오브젝트를 클릭했을 때 아래에 연결된 블록들을 실행합니다.',
     when_object_click_canceled: '오브젝트 클릭을 해제했을 때 아래에 연결된 블록들을 실행합니다.',
     when_message_cast: '선택한 신호를 받으면 아래에 연결된 블록들을 실행합니다.',
+    when_hardware_lite_connection_changed: '하드웨어 연결이 끊어지거나 다시 연결되면 아래에 연결된 블록들을 실행합니다. 연결이 끊어지면 같은 하드웨어로 자동으로 다시 연결합니다.',
     message_cast: '선택한 신호를 보냅니다.',
     message_cast_wait:
         '선택한 신호를 보내고, 해당 신호를 받는 블록들의 실행이 끝날 때 까지 기다립니다.',
@@ -6422,6 +6547,13 @@ Lang.Helper = {
     function_field_boolean:
         "함수 정의하기' 블록 안에 조립하며, 참 또는 거짓의 판단값에 따라 함수의 실행 결과가 달라집니다. 이 블록을 분리하여 함수의 코드 중 필요한 부분에 넣어 사용합니다.",
     function_general: '현재 만들고 있는 함수 블록 또는 지금까지 만들어 둔 함수 블록입니다.',
+    add_value_to_func_list: '입력한 값을 선택한 지역 리스트의 마지막 항목에 추가합니다. 지역 리스트는 함수를 실행할 때마다 비어 있는 상태로 시작합니다.',
+    remove_value_from_func_list: '선택한 지역 리스트의 입력한 순서에 있는 항목을 삭제합니다.',
+    change_value_func_list_index: '선택한 지역 리스트의 입력한 순서에 있는 항목 값을 입력한 값으로 바꿉니다.',
+    value_of_index_from_func_list: '선택한 지역 리스트에서 입력한 순서에 있는 항목 값입니다.',
+    length_of_func_list: '선택한 지역 리스트가 보유한 항목의 개수입니다.',
+    function_exit: '함수의 남은 코드를 실행하지 않고 함수를 끝냅니다.',
+    function_return_value: '입력한 값을 함수의 결괏값으로 하고 함수를 끝냅니다. 결괏값이 없는 함수에서는 함수만 끝냅니다.',
     boolean_and: '두 판단이 모두 참인 경우 ‘참’으로 판단합니다.',
     boolean_or: '두 판단 중 하나라도 참이 있는 경우 ‘참’으로 판단합니다.',
     boolean_not: "해당 판단이 참이면 '거짓', 거짓이면 '참'으로 판단합니다.",
@@ -6514,6 +6646,12 @@ Lang.Helper = {
     length_of_list: '선택한 리스트가 보유한 항목의 개수입니다.',
     show_list: "선택한 리스트의 '리스트 창'을 실행화면에 보이게 합니다.",
     hide_list: "선택한 리스트의 '리스트 창'을 실행화면에서 숨깁니다.",
+    set_value_to_dict: '선택한 사전의 입력한 키에 입력한 값을 넣습니다. 같은 키가 있으면 값을 바꿉니다.',
+    get_value_from_dict: '선택한 사전에서 입력한 키의 값입니다.',
+    is_key_in_dict: '선택한 사전에 입력한 키가 있는 경우 ‘참’으로 판단합니다.',
+    remove_key_from_dict: '선택한 사전에서 입력한 키와 그 값을 삭제합니다.',
+    length_of_dict: '선택한 사전이 보유한 항목의 개수입니다.',
+    keys_of_dict: '선택한 사전의 모든 키를 넣은 순서대로 선택한 리스트의 마지막 항목에 추가합니다.',
     text: '해당 글상자가 표시하고 있는 문자값을 의미합니다.',
     text_read:
         '선택한 글상자에 입력된 텍스트 값입니다. 내용에 줄바꿈이 포함되면 띄어쓰기로 반환합니다.',
@@ -7625,6 +7763,13 @@ Lang.template = {
     function_create: '함수 정의하기 %1 %2',
     function_general: '함수 %1',
     function_value: '함수',
+    add_value_to_func_list: '%1 항목을 %2 에 추가하기 %3',
+    remove_value_from_func_list: '%1 번째 항목을 %2 에서 삭제하기 %3',
+    change_value_func_list_index: '%1 %2 번째 항목을 %3 (으)로 바꾸기 %4',
+    value_of_index_from_func_list: '%1 의 %2 번째 항목',
+    length_of_func_list: '%1 항목 수',
+    function_exit: '함수 끝내기 %1',
+    function_return_value: '%1 을(를) 결괏값으로 하고 함수 끝내기 %2',
     expansionBlockAddButton: '%1',
     aiUtilizeBlockAddButton: '%1',
     aiUtilizeModelTrainButton: '%1',
@@ -8087,6 +8232,7 @@ Lang.template = {
     when_object_click_canceled: '%1 오브젝트 클릭을 해제했을 때',
     when_some_key_click: '%1 키를 눌렀을 때',
     when_message_cast: '%1 %2 신호를 받았을 때',
+    when_hardware_lite_connection_changed: '%1 하드웨어 연결이 %2 때',
     message_cast: '%1 신호 보내기 %2',
     message_cast_wait: '%1 신호 보내고 기다리기 %2',
     text: '%1',
@@ -8134,6 +8280,13 @@ Lang.template = {
     length_of_list: '%1 %2 %3',
     show_list: '리스트 %1 보이기 %2',
     hide_list: '리스트 %1 숨기기 %2',
+    dictAddButton: '%1',
+    set_value_to_dict: '%1 의 %2 에 %3 넣기 %4',
+    get_value_from_dict: '%1 의 %2 값',
+    is_key_in_dict: '%1 에 %2 이(가) 있는가?',
+    remove_key_from_dict: '%1 에서 %2 삭제하기 %3',
+    length_of_dict: '%1 항목 수',
+    keys_of_dict: '%1 의 모든 키를 %2 에 추가하기 %3',
     options_for_list: '%1  ',
     set_visible_answer: '대답 %1 %2',
     is_included_in_list: '%1 %2 %3 %4 %5',
@@ -8531,6 +8684,17 @@ Lang.TextCoding = {
     message_conv_no_object: '객체는 지원되지 않습니다',
     message_conv_no_function: '함수가 변환될 수 없습니다',
     message_conv_no_entry_event_function: '엔트리 이벤트 함수는 다른 함수 안에 존재할 수 없습니다.',
+    message_conv_no_class: '클래스는 지원하지 않습니다.',
+    message_conv_no_for_iterable: 'for 문은 range() 또는 리스트만 반복할 수 있습니다.',
+    message_conv_no_tuple_assignment: '여러 변수에 대입할 때는 변수와 값의 개수가 같아야 합니다.',
+    message_conv_no_list_comprehension: '리스트 내포는 리스트에 대입할 때만 사용할 수 있습니다.',
+    message_conv_no_tuple_return: '함수는 값을 하나만 돌려줄 수 있습니다.',
+    lint_undefined_name: "'%1' 변수나 리스트를 찾을 수 없습니다.",
+    lint_undefined_function: "'%1' 함수를 찾을 수 없습니다.",
+    lint_argument_count: "'%1' 에는 값이 %2개 필요합니다.",
+    lint_unknown_object: "'%1' 오브젝트가 없습니다.",
+    lint_unknown_picture: "'%1' 모양이 없습니다.",
+    lint_unknown_sound: "'%1' 소리가 없습니다.",
     message_conv_undefined_function:
         '정의되지 않은 명령어 입니다. 명령어가 올바르게 입력되었는지 확인해주세요.',
     message_conv_is_expect1: '올바르지 않은 문법입니다. ',
@@ -8576,6 +8740,7 @@ Lang.TextCoding = {
     warn_unnecessary_arguments:
         '&(calleeName)(); 는 괄호 사이에 값이 입력될 필요가 없는 명령어 입니다. (line:&(lineNumber))',
     python_code: ' 오브젝트의 파이선 코드',
+    javascript_code: ' 오브젝트의 자바스크립트 코드',
     eof: '줄바꿈',
     newline: '줄바꿈',
     indent: '들여쓰기',
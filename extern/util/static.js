@@ -23,6 +23,12 @@ EntryStatic.variableBlockList = [
     'is_included_in_list',
     'show_list',
     'hide_list',
+    'set_value_to_dict',
+    'get_value_from_dict',
+    'is_key_in_dict',
+    'remove_key_from_dict',
+    'length_of_dict',
+    'keys_of_dict',
 ];
 
 EntryStatic.messageBlockList = ['when_message_cast', 'message_cast', 'message_cast_wait'];
@@ -248,6 +254,13 @@ EntryStatic.getAllBlocks = function () {
                 'is_included_in_list',
                 'show_list',
                 'hide_list',
+                'dictAddButton',
+                'set_value_to_dict',
+                'get_value_from_dict',
+                'is_key_in_dict',
+                'remove_key_from_dict',
+                'length_of_dict',
+                'keys_of_dict',
             ],
         },
         {
@@ -258,6 +271,13 @@ EntryStatic.getAllBlocks = function () {
                 'showFunctionPropsButton',
                 'set_func_variable',
                 'get_func_variable',
+                'add_value_to_func_list',
+                'remove_value_from_func_list',
+                'change_value_func_list_index',
+                'value_of_index_from_func_list',
+                'length_of_func_list',
+                'function_exit',
+                'function_return_value',
             ],
         },
         {
@@ -508,12 +528,14 @@ EntryStatic.getAllBlocks = function () {
                 'hardware_connected_noti',
                 'arduino_lite_connected_noti',
                 'arduino_lite_reconnect',
+                'arduino_lite_simulate',
                 'hardware_noti_not_installed',
                 'arduino_lite_download_firmware',
                 'arduino_lite_connect',
                 'arduino_lite_guide',
                 'arduino_noti',
                 'arduino_lite_alert',
+                'when_hardware_lite_connection_changed',
             ].concat(EntryStatic.DynamicHardwareBlocks),
         },
     ];
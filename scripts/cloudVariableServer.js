@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * 공식 서비스 없이 학교 내부망 등에서 공유 변수를 쓰기 위한 서버.
+ *
+ * 실행) npm run serve:cloud-variable
+ *   PORT          접속 포트 (기본 3000)
+ *   CV_DATA_DIR   방(작품)별 공유 변수를 저장할 디렉토리 (기본 ./cloud-variable-data)
+ *   CV_ORIGIN     접속을 허용할 작품 페이지의 origin, 쉼표로 구분 (기본 모두 허용)
+ *
+ * 작품에서는 Entry.cloudVariable.setServerInfo({ url: 'http://<서버 주소>:<PORT>', type, query }) 로 연결한다.
+ */
+const path = require('path');
+const http = require('http');
+
+require('@babel/register')({
+    cwd: path.resolve(__dirname, '..'),
+    only: [path.resolve(__dirname, '../src')],
+});
+
+const { Server } = require('socket.io');
+const CloudVariableServer = require('../src/extensions/cloudVariableServer').default;
+const FileStorage = require('../src/extensions/cloudVariableServer/fileStorage').default;
+
+const port = Number(process.env.PORT) || 3000;
+const dataDirectory = path.resolve(process.env.CV_DATA_DIR || 'cloud-variable-data');
+const origin = process.env.CV_ORIGIN ? process.env.CV_ORIGIN.split(',') : '*';
+
+const httpServer = http.createServer();
+const io = new Server(httpServer, { path: '/cv', cors: { origin } });
+const cvServer = new CloudVariableServer({ storage: new FileStorage(dataDirectory) }).attach(io);
+
+httpServer.listen(port, () => {
+    console.log(`cloud variable server is listening on ${port} (data: ${dataDirectory})`);
+});
+
+const shutdown = async () => {
+    io.close();
+    await cvServer.close();
+    process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * WebSocketTransport 로 여러 컴퓨터에서 함께 블록을 편집하기 위한 중계 서버.
+ *
+ * 실행) npm run serve:collaboration
+ *   PORT                  접속 포트 (기본 4000)
+ *   COLLABORATION_ORIGIN  접속을 허용할 작품 페이지의 origin, 쉼표로 구분 (기본 모두 허용)
+ *
+ * 작품에서는 new Entry.Collaboration.WebSocketTransport('ws://<서버 주소>:<PORT>/collaboration?room=<방>')
+ * 을 transport 로 넘긴다.
+ */
+const path = require('path');
+const http = require('http');
+
+require('@babel/register')({
+    cwd: path.resolve(__dirname, '..'),
+    only: [path.resolve(__dirname, '../src')],
+});
+
+const { WebSocketServer } = require('ws');
+const CollaborationRelayServer = require('../src/class/collaboration/relayServer').default;
+
+const port = Number(process.env.PORT) || 4000;
+const origins = process.env.COLLABORATION_ORIGIN && process.env.COLLABORATION_ORIGIN.split(',');
+
+const httpServer = http.createServer();
+const wss = new WebSocketServer({
+    server: httpServer,
+    path: '/collaboration',
+    verifyClient: ({ origin }) => !origins || origins.includes(origin),
+});
+new CollaborationRelayServer().attach(wss);
+
+httpServer.listen(port, () => {
+    console.log(`collaboration relay server is listening on ${port}`);
+});
+
+const shutdown = () => {
+    wss.clients.forEach((client) => client.terminate());
+    wss.close();
+    httpServer.close(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -89,6 +89,10 @@ export default class AILearning {
         this.#dataApi = api;
     }
 
+    getDataApi() {
+        return this.#dataApi;
+    }
+
     removeAllBlocks() {
         const utilizeBlock = [];
         Object.values(Entry.ALL_AI_UTILIZE_BLOCK_LIST)
@@ -0,0 +1,331 @@
+'use strict';
+
+import { BroadcastChannelTransport, WebSocketTransport } from './transports';
+import CollaborationPanel from './panel';
+
+/**
+ * 로그(Entry.Command[type].log)의 값만으로 다시 실행할 수 있는 블록 명령.
+ * 나머지 블록/주석 명령은 실행 후 코드가 바뀌었으면 오브젝트 코드 전체를 보낸다.
+ */
+const REPLAYABLE_COMMANDS = [
+    'addThread',
+    'addThreadFromBlockMenu',
+    'cloneBlock',
+    'destroyThread',
+    'uncloneBlock',
+    'destroyBlock',
+    'destroyBlockBelow',
+    'insertBlock',
+    'insertBlockFromBlockMenu',
+    'insertBlockFollowSeparate',
+    'insertBlockFromBlockMenuFollowSeparate',
+    'separateBlock',
+    'separateBlockForDestroy',
+    'moveBlock',
+    'moveBlockFromBlockMenu',
+    'moveBlockForDestroy',
+    'setFieldValue',
+];
+
+const IGNORED_COMMANDS = ['scrollBoard', 'selectBlockMenu'];
+
+const CODE_REQUEST_DELAY = 300;
+
+/**
+ * 블록(101~124)과 주석(1201~1211) 명령만 공유한다.
+ */
+const isBoardCommand = (commandType) =>
+    (commandType > 100 && commandType < 200) || (commandType > 1200 && commandType < 1300);
+
+/**
+ * 참여자마다 다르게 만들어지는 블록 id 는 빼고 비교한다.
+ */
+const getCodeHash = (code) => {
+    const json = JSON.stringify(code.toJSON(), (key, value) => (key === 'id' ? undefined : value));
+    let hash = 5381;
+    for (let i = 0; i < json.length; i++) {
+        hash = ((hash << 5) + hash + json.charCodeAt(i)) | 0;
+    }
+    return hash;
+};
+
+/**
+ * 같은 작품을 불러온 여러 사용자가 블록 코드를 함께 편집한다.
+ * commander 에 reporter 로 등록하여 로컬 명령의 로그를 받고, 실행이 끝나면(doEvent) 전송 계층으로 보낸다.
+ * 받은 명령은 같은 오브젝트를 보드에 열어 두었고 실행 전 코드가 같을 때만 Entry.do 로 다시 실행하며,
+ * 그 밖의 경우에는 오브젝트 코드 전체를 받아 맞춘다.
+ * 같은 오브젝트를 동시에 고쳐 코드가 어긋나면 clientId 가 작은 참여자의 코드로 맞춘다.
+ *
+ * 사용 예)
+ *   Entry.collaboration = new Entry.Collaboration({
+ *       transport: new Entry.Collaboration.BroadcastChannelTransport(projectId),
+ *   }).start();
+ *
+ * 메시지
+ *   hello: 새 참여자. 다른 참여자는 모든 오브젝트의 코드(codes)로 응답한다.
+ *   bye: 참여자가 나갔다.
+ *   command({ objectId, base, commandType, args }): base 는 실행 전 코드의 hash
+ *   code({ objectId, code }), codes({ codes }), requestCode({ objectId })
+ *   to 가 있으면 해당 clientId 의 참여자만 처리한다.
+ */
+class Collaboration {
+    /**
+     * @param {Object} options
+     * @param {Object} options.transport send(message), onMessage(listener) 를 구현한 전송 계층
+     * @param {string=} options.clientId
+     */
+    constructor({ transport, clientId = Entry.generateHash() }) {
+        this.transport = transport;
+        this.clientId = clientId;
+        this.isStarted = false;
+        this.participants = new Set();
+        this._commands = [];
+        this._isApplyingRemote = false;
+        this._pendingCodes = new Map();
+        this._codeRequests = new Map();
+        this._unsubscribe = null;
+        this._doEventListener = null;
+    }
+
+    start() {
+        if (this.isStarted) {
+            return this;
+        }
+        const commander = Entry.commander;
+        this.isStarted = true;
+        commander.addReporter(this);
+        this._doEventListener = commander.doEvent.attach(this, this._handleDo);
+        this._unsubscribe = this.transport.onMessage(this._handleMessage);
+        Entry.addEventListener('stop', this._applyPendingCodes);
+        this._send({ type: 'hello' });
+        return this;
+    }
+
+    stop() {
+        if (!this.isStarted) {
+            return;
+        }
+        const commander = Entry.commander;
+        this._send({ type: 'bye' });
+        this.isStarted = false;
+        commander.removeReporter(this);
+        commander.doEvent.detach(this._doEventListener);
+        this._doEventListener = null;
+        this._unsubscribe();
+        this._unsubscribe = null;
+        Entry.removeEventListener('stop', this._applyPendingCodes);
+        this._codeRequests.forEach((timer) => clearTimeout(timer));
+        this._codeRequests.clear();
+        this._pendingCodes.clear();
+        this._commands = [];
+        this.participants.clear();
+        this.transport.close && this.transport.close();
+        Entry.dispatchEvent('collaborationChanged', this);
+    }
+
+    /**
+     * commander reporter. 명령 실행 전에 불린다.
+     * @param {Array} data [commandType, [key, value], ...]
+     */
+    add(data) {
+        const [commandType] = data;
+        const { COMMAND_TYPES } = Entry.STATIC;
+        if (this._isApplyingRemote || commandType === COMMAND_TYPES.do) {
+            return;
+        }
+        if (commandType === COMMAND_TYPES.undo || commandType === COMMAND_TYPES.redo) {
+            // undo/redo 는 doEvent 가 없으므로 실행이 끝난 뒤 코드를 보낸다.
+            const code = this._getBoardCode();
+            code && Promise.resolve().then(() => this.sendCode(code.object.id));
+            return;
+        }
+        const code = this._getBoardCode();
+        if (!code || !isBoardCommand(commandType) || this._isIgnored(commandType)) {
+            return;
+        }
+        this._commands.push({
+            commandType,
+            args: data.slice(1).map(([, value]) => value),
+            objectId: code.object.id,
+            // 명령 안에서 실행된 명령은 바깥 명령을 다시 실행하면 함께 실행된다.
+            base: this._commands.length ? null : getCodeHash(code),
+        });
+    }
+
+    sendCode(objectId, to) {
+        const object = Entry.container.getObject(objectId);
+        if (object) {
+            this._send({ type: 'code', to, objectId, code: object.script.toJSON() });
+        }
+    }
+
+    _handleDo(commandType) {
+        const command = this._commands[this._commands.length - 1];
+        if (this._isApplyingRemote || !command || command.commandType !== commandType) {
+            return;
+        }
+        this._commands.pop();
+        if (this._commands.length) {
+            return;
+        }
+
+        const { objectId, base, args } = command;
+        const code = this._getBoardCode();
+        if (!code || code.object.id !== objectId) {
+            return;
+        }
+        const commandName = Entry.STATIC.getCommandName(commandType);
+        if (REPLAYABLE_COMMANDS.includes(commandName) && args.length) {
+            this._send({ type: 'command', objectId, base, commandType, args });
+        } else if (getCodeHash(code) !== base) {
+            this.sendCode(objectId);
+        }
+    }
+
+    _handleMessage = (message) => {
+        if (!message || message.clientId === this.clientId) {
+            return;
+        } else if (message.to && message.to !== this.clientId) {
+            return;
+        }
+        this._updateParticipants(message);
+        switch (message.type) {
+            case 'hello':
+                this._send({
+                    type: 'codes',
+                    to: message.clientId,
+                    codes: Entry.container.getAllObjects().map(({ id, script }) => ({
+                        objectId: id,
+                        code: script.toJSON(),
+                    })),
+                });
+                break;
+            case 'command':
+                this._applyCommand(message);
+                break;
+            case 'code':
+                this._loadCode(message.objectId, message.code);
+                break;
+            case 'codes':
+                message.codes.forEach(({ objectId, code }) => this._loadCode(objectId, code));
+                break;
+            case 'requestCode':
+                this.sendCode(message.objectId, message.clientId);
+                break;
+        }
+    };
+
+    _updateParticipants({ type, clientId }) {
+        const isJoined = this.participants.has(clientId);
+        if (type === 'bye') {
+            this.participants.delete(clientId);
+        } else {
+            this.participants.add(clientId);
+        }
+        if (isJoined !== this.participants.has(clientId)) {
+            Entry.dispatchEvent('collaborationChanged', this);
+        }
+    }
+
+    _applyCommand({ clientId, objectId, base, commandType, args }) {
+        const code = this._getBoardCode();
+        if (!code || code.object.id !== objectId || Entry.engine.isState('run')) {
+            this._requestCode(objectId, clientId);
+            return;
+        }
+        if (getCodeHash(code) !== base) {
+            if (this.clientId < clientId) {
+                this.sendCode(objectId);
+            } else {
+                this._requestCode(objectId, clientId);
+            }
+            return;
+        }
+        try {
+            this._runRemote(() => Entry.do(commandType, ...args));
+        } catch (e) {
+            console.warn('collaboration command failed', e);
+            this._requestCode(objectId, clientId);
+        }
+    }
+
+    /**
+     * 명령이 연속으로 오는 동안에는 한 번만 요청한다.
+     */
+    _requestCode(objectId, clientId) {
+        clearTimeout(this._codeRequests.get(objectId));
+        this._codeRequests.set(
+            objectId,
+            setTimeout(() => {
+                this._codeRequests.delete(objectId);
+                this._send({ type: 'requestCode', to: clientId, objectId });
+            }, CODE_REQUEST_DELAY)
+        );
+    }
+
+    _loadCode(objectId, json) {
+        const object = Entry.container.getObject(objectId);
+        if (!object) {
+            return;
+        }
+        if (Entry.engine.isState('run')) {
+            // 실행 중에는 코드를 불러올 수 없으므로 정지한 뒤에 불러온다.
+            this._pendingCodes.set(objectId, json);
+            return;
+        }
+        const code = object.script;
+        this._runRemote(() => {
+            code.load(json);
+            code.changeEvent.notify();
+        });
+    }
+
+    _applyPendingCodes = () => {
+        const codes = Array.from(this._pendingCodes);
+        this._pendingCodes.clear();
+        codes.forEach(([objectId, json]) => this._loadCode(objectId, json));
+    };
+
+    /**
+     * 다른 참여자의 편집은 공유하지 않고 실행 취소 목록에도 넣지 않는다.
+     */
+    _runRemote(fn) {
+        const stateManager = Entry.stateManager;
+        const wasIgnoring = stateManager && stateManager.isIgnoring();
+        this._isApplyingRemote = true;
+        stateManager && stateManager.startIgnore();
+        try {
+            fn();
+        } finally {
+            this._isApplyingRemote = false;
+            stateManager && !wasIgnoring && stateManager.endIgnore();
+        }
+    }
+
+    _getBoardCode() {
+        const workspace = Entry.getMainWS();
+        const code = workspace && workspace.board && workspace.board.code;
+        return code && code.object ? code : null;
+    }
+
+    _isIgnored(commandType) {
+        return IGNORED_COMMANDS.some((name) => Entry.STATIC.COMMAND_TYPES[name] === commandType);
+    }
+
+    _send(message) {
+        if (!this.isStarted) {
+            return;
+        }
+        try {
+            this.transport.send({ ...message, clientId: this.clientId });
+        } catch (e) {
+            console.warn('collaboration send failed', e);
+        }
+    }
+}
+
+Collaboration.BroadcastChannelTransport = BroadcastChannelTransport;
+Collaboration.WebSocketTransport = WebSocketTransport;
+Collaboration.Panel = CollaborationPanel;
+
+Entry.Collaboration = Collaboration;
@@ -0,0 +1,132 @@
+'use strict';
+
+import { BroadcastChannelTransport, WebSocketTransport } from './transports';
+
+/**
+ * 속성 패널의 함께 만들기 탭. 방 이름으로 참여하면 Entry.collaboration 을 만들어 시작하고,
+ * 나가면 멈춘다. 중계 서버 주소가 없으면 같은 브라우저의 다른 탭/창과만 공유한다.
+ */
+export default class CollaborationPanel {
+    /**
+     * @param {Object=} options
+     * @param {string=} options.serverUrl WebSocketTransport 로 접속할 중계 서버 주소.
+     *  방 이름은 room 쿼리로 붙인다.
+     */
+    constructor({ serverUrl } = {}) {
+        this.serverUrl = serverUrl;
+        this.roomId = null;
+        this.view = null;
+        Entry.addEventListener('collaborationChanged', () => this.render());
+    }
+
+    isJoined() {
+        return !!Entry.collaboration && Entry.collaboration.isStarted;
+    }
+
+    /**
+     * @param {string} roomId
+     */
+    join(roomId) {
+        if (!roomId) {
+            return;
+        }
+        this.leave();
+        this.roomId = roomId;
+        Entry.collaboration = new Entry.Collaboration({
+            transport: this._createTransport(roomId),
+        }).start();
+        this.render();
+    }
+
+    leave() {
+        if (Entry.collaboration) {
+            Entry.collaboration.stop();
+            Entry.collaboration = null;
+        }
+        this.roomId = null;
+        this.render();
+    }
+
+    _createTransport(roomId) {
+        if (!this.serverUrl) {
+            return new BroadcastChannelTransport(roomId);
+        }
+        const separator = this.serverUrl.includes('?') ? '&' : '?';
+        return new WebSocketTransport(
+            `${this.serverUrl}${separator}room=${encodeURIComponent(roomId)}`
+        );
+    }
+
+    generateView(parentView) {
+        if (this.view) {
+            return;
+        }
+        const view = Entry.createElement('div').addClass('entryCollaborationWorkspace');
+        const header = Entry.createElement('div')
+            .addClass('entryCollaborationHeader')
+            .appendTo(view);
+        this._roomInput = Entry.createElement('input')
+            .addClass('entryCollaborationRoomInput')
+            .appendTo(header);
+        this._roomInput.placeholder = Lang.Workspace.collaboration_room;
+        this._joinButton = Entry.createElement('button')
+            .addClass('entryCollaborationButton')
+            .appendTo(header);
+        this._joinButton.bindOnClick(() =>
+            this.isJoined() ? this.leave() : this.join(this._roomInput.value.trim())
+        );
+        this._statusView = Entry.createElement('div')
+            .addClass('entryCollaborationStatus')
+            .appendTo(view);
+        this._participantListView = Entry.createElement('ul')
+            .addClass('entryCollaborationParticipants')
+            .appendTo(view);
+
+        this.view = view;
+        parentView && parentView.appendChild(view);
+        this.render();
+    }
+
+    getView() {
+        return this.view;
+    }
+
+    /**
+     * 속성 패널에서 탭을 선택하면 불린다.
+     */
+    resize() {
+        this.render();
+    }
+
+    render() {
+        if (!this.view) {
+            return;
+        }
+        const isJoined = this.isJoined();
+        this._roomInput.disabled = isJoined;
+        if (!isJoined && !this._roomInput.value && Entry.projectId) {
+            this._roomInput.value = Entry.projectId;
+        }
+        this._joinButton.textContent = isJoined
+            ? Lang.Workspace.collaboration_leave
+            : Lang.Workspace.collaboration_join;
+
+        this._participantListView.innerHTML = '';
+        if (!isJoined) {
+            this._statusView.textContent = Lang.Workspace.collaboration_not_joined;
+            return;
+        }
+        const { clientId, participants } = Entry.collaboration;
+        this._statusView.textContent = Entry.Utils.stringFormat(
+            Lang.Workspace.collaboration_joined,
+            this.roomId,
+            participants.size
+        );
+        const fragment = document.createDocumentFragment();
+        [clientId, ...participants].forEach((id) => {
+            const item = Entry.createElement('li').appendTo(fragment);
+            item.textContent = id === clientId ? `${id} (${Lang.Workspace.collaboration_me})` : id;
+        });
+        this._participantListView.appendChild(fragment);
+    }
+}
@@ -0,0 +1,80 @@
+'use strict';
+
+const OPEN = 1;
+
+/**
+ * WebSocketTransport 가 접속하는 중계 서버.
+ * 접속 주소의 room 쿼리로 방을 나누고, 받은 메시지를 같은 방의 다른 접속에 그대로 보낸다.
+ * 메시지는 clientId 만 읽고, bye 없이 끊긴 접속은 그 clientId 로 bye 를 대신 보낸다.
+ * ws 의 WebSocketServer 는 사용하는 쪽에서 만들어 attach 로 연결한다.
+ * 따로 띄울 때는 scripts/collaborationServer.js (npm run serve:collaboration) 를 사용한다.
+ *
+ * 사용 예)
+ *   const wss = new WebSocketServer({ server: httpServer, path: '/collaboration' });
+ *   new CollaborationRelayServer().attach(wss);
+ *
+ *   // 작품 쪽
+ *   new Entry.Collaboration({
+ *       transport: new Entry.Collaboration.WebSocketTransport(
+ *           'ws://192.168.0.2:4000/collaboration?room=project1'
+ *       ),
+ *   }).start();
+ */
+export default class CollaborationRelayServer {
+    constructor() {
+        this.rooms = new Map();
+    }
+
+    /**
+     * @param {Object} wss ws 의 WebSocketServer
+     */
+    attach(wss) {
+        wss.on('connection', (socket, request) => this.handleConnection(socket, request));
+        return this;
+    }
+
+    getRoomId(url = '') {
+        const query = url.split('?')[1] || '';
+        return new URLSearchParams(query).get('room') || '';
+    }
+
+    handleConnection(socket, request = {}) {
+        const roomId = this.getRoomId(request.url);
+        if (!this.rooms.has(roomId)) {
+            this.rooms.set(roomId, new Set());
+        }
+        const room = this.rooms.get(roomId);
+        room.add(socket);
+
+        let clientId;
+        let isLeft = false;
+        socket.on('message', (data) => {
+            const text = String(data);
+            try {
+                const message = JSON.parse(text);
+                clientId = message.clientId || clientId;
+                isLeft = message.type === 'bye';
+            } catch (e) {
+                return;
+            }
+            this.broadcast(room, socket, text);
+        });
+        socket.on('close', () => {
+            room.delete(socket);
+            if (clientId && !isLeft) {
+                this.broadcast(room, socket, JSON.stringify({ type: 'bye', clientId }));
+            }
+            if (!room.size) {
+                this.rooms.delete(roomId);
+            }
+        });
+    }
+
+    broadcast(room, sender, text) {
+        room.forEach((socket) => {
+            if (socket !== sender && socket.readyState === OPEN) {
+                socket.send(text);
+            }
+        });
+    }
+}
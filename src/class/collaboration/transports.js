@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Collaboration 이 사용하는 전송 계층.
+ * send(message) 로 다른 참여자에게 메시지(JSON 으로 바꿀 수 있는 객체)를 보내고,
+ * onMessage(listener) 로 받은 메시지를 전달하며 등록을 해제하는 함수를 돌려준다.
+ * 자기가 보낸 메시지가 되돌아와도 Collaboration 에서 clientId 로 걸러낸다.
+ */
+
+/**
+ * 같은 브라우저의 다른 탭/창과 편집을 공유한다.
+ */
+export class BroadcastChannelTransport {
+    /**
+     * @param {string} roomId
+     */
+    constructor(roomId) {
+        this.channel = new window.BroadcastChannel(`entry-collaboration:${roomId}`);
+    }
+
+    send(message) {
+        this.channel.postMessage(message);
+    }
+
+    onMessage(listener) {
+        const handler = ({ data }) => listener(data);
+        this.channel.addEventListener('message', handler);
+        return () => this.channel.removeEventListener('message', handler);
+    }
+
+    close() {
+        this.channel.close();
+    }
+}
+
+/**
+ * 받은 메시지를 같은 방의 다른 접속에 그대로 전달하는 WebSocket 서버를 통해 편집을 공유한다.
+ * 서버는 relayServer.js 의 CollaborationRelayServer (npm run serve:collaboration) 를 쓴다.
+ * 메시지는 JSON 텍스트 프레임 하나씩 주고받는다.
+ * 연결되기 전에 보낸 메시지는 연결된 뒤에 보낸다.
+ */
+export class WebSocketTransport {
+    /**
+     * @param {string} url 예) ws://192.168.0.2:4000/collaboration?room=project1
+     */
+    constructor(url) {
+        this.queue = [];
+        this.socket = new window.WebSocket(url);
+        this.socket.addEventListener('open', () => {
+            this.queue.forEach((data) => this.socket.send(data));
+            this.queue = [];
+        });
+    }
+
+    send(message) {
+        const data = JSON.stringify(message);
+        if (this.socket.readyState === window.WebSocket.OPEN) {
+            this.socket.send(data);
+        } else {
+            this.queue.push(data);
+        }
+    }
+
+    onMessage(listener) {
+        const handler = ({ data }) => {
+            try {
+                listener(JSON.parse(data));
+            } catch (e) {
+                console.warn('invalid collaboration message', e);
+            }
+        };
+        this.socket.addEventListener('message', handler);
+        return () => this.socket.removeEventListener('message', handler);
+    }
+
+    close() {
+        this.queue = [];
+        this.socket.close();
+    }
+}
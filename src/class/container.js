@@ -769,6 +769,13 @@ Entry.Container = class Container {
                 }
                 break;
             }
+            case 'dicts': {
+                result = Entry.variableContainer.dicts_.map((dict) => [
+                    dict.getName(),
+                    dict.getId(),
+                ]);
+                break;
+            }
             case 'tables': {
                 const { tables } = DataTable;
                 if (tables) {
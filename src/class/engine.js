@@ -15,6 +15,8 @@ Entry.Engine = class Engine {
         this.popup = null;
         this.isUpdating = true;
         this.speeds = [1, 15, 30, 45, 60];
+        /** 수동으로 진행되는 시계. headless 실행 시에만 주입된다. */
+        this.clock = null;
 
         this.attachKeyboardCapture();
 
@@ -547,7 +549,7 @@ Entry.Engine = class Engine {
     start() {
         GEHelper.Ticker.setFPS(Entry.FPS);
 
-        if (!this.ticker) {
+        if (!this.ticker && !this.clock) {
             Entry.tickTime = Math.floor(1000 / Entry.FPS);
             this.ticker = setInterval(this.update, Entry.tickTime);
         }
@@ -560,6 +562,27 @@ Entry.Engine = class Engine {
         this.ticker = null;
     }
 
+    /**
+     * setInterval 대신 외부에서 틱을 진행시킬 시계를 주입한다.
+     * 시계가 주입되면 ticker 는 생성되지 않으며, update 는 호출자가 직접 실행해야 한다.
+     * @param {?{now: function, setTimeout: function, clearTimeout: function}} clock
+     */
+    setClock(clock) {
+        this.clock = clock || null;
+        if (this.clock && this.ticker) {
+            clearInterval(this.ticker);
+            this.ticker = null;
+        }
+    }
+
+    /**
+     * 엔진 기준의 현재 시각(ms). 주입된 시계가 있으면 그 시각을 따른다.
+     * @return {number}
+     */
+    now() {
+        return this.clock ? this.clock.now() : new Date().getTime();
+    }
+
     /**
      * 매 틱당 실행되며, canvas, object 를 업데이트한다.
      * 추가로, 하드웨어의 데이터도 업데이트한다.
@@ -570,6 +593,7 @@ Entry.Engine = class Engine {
             if (Entry.hw.communicationType !== 'manual') {
                 Entry.hw.update();
             }
+            Entry.dispatchEvent('engineUpdated');
         }
     };
 
@@ -625,6 +649,7 @@ Entry.Engine = class Engine {
         Entry.addActivity('run');
 
         if (this.state === EntryEngineState.stop) {
+            Entry.dispatchEvent('beforeRun');
             container.mapEntity((entity) => {
                 entity.takeSnapshot();
             });
@@ -634,6 +659,9 @@ Entry.Engine = class Engine {
             variableContainer.mapList((variable) => {
                 variable.takeSnapshot();
             });
+            variableContainer.mapDict((variable) => {
+                variable.takeSnapshot();
+            });
             variableContainer.mapFunc((func) => {
                 func.takeSnapshot();
             });
@@ -733,6 +761,9 @@ Entry.Engine = class Engine {
         variableContainer.mapList((variable) => {
             variable.loadSnapshot();
         });
+        variableContainer.mapDict((variable) => {
+            variable.loadSnapshot();
+        });
         variableContainer.mapFunc((func) => {
             func.loadSnapshot();
         });
@@ -762,7 +793,7 @@ Entry.Engine = class Engine {
         Entry.playbackRateValue = 1;
         Entry.targetChecker && Entry.targetChecker.clearListener();
 
-        this.view_.removeClass('entryEngineBlueWorkspace');
+        this.view_ && this.view_.removeClass('entryEngineBlueWorkspace');
         if (this.runButton) {
             this.runButton.removeClass('entryRemove');
             if (this.runButtonCurtain) {
@@ -815,9 +846,9 @@ Entry.Engine = class Engine {
         const timer = Entry.engine.projectTimer;
         if (this.state === EntryEngineState.pause) {
             this.setEnableInputField(true);
-            timer.pausedTime += new Date().getTime() - timer.pauseStart;
+            timer.pausedTime += this.now() - timer.pauseStart;
             if (timer.isPaused) {
-                timer.pauseStart = new Date().getTime();
+                timer.pauseStart = this.now();
             } else {
                 delete timer.pauseStart;
             }
@@ -844,10 +875,10 @@ Entry.Engine = class Engine {
             this.state = EntryEngineState.pause;
             this.setEnableInputField(false);
             if (!timer.isPaused) {
-                timer.pauseStart = new Date().getTime();
+                timer.pauseStart = this.now();
             } else {
-                timer.pausedTime += new Date().getTime() - timer.pauseStart;
-                timer.pauseStart = new Date().getTime();
+                timer.pausedTime += this.now() - timer.pauseStart;
+                timer.pauseStart = this.now();
             }
             Entry.Utils.pauseSoundInstances();
             if (visible && this.runButton) {
@@ -1163,10 +1194,13 @@ Entry.Engine = class Engine {
             return;
         }
 
-        timer.start = new Date().getTime();
+        timer.start = this.now();
         timer.isInit = true;
         timer.isPaused = false;
         timer.pausedTime = 0;
+        if (this.clock) {
+            return;
+        }
         timer.tick = setInterval((e) => {
             Entry.engine.updateProjectTimer();
         }, 1000 / 60);
@@ -1213,7 +1247,7 @@ Entry.Engine = class Engine {
         if (!timer) {
             return;
         }
-        const current = new Date().getTime();
+        const current = engine.now();
         if (typeof value == 'undefined') {
             if (!timer.isPaused && !engine.isState('pause')) {
                 timer.setValue(
@@ -1,6 +1,13 @@
 import fetch from 'isomorphic-fetch';
 import cryptojs from 'crypto-js';
-import { EntryBlock, EntryBlockModule, EntryHardwareBlockModule } from '../../types/index';
+import { load as loadYaml } from 'js-yaml';
+import {
+    EntryBlock,
+    EntryBlockModule,
+    EntryHardwareBlockModule,
+    HWLiteModuleDefinition,
+} from '../../types/index';
+import HWLiteDefinitionModule from './hardware/hwLiteModuleDefinition';
 
 type EntryBlockRegisterSchema = {
     blockName: string;
@@ -10,7 +17,8 @@ type EntryBlockRegisterSchema = {
 
 class EntryModuleLoader {
     public moduleList: string[] = [];
-    public moduleListLite: string[] = [];
+    // 스크립트로 불러온 모듈은 이름을, 선언형 모듈은 정의를 담아 작품과 함께 저장한다.
+    public moduleListLite: Array<string | HWLiteModuleDefinition> = [];
 
     /**
      * @deprecated
@@ -192,6 +200,29 @@ class EntryModuleLoader {
         Entry.hwLite.setExternalModule(moduleObject);
     }
 
+    /**
+     * 선언형 모듈 정의로 하드웨어 모듈을 만들어 등록한다. 블록 실행 코드 없이 모듈을 만들 때 쓴다.
+     * @param definition HWLiteModuleDefinition 객체나 JSON/YAML 문자열
+     * @throws 정의가 잘못된 경우
+     */
+    async registerHardwareLiteDefinition(definition: HWLiteModuleDefinition | string) {
+        // INFO : JSON 은 YAML 문법에 포함되므로 문자열은 모두 YAML 로 읽는다.
+        const moduleDefinition =
+            typeof definition === 'string'
+                ? (loadYaml(definition) as HWLiteModuleDefinition)
+                : definition;
+        const moduleObject = new HWLiteDefinitionModule(moduleDefinition);
+        const prevModuleBlocks = Entry.HARDWARE_LITE_LIST[moduleObject.id]?.blockMenuBlocks;
+        if (prevModuleBlocks) {
+            this.removePrevModuleBlock(prevModuleBlocks);
+        }
+        // INFO : 다른 모듈을 고르면 블록을 숨길 수 있도록 목록에 넣는다.
+        Entry.HARDWARE_LITE_LIST[moduleObject.id] = moduleObject;
+        await this.registerHardwareLiteModule(moduleObject);
+        this.moduleListLite = [moduleDefinition];
+        return moduleObject;
+    }
+
     /**
      * 이 함수는 외부 블록 모듈 URL 의 코드가 호출한다.
      * 엔트리 내 '확장' 카테고리에 블록을 추가한다.
@@ -315,10 +346,20 @@ Entry.loadExternalModules = async (project = {}) => {
     await Promise.all(externalModules.map(instance.loadModuleFromLocalOrOnline.bind(instance)));
 };
 
+// 작품에 저장된 선언형 모듈의 정의. 블록 실행 코드 대신 블록 정의 목록을 가진다.
+const isHardwareLiteDefinition = (module: any): module is HWLiteModuleDefinition =>
+    Array.isArray(module?.blocks);
+
 Entry.loadLiteExternalModules = async (project = {}) => {
     const { externalModulesLite = [] } = project;
     Entry.externalModulesLite = externalModulesLite;
-    await Promise.all(externalModulesLite.map(instance.registerHardwareLiteModule.bind(instance)));
+    await Promise.all(
+        externalModulesLite.map((module: any) =>
+            isHardwareLiteDefinition(module)
+                ? instance.registerHardwareLiteDefinition(module)
+                : instance.registerHardwareLiteModule(module)
+        )
+    );
 };
 
 /**
@@ -327,6 +368,10 @@ Entry.loadLiteExternalModules = async (project = {}) => {
  */
 Entry.loadLiteTestModule = async (file: File, name: string) => {
     const result = await file.text();
+    if (/\.(json|ya?ml)$/.test(file.name)) {
+        await Entry.moduleManager.registerHardwareLiteDefinition(result);
+        return;
+    }
     await Entry.moduleManager.loadScript(name, result, true);
     // Entry.moduleManager.registerHardwareLiteModule(name);
 };
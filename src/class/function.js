@@ -12,11 +12,13 @@ class EntryFunc {
             type = 'normal',
             id = Entry.generateHash(),
             localVariables = [],
+            localLists = [],
             useLocalVariables = false,
         } = func;
         this.id = id;
         this.type = type;
         this.localVariables = localVariables;
+        this.localLists = localLists;
         this.useLocalVariables = useLocalVariables;
         let content;
         //inspect empty content
@@ -193,6 +195,75 @@ class EntryFunc {
         localVariable.value = value;
     }
 
+    defaultLocalList() {
+        return {
+            name: Entry.getOrderedName(Lang.Workspace.local_list, this.localLists, 'name'),
+            value: [],
+        };
+    }
+
+    setLocalListLength(length) {
+        if (this.localLists.length >= length) {
+            this.localLists.splice(length, this.localLists.length - length);
+        } else {
+            const max = length - this.localLists.length;
+            for (let i = 0; i < max; i++) {
+                this.localLists.push(this.defaultLocalList());
+            }
+        }
+        Entry.variableContainer && Entry.variableContainer.updateFuncLocalListView(this);
+    }
+
+    insertFuncLocalList(value, index) {
+        this.localLists.splice(index, 0, value);
+        Entry.variableContainer && Entry.variableContainer.updateFuncLocalListView(this);
+    }
+
+    removeLocalList(idx) {
+        if (this.localLists.length >= idx) {
+            this.localLists.splice(idx, 1);
+        }
+        Entry.variableContainer && Entry.variableContainer.updateFuncLocalListView(this);
+    }
+
+    getLocalLists() {
+        return this.localLists;
+    }
+
+    changeNameLocalList(name, index) {
+        const localList = this.localLists[index];
+        if (this.localLists.some((list) => list !== localList && list.name === name)) {
+            name = Entry.getOrderedName(name, this.localLists, 'name');
+            Entry.toast.warning(
+                Lang.Workspace.local_variable_rename,
+                Lang.Workspace.local_list_dup
+            );
+        }
+        localList.name = name;
+        const { playground } = Entry;
+        if (playground) {
+            playground.blockMenu.deleteRendered('func');
+            playground.reloadPlayground();
+        }
+        return name;
+    }
+
+    /**
+     * @param {string} listId
+     * @param {Array<Object>=} localLists 함수를 실행할 때마다 새로 만드는 지역 리스트
+     * @return {Array} 지역 리스트의 항목
+     */
+    getListArray(listId, localLists) {
+        const localList = _find(
+            localLists || this.localLists,
+            (localList) => localList.id === listId
+        );
+        if (!localList) {
+            throw new Error('local list not found');
+        }
+        return localList.value;
+    }
+
     getBlockById(blockId) {
         return this?.content?.findById(blockId);
     }
@@ -0,0 +1,256 @@
+'use strict';
+
+// 값을 함수의 인자로 바꾸는 블록
+const LITERAL_BLOCKS = ['number', 'text', 'angle'];
+const LOOP_BLOCKS = ['repeat_basic', 'repeat_inf', 'repeat_while_true'];
+// 함수 밖의 반복을 멈추거나 건너뛰는 블록. 함수 안으로 옮기면 동작이 달라진다.
+const LOOP_CONTROL_BLOCKS = ['stop_repeat', 'continue_repeat'];
+
+const isBlockJSON = (value) =>
+    !!value && typeof value === 'object' && typeof value.type === 'string';
+
+/**
+ * 블록 JSON 과 그 안의 값 블록, 감싸는 블록 안의 블록을 차례로 callback 에 넘긴다.
+ * callback 이 값을 돌려주면 그 블록을 돌려준 값으로 바꾸고 안쪽은 살펴보지 않는다.
+ * @param {Object} block 블록 JSON
+ * @param {Function} callback (block, isInLoop) => Object|undefined
+ * @param {boolean=} isInLoop 반복하기 블록 안에 있는지
+ * @return {Object}
+ */
+const mapBlocks = (block, callback, isInLoop = false) => {
+    const replaced = callback(block, isInLoop);
+    if (replaced !== undefined) {
+        return replaced;
+    }
+    const inLoop = isInLoop || LOOP_BLOCKS.includes(block.type);
+    block.params = (block.params || []).map((param) =>
+        isBlockJSON(param) ? mapBlocks(param, callback, inLoop) : param
+    );
+    block.statements = (block.statements || []).map((statement) =>
+        (statement || []).map((child) =>
+            isBlockJSON(child) ? mapBlocks(child, callback, inLoop) : child
+        )
+    );
+    return block;
+};
+
+/**
+ * 보드에 쌓여 있는 블록들을 새 함수로 만들고, 그 자리를 함수 블록으로 바꾼다.
+ * - 숫자/문자 값은 함수의 문자/숫자값 인자가 되고, 함수 블록에 원래 값이 들어간다.
+ *   같은 값은 하나의 인자를 같이 쓴다.
+ * - 변수 값 블록은 함수 안에 그대로 두어, 다른 스레드가 바꾼 값도 실행할 때마다 다시 읽는다.
+ * 블록을 바꾸는 것은 한 번에 되돌릴 수 있고, 만든 함수는 함수 목록에 남는다.
+ * 블록 메뉴에서 범위의 시작 블록을 표시한 뒤 같은 스레드의 아래 블록에서 끝을 고를 수 있다.
+ *
+ * 사용 예)
+ *   // 블록부터 그 아래 블록을 모두 함수로 만든다.
+ *   Entry.FunctionExtractor.extract(block);
+ *   // 블록부터 endBlock 까지만 함수로 만든다.
+ *   Entry.FunctionExtractor.extract(block, endBlock);
+ */
+class FunctionExtractor {
+    constructor() {
+        this.rangeStartBlock = null;
+    }
+
+    /**
+     * 함수로 만들 범위의 시작 블록을 표시한다.
+     * @param {Entry.Block} block
+     */
+    setRangeStart(block) {
+        this.clearRangeStart();
+        this.rangeStartBlock = block;
+        block.view && block.view.svgGroup.addClass('extractRangeStart');
+    }
+
+    clearRangeStart() {
+        const block = this.rangeStartBlock;
+        block && block.view && block.view.svgGroup.removeClass('extractRangeStart');
+        this.rangeStartBlock = null;
+    }
+
+    /**
+     * @param {Entry.Block} endBlock
+     * @return {Entry.Block|null} endBlock 과 같은 스레드에서 endBlock 보다 위에 표시한 시작 블록
+     */
+    getRangeStart(endBlock) {
+        const startBlock = this.rangeStartBlock;
+        if (!startBlock || !endBlock || startBlock === endBlock) {
+            return null;
+        }
+        const { thread } = endBlock;
+        if (startBlock.thread !== thread || !(thread instanceof Entry.Thread)) {
+            return null;
+        }
+        const blocks = thread.getBlocks();
+        const start = blocks.indexOf(startBlock);
+        return start > -1 && start < blocks.indexOf(endBlock) ? startBlock : null;
+    }
+
+    /**
+     * @param {Entry.Block} startBlock
+     * @param {Entry.Block=} endBlock 없으면 startBlock 아래의 마지막 블록
+     * @return {boolean}
+     */
+    canExtract(startBlock, endBlock) {
+        const blocks = this._getBlocks(startBlock, endBlock);
+        return !!blocks && !this._hasLoopControl(this._toJSON(blocks));
+    }
+
+    /**
+     * @param {Entry.Block} startBlock
+     * @param {Entry.Block=} endBlock 없으면 startBlock 아래의 마지막 블록
+     * @return {Entry.Func|null} 만든 함수. 함수로 만들 수 없는 블록이면 null
+     */
+    extract(startBlock, endBlock) {
+        const blocks = this._getBlocks(startBlock, endBlock);
+        const generated = blocks && this._generateContent(blocks);
+        if (!generated) {
+            return null;
+        }
+        this.clearRangeStart();
+
+        const { content, args } = generated;
+        const func = new Entry.Func({ content: JSON.stringify(content) });
+        func.generateBlock();
+        Entry.variableContainer.saveFunction(func);
+
+        const callBlock = {
+            id: Entry.Utils.generateId(),
+            type: `func_${func.id}`,
+            params: [...args, null],
+        };
+        // 함수로 만들지 않는 아래 블록들은 함수 블록 밑에 다시 붙인다.
+        const restBlocks = startBlock.thread.toJSON(false, blocks[blocks.length - 1]).slice(1);
+        const pointer = startBlock.targetPointer();
+        Entry.do('destroyBlockBelow', startBlock);
+        Entry.do('recoverBlockBelow', [callBlock, ...restBlocks], pointer).isPass(true);
+
+        const board = Entry.getMainWS().board;
+        const block = board.findById(callBlock.id);
+        if (block) {
+            board.setSelectedBlock(block.view);
+        }
+        return func;
+    }
+
+    _getBlocks(startBlock, endBlock) {
+        const { thread, view } = startBlock || {};
+        const board = _.result(view, 'getBoard');
+        const workspace = Entry.getMainWS();
+        if (
+            !Entry.functionEnable ||
+            Entry.Func.isEdit ||
+            !workspace ||
+            !board ||
+            board !== workspace.board ||
+            board.readOnly ||
+            !(thread instanceof Entry.Thread)
+        ) {
+            return null;
+        }
+
+        const threadBlocks = thread.getBlocks();
+        const start = threadBlocks.indexOf(startBlock);
+        const end = endBlock ? threadBlocks.indexOf(endBlock) : threadBlocks.length - 1;
+        if (start < 0 || end < start) {
+            return null;
+        }
+        const blocks = threadBlocks.slice(start, end + 1);
+        const isMovable = blocks.every(
+            (block) =>
+                block instanceof Entry.Block &&
+                block.getBlockType() === 'basic' &&
+                block.isDeletable() &&
+                block.isCopyable() &&
+                !_.result(block._schema, 'event')
+        );
+        return isMovable ? blocks : null;
+    }
+
+    /**
+     * @param {Array<Entry.Block>} blocks
+     * @return {{ content: Array, args: Array<Object> }|null}
+     *  content 는 함수 코드 JSON, args 는 함수 블록에 넣을 인자 블록 JSON
+     */
+    _generateContent(blocks) {
+        const blocksJSON = this._toJSON(blocks);
+        if (this._hasLoopControl(blocksJSON)) {
+            return null;
+        }
+
+        const inputs = new Map();
+        const toParam = (key, arg) => {
+            if (!inputs.has(key)) {
+                inputs.set(key, { type: Entry.Func.requestParamBlock('string'), arg });
+            }
+            return { type: inputs.get(key).type };
+        };
+        const body = blocksJSON.map((block) =>
+            mapBlocks(block, (value) => {
+                const { type, params = [] } = value;
+                if (LITERAL_BLOCKS.includes(type)) {
+                    return toParam(`literal_${params[0]}`, value);
+                }
+            })
+        );
+
+        let field = { type: 'function_field_label', params: [this._generateName()] };
+        const definition = {
+            type: 'function_create',
+            params: [field],
+            copyable: false,
+            deletable: false,
+            x: 40,
+            y: 40,
+        };
+        inputs.forEach(({ type }) => {
+            const nextField = { type: 'function_field_string', params: [{ type }] };
+            field.params.push(nextField);
+            field = nextField;
+        });
+
+        return {
+            content: [[definition, ...body]],
+            args: [...inputs.values()].map(({ arg }) => arg),
+        };
+    }
+
+    _toJSON(blocks) {
+        return blocks.map((block) => _.omit(block.toJSON(true), ['x', 'y']));
+    }
+
+    /**
+     * @param {Array<Object>} blocksJSON
+     * @return {boolean} 블록들 밖의 반복을 멈추거나 건너뛰는 블록이 있어 함수로 옮길 수 없는지
+     */
+    _hasLoopControl(blocksJSON) {
+        let hasLoopControl = false;
+        blocksJSON.forEach((block) =>
+            mapBlocks(block, ({ type }, isInLoop) => {
+                if (LOOP_CONTROL_BLOCKS.includes(type) && !isInLoop) {
+                    hasLoopControl = true;
+                }
+            })
+        );
+        return hasLoopControl;
+    }
+
+    /**
+     * @return {string} 다른 함수와 겹치지 않는 이름. 예) 함수1, 함수2
+     */
+    _generateName() {
+        const names = Object.keys(Entry.variableContainer.functions_).map((id) => {
+            const schema = Entry.block[`func_${id}`];
+            return schema && schema.template.trim().split(' ')[0];
+        });
+        let index = 1;
+        let name;
+        do {
+            name = Entry.Utils.stringFormat(Lang.Workspace.extract_function_name, index++);
+        } while (names.includes(name));
+        return name;
+    }
+}
+
+Entry.FunctionExtractor = new FunctionExtractor();
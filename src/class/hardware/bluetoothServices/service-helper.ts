@@ -40,6 +40,20 @@ export interface ServiceEventHandler {
 export class ServiceHelper {
     private static queue = new PromiseQueue();
 
+    // INFO : 주고받은 characteristic 값을 하드웨어 통신 기록에 남긴다.
+    public static trafficListener?: (
+        direction: 'send' | 'receive',
+        value: BufferSource,
+        uuid: string
+    ) => void;
+
+    // INFO : 다시 연결하는 동안 쓴 값을 모아둔다. 있으면 characteristic 에 쓰지 않는다.
+    public static writeBuffer?: {
+        serviceUuid: string;
+        uuid: BluetoothCharacteristicUUID;
+        value: BufferSource;
+    }[];
+
     private characteristics?: BluetoothRemoteGATTCharacteristic[];
 
     constructor(private service: BluetoothRemoteGATTService, private emitter?: EventEmitter) {}
@@ -61,19 +75,27 @@ export class ServiceHelper {
             throw new Error('Unable to locate characteristic');
         }
 
-        return await ServiceHelper.queue.add(async () => characteristic.readValue());
+        const value = await ServiceHelper.queue.add(async () => characteristic.readValue());
+        ServiceHelper.trafficListener?.('receive', value, String(uuid));
+        return value;
     }
 
     public async setCharacteristicValue(
         uuid: BluetoothCharacteristicUUID,
         value: BufferSource
     ): Promise<void> {
+        if (ServiceHelper.writeBuffer) {
+            ServiceHelper.writeBuffer.push({ serviceUuid: this.service.uuid, uuid, value });
+            return;
+        }
+
         const characteristic = await this.getCharacteristic(uuid);
 
         if (!characteristic) {
             throw new Error('Unable to locate characteristic');
         }
 
+        ServiceHelper.trafficListener?.('send', value, String(uuid));
         await ServiceHelper.queue.add(async () => characteristic.writeValue(value));
     }
 
@@ -90,13 +112,19 @@ export class ServiceHelper {
 
         await ServiceHelper.queue.add(async () => characteristic.startNotifications());
 
+        const listener = (event: Event) => {
+            const { value } = event.target as BluetoothRemoteGATTCharacteristic;
+            ServiceHelper.trafficListener?.('receive', value, String(uuid));
+            handler(event);
+        };
+
         this.emitter!.on('newListener', (emitterEvent: string) => {
             if (emitterEvent !== event || this.emitter!.listenerCount(event) > 0) {
                 return;
             }
 
             return ServiceHelper.queue.add(async () =>
-                characteristic.addEventListener('characteristicvaluechanged', handler)
+                characteristic.addEventListener('characteristicvaluechanged', listener)
             );
         });
 
@@ -106,7 +134,7 @@ export class ServiceHelper {
             }
 
             return ServiceHelper.queue.add(async () =>
-                characteristic.removeEventListener('characteristicvaluechanged', handler)
+                characteristic.removeEventListener('characteristicvaluechanged', listener)
             );
         });
     }
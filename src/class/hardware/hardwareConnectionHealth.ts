@@ -0,0 +1,63 @@
+import { HWLiteHeartbeat } from 'types';
+
+const DEFAULT_INTERVAL = 1000;
+
+/**
+ * 디바이스에서 마지막으로 데이터를 받은 시간으로 연결이 살아있는지 본다.
+ * 커넥터가 데이터를 받을 때마다 markReceived 를 부르고,
+ * heartbeat.timeout 동안 받은 데이터가 없으면 onLost 를 한 번 부르고 멈춘다.
+ * 디바이스마다 데이터를 보내는 주기가 달라서 기본 heartbeat 는 없다. heartbeat 가 없는 모듈은 확인하지 않는다.
+ *
+ * 사용 예)
+ *   health.start({ timeout: 3000, request: () => [0xf9] }, { send, onLost });
+ */
+export default class HardwareConnectionHealth {
+    private timer: ReturnType<typeof setInterval>;
+    private lastReceivedAt = 0;
+
+    start(
+        heartbeat: HWLiteHeartbeat | undefined,
+        {
+            send,
+            onLost,
+        }: { send?: (data: string | number[] | Uint8Array) => void; onLost: () => void }
+    ) {
+        this.stop();
+        if (!heartbeat) {
+            return;
+        }
+        const { timeout, interval = DEFAULT_INTERVAL, request } = heartbeat;
+        this.lastReceivedAt = Date.now();
+        const period = Math.min(interval, timeout);
+        this.timer = setInterval(() => {
+            if (Date.now() - this.lastReceivedAt > timeout) {
+                this.stop();
+                onLost();
+                return;
+            }
+            const data = request?.();
+            if (data && send) {
+                send(data);
+            }
+        }, period);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = undefined;
+        }
+    }
+
+    isRunning() {
+        return !!this.timer;
+    }
+
+    markReceived() {
+        this.lastReceivedAt = Date.now();
+    }
+
+    getLastReceivedAt() {
+        return this.lastReceivedAt;
+    }
+}
@@ -23,6 +23,7 @@ export default class HardwareMonitor {
     private changeOffset = 0; // 0 : off 1: on
     private scale = 0.5;
     private _listPortViews: any = {};
+    private _inputPortClickHandler?: (key: string) => void;
 
     constructor(hwModule: EntryHardwareBlockModule) {
         this._hwModule = hwModule;
@@ -101,7 +102,7 @@ export default class HardwareMonitor {
         const portsTemp = [];
         for (const key in ports) {
             const port = ports[key];
-            const portView = this.generatePortView(port, '_svgGroup');
+            const portView = this.generatePortView(port, '_svgGroup', key);
 
             this._portViews[key] = portView;
             portsTemp.push(portView);
@@ -162,6 +163,10 @@ export default class HardwareMonitor {
         }
     }
 
+    setInputPortClickHandler(handler: (key: string) => void) {
+        this._inputPortClickHandler = handler;
+    }
+
     setHwModule(hwModule: EntryHardwareBlockModule) {
         this._hwModule = hwModule;
     }
@@ -214,7 +219,7 @@ export default class HardwareMonitor {
 
         for (const key in ports) {
             const port = ports[key];
-            const portView = this.generatePortView(port, '_svglistGroup');
+            const portView = this.generatePortView(port, '_svglistGroup', key);
 
             this._listPortViews[key] = portView;
             portsTempList.push(portView);
@@ -228,7 +233,7 @@ export default class HardwareMonitor {
         this.resizeList();
     }
 
-    generatePortView(port: any, target: string) {
+    generatePortView(port: any, target: string, key?: string) {
         // @ts-ignore
         const svgGroup = this[target].elem('g');
         svgGroup.addClass('hwComponent');
@@ -298,6 +303,11 @@ export default class HardwareMonitor {
             },
             width,
         };
+        svgGroup.addEventListener('click', () => {
+            if (returnObj.type === 'input' && this._inputPortClickHandler) {
+                this._inputPortClickHandler(key);
+            }
+        });
 
         return returnObj;
     }
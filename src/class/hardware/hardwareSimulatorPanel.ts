@@ -0,0 +1,225 @@
+import throttle from 'lodash/throttle';
+import { HWLiteSimulatorValues } from 'types';
+import WebSimulatorConnector, { HWLiteSimulatorScript } from './webSimulatorConnector';
+import HardwareTrafficInspector from './hardwareTrafficInspector';
+
+const isPrintable = (bytes: Uint8Array) =>
+    bytes.every((byte) => (byte >= 0x20 && byte < 0x7f) || byte === 0x0a || byte === 0x0d);
+
+/**
+ * 가상 하드웨어로 연결했을 때 속성 패널의 'hwSimulator' 탭.
+ * 센서값을 바꾸고, 센서값 스크립트를 실행하고, 디바이스로 보낸 명령과 출력값을 보여준다.
+ * 센서 이름은 모니터의 포트 이름을 쓴다.
+ */
+export default class HardwareSimulatorPanel {
+    visible = false;
+    private simulator: WebSimulatorConnector;
+    private portNames: { [key: string]: string } = {};
+    private isPlaying = false;
+    private view: HTMLDivElement;
+    private sensorList: HTMLUListElement;
+    private sensorInputs: { [key: string]: HTMLInputElement } = {};
+    private outputTitle: HTMLDivElement;
+    private outputList: HTMLUListElement;
+    private scriptInput: HTMLTextAreaElement;
+    private playButton: HTMLButtonElement;
+    private sentList: HTMLUListElement;
+
+    constructor() {
+        this.update = throttle(this.update.bind(this), 200);
+    }
+
+    /**
+     * @param portNames 센서 키 → 보여줄 이름. 없는 키는 그대로 보여준다.
+     */
+    setSimulator(simulator: WebSimulatorConnector, portNames: { [key: string]: string } = {}) {
+        this.simulator = simulator;
+        this.portNames = portNames;
+        this.isPlaying = false;
+        this.renderSensors();
+        this.render();
+    }
+
+    /**
+     * 모니터에서 입력 포트를 누르면 이 탭을 열고 그 센서의 입력칸으로 옮긴다.
+     */
+    focusSensor(key: string) {
+        const input = this.sensorInputs[key];
+        if (!input) {
+            return;
+        }
+        Entry.propertyPanel?.select('hwSimulator');
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * @returns 스크립트를 끝까지 실행했으면 true
+     */
+    async playScript(text: string) {
+        let script: HWLiteSimulatorScript;
+        try {
+            script = JSON.parse(text);
+            if (!Array.isArray(script) || script.some((step) => !step || !step.sensors)) {
+                throw new Error('invalid simulator script');
+            }
+        } catch (e) {
+            Entry.toast.alert(
+                Lang.Msgs.hw_simulator_script_invalid_title,
+                Lang.Msgs.hw_simulator_script_invalid_desc,
+                false
+            );
+            return false;
+        }
+        const simulator = this.simulator;
+        this.isPlaying = true;
+        this.render();
+        const isDone = await simulator.playScript(script);
+        // INFO : 다른 스크립트를 실행했으면 그 스크립트가 상태를 정한다.
+        if (isDone && this.simulator === simulator) {
+            this.isPlaying = false;
+            this.render();
+        }
+        return isDone;
+    }
+
+    stopScript() {
+        this.simulator?.stopScript();
+        this.isPlaying = false;
+        this.render();
+    }
+
+    generateView() {
+        if (this.view) {
+            return;
+        }
+        const view = Entry.createElement('div');
+        view.classList.add('entryHwSimulatorWorkspace');
+
+        this.createTitle(view, Lang.Workspace.hw_simulator_sensors);
+        this.sensorList = Entry.createElement('ul');
+        this.sensorList.classList.add('entryHwSimulatorSensorList');
+        view.appendChild(this.sensorList);
+
+        this.outputTitle = this.createTitle(view, Lang.Workspace.hw_simulator_outputs);
+        this.outputList = Entry.createElement('ul');
+        this.outputList.classList.add('entryHwSimulatorOutputList');
+        view.appendChild(this.outputList);
+
+        this.createTitle(view, Lang.Workspace.hw_simulator_script);
+        this.scriptInput = Entry.createElement('textarea');
+        this.scriptInput.classList.add('entryHwSimulatorScript');
+        this.scriptInput.placeholder = Lang.Workspace.hw_simulator_script_placeholder;
+        view.appendChild(this.scriptInput);
+        this.playButton = Entry.createElement('button');
+        this.playButton.classList.add('entryHwSimulatorButton');
+        this.playButton.addEventListener('click', () =>
+            this.isPlaying ? this.stopScript() : this.playScript(this.scriptInput.value)
+        );
+        view.appendChild(this.playButton);
+
+        this.createTitle(view, Lang.Workspace.hw_simulator_sent);
+        this.sentList = Entry.createElement('ul');
+        this.sentList.classList.add('entryHwSimulatorSentList');
+        view.appendChild(this.sentList);
+
+        this.view = view;
+        this.renderSensors();
+    }
+
+    private createTitle(parent: HTMLElement, text: string) {
+        const title = Entry.createElement('div');
+        title.classList.add('entryHwSimulatorTitle');
+        title.textContent = text;
+        parent.appendChild(title);
+        return title;
+    }
+
+    getView() {
+        this.generateView();
+        return this.view;
+    }
+
+    /**
+     * 속성 패널에서 탭을 선택하면 불린다.
+     */
+    resize() {
+        this.render();
+    }
+
+    update() {
+        if (this.visible) {
+            this.render();
+        }
+    }
+
+    private renderSensors() {
+        if (!this.view) {
+            return;
+        }
+        this.sensorList.innerHTML = '';
+        this.sensorInputs = {};
+        const sensors: HWLiteSimulatorValues = this.simulator?.getSensors() || {};
+        Object.keys(sensors).forEach((key) => {
+            const item = Entry.createElement('li');
+            const label = Entry.createElement('label');
+            label.textContent = this.portNames[key] || key;
+            const input = Entry.createElement('input');
+            input.addEventListener('change', () => {
+                const value = input.value.trim();
+                const number = Number(value);
+                this.simulator?.setSensor(key, value === '' || isNaN(number) ? value : number);
+            });
+            label.appendChild(input);
+            item.appendChild(label);
+            this.sensorList.appendChild(item);
+            this.sensorInputs[key] = input;
+        });
+    }
+
+    render() {
+        if (!this.view) {
+            return;
+        }
+        const sensors = this.simulator?.getSensors() || {};
+        Object.entries(this.sensorInputs).forEach(([key, input]) => {
+            // INFO : 입력하는 중인 칸은 덮어쓰지 않는다.
+            if (document.activeElement !== input && key in sensors) {
+                input.value = String(sensors[key]);
+            }
+        });
+
+        const outputs = this.simulator?.getOutputPorts();
+        this.outputTitle.classList.toggle('entryRemove', !outputs);
+        this.outputList.innerHTML = '';
+        Object.entries(outputs || {}).forEach(([key, value]) => {
+            const item = Entry.createElement('li');
+            item.textContent = `${this.portNames[key] || key}: ${value}`;
+            this.outputList.appendChild(item);
+        });
+
+        this.playButton.textContent = this.isPlaying
+            ? Lang.Workspace.hw_simulator_stop
+            : Lang.Workspace.hw_simulator_play;
+        this.playButton.classList.toggle('playing', this.isPlaying);
+
+        const fragment = document.createDocumentFragment();
+        (this.simulator?.getSentLog() || []).forEach(({ time, data }) => {
+            const item = Entry.createElement('li');
+            const timeView = Entry.createElement('span');
+            timeView.classList.add('time');
+            timeView.textContent = HardwareTrafficInspector.formatTime(time);
+            const dataView = Entry.createElement('span');
+            dataView.classList.add('data');
+            dataView.textContent = isPrintable(data)
+                ? new TextDecoder().decode(data).trim()
+                : HardwareTrafficInspector.toHex(data);
+            item.appendChild(timeView);
+            item.appendChild(dataView);
+            fragment.appendChild(item);
+        });
+        this.sentList.innerHTML = '';
+        this.sentList.appendChild(fragment);
+        this.sentList.scrollTop = this.sentList.scrollHeight;
+    }
+}
@@ -0,0 +1,272 @@
+import { saveAs } from 'file-saver';
+import throttle from 'lodash/throttle';
+
+const MAX_ENTRIES = 2000;
+// 화면에는 최근 기록만 그린다. 내보내기에는 모두 들어간다.
+const MAX_RENDERED_ENTRIES = 300;
+
+export type HWTrafficDirection = 'send' | 'receive';
+export type HWTrafficEntry = {
+    time: number;
+    direction: HWTrafficDirection;
+    bytes: Uint8Array;
+    // BLE 는 characteristic uuid
+    channel?: string;
+};
+export type HWTrafficFilter = {
+    direction?: HWTrafficDirection;
+    keyword?: string;
+};
+
+const toBytes = (data: any): Uint8Array => {
+    if (typeof data === 'string') {
+        return new TextEncoder().encode(data);
+    } else if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data.slice(0));
+    } else if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(
+            data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+        );
+    } else if (Array.isArray(data)) {
+        return Uint8Array.from(data);
+    }
+    return new TextEncoder().encode(String(data));
+};
+
+const pad = (value: number, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * 하드웨어와 주고받은 데이터를 기록한다. 기록하기를 켰을 때만 남긴다.
+ * 시리얼은 모듈이 writer 에 쓴 데이터와 reader 에서 읽은 데이터(줄 단위로 나눈 뒤)를,
+ * BLE 는 characteristic 에 쓰고 읽은 값을 남긴다.
+ * 속성 패널의 'hwTraffic' 탭에서 HEX/ASCII 로 보고, 방향과 검색어로 거르고, 파일로 내보낸다.
+ *
+ * 사용 예)
+ *   Entry.hwLite.trafficInspector.enable();
+ *   Entry.hwLite.trafficInspector.getEntries({ direction: 'send', keyword: 'FF' });
+ */
+export default class HardwareTrafficInspector {
+    static toHex(bytes: Uint8Array) {
+        return Array.from(bytes, (byte) => pad(byte.toString(16).toUpperCase())).join(' ');
+    }
+
+    static toAscii(bytes: Uint8Array) {
+        return Array.from(bytes, (byte) =>
+            byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.'
+        ).join('');
+    }
+
+    static formatTime(time: number) {
+        const date = new Date(time);
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+            date.getSeconds()
+        )}.${pad(date.getMilliseconds(), 3)}`;
+    }
+
+    visible = false;
+    private enabled = false;
+    private entries: HWTrafficEntry[] = [];
+    private filter: HWTrafficFilter = {};
+    private format: 'hex' | 'ascii' = 'hex';
+    private view: HTMLDivElement;
+    private recordButton: HTMLButtonElement;
+    private summaryView: HTMLSpanElement;
+    private listView: HTMLUListElement;
+
+    constructor() {
+        this.update = throttle(this.update.bind(this), 200);
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    enable() {
+        this.enabled = true;
+        this.update();
+    }
+
+    disable() {
+        this.enabled = false;
+        this.update();
+    }
+
+    record(direction: HWTrafficDirection, data: any, channel?: string) {
+        if (!this.enabled || data === undefined || data === null) {
+            return;
+        }
+        this.entries.push({ time: Date.now(), direction, bytes: toBytes(data), channel });
+        if (this.entries.length > MAX_ENTRIES) {
+            this.entries.shift();
+        }
+        this.update();
+    }
+
+    clear() {
+        this.entries = [];
+        this.update();
+    }
+
+    /**
+     * @param filter.keyword HEX 나 ASCII 에 들어있는 글자. HEX 는 띄어쓰기 없이 찾아도 된다.
+     */
+    getEntries({ direction, keyword = '' }: HWTrafficFilter = {}) {
+        const text = keyword.trim().toUpperCase();
+        const hexText = text.replace(/\s+/g, '');
+        return this.entries.filter((entry) => {
+            if (direction && entry.direction !== direction) {
+                return false;
+            } else if (!text) {
+                return true;
+            }
+            const hex = HardwareTrafficInspector.toHex(entry.bytes).replace(/ /g, '');
+            const ascii = HardwareTrafficInspector.toAscii(entry.bytes).toUpperCase();
+            return ascii.includes(text) || (!!hexText && hex.includes(hexText));
+        });
+    }
+
+    /**
+     * 지금 거른 기록을 탭으로 나눈 텍스트 파일로 내려받는다.
+     */
+    export(fileName = 'hardware_traffic.txt') {
+        const lines = this.getEntries(this.filter).map(({ time, direction, bytes, channel }) =>
+            [
+                new Date(time).toISOString(),
+                direction,
+                channel || '',
+                HardwareTrafficInspector.toHex(bytes),
+                HardwareTrafficInspector.toAscii(bytes),
+            ].join('\t')
+        );
+        const blob = new Blob([lines.join('\n')], { type: 'text/plain;charset=utf-8' });
+        saveAs(blob, fileName);
+    }
+
+    generateView() {
+        if (this.view) {
+            return;
+        }
+        const view = Entry.createElement('div');
+        view.classList.add('entryHwTrafficWorkspace');
+
+        const header = Entry.createElement('div');
+        header.classList.add('entryHwTrafficHeader');
+        view.appendChild(header);
+
+        this.recordButton = this.createButton(header, '', () =>
+            this.enabled ? this.disable() : this.enable()
+        );
+        const directionSelect = Entry.createElement('select');
+        [
+            ['', Lang.Workspace.hw_traffic_all],
+            ['send', Lang.Workspace.hw_traffic_send],
+            ['receive', Lang.Workspace.hw_traffic_receive],
+        ].forEach(([value, text]) => {
+            const option = Entry.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            directionSelect.appendChild(option);
+        });
+        directionSelect.addEventListener('change', () => {
+            this.filter.direction = (directionSelect.value || undefined) as HWTrafficDirection;
+            this.render();
+        });
+        header.appendChild(directionSelect);
+
+        const keywordInput = Entry.createElement('input');
+        keywordInput.placeholder = Lang.Workspace.hw_traffic_search;
+        keywordInput.addEventListener('input', () => {
+            this.filter.keyword = keywordInput.value;
+            this.render();
+        });
+        header.appendChild(keywordInput);
+
+        const formatButton = this.createButton(header, 'ASCII', () => {
+            this.format = this.format === 'hex' ? 'ascii' : 'hex';
+            formatButton.textContent = this.format === 'hex' ? 'ASCII' : 'HEX';
+            this.render();
+        });
+        this.createButton(header, Lang.Workspace.hw_traffic_clear, () => this.clear());
+        this.createButton(header, Lang.Workspace.hw_traffic_export, () => {
+            // @ts-ignore
+            const name = Entry.hwLite?.hwModule?.name;
+            this.export(name ? `${name}_traffic.txt` : undefined);
+        });
+
+        this.summaryView = Entry.createElement('span');
+        this.summaryView.classList.add('entryHwTrafficSummary');
+        view.appendChild(this.summaryView);
+
+        this.listView = Entry.createElement('ul');
+        this.listView.classList.add('entryHwTrafficList');
+        view.appendChild(this.listView);
+
+        this.view = view;
+    }
+
+    private createButton(parent: HTMLElement, text: string, onClick: () => void) {
+        const button = Entry.createElement('button');
+        button.classList.add('entryHwTrafficButton');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        parent.appendChild(button);
+        return button;
+    }
+
+    getView() {
+        this.generateView();
+        return this.view;
+    }
+
+    /**
+     * 속성 패널에서 탭을 선택하면 불린다.
+     */
+    resize() {
+        this.render();
+    }
+
+    update() {
+        if (this.visible) {
+            this.render();
+        }
+    }
+
+    render() {
+        if (!this.view) {
+            return;
+        }
+        this.recordButton.textContent = this.enabled
+            ? Lang.Workspace.hw_traffic_stop
+            : Lang.Workspace.hw_traffic_record;
+        this.recordButton.classList.toggle('recording', this.enabled);
+
+        const entries = this.getEntries(this.filter);
+        this.summaryView.textContent = Entry.Utils.stringFormat(
+            Lang.Workspace.hw_traffic_count,
+            entries.length
+        );
+
+        const fragment = document.createDocumentFragment();
+        entries.slice(-MAX_RENDERED_ENTRIES).forEach(({ time, direction, bytes, channel }) => {
+            const item = Entry.createElement('li');
+            item.classList.add('entryHwTrafficItem', direction);
+            const data =
+                this.format === 'hex'
+                    ? HardwareTrafficInspector.toHex(bytes)
+                    : HardwareTrafficInspector.toAscii(bytes);
+            [HardwareTrafficInspector.formatTime(time), channel, data].forEach((text, index) => {
+                if (!text) {
+                    return;
+                }
+                const span = Entry.createElement('span');
+                span.classList.add(['time', 'channel', 'data'][index]);
+                span.textContent = text;
+                item.appendChild(span);
+            });
+            fragment.appendChild(item);
+        });
+        this.listView.innerHTML = '';
+        this.listView.appendChild(fragment);
+        this.listView.scrollTop = this.listView.scrollHeight;
+    }
+}
@@ -0,0 +1,678 @@
+import {
+    EntryBlock,
+    EntryHWLiteBaseModule,
+    HWLiteDefinitionBlock,
+    HWLiteDefinitionField,
+    HWLiteDefinitionPacket,
+    HWLiteDefinitionParam,
+    HWLiteDefinitionText,
+    HWLiteDefinitionValue,
+    HWLiteModuleDefinition,
+    HWLiteSerialInfo,
+    HWLiteSimulatorDevice,
+    HWLiteSimulatorValues,
+} from 'types';
+
+type PacketField = Required<HWLiteDefinitionField>;
+
+const FIELD_SIZE: { [type: string]: number } = {
+    uint8: 1,
+    int8: 1,
+    uint16: 2,
+    int16: 2,
+    uint32: 4,
+    int32: 4,
+};
+const DATA_VIEW_TYPE: { [type: string]: string } = {
+    uint8: 'Uint8',
+    int8: 'Int8',
+    uint16: 'Uint16',
+    int16: 'Int16',
+    uint32: 'Uint32',
+    int32: 'Int32',
+};
+const SKELETON = {
+    command: 'basic',
+    reporter: 'basic_string_field',
+    boolean: 'basic_boolean_field',
+};
+const DEFAULT_LANG_TYPES = ['ko', 'en'];
+const DEFAULT_DELIMITER = '\r\n';
+const HANDSHAKE_TIMEOUT = 2000;
+const READ_WAIT = 200;
+
+const toBytes = (data: number[] | string = []) =>
+    typeof data === 'string' ? Array.from(new TextEncoder().encode(data)) : data;
+
+// 바이트를 한 글자씩 바꾼다. 받은 데이터에서 바이트열을 찾을 때 쓴다.
+const toRawText = (data: number[] | string | Uint8Array = []) =>
+    typeof data === 'string'
+        ? data
+        : Array.from(data, (byte) => String.fromCharCode(byte)).join('');
+
+const getText = (text: HWLiteDefinitionText, langType: string) => {
+    if (typeof text !== 'object' || !text) {
+        return text === undefined ? '' : String(text);
+    }
+    return text[langType] ?? text.en ?? text.ko ?? Object.values(text)[0] ?? '';
+};
+
+const invalid = (reason: string) => new Error(`INVALID MODULE DEFINITION : ${reason}`);
+
+/**
+ * 패킷 모양대로 포트 값을 바이트(ascii 는 글자)로 만들고, 받은 데이터에서 포트 값을 꺼낸다.
+ * binary 는 header 부터 길이만큼 모이면 checksum 과 footer 를 확인하고 읽는다.
+ */
+export class HWLitePacketCodec {
+    readonly isAscii: boolean;
+    readonly fields: PacketField[];
+    readonly length: number;
+    private header: number[];
+    private footer: number[];
+    private checksum?: 'sum8' | 'xor8';
+    private separator: string;
+    private buffer: number[] = [];
+
+    constructor(packet: HWLiteDefinitionPacket) {
+        this.isAscii = packet.format === 'ascii';
+        this.header = toBytes(packet.header);
+        this.footer = toBytes(packet.footer);
+        this.checksum = packet.checksum;
+        this.separator = packet.separator ?? ',';
+
+        let offset = this.header.length;
+        this.fields = (packet.fields || []).map((field) => {
+            const {
+                port,
+                type = 'uint8',
+                offset: fieldOffset = offset,
+                littleEndian = true,
+            } = typeof field === 'string' ? { port: field } : field;
+            if (!FIELD_SIZE[type]) {
+                throw invalid(`unknown field type '${type}' of '${port}'`);
+            }
+            offset = Math.max(offset, fieldOffset + FIELD_SIZE[type]);
+            return { port, type, offset: fieldOffset, littleEndian };
+        });
+        this.length = offset + (this.checksum ? 1 : 0) + this.footer.length;
+    }
+
+    encode(values: HWLiteSimulatorValues): number[] | string {
+        if (this.isAscii) {
+            const text = this.fields.map(({ port }) => values[port] ?? '').join(this.separator);
+            return `${toRawText(this.header)}${text}${toRawText(this.footer)}`;
+        }
+        const packet = new Uint8Array(this.length);
+        packet.set(this.header);
+        const view = new DataView(packet.buffer);
+        this.fields.forEach(({ port, type, offset, littleEndian }) => {
+            const value = Math.round(Number(values[port]) || 0);
+            // @ts-ignore
+            view[`set${DATA_VIEW_TYPE[type]}`](offset, value, littleEndian);
+        });
+        const checksumIndex = this.length - this.footer.length - 1;
+        if (this.checksum) {
+            packet[checksumIndex] = this.getChecksum(packet, checksumIndex);
+        }
+        packet.set(this.footer, this.length - this.footer.length);
+        return Array.from(packet);
+    }
+
+    /**
+     * @param data 시리얼에서 읽은 데이터. ascii 는 한 줄
+     * @returns 다 받은 패킷마다 읽은 포트 값
+     */
+    decode(data: Uint8Array | string): HWLiteSimulatorValues[] {
+        if (this.isAscii) {
+            const values = this.decodeText(toRawText(data));
+            return values ? [values] : [];
+        }
+        const bytes = typeof data === 'string' ? toBytes(data) : data;
+        this.buffer.push(...Array.from(bytes));
+
+        const result: HWLiteSimulatorValues[] = [];
+        while (this.buffer.length) {
+            const start = this.findHeader();
+            if (start < 0) {
+                // header 가 잘려서 온 경우를 위해 끝부분만 남긴다.
+                this.buffer = this.buffer.slice(-(this.header.length - 1) || this.buffer.length);
+                break;
+            }
+            this.buffer.splice(0, start);
+            if (this.buffer.length < this.length) {
+                break;
+            }
+            const packet = Uint8Array.from(this.buffer.slice(0, this.length));
+            if (this.isValid(packet)) {
+                result.push(this.decodePacket(packet));
+                this.buffer.splice(0, this.length);
+            } else {
+                this.buffer.shift();
+            }
+        }
+        return result;
+    }
+
+    clear() {
+        this.buffer = [];
+    }
+
+    private decodeText(line: string) {
+        const header = toRawText(this.header);
+        const footer = toRawText(this.footer);
+        let text = line.trim();
+        if (!text.startsWith(header) || !text.endsWith(footer)) {
+            return;
+        }
+        text = text.slice(header.length, text.length - footer.length);
+        const items = text.split(this.separator);
+        return this.fields.reduce((values, { port }, index) => {
+            const item = items[index];
+            if (item !== undefined) {
+                const number = Number(item);
+                values[port] = item.trim() === '' || isNaN(number) ? item : number;
+            }
+            return values;
+        }, {} as HWLiteSimulatorValues);
+    }
+
+    private decodePacket(packet: Uint8Array) {
+        const view = new DataView(packet.buffer);
+        return this.fields.reduce((values, { port, type, offset, littleEndian }) => {
+            // @ts-ignore
+            values[port] = view[`get${DATA_VIEW_TYPE[type]}`](offset, littleEndian);
+            return values;
+        }, {} as HWLiteSimulatorValues);
+    }
+
+    private findHeader() {
+        const { header, buffer } = this;
+        for (let start = 0; start + header.length <= buffer.length; start++) {
+            if (header.every((byte, index) => buffer[start + index] === byte)) {
+                return start;
+            }
+        }
+        return -1;
+    }
+
+    private isValid(packet: Uint8Array) {
+        const footerIndex = this.length - this.footer.length;
+        if (!this.footer.every((byte, index) => packet[footerIndex + index] === byte)) {
+            return false;
+        }
+        if (this.checksum) {
+            return packet[footerIndex - 1] === this.getChecksum(packet, footerIndex - 1);
+        }
+        return true;
+    }
+
+    private getChecksum(packet: Uint8Array, end: number) {
+        const bytes = Array.from(packet.slice(this.header.length, end));
+        return this.checksum === 'xor8'
+            ? bytes.reduce((result, byte) => result ^ byte, 0)
+            : bytes.reduce((result, byte) => result + byte, 0) & 0xff;
+    }
+}
+
+const getSerial = (): any =>
+    // @ts-ignore
+    Entry.hwLite?.serial;
+
+/**
+ * HWLiteModuleDefinition 으로 만든 하드웨어 모듈.
+ * 블록은 포트 값을 읽거나 쓰기만 하고, 통신은 packet 에 적은 모양대로 한다.
+ *
+ * 정의 예)
+ * {
+ *     "id": "FF0101", "name": "SampleLite", "title": { "ko": "샘플", "en": "Sample" },
+ *     "ports": { "light": { "type": "input" }, "led": { "type": "output", "max": 255 } },
+ *     "packet": {
+ *         "receive": { "header": [255, 85], "fields": [{ "port": "light", "type": "uint16" }] },
+ *         "send": { "header": [255, 85], "fields": ["led"], "checksum": "sum8" }
+ *     },
+ *     "blocks": [
+ *         {
+ *             "name": "light", "type": "reporter",
+ *             "template": { "ko": "밝기", "en": "light" }, "get": "light"
+ *         },
+ *         {
+ *             "name": "set_led", "template": { "ko": "LED 를 %1 (으)로 정하기", "en": "Set LED to %1" },
+ *             "params": [{ "key": "VALUE", "type": "number", "default": 255 }],
+ *             "set": [{ "port": "led", "value": { "param": "VALUE" } }]
+ *         }
+ *     ]
+ * }
+ */
+export default class HWLiteDefinitionModule implements EntryHWLiteBaseModule {
+    readonly id: string;
+    readonly name: string;
+    readonly title: { [langType: string]: string };
+    readonly description: string;
+    readonly url: string;
+    readonly imageName: string;
+    readonly duration: number;
+    readonly portData: HWLiteSerialInfo;
+    readonly delimeter?: string;
+    readonly blockMenuBlocks: string[];
+    private definition: HWLiteModuleDefinition;
+    private prefix: string;
+    private langTypes: string[];
+    private receiver?: HWLitePacketCodec;
+    private sender?: HWLitePacketCodec;
+    private values: HWLiteSimulatorValues;
+
+    constructor(definition: HWLiteModuleDefinition) {
+        HWLiteDefinitionModule.validate(definition);
+        const { id, name, title, packet = {}, translations = {} } = definition;
+        this.definition = definition;
+        this.prefix = name.toLowerCase();
+        this.langTypes = Array.from(
+            new Set([
+                ...DEFAULT_LANG_TYPES,
+                ...Object.keys(translations),
+                ...(typeof title === 'object' ? Object.keys(title) : []),
+            ])
+        );
+
+        this.id = id;
+        this.name = name;
+        this.title = this.langTypes.reduce(
+            (result, langType) => {
+                result[langType] = getText(title, langType);
+                return result;
+            },
+            {} as { [langType: string]: string }
+        );
+        this.description = definition.description || '';
+        this.url = definition.url || '';
+        this.imageName = definition.imageName || '';
+        this.duration = definition.duration || 32;
+
+        this.receiver = packet.receive && new HWLitePacketCodec(packet.receive);
+        this.sender = packet.send && new HWLitePacketCodec(packet.send);
+        if (this.receiver?.isAscii) {
+            this.delimeter = definition.delimiter || DEFAULT_DELIMITER;
+        }
+        this.portData = {
+            baudRate: 9600,
+            dataBits: 8,
+            parity: 'none',
+            stopBits: 1,
+            bufferSize: 512,
+            constantServing: this.sender ? true : 'ReadOnly',
+            readAscii: this.receiver?.isAscii,
+            ...definition.portData,
+        };
+        this.blockMenuBlocks = definition.blocks.map(({ name }) => this.getBlockName(name));
+        this.values = this.getDefaultValues();
+    }
+
+    /**
+     * 정의에서 빠졌거나 서로 맞지 않는 값을 찾는다.
+     * @throws 잘못된 곳을 적은 Error
+     */
+    static validate(definition: HWLiteModuleDefinition) {
+        if (!definition || typeof definition !== 'object') {
+            throw invalid('definition must be an object');
+        }
+        const { id, name, title, ports, packet = {}, blocks } = definition;
+        if (typeof id !== 'string' || !id) {
+            throw invalid('id is required');
+        }
+        if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+            throw invalid('name must start with a letter and contain only letters, digits and _');
+        }
+        if (!title) {
+            throw invalid('title is required');
+        }
+        if (!ports || typeof ports !== 'object') {
+            throw invalid('ports is required');
+        }
+        Object.entries(ports).forEach(([portName, port]) => {
+            if (!port || !['input', 'output'].includes(port.type)) {
+                throw invalid(`port '${portName}' must be an input or output`);
+            }
+        });
+        Object.entries(packet).forEach(([direction, packetDefinition]) => {
+            (packetDefinition?.fields || []).forEach((field) => {
+                const port = typeof field === 'string' ? field : field.port;
+                if (!ports[port]) {
+                    throw invalid(`unknown port '${port}' in ${direction} packet`);
+                }
+            });
+        });
+        if (!Array.isArray(blocks)) {
+            throw invalid('blocks must be an array');
+        }
+        const blockNames = new Set<string>();
+        blocks.forEach((block) => {
+            const { name: blockName, type = 'command', params = [], get, set = [], wait } = block;
+            if (!blockName || blockNames.has(blockName)) {
+                throw invalid(`block name '${blockName}' is missing or duplicated`);
+            }
+            blockNames.add(blockName);
+            if (!SKELETON[type] || !block.template) {
+                throw invalid(`block '${blockName}' needs a valid type and template`);
+            }
+            const paramKeys = params.map(({ key }) => key);
+            const checkValue = (value: HWLiteDefinitionValue, portType?: string) => {
+                if (value && typeof value === 'object') {
+                    if (!paramKeys.includes(value.param)) {
+                        throw invalid(`unknown param '${value.param}' in block '${blockName}'`);
+                    }
+                } else if (portType && ports[value]?.type !== portType) {
+                    throw invalid(`'${value}' in block '${blockName}' is not an ${portType} port`);
+                }
+            };
+            if (type !== 'command' && get === undefined) {
+                throw invalid(`block '${blockName}' must have get`);
+            }
+            if (get !== undefined) {
+                checkValue(get, 'input');
+            }
+            set.forEach(({ port, value }) => {
+                checkValue(port, 'output');
+                checkValue(value);
+            });
+            if (wait !== undefined) {
+                checkValue(wait);
+            }
+        });
+    }
+
+    get monitorTemplate() {
+        const { monitor } = this.definition;
+        if (!monitor) {
+            return undefined;
+        }
+        const ports: { [portName: string]: any } = {};
+        const listPorts: { [portName: string]: any } = {};
+        Object.entries(this.definition.ports).forEach(([portName, port]) => {
+            const view = {
+                name: getText(port.name || portName, Lang.type),
+                type: port.type,
+                pos: port.pos || { x: 0, y: 0 },
+            };
+            if (port.pos && monitor.imgPath) {
+                ports[portName] = view;
+            } else {
+                listPorts[portName] = view;
+            }
+        });
+        const hasPorts = Object.keys(ports).length > 0;
+        return {
+            imgPath: monitor.imgPath,
+            width: monitor.width || 256,
+            height: monitor.height || 256,
+            ports,
+            listPorts,
+            mode: monitor.mode || (hasPorts ? 'both' : 'list'),
+        };
+    }
+
+    // INFO : 정의한 패킷으로 가상 하드웨어를 만든다. 입력 포트가 센서값이다.
+    get simulator(): HWLiteSimulatorDevice {
+        const { packet = {}, handshake } = this.definition;
+        if (!packet.receive) {
+            return undefined;
+        }
+        const encoder = new HWLitePacketCodec(packet.receive);
+        const decoder = packet.send && new HWLitePacketCodec(packet.send);
+        const lineEnd = encoder.isAscii ? this.delimeter : '';
+        const sensors = this.getDefaultValues('input');
+        return {
+            sensors,
+            encode: (values, count) => {
+                const data = encoder.encode({ ...this.getDefaultValues(), ...values });
+                // 보내는 것 없이 기다리는 handshake 는 처음 데이터 앞에 붙여서 보낸다.
+                const greeting = count === 0 && !handshake?.send ? handshake?.expect : undefined;
+                return typeof data === 'string'
+                    ? `${greeting ? `${toRawText(greeting)}${lineEnd}` : ''}${data}${lineEnd}`
+                    : Uint8Array.from([...toBytes(greeting), ...data]);
+            },
+            respond: (data) => {
+                const { send, expect } = handshake || {};
+                if (!send || !expect || !toRawText(data).includes(toRawText(send))) {
+                    return;
+                }
+                return typeof expect === 'string' ? `${expect}${lineEnd}` : Uint8Array.from(expect);
+            },
+            decode: decoder && ((data) => decoder.decode(data).pop()),
+        };
+    }
+
+    getDefaultValues(type?: 'input' | 'output') {
+        return Object.entries(this.definition.ports).reduce((values, [portName, port]) => {
+            if (!type || port.type === type) {
+                values[portName] = port.default ?? 0;
+            }
+            return values;
+        }, {} as HWLiteSimulatorValues);
+    }
+
+    getMonitorPort() {
+        return { ...this.values };
+    }
+
+    getValue(portName: string) {
+        return this.values[portName];
+    }
+
+    setValue(portName: string, value: number | string) {
+        const port = this.definition.ports[portName];
+        if (!port || port.type !== 'output') {
+            return;
+        }
+        const number = Number(value);
+        if (typeof value === 'string' && isNaN(number)) {
+            this.values[portName] = value;
+            return;
+        }
+        const { min = -Infinity, max = Infinity } = port;
+        this.values[portName] = Math.max(min, Math.min(max, number));
+    }
+
+    setZero() {
+        Object.assign(this.values, this.getDefaultValues('output'));
+        // @ts-ignore
+        if (Entry.hwLite?.getStatus() === 'connected') {
+            getSerial()?.update();
+        }
+    }
+
+    async initialHandshake() {
+        this.receiver?.clear();
+        this.values = this.getDefaultValues();
+        const { handshake } = this.definition;
+        if (!handshake) {
+            return true;
+        }
+        const serial = getSerial();
+        if (handshake.send) {
+            await serial.writer.write(Uint8Array.from(toBytes(handshake.send)));
+        }
+        if (!handshake.expect) {
+            return true;
+        }
+        const expect = toRawText(handshake.expect);
+        const startTime = Date.now();
+        let received = '';
+        let pending: Promise<any>;
+        while (!received.includes(expect)) {
+            if (Date.now() - startTime > (handshake.timeout || HANDSHAKE_TIMEOUT)) {
+                return false;
+            }
+            pending = pending || serial.reader.read();
+            const result = await Promise.race([pending, Entry.Utils.sleep(READ_WAIT)]);
+            if (!result) {
+                continue;
+            }
+            pending = undefined;
+            if (result.done) {
+                return false;
+            }
+            received += toRawText(result.value);
+        }
+        return true;
+    }
+
+    handleLocalData(data: Uint8Array | string) {
+        this.receiver?.decode(data).forEach((values) => Object.assign(this.values, values));
+    }
+
+    requestLocalData(): any {
+        return this.sender?.encode(this.values);
+    }
+
+    setLanguage() {
+        const { blocks, translations = {} } = this.definition;
+        return this.langTypes.reduce(
+            (result, langType) => {
+                const {
+                    template: baseTemplate,
+                    Helper: baseHelper,
+                    ...rest
+                } = translations[langType] || {};
+                const template = { ...baseTemplate };
+                const Helper = { ...baseHelper };
+                blocks.forEach((block) => {
+                    const blockName = this.getBlockName(block.name);
+                    template[blockName] = this.getTemplate(block, langType);
+                    if (block.help) {
+                        Helper[blockName] = getText(block.help, langType);
+                    }
+                });
+                result[langType] = {
+                    ...rest,
+                    template,
+                    Helper,
+                    Device: { [this.prefix]: this.title[langType] },
+                    Menus: { [this.prefix]: this.title[langType] },
+                };
+                return result;
+            },
+            {} as { [langType: string]: { [type: string]: { [key: string]: string } } }
+        );
+    }
+
+    getBlocks() {
+        return this.definition.blocks.reduce(
+            (result, block) => {
+                result[this.getBlockName(block.name)] = this.createBlock(block);
+                return result;
+            },
+            {} as { [blockName: string]: EntryBlock }
+        );
+    }
+
+    private getBlockName(name: string) {
+        return `${this.prefix}_${name}`;
+    }
+
+    // INFO : command 블록은 template 끝에 아이콘 자리를 붙인다.
+    private getTemplate(
+        { type = 'command', template, params = [] }: HWLiteDefinitionBlock,
+        langType: string
+    ) {
+        const text = getText(template, langType);
+        const indicator = `%${params.length + 1}`;
+        return type === 'command' && !text.includes(indicator) ? `${text} ${indicator}` : text;
+    }
+
+    private createParam({ type, options = [], portType }: HWLiteDefinitionParam) {
+        if (type === 'number' || type === 'string') {
+            return { type: 'Block', accept: 'string', defaultType: 'number' };
+        }
+        const dropdownOptions =
+            type === 'port'
+                ? Object.entries(this.definition.ports)
+                      .filter(([, port]) => !portType || port.type === portType)
+                      .map(([portName, port]) => [
+                          getText(port.name || portName, Lang.type),
+                          portName,
+                      ])
+                : options.map(([text, value]) => [getText(text, Lang.type), value]);
+        return {
+            type: 'Dropdown',
+            options: dropdownOptions,
+            value: dropdownOptions[0]?.[1],
+            fontSize: 11,
+            bgColor: EntryStatic.colorSet.block.darken.HARDWARE,
+            arrowColor: EntryStatic.colorSet.arrow.default.HARDWARE,
+        };
+    }
+
+    private createDefaultParam({ type, default: value }: HWLiteDefinitionParam) {
+        if (type === 'number') {
+            return { type: 'number', params: [String(value ?? 0)] };
+        } else if (type === 'string') {
+            return { type: 'text', params: [String(value ?? '')] };
+        }
+        return value ?? null;
+    }
+
+    private createBlock(block: HWLiteDefinitionBlock): EntryBlock {
+        const { type = 'command', params = [] } = block;
+        const blockName = this.getBlockName(block.name);
+        const blockParams: any[] = params.map((param) => this.createParam(param));
+        const defParams: any[] = params.map((param) => this.createDefaultParam(param));
+        if (type === 'command') {
+            blockParams.push({
+                type: 'Indicator',
+                img: 'block_icon/hardwarelite_icon.svg',
+                size: 12,
+            });
+            defParams.push(null);
+        }
+        return {
+            color: EntryStatic.colorSet.block.default.HARDWARE,
+            outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+            skeleton: SKELETON[type],
+            statements: [],
+            params: blockParams,
+            events: {},
+            def: {
+                params: defParams,
+                type: blockName,
+            },
+            paramsKeyMap: params.reduce(
+                (result, { key }, index) => {
+                    result[key] = index;
+                    return result;
+                },
+                {} as { [key: string]: number }
+            ),
+            class: block.class ? `${this.prefix}_${block.class}` : this.prefix,
+            isNotFor: [this.name],
+            func: (sprite: any, script: any) => this.runBlock(block, script),
+        };
+    }
+
+    private runBlock(
+        { type = 'command', params = [], get, set = [], wait }: HWLiteDefinitionBlock,
+        script: any
+    ) {
+        const read = (value: HWLiteDefinitionValue) => {
+            if (!value || typeof value !== 'object') {
+                return value;
+            }
+            const param = params.find(({ key }) => key === value.param);
+            if (param.type === 'number') {
+                return script.getNumberValue(param.key);
+            } else if (param.type === 'string') {
+                return script.getStringValue(param.key);
+            }
+            return script.getField(param.key);
+        };
+
+        set.forEach(({ port, value }) => this.setValue(String(read(port)), read(value)));
+        if (get !== undefined) {
+            const value = this.getValue(String(read(get)));
+            return type === 'boolean' ? !!Number(value) : value;
+        }
+        if (wait !== undefined) {
+            return Entry.Utils.sleep(Number(read(wait)) * 1000).then(() => script.callReturn());
+        }
+        return script.callReturn();
+    }
+}
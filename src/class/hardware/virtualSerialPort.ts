@@ -0,0 +1,119 @@
+import { HWLiteSimulatorDevice, HWLiteSimulatorValues } from 'types';
+
+const DEFAULT_INTERVAL = 20;
+const MAX_SENT_LOG = 100;
+
+export type VirtualSerialSentLog = { time: number; data: Uint8Array };
+
+/**
+ * navigator.serial.requestPort() 가 돌려주는 SerialPort 를 흉내낸다.
+ * 디바이스 대신 HWLiteSimulatorDevice 가 센서값으로 데이터를 만들고, 보낸 데이터를 받아 기록한다.
+ * readable 은 읽는 쪽이 데이터를 가져갈 때만 다음 데이터를 만들기 때문에 쌓이지 않는다.
+ */
+export default class VirtualSerialPort {
+    readable: ReadableStream<Uint8Array>;
+    writable: WritableStream<Uint8Array | string>;
+    private device: HWLiteSimulatorDevice;
+    private interval: number;
+    private sensors: HWLiteSimulatorValues;
+    private outputs: HWLiteSimulatorValues = {};
+    private sentLog: VirtualSerialSentLog[] = [];
+    private controller: ReadableStreamDefaultController<Uint8Array>;
+    private pullTimer: ReturnType<typeof setTimeout>;
+    private frameCount = 0;
+    private isOpen = false;
+
+    constructor(device: HWLiteSimulatorDevice, interval?: number) {
+        this.device = device;
+        this.interval = device.interval || interval || DEFAULT_INTERVAL;
+        this.sensors = { ...device.sensors };
+    }
+
+    async open() {
+        if (this.isOpen) {
+            throw new Error('VirtualSerialPort is already open');
+        }
+        this.isOpen = true;
+        this.readable = new ReadableStream<Uint8Array>({
+            start: (controller) => {
+                this.controller = controller;
+            },
+            pull: () =>
+                new Promise<void>((resolve) => {
+                    this.pullTimer = setTimeout(() => {
+                        this.pullTimer = undefined;
+                        if (this.isOpen && this.device.encode) {
+                            this.push(this.device.encode(this.sensors, this.frameCount++));
+                        }
+                        resolve();
+                    }, this.interval);
+                }),
+            cancel: () => this.stop(),
+        });
+        this.writable = new WritableStream<Uint8Array | string>({
+            write: (chunk) => this.receive(chunk),
+        });
+    }
+
+    async close() {
+        this.stop();
+        this.readable = null;
+        this.writable = null;
+    }
+
+    getInfo() {
+        return {};
+    }
+
+    /**
+     * 디바이스가 보낸 것처럼 읽는 쪽에 데이터를 넣는다.
+     */
+    push(data: string | Uint8Array | void) {
+        if (!data || !this.isOpen || !this.controller) {
+            return;
+        }
+        this.controller.enqueue(typeof data === 'string' ? new TextEncoder().encode(data) : data);
+    }
+
+    getSensors() {
+        return { ...this.sensors };
+    }
+
+    setSensors(values: HWLiteSimulatorValues) {
+        Object.assign(this.sensors, values);
+    }
+
+    /**
+     * @returns decode 한 출력값. decode 가 없는 디바이스이면 null
+     */
+    getOutputs() {
+        return this.device.decode ? { ...this.outputs } : null;
+    }
+
+    getSentLog() {
+        return this.sentLog.slice();
+    }
+
+    private receive(chunk: Uint8Array | string) {
+        const data = typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk;
+        this.sentLog.push({ time: Date.now(), data });
+        if (this.sentLog.length > MAX_SENT_LOG) {
+            this.sentLog.shift();
+        }
+        const { decode, respond } = this.device;
+        if (decode) {
+            Object.assign(this.outputs, decode(data) || {});
+        }
+        if (respond) {
+            this.push(respond(data, this.sensors));
+        }
+    }
+
+    private stop() {
+        this.isOpen = false;
+        if (this.pullTimer) {
+            clearTimeout(this.pullTimer);
+            this.pullTimer = undefined;
+        }
+    }
+}
@@ -1,6 +1,19 @@
+// INFO : 다시 연결하는 동안 모아두는 명령의 최대 개수. 넘으면 오래된 것부터 버린다.
+export const MAX_BUFFERED_WRITES = 100;
+
 // INFO : 웹연결 api의 라이프사이클 함수를 모아놓은 추상 클래스
 export default class WebApiConnector {
     connect() {}
     disconnect() {}
     initialDevice() {}
+
+    // INFO : 전에 허락받은 포트/디바이스로 사용자에게 묻지 않고 다시 연결한다. 못 하면 false
+    async reconnect() {
+        return false;
+    }
+    // INFO : 다시 연결하는 동안 보내는 명령을 모아둔다.
+    bufferWrites() {}
+    // INFO : 모아둔 명령을 다시 연결된 디바이스에 순서대로 보낸다.
+    async flushWrites() {}
+    discardWrites() {}
 }
@@ -1,7 +1,8 @@
 import { EntryHWLiteBaseModule } from 'types';
 import HardwareLite from '../hw_lite';
-import WebApiConnector from './webApiConnector';
+import WebApiConnector, { MAX_BUFFERED_WRITES } from './webApiConnector';
 import { getServiceClassesByModuleId } from './bluetoothServices';
+import { ServiceHelper } from './bluetoothServices/service-helper';
 
 export default class WebBluetoothConnector extends WebApiConnector {
     private hwModule: EntryHWLiteBaseModule;
@@ -9,19 +10,35 @@ export default class WebBluetoothConnector extends WebApiConnector {
     private device: BluetoothDevice;
     private services: any; // TODO: 타입할당
     private serviceClasses: any[];
+    private pendingWrites: typeof ServiceHelper.writeBuffer = [];
 
     constructor(hwModule: EntryHWLiteBaseModule, hwLite: HardwareLite) {
         super();
         this.hwModule = hwModule;
+        this.hwLite = hwLite;
         this.setServiceClasses();
     }
 
     async connect() {
+        ServiceHelper.trafficListener = (direction, value, uuid) => {
+            if (direction === 'receive') {
+                this.hwLite.connectionHealth.markReceived();
+            }
+            this.hwLite.trafficInspector.record(direction, value, uuid);
+        };
         await this.setDevice();
+        this.device.addEventListener('gattserverdisconnected', this.handleGattDisconnected);
         await this.setServices();
     }
 
+    private handleGattDisconnected = () => {
+        this.hwLite.handleConnectionLost();
+    };
+
     async disconnect() {
+        ServiceHelper.trafficListener = undefined;
+        ServiceHelper.writeBuffer = undefined;
+        this.device.removeEventListener('gattserverdisconnected', this.handleGattDisconnected);
         await this.device.gatt.disconnect();
         this.hwModule = undefined;
         this.device = undefined;
@@ -29,6 +46,37 @@ export default class WebBluetoothConnector extends WebApiConnector {
         this.serviceClasses = undefined;
     }
 
+    // INFO : 같은 디바이스에 다시 연결하고 서비스를 새로 만든다. 알림은 initialHandshake 에서 다시 등록한다.
+    async reconnect() {
+        if (!this.device?.gatt) {
+            return false;
+        }
+        await this.device.gatt.connect();
+        await this.setServices();
+        // INFO : initialHandshake 는 바로 보내야 하므로 모으기를 멈춘다. 모아둔 값은 flushWrites 로 보낸다.
+        ServiceHelper.writeBuffer = undefined;
+        return this.device.gatt.connected;
+    }
+
+    bufferWrites() {
+        ServiceHelper.writeBuffer = this.pendingWrites;
+    }
+
+    async flushWrites() {
+        const writes = this.pendingWrites.splice(0).slice(-MAX_BUFFERED_WRITES);
+        for (const { serviceUuid, uuid, value } of writes) {
+            const service = await this.device.gatt.getPrimaryService(serviceUuid);
+            const characteristic = await service.getCharacteristic(uuid);
+            ServiceHelper.trafficListener?.('send', value, String(uuid));
+            await characteristic.writeValue(value);
+        }
+    }
+
+    discardWrites() {
+        ServiceHelper.writeBuffer = undefined;
+        this.pendingWrites = [];
+    }
+
     async initialDevice() {
         if (this.hwModule?.initialHandshake) {
             this.hwModule?.initialHandshake();
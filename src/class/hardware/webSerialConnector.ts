@@ -1,6 +1,6 @@
 import { EntryHWLiteBaseModule } from 'types';
 import HardwareLite from '../hw_lite';
-import WebApiConnector from './webApiConnector';
+import WebApiConnector, { MAX_BUFFERED_WRITES } from './webApiConnector';
 import throttle from 'lodash/throttle';
 
 const Buffer = require('buffer/').Buffer;
@@ -38,6 +38,9 @@ export default class WebSerialConnector extends WebApiConnector {
     private isSendAsyncRun: boolean;
     private hwLite: HardwareLite;
     private sendAsyncWithThrottle: any;
+    private portInfo: { usbVendorId?: number; usbProductId?: number };
+    private isBuffering = false;
+    private pendingWrites: any[] = [];
 
     constructor(hwModule: EntryHWLiteBaseModule, hwLite: HardwareLite) {
         super();
@@ -49,9 +52,32 @@ export default class WebSerialConnector extends WebApiConnector {
         this.sendAsyncWithThrottle = throttle(this.sendAsync, this.hwModule.duration);
     }
 
-    async connect() {
+    // INFO : 연결할 포트를 고른다. 가상 하드웨어는 이 함수만 바꿔서 같은 방식으로 통신한다.
+    protected async requestPort(): Promise<any> {
+        // @ts-ignore
+        return await navigator.serial.requestPort();
+    }
+
+    // INFO : 전에 허락받은 포트 중 같은 디바이스를 찾는다. 다시 꽂으면 포트 객체가 바뀌므로 usb id 로 찾는다.
+    protected async findGrantedPort(): Promise<any> {
         // @ts-ignore
-        const port = await navigator.serial.requestPort();
+        const ports: any[] = (await navigator.serial?.getPorts()) || [];
+        const { usbVendorId, usbProductId } = this.portInfo || {};
+        return (
+            ports.find((port) => port === this.port) ||
+            ports.find((port) => {
+                const info = port.getInfo();
+                return info.usbVendorId === usbVendorId && info.usbProductId === usbProductId;
+            })
+        );
+    }
+
+    async connect() {
+        const port = await this.requestPort();
+        await this.openPort(port);
+    }
+
+    private async openPort(port: any) {
         const { portData } = this.hwModule || {};
         await port.open(
             portData || {
@@ -63,6 +89,9 @@ export default class WebSerialConnector extends WebApiConnector {
             }
         );
         this.port = port;
+        this.portInfo = port.getInfo();
+        // @ts-ignore
+        navigator.serial?.addEventListener('disconnect', this.handlePortDisconnect);
         const encoder = new TextEncoderStream();
         const writable = port.writable;
 
@@ -83,9 +112,85 @@ export default class WebSerialConnector extends WebApiConnector {
             readable = readable.pipeThrough(new TransformStream(new LineBreakTransformer()));
         }
         this.reader = readable.getReader();
+        this.watchTraffic();
+    }
+
+    // INFO : 케이블이 빠지면 navigator.serial 에서 disconnect 이벤트가 온다.
+    private handlePortDisconnect = (event: Event) => {
+        if (event.target === this.port) {
+            this.hwLite.handleConnectionLost();
+        }
+    };
+
+    // INFO : 모듈이 writer, reader 를 직접 쓰기 때문에 두 함수를 감싸서 주고받은 데이터를 기록한다.
+    // 다시 연결하는 동안 쓴 데이터는 보내지 않고 모아둔다.
+    private watchTraffic() {
+        const { trafficInspector, connectionHealth } = this.hwLite;
+        const { writer, reader } = this;
+        const write = writer.write.bind(writer);
+        writer.write = (chunk: any) => {
+            if (this.isBuffering) {
+                return this.queueWrite(chunk);
+            }
+            trafficInspector.record('send', chunk);
+            return write(chunk);
+        };
+        const read = reader.read.bind(reader);
+        reader.read = async () => {
+            const result = await read();
+            if (!result.done) {
+                connectionHealth.markReceived();
+                trafficInspector.record('receive', result.value);
+            }
+            return result;
+        };
+    }
+
+    private queueWrite(chunk: any) {
+        this.pendingWrites.push(chunk);
+        if (this.pendingWrites.length > MAX_BUFFERED_WRITES) {
+            this.pendingWrites.shift();
+        }
+        return Promise.resolve();
+    }
+
+    bufferWrites() {
+        this.isBuffering = true;
+    }
+
+    async flushWrites() {
+        const writes = this.pendingWrites;
+        this.pendingWrites = [];
+        for (const chunk of writes) {
+            await this.writer.write(chunk);
+        }
+    }
+
+    discardWrites() {
+        this.isBuffering = false;
+        this.pendingWrites = [];
+    }
+
+    async reconnect() {
+        await this.removeSerialPort();
+        // INFO : 포트를 다시 열기 전에도 모듈이 writer 에 쓸 수 있도록 모아두는 writer 를 둔다.
+        this.writer = {
+            write: (chunk: any) => this.queueWrite(chunk),
+            close: async () => {},
+        };
+        const port = await this.findGrantedPort();
+        if (!port) {
+            return false;
+        }
+        await this.openPort(port);
+        // INFO : handshake 는 바로 보내야 하므로 모으기를 멈춘다. 모아둔 명령은 flushWrites 로 보낸다.
+        this.isBuffering = false;
+        return true;
     }
 
     async disconnect() {
+        // @ts-ignore
+        navigator.serial?.removeEventListener('disconnect', this.handlePortDisconnect);
         // INFO: 디바이스가 제거되었을 때, reader만 단독 예외처리
         try {
             await this.reader?.cancel().catch((error: any) => {
@@ -126,19 +231,19 @@ export default class WebSerialConnector extends WebApiConnector {
      * @returns Promise resolves to resulting message
      */
     async sendAsync(data?: Buffer | string, isResetReq?: boolean, callback?: Function) {
+        if (!data || !this.isSendable()) {
+            return;
+        }
         if (this.isSendAsyncRun) {
             return;
         } else {
             this.isSendAsyncRun = true;
         }
-        if (!data || this.hwLite.getStatus() !== 'connected') {
-            return;
-        }
         // @ts-ignore
         const encodedData = typeof data === 'string' ? data : Buffer.from(data, 'utf8');
 
         try {
-            if (this.hwLite.getStatus() !== 'connected') {
+            if (!this.isSendable()) {
                 Entry.toast.alert(
                     Lang.Msgs.hw_connection_failed_title,
                     Lang.Msgs.hw_connection_failed_desc,
@@ -181,7 +286,7 @@ export default class WebSerialConnector extends WebApiConnector {
 
             const { value, done } = await this.reader.read();
             if (done) {
-                this.hwLite.getConnectFailedMenu();
+                this.hwLite.handleConnectionLost();
                 return;
             }
             this.hwModule?.handleLocalData(value);
@@ -192,7 +297,7 @@ export default class WebSerialConnector extends WebApiConnector {
             }, this.hwModule.duration || 0);
         } catch (error) {
             console.error(error);
-            this.hwLite.getConnectFailedMenu();
+            this.hwLite.handleConnectionLost();
             return;
         }
     }
@@ -214,8 +319,8 @@ export default class WebSerialConnector extends WebApiConnector {
         }
     }
 
-    async writePortData(data: string) {
-        if (data && this.hwLite.getStatus() === 'connected') {
+    async writePortData(data: string | number[] | Uint8Array) {
+        if (data && this.isWritable()) {
             const result = await this.writer.write(Buffer.from(data));
         }
     }
@@ -261,8 +366,20 @@ export default class WebSerialConnector extends WebApiConnector {
         );
     }
 
+    // INFO : 다시 연결하는 중에 쓴 데이터는 모아두었다가 보낸다.
+    private isWritable() {
+        const status = this.hwLite.getStatus();
+        return status === 'connected' || status === 'reconnecting';
+    }
+
+    // INFO : 다시 연결하는 중에는 포트를 다시 연 뒤 handshake 를 주고받을 때만 보낸다.
+    private isSendable() {
+        const status = this.hwLite.getStatus();
+        return status === 'connected' || (status === 'reconnecting' && !this.isBuffering);
+    }
+
     update() {
-        if (this.hwLite.getStatus() !== 'connected') {
+        if (!this.isWritable()) {
             console.error('Cannot update hwLite queue. Check connection status.');
             return;
         }
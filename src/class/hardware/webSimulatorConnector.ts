@@ -0,0 +1,79 @@
+import { EntryHWLiteBaseModule, HWLiteSimulatorDevice, HWLiteSimulatorValues } from 'types';
+import HardwareLite from '../hw_lite';
+import WebSerialConnector from './webSerialConnector';
+import VirtualSerialPort from './virtualSerialPort';
+
+export type HWLiteSimulatorScript = { delay?: number; sensors: HWLiteSimulatorValues }[];
+
+// INFO : 실제 시리얼 포트 대신 VirtualSerialPort 로 통신한다.
+// 모듈은 Entry.hwLite.serial 을 그대로 쓰기 때문에 하드웨어 없이 블록을 실행해볼 수 있다.
+export default class WebSimulatorConnector extends WebSerialConnector {
+    private virtualPort: VirtualSerialPort;
+    private scriptId = 0;
+
+    constructor(
+        hwModule: EntryHWLiteBaseModule,
+        hwLite: HardwareLite,
+        device: HWLiteSimulatorDevice
+    ) {
+        super(hwModule, hwLite);
+        this.virtualPort = new VirtualSerialPort(device, hwModule.duration);
+    }
+
+    protected async requestPort() {
+        return this.virtualPort;
+    }
+
+    protected async findGrantedPort() {
+        return this.virtualPort;
+    }
+
+    async disconnect() {
+        this.stopScript();
+        await super.disconnect();
+    }
+
+    getSensors() {
+        return this.virtualPort.getSensors();
+    }
+
+    setSensor(key: string, value: number | string) {
+        this.virtualPort.setSensors({ [key]: value });
+    }
+
+    setSensors(values: HWLiteSimulatorValues) {
+        this.virtualPort.setSensors(values);
+    }
+
+    // INFO : 디바이스로 보낸 데이터를 decode 한 값. 모니터의 출력 포트에 보여준다.
+    getOutputPorts() {
+        return this.virtualPort.getOutputs();
+    }
+
+    getSentLog() {
+        return this.virtualPort.getSentLog();
+    }
+
+    /**
+     * 센서값을 순서대로 바꾼다. 다른 스크립트를 실행하거나 연결을 끊으면 멈춘다.
+     * @param script [{ delay: 앞 단계 이후 기다리는 시간(ms), sensors: 바꿀 센서값 }, ...]
+     * @returns 끝까지 실행했으면 true
+     */
+    async playScript(script: HWLiteSimulatorScript) {
+        const scriptId = ++this.scriptId;
+        for (const { delay = 0, sensors } of script) {
+            if (delay > 0) {
+                await new Promise((resolve) => setTimeout(resolve, delay));
+            }
+            if (scriptId !== this.scriptId) {
+                return false;
+            }
+            this.setSensors(sensors);
+        }
+        return true;
+    }
+
+    stopScript() {
+        this.scriptId++;
+    }
+}
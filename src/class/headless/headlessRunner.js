@@ -0,0 +1,229 @@
+'use strict';
+
+import ManualClock from './manualClock';
+
+const flushPendingJobs = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * 화면을 그리지 않는 invisible 모드로 프로젝트를 불러와 틱 단위로 실행한다.
+ * setInterval 기반 ticker 대신 ManualClock 을 엔진에 주입하므로,
+ * 같은 프로젝트를 같은 틱 수만큼 진행하면 항상 같은 상태를 얻는다.
+ *
+ * 뷰를 만들지 않을 뿐 DOM 은 필요하다. Entry.init 과 스테이지, 사운드가 document 와 canvas 를 쓰므로
+ * 브라우저(headless 브라우저 포함)에서 entry 를 불러온 뒤 사용한다. 페이지에 붙인 컨테이너는 필요 없다.
+ *
+ * 사용 예)
+ *   const runner = new Entry.HeadlessRunner();
+ *   runner.load(project);
+ *   runner.start();
+ *   await runner.step(120);
+ *   runner.getState();
+ */
+class HeadlessRunner {
+    /**
+     * Entry 가 invisible 모드로 초기화되지 않았으면 페이지에 붙이지 않은 div 로 초기화한다.
+     * @param {Object} options
+     * @param {number=} options.fps 프로젝트에 speed 가 없을 때 사용할 FPS
+     * @param {Object=} options.initOptions Entry.init 에 그대로 전달할 옵션
+     */
+    constructor({ fps, initOptions = {} } = {}) {
+        if (Entry.type !== 'invisible' || !Entry.engine) {
+            Entry.init(document.createElement('div'), {
+                ...initOptions,
+                type: 'invisible',
+            });
+        }
+        this.fps = fps;
+        this.clock = new ManualClock();
+        this.tickCount = 0;
+        Entry.engine.setClock(this.clock);
+    }
+
+    /**
+     * @param {Object} project Entry.exportProject 형식의 프로젝트 JSON
+     */
+    load(project) {
+        if (!Entry.engine.isState('stop')) {
+            throw new Error('HeadlessRunner: stop the running project before loading another');
+        }
+        Entry.clearProject();
+        Entry.engine.setClock(this.clock);
+        this.clock.reset();
+        this.tickCount = 0;
+        Entry.loadProject(project);
+        if (!project.speed && this.fps) {
+            Entry.FPS = this.fps;
+        }
+        return this;
+    }
+
+    get tickTime() {
+        return Math.floor(1000 / (Entry.FPS || 60));
+    }
+
+    start() {
+        Entry.tickTime = this.tickTime;
+        Entry.engine.toggleRun(false);
+        return this;
+    }
+
+    /**
+     * 엔진을 count 틱만큼 진행시킨다.
+     * 각 틱 사이에는 블록이 반환한 Promise 가 처리될 수 있도록 대기한다.
+     * @param {number} count
+     */
+    async step(count = 1) {
+        const engine = Entry.engine;
+        for (let i = 0; i < count; i++) {
+            if (!engine.isState('run')) {
+                break;
+            }
+            this.clock.advance(this.tickTime);
+            if (engine.projectTimer && engine.projectTimer.isInit) {
+                engine.updateProjectTimer();
+            }
+            engine.update();
+            this.tickCount++;
+            await flushPendingJobs();
+        }
+        return this;
+    }
+
+    /**
+     * predicate 가 참이 되거나 maxTicks 에 도달할 때까지 진행한다.
+     * @param {function(HeadlessRunner): boolean} predicate
+     * @param {number} maxTicks
+     * @return {Promise<boolean>} predicate 를 만족했는지 여부
+     */
+    async runUntil(predicate, maxTicks = 10000) {
+        for (let i = 0; i < maxTicks; i++) {
+            if (predicate(this)) {
+                return true;
+            }
+            if (!Entry.engine.isState('run')) {
+                return false;
+            }
+            await this.step();
+        }
+        return !!predicate(this);
+    }
+
+    async stop() {
+        if (!Entry.engine.isState('stop')) {
+            await Entry.engine.toggleStop();
+        }
+        return this;
+    }
+
+    pressKey(keyCode) {
+        if (!Entry.pressedKeys) {
+            Entry.pressedKeys = [];
+        }
+        if (Entry.pressedKeys.indexOf(keyCode) < 0) {
+            Entry.pressedKeys.push(keyCode);
+        }
+        Entry.engine.fireEventWithValue('keyPress', keyCode);
+    }
+
+    releaseKey(keyCode) {
+        const index = (Entry.pressedKeys || []).indexOf(keyCode);
+        if (index > -1) {
+            Entry.pressedKeys.splice(index, 1);
+        }
+    }
+
+    /**
+     * @param {string} messageName 신호 이름 또는 id
+     */
+    sendMessage(messageName) {
+        const message = this._findMessage(messageName);
+        if (!message) {
+            throw new Error(`HeadlessRunner: unknown message "${messageName}"`);
+        }
+        Entry.engine.raiseMessage(message.id);
+    }
+
+    /**
+     * @param {string} objectName 오브젝트 이름 또는 id
+     */
+    clickObject(objectName) {
+        const object = this.getObject(objectName);
+        if (!object) {
+            throw new Error(`HeadlessRunner: unknown object "${objectName}"`);
+        }
+        Entry.dispatchEvent('entityClick', object.entity);
+        Entry.dispatchEvent('entityClickCanceled', object.entity);
+    }
+
+    getObject(name) {
+        return _.find(Entry.container.getAllObjects(), (object) =>
+            [object.id, object.name].includes(name)
+        );
+    }
+
+    getVariable(name, objectName) {
+        return this._findVariable(Entry.variableContainer.variables_, name, objectName);
+    }
+
+    getList(name, objectName) {
+        return this._findVariable(Entry.variableContainer.lists_, name, objectName);
+    }
+
+    /**
+     * 현재 실행 상태(틱, 시각, 장면, 오브젝트/복제본, 변수, 리스트)를 JSON 으로 반환한다.
+     * @return {Object}
+     */
+    getState() {
+        const variableContainer = Entry.variableContainer;
+        return {
+            tick: this.tickCount,
+            time: this.clock.now(),
+            scene: Entry.scene.selectedScene && Entry.scene.selectedScene.id,
+            objects: Entry.container.getAllObjects().map((object) => ({
+                id: object.id,
+                name: object.name,
+                scene: object.scene.id,
+                entity: this._getEntityState(object.entity),
+                clones: object.getClonedEntities().map(this._getEntityState),
+            })),
+            variables: variableContainer.variables_.map((variable) => ({
+                id: variable.getId(),
+                name: variable.getName(),
+                object: variable.object_,
+                value: variable.getValue(),
+            })),
+            lists: variableContainer.lists_.map((list) => ({
+                id: list.getId(),
+                name: list.getName(),
+                object: list.object_,
+                array: (list.getArray() || []).map(({ data }) => data),
+            })),
+        };
+    }
+
+    _getEntityState(entity) {
+        const state = entity.toJSON();
+        const picture = entity.picture;
+        state.picture = picture ? picture.name : null;
+        state.dialog = entity.dialog ? entity.dialog.message_ : null;
+        return state;
+    }
+
+    _findMessage(name) {
+        return _.find(Entry.variableContainer.messages_, (message) =>
+            [message.id, message.name].includes(name)
+        );
+    }
+
+    _findVariable(variables, name, objectName) {
+        const object = objectName && this.getObject(objectName);
+        return _.find(variables, (variable) => {
+            if (variable.getName() !== name && variable.getId() !== name) {
+                return false;
+            }
+            return object ? variable.object_ === object.id : !variable.object_;
+        });
+    }
+}
+
+export default HeadlessRunner;
@@ -0,0 +1,5 @@
+import HeadlessRunner from './headlessRunner';
+import ManualClock from './manualClock';
+
+Entry.HeadlessRunner = HeadlessRunner;
+Entry.HeadlessRunner.ManualClock = ManualClock;
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * 실제 시간 대신 호출자가 직접 진행시키는 시계.
+ * Entry.TimeWait, 프로젝트 타이머가 setTimeout 대신 이 시계를 사용하므로
+ * 같은 프로젝트를 같은 틱 수만큼 진행하면 항상 같은 결과를 얻을 수 있다.
+ */
+class ManualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+        this.timers = [];
+        this.lastTimerId = 0;
+    }
+
+    /**
+     * @return {number} 현재 시각(ms)
+     */
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms = 0) {
+        const id = ++this.lastTimerId;
+        this.timers.push({ id, callback, at: this.time + Math.max(ms, 0) });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter((timer) => timer.id !== id);
+    }
+
+    /**
+     * 시계를 ms 만큼 진행시키고, 그 사이 만료된 타이머를 등록 순서대로 실행한다.
+     * @param {number} ms
+     */
+    advance(ms) {
+        const until = this.time + ms;
+        while (true) {
+            const next = this.timers
+                .filter(({ at }) => at <= until)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!next) {
+                break;
+            }
+            this.clearTimeout(next.id);
+            this.time = Math.max(this.time, next.at);
+            next.callback();
+        }
+        this.time = until;
+    }
+
+    reset() {
+        this.time = 0;
+        this.timers = [];
+    }
+}
+
+export default ManualClock;
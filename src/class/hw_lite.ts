@@ -1,12 +1,19 @@
-import { EntryHWLiteBaseModule, HWLiteStatus } from '../../types/index';
+import mapValues from 'lodash/mapValues';
+import { EntryHWLiteBaseModule, HWLiteSimulatorDevice, HWLiteStatus } from '../../types/index';
 import ExtraBlockUtils from '../util/extrablockUtils';
 import HardwareMonitor from './hardware/hardwareMonitor';
 import WebUsbFlasher from './hardware/webUsbFlasher';
 import WebSerialConnector from './hardware/webSerialConnector';
 import WebApiConnector from './hardware/webApiConnector';
 import WebBluetoothConnector from './hardware/webBluetoothConnector';
+import WebSimulatorConnector from './hardware/webSimulatorConnector';
+import HardwareTrafficInspector from './hardware/hardwareTrafficInspector';
+import HardwareConnectionHealth from './hardware/hardwareConnectionHealth';
+import HardwareSimulatorPanel from './hardware/hardwareSimulatorPanel';
 
 const ARDUINO_BOARD_IDS: string[] = ['010101', '040201', '080101'];
+const RECONNECT_INTERVAL = 1000;
+const RECONNECT_ATTEMPTS = 30;
 
 export default class HardwareLite {
     private status: HWLiteStatus;
@@ -23,6 +30,9 @@ export default class HardwareLite {
     private hwMonitor?: HardwareMonitor;
     static getStatus: any;
     private customPromptPayload: String;
+    readonly trafficInspector = new HardwareTrafficInspector();
+    readonly connectionHealth = new HardwareConnectionHealth();
+    readonly simulatorPanel = new HardwareSimulatorPanel();
 
     constructor(playground: any) {
         this.playground = playground;
@@ -72,6 +82,9 @@ export default class HardwareLite {
         if (Entry.propertyPanel && this.hwModule.monitorTemplate) {
             this._setHardwareMonitorTemplate();
         }
+        if (Entry.propertyPanel) {
+            Entry.propertyPanel.addMode('hwTraffic', this.trafficInspector);
+        }
     }
 
     getConnectFailedMenu() {
@@ -98,13 +111,27 @@ export default class HardwareLite {
             this.hwMonitor.setHwModule(this.hwModule);
             this.hwMonitor.initView();
         }
+        this.hwMonitor.setInputPortClickHandler(this._setSimulatorSensorByMonitor.bind(this));
         Entry.propertyPanel.addMode('hw', this.hwMonitor);
         this.hwMonitor.generateViewByMode();
     }
 
+    // INFO : 가상 하드웨어로 연결했을 때 모니터의 입력 포트를 누르면 가상 하드웨어 탭에서 센서값을 바꾼다.
+    private _setSimulatorSensorByMonitor(key: string) {
+        if (this.isSimulating()) {
+            this.simulatorPanel.focusSensor(key);
+        }
+    }
+
     _updatePortData() {
         if (this.hwMonitor && Entry.propertyPanel && Entry.propertyPanel.selected === 'hw') {
-            this.hwMonitor.update(this.hwModule.getMonitorPort(), null);
+            const sendQueue = this.isSimulating()
+                ? (this.serial as WebSimulatorConnector).getOutputPorts()
+                : null;
+            this.hwMonitor.update(this.hwModule.getMonitorPort(), sendQueue);
+        }
+        if (this.isSimulating()) {
+            this.simulatorPanel.update();
         }
     }
 
@@ -189,6 +216,7 @@ export default class HardwareLite {
             this.setStatus('connected');
             this.refreshHardwareLiteBlockMenu();
             await this.webConnector.initialDevice();
+            this.startConnectionHealth();
             Entry.toast.success(
                 Lang.Msgs.hw_connection_success,
                 Lang.Msgs.hw_connection_success_desc2
@@ -204,10 +232,122 @@ export default class HardwareLite {
         }
     }
 
+    /**
+     * 디바이스 대신 가상 하드웨어로 연결한다. 블록은 실제 디바이스와 같은 방식으로 통신한다.
+     * @param device 없으면 모듈의 simulator 를 쓴다.
+     */
+    async connectSimulator(device?: HWLiteSimulatorDevice) {
+        if (this.status === 'connected') {
+            return;
+        }
+        const simulator = device || this.hwModule?.simulator;
+        if (!simulator || this.hwModule.webapiType === 'ble') {
+            Entry.toast.alert(
+                Lang.Msgs.hw_simulator_not_supported_title,
+                Lang.Msgs.hw_simulator_not_supported_desc,
+                false
+            );
+            return;
+        }
+        const simulatorConnector = new WebSimulatorConnector(this.hwModule, this, simulator);
+        this.serial = simulatorConnector;
+        this.webConnector = this.serial;
+        await this.connect();
+        if (this.status !== 'connected') {
+            // INFO : 다시 연결하기 버튼은 실제 디바이스로 연결하도록 되돌린다.
+            this.setWebConnector();
+            this.getConnectFailedMenu();
+            return;
+        }
+        this.simulatorPanel.setSimulator(simulatorConnector, this.getMonitorPortNames());
+        Entry.propertyPanel?.addMode('hwSimulator', this.simulatorPanel);
+    }
+
+    // INFO : 모니터에 보이는 포트 이름. 가상 하드웨어 탭의 센서 이름으로 쓴다.
+    private getMonitorPortNames() {
+        const { ports = {}, listPorts = {} } = this.hwModule?.monitorTemplate || {};
+        return mapValues({ ...ports, ...listPorts }, 'name');
+    }
+
+    private startConnectionHealth() {
+        this.connectionHealth.start(this.hwModule?.heartbeat, {
+            send: (data) => this.serial?.writePortData(data),
+            onLost: () => this.handleConnectionLost(),
+        });
+    }
+
+    /**
+     * 케이블이 빠지거나 BLE 연결이 끊겼을 때, heartbeat 응답이 없을 때 커넥터가 부른다.
+     * 전에 허락받은 포트/디바이스로 다시 연결하고, 그동안 블록이 보낸 명령은 모아두었다가
+     * 디바이스를 다시 초기화(handshake)한 뒤에 보낸다. 초기화에 실패하면 모아둔 명령은 남겨두고 다시 시도한다.
+     * 끊기고 다시 연결될 때 'hwLiteConnectionChanged' 이벤트 블록을 실행한다.
+     */
+    async handleConnectionLost() {
+        if (this.status !== 'connected') {
+            return;
+        }
+        this.connectionHealth.stop();
+        if (this.hwModule?.autoReconnect === false) {
+            this.getConnectFailedMenu();
+            return;
+        }
+        const webConnector = this.webConnector;
+        this.status = 'reconnecting';
+        webConnector.bufferWrites();
+        Entry.engine.fireEventWithValue('hwLiteConnectionChanged', 'disconnected');
+        Entry.toast.warning(Lang.Msgs.hw_reconnecting_title, Lang.Msgs.hw_reconnecting_desc);
+
+        for (let attempt = 0; attempt < RECONNECT_ATTEMPTS; attempt++) {
+            await Entry.Utils.sleep(RECONNECT_INTERVAL);
+            // INFO : 그 사이 연결을 끊었거나 다른 디바이스로 바꿨으면 멈춘다.
+            if (this.status !== 'reconnecting' || this.webConnector !== webConnector) {
+                return;
+            }
+            try {
+                if (!(await webConnector.reconnect())) {
+                    continue;
+                }
+                // INFO : handshake 응답보다 모아둔 명령의 응답을 먼저 읽지 않도록 초기화한 뒤에 보낸다.
+                await webConnector.initialDevice();
+                this.status = 'connected';
+                await webConnector.flushWrites();
+                this.startConnectionHealth();
+                Entry.engine.fireEventWithValue('hwLiteConnectionChanged', 'reconnected');
+                Entry.toast.success(Lang.Msgs.hw_reconnected_title, Lang.Msgs.hw_reconnected_desc);
+                return;
+            } catch (error) {
+                console.error(error);
+                if (this.status === 'connected' || this.status === 'reconnecting') {
+                    this.status = 'reconnecting';
+                    webConnector.bufferWrites();
+                }
+            }
+        }
+        if (this.status !== 'reconnecting') {
+            return;
+        }
+        webConnector.discardWrites();
+        Entry.toast.alert(
+            Lang.Msgs.hw_connection_failed_title,
+            Lang.Msgs.hw_reconnect_failed_desc,
+            false
+        );
+        this.getConnectFailedMenu();
+    }
+
+    isSimulating() {
+        return this.serial instanceof WebSimulatorConnector;
+    }
+
     async disconnect() {
+        if (this.isSimulating()) {
+            Entry.propertyPanel?.removeMode('hwSimulator');
+        }
         try {
             Entry.hardwareLiteBlocks = [];
             this.status = 'willDisconnect';
+            this.connectionHealth.stop();
+            this.webConnector?.discardWrites();
             await this.webConnector?.disconnect();
         } catch (err) {
             console.error(err);
@@ -2268,7 +2268,7 @@ Entry.Playground = class Playground {
             return;
         }
         const blockMenu = this.blockMenu;
-        const { lists_, variables_ } = Entry.variableContainer;
+        const { lists_, dicts_, variables_ } = Entry.variableContainer;
 
         if (lists_.length) {
             blockMenu.unbanClass('listNotExist');
@@ -2276,6 +2276,12 @@ Entry.Playground = class Playground {
             blockMenu.banClass('listNotExist');
         }
 
+        if (dicts_.length) {
+            blockMenu.unbanClass('dictNotExist');
+        } else {
+            blockMenu.banClass('dictNotExist');
+        }
+
         if (variables_.length) {
             blockMenu.unbanClass('variableNotExist');
         } else {
@@ -0,0 +1,292 @@
+'use strict';
+
+import _cloneDeep from 'lodash/cloneDeep';
+import { createZip, readZip } from '../util/zip';
+
+const FORMAT = 'entry-offline-bundle';
+const VERSION = 1;
+const PROJECT_PATH = 'project.json';
+const MANIFEST_PATH = 'manifest.json';
+const ASSET_PREFIX = 'assets/';
+
+const MIME_TYPES = {
+    png: 'image/png',
+    svg: 'image/svg+xml',
+    jpg: 'image/jpeg',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    woff: 'font/woff',
+    woff2: 'font/woff2',
+    ttf: 'font/ttf',
+    otf: 'font/otf',
+    css: 'text/css',
+    json: 'application/json',
+};
+
+const getExtension = (path, fallback) => {
+    const match = /\.([a-zA-Z0-9]+)(?:[?#].*)?$/.exec(path || '');
+    return match ? match[1].toLowerCase() : fallback;
+};
+
+const fetchBytes = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to download ${url} (${response.status})`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+};
+
+const getPictureUrl = ({ fileurl, filename }) =>
+    fileurl ||
+    `${Entry.defaultPath}/uploads/${filename.substring(0, 2)}/${filename.substring(
+        2,
+        4
+    )}/image/${filename}.png`;
+
+/**
+ * 프로젝트 JSON 과 모양, 소리, 글꼴, 데이터 테이블, 인공지능 학습 모델을 하나의 zip 으로 묶어
+ * 인터넷 없이 다른 컴퓨터로 옮길 수 있게 한다.
+ *
+ * 묶음 구조
+ *   manifest.json                 형식/버전, 글꼴, 테이블, 학습 모델 경로
+ *   project.json                  경로가 assets/ 기준으로 바뀐 프로젝트
+ *   assets/pictures/<id>.<ext>
+ *   assets/sounds/<id>.<ext>
+ *   assets/fonts/<n>.css, assets/fonts/<n>/<m>.<ext>
+ *   assets/learning/model.<ext>
+ *   tables/<n>.json
+ */
+export default class ProjectBundle {
+    /**
+     * @param {Object=} project Entry.exportProject 결과. 없으면 현재 프로젝트를 내보낸다.
+     * @param {Object=} options
+     * @param {function(string): Promise<string>=} options.getModelDownloadUrl
+     *  학습 모델 url 을 실제 다운로드 주소로 바꾸는 함수. 없으면 학습 모델은 묶지 않는다.
+     * @return {Promise<Blob>}
+     */
+    static async export(project, { getModelDownloadUrl } = {}) {
+        const source = project || Entry.exportProject();
+        if (!source) {
+            throw new Error('There is no object to export');
+        }
+        const exported = _cloneDeep(source);
+        const files = [];
+        const manifest = {
+            format: FORMAT,
+            version: VERSION,
+            createdAt: new Date().toISOString(),
+            fonts: [],
+            tables: [],
+            learning: null,
+        };
+
+        await ProjectBundle._packMedia(exported, files);
+        await ProjectBundle._packFonts(exported, files, manifest);
+
+        (exported.tables || []).forEach((table, index) => {
+            const path = `tables/${index}.json`;
+            files.push({ name: path, data: JSON.stringify(table) });
+            manifest.tables.push(path);
+        });
+        delete exported.tables;
+
+        const { learning } = exported;
+        if (learning && learning.url && getModelDownloadUrl) {
+            const url = await getModelDownloadUrl(learning.url);
+            const path = `${ASSET_PREFIX}learning/model.${getExtension(url, 'bin')}`;
+            files.push({ name: path, data: await fetchBytes(url) });
+            manifest.learning = { url: learning.url, path };
+        }
+
+        files.unshift(
+            { name: MANIFEST_PATH, data: JSON.stringify(manifest) },
+            { name: PROJECT_PATH, data: JSON.stringify(exported) }
+        );
+        return new Blob([createZip(files)], { type: 'application/zip' });
+    }
+
+    static async _packMedia(project, files) {
+        const sprites = (project.objects || [])
+            .map(({ sprite }) => sprite)
+            .filter((sprite) => sprite);
+
+        for (const { pictures = [], sounds = [] } of sprites) {
+            for (const picture of pictures) {
+                const url = getPictureUrl(picture);
+                const path = `${ASSET_PREFIX}pictures/${picture.id}.${getExtension(url, 'png')}`;
+                files.push({ name: path, data: await fetchBytes(url) });
+                picture.fileurl = path;
+                delete picture.thumbUrl;
+            }
+            for (const sound of sounds) {
+                const url = Entry.getSoundPath(sound);
+                const ext = getExtension(url, (sound.ext || '.mp3').replace('.', ''));
+                const path = `${ASSET_PREFIX}sounds/${sound.id}.${ext}`;
+                files.push({ name: path, data: await fetchBytes(url) });
+                sound.fileurl = path;
+            }
+        }
+    }
+
+    static async _packFonts(project, files, manifest) {
+        const families = Entry.Utils.getUsedFonts(project) || [];
+        const fonts = (EntryStatic.fonts || []).filter(
+            ({ family, url }) => url && families.includes(family)
+        );
+
+        for (const [index, { family, url }] of fonts.entries()) {
+            const cssUrl = new URL(url, location.href).href;
+            const response = await fetch(cssUrl);
+            if (!response.ok) {
+                console.warn(`font stylesheet for ${family} is not available`, cssUrl);
+                continue;
+            }
+            let css = await response.text();
+            const references = _.uniq(
+                Array.from(css.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g), ([, ref]) => ref)
+            ).filter((ref) => !ref.startsWith('data:'));
+
+            for (const [refIndex, ref] of references.entries()) {
+                const ext = getExtension(ref, 'woff');
+                const path = `${ASSET_PREFIX}fonts/${index}/${refIndex}.${ext}`;
+                files.push({ name: path, data: await fetchBytes(new URL(ref, cssUrl).href) });
+                css = css.split(ref).join(path);
+            }
+
+            const path = `${ASSET_PREFIX}fonts/${index}.css`;
+            files.push({ name: path, data: css });
+            manifest.fonts.push({ family, path });
+        }
+    }
+
+    /**
+     * 묶음 파일을 읽어 경로를 blob url 로 바꾼 프로젝트를 돌려준다. 프로젝트를 불러오지는 않는다.
+     * @param {Blob|ArrayBuffer|Uint8Array} file
+     * @return {Promise<{project: Object, manifest: Object, revoke: function}>}
+     */
+    static async read(file) {
+        const buffer = file instanceof Blob ? await file.arrayBuffer() : file;
+        const entries = await readZip(buffer);
+        const readJSON = (path) => {
+            const bytes = entries.get(path);
+            if (!bytes) {
+                throw new Error(`${path} is missing in the project bundle`);
+            }
+            return JSON.parse(new TextDecoder().decode(bytes));
+        };
+
+        const manifest = readJSON(MANIFEST_PATH);
+        if (manifest.format !== FORMAT) {
+            throw new Error('This file is not an Entry project bundle');
+        } else if (manifest.version > VERSION) {
+            throw new Error(`Unsupported project bundle version: ${manifest.version}`);
+        }
+        const project = readJSON(PROJECT_PATH);
+
+        const objectUrls = new Map();
+        const toObjectUrl = (path) => {
+            if (!objectUrls.has(path)) {
+                const type = MIME_TYPES[getExtension(path)] || 'application/octet-stream';
+                const blob = new Blob([entries.get(path)], { type });
+                objectUrls.set(path, URL.createObjectURL(blob));
+            }
+            return objectUrls.get(path);
+        };
+        const resolve = (path) =>
+            path && path.startsWith(ASSET_PREFIX) && entries.has(path) ? toObjectUrl(path) : path;
+
+        (project.objects || []).forEach(({ sprite = {} }) => {
+            (sprite.pictures || []).forEach((picture) => {
+                picture.fileurl = resolve(picture.fileurl);
+                picture.thumbUrl = picture.fileurl;
+            });
+            (sprite.sounds || []).forEach((sound) => {
+                sound.fileurl = resolve(sound.fileurl);
+            });
+        });
+
+        project.tables = (manifest.tables || []).map(readJSON);
+
+        const fontStyles = (manifest.fonts || []).map(({ family, path }) => {
+            let css = new TextDecoder().decode(entries.get(path));
+            Array.from(entries.keys())
+                .filter((key) => key.startsWith(`${path.replace(/\.css$/, '')}/`))
+                .forEach((key) => {
+                    css = css.split(key).join(toObjectUrl(key));
+                });
+            return { family, css };
+        });
+
+        const learning = manifest.learning && {
+            url: manifest.learning.url,
+            objectUrl: toObjectUrl(manifest.learning.path),
+        };
+
+        return {
+            project,
+            manifest: { ...manifest, fontStyles, learning },
+            revoke() {
+                objectUrls.forEach((url) => URL.revokeObjectURL(url));
+                objectUrls.clear();
+            },
+        };
+    }
+
+    /**
+     * 묶음 파일을 읽어 글꼴과 학습 모델을 준비한 뒤 Entry.loadProject 로 불러온다.
+     * 앞서 불러온 묶음의 blob url 과 글꼴 스타일은 Entry.clearProject 에서 정리된다.
+     * @param {Blob|ArrayBuffer|Uint8Array} file
+     * @return {Promise<Object>} 불러온 프로젝트
+     */
+    static async load(file) {
+        const { project, manifest, revoke } = await ProjectBundle.read(file);
+
+        Entry.clearProject();
+
+        const styles = manifest.fontStyles.map(({ family, css }) => {
+            const style = document.createElement('style');
+            style.dataset.entryBundleFont = family;
+            style.textContent = css;
+            document.head.appendChild(style);
+            return style;
+        });
+        ProjectBundle._loaded = { revoke, styles };
+
+        const { learning } = manifest;
+        if (learning && Entry.aiLearning) {
+            // 묶음에 든 모델 주소만 바꾸고 loadModel 등 호스트가 준 나머지 api 는 그대로 쓴다.
+            const prevApi = Entry.aiLearning.getDataApi();
+            const { getModelDownloadUrl } = prevApi || {};
+            Entry.aiLearning.setDataApi({
+                ...prevApi,
+                getModelDownloadUrl: async (url) => {
+                    if (url === learning.url) {
+                        return learning.objectUrl;
+                    }
+                    return getModelDownloadUrl ? getModelDownloadUrl(url) : url;
+                },
+            });
+            ProjectBundle._loaded.prevApi = prevApi;
+        }
+
+        return Entry.loadProject(project);
+    }
+
+    /**
+     * 마지막으로 불러온 묶음이 만든 blob url 을 해제하고 글꼴 스타일을 지운다.
+     * 학습 모델 때문에 바꾼 aiLearning 의 data api 는 불러오기 전으로 되돌린다.
+     */
+    static unload() {
+        if (!ProjectBundle._loaded) {
+            return;
+        }
+        const { revoke, styles } = ProjectBundle._loaded;
+        styles.forEach((style) => style.remove());
+        if ('prevApi' in ProjectBundle._loaded && Entry.aiLearning) {
+            Entry.aiLearning.setDataApi(ProjectBundle._loaded.prevApi);
+        }
+        revoke();
+        ProjectBundle._loaded = null;
+    }
+}
@@ -0,0 +1,356 @@
+'use strict';
+
+import debounce from 'lodash/debounce';
+
+const CAST_BLOCKS = ['message_cast', 'message_cast_wait'];
+const RECEIVE_BLOCKS = ['when_message_cast'];
+const SET_VARIABLE_BLOCKS = ['set_variable', 'change_variable'];
+// 계속 반복하기 안에서 다음 실행까지 시간을 보내는 블록
+const WAIT_BLOCKS = [
+    'wait_second',
+    'wait_until_true',
+    'ask_and_wait',
+    'message_cast_wait',
+    'dialog_time',
+    'sound_something_wait_with_block',
+    'sound_something_second_wait_with_block',
+];
+
+const RULES = {
+    UNREACHABLE_BLOCK: 'unreachable_block',
+    MESSAGE_NOT_RECEIVED: 'message_not_received',
+    MESSAGE_NOT_CAST: 'message_not_cast',
+    VARIABLE_NOT_READ: 'variable_not_read',
+    FUNCTION_NOT_CALLED: 'function_not_called',
+    REPEAT_WITHOUT_WAIT: 'repeat_without_wait',
+    SCENE_NOT_STARTED: 'scene_not_started',
+};
+
+const SEVERITIES = {
+    [RULES.UNREACHABLE_BLOCK]: 'warning',
+    [RULES.MESSAGE_NOT_RECEIVED]: 'warning',
+    [RULES.MESSAGE_NOT_CAST]: 'warning',
+    [RULES.VARIABLE_NOT_READ]: 'info',
+    [RULES.FUNCTION_NOT_CALLED]: 'info',
+    [RULES.REPEAT_WITHOUT_WAIT]: 'warning',
+    [RULES.SCENE_NOT_STARTED]: 'warning',
+};
+
+const pushTo = (map, key, value) => {
+    if (!map.has(key)) {
+        map.set(key, []);
+    }
+    map.get(key).push(value);
+};
+
+/**
+ * 작품의 모든 오브젝트 코드와 함수 코드를 살펴 실행되지 않거나 쓰이지 않는 부분을 찾는다.
+ * - 시작 블록에 연결되지 않은 블록
+ * - 받는 블록이 없는 신호 보내기, 보내는 블록이 없는 신호 받기
+ * - 값을 정하기만 하고 읽지 않는 변수 (실행 화면에 보이는 변수는 읽는 것으로 본다)
+ * - 호출하지 않는 함수
+ * - 기다리는 블록이 없는 계속 반복하기
+ * - 시작하는 블록이 없는 장면 (다음/이전 장면 시작하기가 있으면 확인하지 않는다)
+ * 속성 패널의 'linter' 탭에 결과를 보여주고, 항목을 누르면 해당 블록으로 이동한다.
+ *
+ * 사용 예)
+ *   const issues = Entry.projectLinter.lint();
+ *   // [{ rule: 'message_not_received', severity: 'warning', message, object, block }, ...]
+ */
+class ProjectLinter {
+    static RULES = RULES;
+
+    constructor() {
+        this.visible = false;
+        this.issues = [];
+        this.update = debounce(this.update, 500);
+    }
+
+    /**
+     * @return {Array<Object>} { rule, severity, message, object?, func?, scene?, block? } 목록
+     */
+    lint() {
+        this.issues = [];
+        const refs = this._collectReferences();
+
+        this._checkMessages(refs);
+        this._checkVariables(refs);
+        this._checkFunctions(refs);
+        this._checkScenes(refs);
+        return this.issues;
+    }
+
+    _getSources() {
+        const objects = Entry.container
+            .getAllObjects()
+            .map((object) => ({ object, code: object.script }));
+        const functions = Object.values(Entry.variableContainer.functions_).map((func) => ({
+            func,
+            code: func.content,
+        }));
+        return objects.concat(functions).filter(({ code }) => code instanceof Entry.Code);
+    }
+
+    _collectReferences() {
+        const { messages_, variables_ } = Entry.variableContainer;
+        const messageIds = messages_.map(({ id }) => id);
+        const variableIds = variables_.map(({ id_ }) => id_);
+        const refs = {
+            casts: new Map(),
+            receives: new Map(),
+            variableSets: new Map(),
+            variableReads: new Map(),
+            funcCalls: new Map(),
+            sceneStarts: new Map(),
+            hasNeighborSceneStart: false,
+        };
+
+        this._getSources().forEach((source) => {
+            source.code.getThreads().forEach((thread) => {
+                const firstBlock = thread.getFirstBlock();
+                if (!(firstBlock instanceof Entry.Block)) {
+                    return;
+                }
+                this._checkThread(thread, firstBlock, source);
+
+                thread.getBlockList().forEach((block) => {
+                    const reference = { block, ...source };
+                    const params = block.params.filter((param) => typeof param === 'string');
+                    const { type } = block;
+
+                    params
+                        .filter((param) => messageIds.includes(param))
+                        .forEach((id) => {
+                            if (CAST_BLOCKS.includes(type)) {
+                                pushTo(refs.casts, id, reference);
+                            } else if (RECEIVE_BLOCKS.includes(type)) {
+                                pushTo(refs.receives, id, reference);
+                            }
+                        });
+                    params
+                        .filter((param) => variableIds.includes(param))
+                        .forEach((id) => {
+                            const map = SET_VARIABLE_BLOCKS.includes(type)
+                                ? refs.variableSets
+                                : refs.variableReads;
+                            pushTo(map, id, reference);
+                        });
+
+                    if (type === 'start_scene') {
+                        params.forEach((id) => pushTo(refs.sceneStarts, id, reference));
+                    } else if (type === 'start_neighbor_scene') {
+                        refs.hasNeighborSceneStart = true;
+                    } else if (type.startsWith('func_')) {
+                        const id = type.substr(5);
+                        // 함수 안에서 자기 자신을 부르는 것은 호출로 세지 않는다.
+                        if (!source.func || source.func.id !== id) {
+                            pushTo(refs.funcCalls, id, reference);
+                        }
+                    } else if (type === 'repeat_inf' && !this._hasWait(block.statements[0])) {
+                        this._report(RULES.REPEAT_WITHOUT_WAIT, { block, ...source });
+                    }
+                });
+            });
+        });
+        return refs;
+    }
+
+    _checkThread(thread, firstBlock, source) {
+        const isFunctionDefinition = source.func && firstBlock.type.startsWith('function_create');
+        if (isFunctionDefinition || _.result(firstBlock._schema, 'event')) {
+            return;
+        }
+        this._report(RULES.UNREACHABLE_BLOCK, { block: firstBlock, ...source });
+    }
+
+    /**
+     * @param {Entry.Thread} thread 반복하는 블록들
+     * @param {Array<string>=} visitedFuncs 이미 살펴본 함수 (재귀 호출)
+     */
+    _hasWait(thread, visitedFuncs = []) {
+        if (!(thread instanceof Entry.Thread)) {
+            return false;
+        }
+        return thread.getBlockList().some(({ type }) => {
+            if (WAIT_BLOCKS.includes(type)) {
+                return true;
+            } else if (!type.startsWith('func_') || visitedFuncs.includes(type)) {
+                return false;
+            }
+            const func = Entry.variableContainer.functions_[type.substr(5)];
+            return (
+                !!func &&
+                func.content
+                    .getThreads()
+                    .some((funcThread) => this._hasWait(funcThread, [...visitedFuncs, type]))
+            );
+        });
+    }
+
+    _checkMessages({ casts, receives }) {
+        Entry.variableContainer.messages_.forEach(({ id, name }) => {
+            const [cast] = casts.get(id) || [];
+            const [receive] = receives.get(id) || [];
+            if (cast && !receive) {
+                this._report(RULES.MESSAGE_NOT_RECEIVED, cast, name);
+            } else if (receive && !cast) {
+                this._report(RULES.MESSAGE_NOT_CAST, receive, name);
+            }
+        });
+    }
+
+    _checkVariables({ variableSets, variableReads }) {
+        Entry.variableContainer.variables_.forEach((variable) => {
+            const [set] = variableSets.get(variable.id_) || [];
+            if (set && !variableReads.has(variable.id_) && !variable.isVisible()) {
+                this._report(RULES.VARIABLE_NOT_READ, set, variable.name_);
+            }
+        });
+    }
+
+    _checkFunctions({ funcCalls }) {
+        Object.values(Entry.variableContainer.functions_).forEach((func) => {
+            if (funcCalls.has(func.id)) {
+                return;
+            }
+            const definition = func.content && func.content.getThreads()[0];
+            this._report(
+                RULES.FUNCTION_NOT_CALLED,
+                { func, block: definition && definition.getFirstBlock() },
+                (func.description || '').trim()
+            );
+        });
+    }
+
+    _checkScenes({ sceneStarts, hasNeighborSceneStart }) {
+        if (hasNeighborSceneStart) {
+            return;
+        }
+        // 첫 장면은 시작하기 버튼으로 시작한다.
+        Entry.scene
+            .getScenes()
+            .slice(1)
+            .forEach((scene) => {
+                if (!sceneStarts.has(scene.id)) {
+                    this._report(RULES.SCENE_NOT_STARTED, { scene }, scene.name);
+                }
+            });
+    }
+
+    _report(rule, target, name = '') {
+        const message = Entry.Utils.stringFormat(Lang.Workspace[`project_lint_${rule}`], name);
+        const { object, func, scene, block } = target;
+        this.issues.push({ rule, severity: SEVERITIES[rule], message, object, func, scene, block });
+    }
+
+    /**
+     * 문제가 있는 블록을 보여준다. 다른 오브젝트나 함수의 블록이면 먼저 그 코드를 연다.
+     */
+    focus({ object, func, scene, block }) {
+        if (scene) {
+            Entry.scene.selectScene(scene);
+            return;
+        }
+        if (Entry.getMainWS().getMode() !== Entry.Workspace.MODE_BOARD && !func) {
+            return;
+        }
+        if (func) {
+            Entry.Func.edit(func);
+        } else if (object && Entry.playground.object !== object) {
+            Entry.container.selectObject();
+            Entry.container.selectObject(object.id, true);
+        }
+
+        const board = _.result(block && block.view, 'getBoard');
+        if (board) {
+            board.scrollToPointer(block.pointer());
+            board.setSelectedBlock(block.view);
+        }
+    }
+
+    _getLocationName({ object, func }) {
+        if (object) {
+            return object.name;
+        } else if (func) {
+            return (func.description || '').trim();
+        }
+        return '';
+    }
+
+    generateView(parentView) {
+        if (this.view) {
+            return;
+        }
+        const view = Entry.createElement('div').addClass('entryProjectLinterWorkspace');
+        const header = Entry.createElement('div')
+            .addClass('entryProjectLinterHeader')
+            .appendTo(view);
+        this._summaryView = Entry.createElement('span')
+            .addClass('entryProjectLinterSummary')
+            .appendTo(header);
+        const refreshButton = Entry.createElement('button')
+            .addClass('entryProjectLinterRefresh')
+            .appendTo(header);
+        refreshButton.textContent = Lang.Workspace.project_lint_refresh;
+        refreshButton.bindOnClick(() => this.render());
+        this._listView = Entry.createElement('ul')
+            .addClass('entryProjectLinterList')
+            .appendTo(view);
+
+        this.view = view;
+        parentView && parentView.appendChild(view);
+
+        if (!Entry.codeChangedEvent) {
+            Entry.codeChangedEvent = new Entry.Event(window);
+        }
+        Entry.codeChangedEvent.attach(this, () => this.visible && this.update());
+    }
+
+    getView() {
+        return this.view;
+    }
+
+    /**
+     * 속성 패널에서 탭을 선택하면 불린다.
+     */
+    resize() {
+        this.update();
+    }
+
+    update() {
+        this.render();
+    }
+
+    render() {
+        if (!this.view) {
+            return;
+        }
+        const issues = this.lint();
+        this._summaryView.textContent = issues.length
+            ? Entry.Utils.stringFormat(Lang.Workspace.project_lint_count, issues.length)
+            : Lang.Workspace.project_lint_no_problem;
+
+        const fragment = document.createDocumentFragment();
+        issues.forEach((issue) => {
+            const element = Entry.createElement('li').addClass(
+                `entryProjectLinterItem ${issue.severity}`
+            );
+            const location = this._getLocationName(issue);
+            if (location) {
+                Entry.createElement('span').addClass('location').appendTo(element).textContent =
+                    location;
+            }
+            Entry.createElement('span').addClass('message').appendTo(element).textContent =
+                issue.message;
+            element.bindOnClick((e) => {
+                e.stopPropagation();
+                this.focus(issue);
+            });
+            fragment.appendChild(element);
+        });
+        this._listView.innerHTML = '';
+        this._listView.appendChild(fragment);
+    }
+}
+
+Entry.ProjectLinter = ProjectLinter;
@@ -0,0 +1,208 @@
+'use strict';
+
+import _cloneDeep from 'lodash/cloneDeep';
+import projectSchema, { CURRENT_VERSION } from './schema';
+import SchemaValidator from './validator';
+import defaultMigrations, { forEachBlock, renameBlocks, removeParams } from './migrations';
+
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * @param {Array<{path: string, message: string}>} errors
+ */
+function ProjectValidationError(errors) {
+    const lines = errors
+        .slice(0, MAX_REPORTED_ERRORS)
+        .map(({ path, message }) => `${path} ${message}`);
+    if (errors.length > MAX_REPORTED_ERRORS) {
+        lines.push(`...and ${errors.length - MAX_REPORTED_ERRORS} more`);
+    }
+    this.name = 'ProjectValidationError';
+    this.message = `Invalid project:\n${lines.join('\n')}`;
+    this.errors = errors;
+}
+ProjectValidationError.prototype = new Error();
+ProjectValidationError.prototype.constructor = ProjectValidationError;
+
+/**
+ * Entry.loadProject 전에 프로젝트를 최신 형식으로 변환(migrate)하고 형식을 검사(validate)한다.
+ */
+class ProjectSchema {
+    constructor() {
+        this.CURRENT_VERSION = CURRENT_VERSION;
+        this.schema = projectSchema;
+        this.validator = new SchemaValidator(projectSchema);
+        this.migrations = [...defaultMigrations];
+    }
+
+    /**
+     * version 버전 프로젝트를 version + 1 버전으로 바꾸는 변환을 추가한다.
+     * @param {number} version
+     * @param {function(Object): Object} migrate
+     */
+    addMigration(version, migrate) {
+        this.migrations.push({ version, migrate });
+        this.migrations.sort((a, b) => a.version - b.version);
+    }
+
+    getVersion(project) {
+        return Number.isInteger(project.schemaVersion) ? project.schemaVersion : 0;
+    }
+
+    /**
+     * 최신 버전이면 project 를 그대로, 아니면 복사본을 변환하여 돌려준다.
+     * @param {Object} project
+     * @return {Object}
+     */
+    migrate(project) {
+        const version = this.getVersion(project);
+        if (version > CURRENT_VERSION) {
+            throw new ProjectValidationError([
+                {
+                    path: 'schemaVersion',
+                    message: `${version} is newer than the supported version ${CURRENT_VERSION}`,
+                },
+            ]);
+        } else if (version === CURRENT_VERSION) {
+            return project;
+        }
+
+        const migrated = this.migrations
+            .filter(
+                (migration) => migration.version >= version && migration.version < CURRENT_VERSION
+            )
+            .reduce((result, { migrate }) => migrate(result) || result, _cloneDeep(project));
+        migrated.schemaVersion = CURRENT_VERSION;
+        return migrated;
+    }
+
+    /**
+     * 형식 오류(errors)가 있으면 불러올 수 없고, 경고(warnings)는 불러올 수는 있다.
+     * 각 항목은 { path: 'objects[0].script[1][0].type', message: 'is required' } 형태이다.
+     * @param {Object} project
+     * @return {{errors: Array<Object>, warnings: Array<Object>}}
+     */
+    validate(project) {
+        const errors = this.validator.validate(project);
+        const warnings = [];
+        if (!errors.length) {
+            errors.push(...this._validateReferences(project));
+            warnings.push(...this._findUnknownBlocks(project));
+        }
+        return { errors, warnings };
+    }
+
+    /**
+     * 변환 후 검사까지 마친 프로젝트를 돌려준다.
+     * 스키마가 예상하지 못한 프로젝트도 지금처럼 불러올 수 있도록, strict 가 아니면 오류를 경고로만 남긴다.
+     * 이때 변환하지 못한 프로젝트는 받은 그대로 돌려준다.
+     * @param {Object} project
+     * @param {Object=} options
+     * @param {boolean=} options.strict 형식 오류가 있으면 불러오지 않는다.
+     * @throws {ProjectValidationError} strict 일 때 형식 오류가 있는 경우
+     */
+    prepare(project, { strict = false } = {}) {
+        let migrated;
+        try {
+            migrated = this.migrate(project);
+        } catch (e) {
+            if (strict) {
+                throw e;
+            }
+            console.warn(e.message);
+            return project;
+        }
+        const { errors, warnings } = this.validate(migrated);
+        if (errors.length) {
+            const error = new ProjectValidationError(errors);
+            if (strict) {
+                throw error;
+            }
+            console.warn(error.message);
+        }
+        warnings.forEach(({ path, message }) => console.warn(`${path} ${message}`));
+        return migrated;
+    }
+
+    /**
+     * JSON Schema 로 표현할 수 없는 id 참조를 검사한다.
+     */
+    _validateReferences({ scenes, objects, functions = [] }) {
+        const errors = [];
+        const sceneIds = new Set(scenes.map(({ id }) => id));
+        const objectIds = new Set();
+        const functionIds = new Set();
+
+        objects.forEach(({ id, scene, objectType, selectedPictureId, sprite }, index) => {
+            const path = `objects[${index}]`;
+            if (objectIds.has(id)) {
+                errors.push({ path: `${path}.id`, message: `duplicates object id "${id}"` });
+            }
+            objectIds.add(id);
+            if (!sceneIds.has(scene)) {
+                errors.push({
+                    path: `${path}.scene`,
+                    message: `refers to unknown scene "${scene}"`,
+                });
+            }
+            if (objectType === 'sprite') {
+                if (!sprite.pictures.length) {
+                    errors.push({
+                        path: `${path}.sprite.pictures`,
+                        message: 'must have a picture',
+                    });
+                } else if (
+                    selectedPictureId &&
+                    !sprite.pictures.some((picture) => picture.id === selectedPictureId)
+                ) {
+                    errors.push({
+                        path: `${path}.selectedPictureId`,
+                        message: `refers to unknown picture "${selectedPictureId}"`,
+                    });
+                }
+            }
+        });
+
+        functions.forEach(({ id }, index) => {
+            if (functionIds.has(id)) {
+                errors.push({
+                    path: `functions[${index}].id`,
+                    message: `duplicates function id "${id}"`,
+                });
+            }
+            functionIds.add(id);
+        });
+        return errors;
+    }
+
+    /**
+     * 블록 정의를 찾을 수 없는 블록. 확장/하드웨어 블록은 나중에 불러올 수 있으므로 경고로만 남긴다.
+     */
+    _findUnknownBlocks(project) {
+        if (!Entry.block) {
+            return [];
+        }
+        const functionIds = new Set((project.functions || []).map(({ id }) => id));
+        const unknownTypes = new Set();
+        forEachBlock(project, ({ type }) => {
+            // 블록에 붙지 않은 메모도 스레드에 블록처럼 저장된다.
+            if (type === 'comment') {
+                return;
+            }
+            const isFunctionBlock = type.startsWith('func_') && functionIds.has(type.substr(5));
+            if (!Entry.block[type] && !isFunctionBlock) {
+                unknownTypes.add(type);
+            }
+        });
+        return Array.from(unknownTypes, (type) => ({
+            path: 'script',
+            message: `uses unknown block "${type}"`,
+        }));
+    }
+}
+
+Entry.ProjectSchema = new ProjectSchema();
+Entry.ProjectSchema.ProjectValidationError = ProjectValidationError;
+Entry.ProjectSchema.helpers = { forEachBlock, renameBlocks, removeParams };
+
+export default Entry.ProjectSchema;
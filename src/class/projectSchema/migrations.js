@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * 이전 버전 프로젝트를 다음 버전 형식으로 바꾸는 변환 목록.
+ * schemaVersion 이 없는 프로젝트는 0 버전으로 보며, version 이 n 인 변환은 n 버전을 n + 1 버전으로 바꾼다.
+ * 블록 이름이 바뀌거나 파라미터가 없어지면 renameBlocks, removeParams 로 변환을 추가한다.
+ *
+ * 예)
+ *   { version: 2, migrate: (project) => renameBlocks(project, { old_block: 'new_block' }) }
+ */
+
+// 연산자마다 따로 있던 예전 계산 블록. 가운데 글자 파라미터 자리에 연산자를 넣으면 calc_basic 과 같다.
+const LEGACY_CALC_OPERATORS = {
+    calc_minus: 'MINUS',
+    calc_times: 'MULTI',
+    calc_divide: 'DIVIDE',
+};
+
+const parseScript = (script) => {
+    if (typeof script !== 'string') {
+        return script;
+    }
+    try {
+        return JSON.parse(script);
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * 오브젝트와 함수의 모든 블록(파라미터 안의 블록, 안쪽 블록 포함)에 callback 을 호출한다.
+ * callback 이 true 를 반환하면 수정된 것으로 보고, 문자열로 저장된 스크립트는 다시 문자열로 저장한다.
+ * @param {Object} project
+ * @param {function(Object): boolean} callback 블록 JSON 을 직접 수정한다.
+ */
+export function forEachBlock(project, callback) {
+    let changed = false;
+    const visitThreads = (threads) =>
+        (threads || []).forEach((thread) => (thread || []).forEach(visitBlock));
+    const visitBlock = (block) => {
+        if (!block || typeof block !== 'object') {
+            return;
+        }
+        changed = callback(block) === true || changed;
+        (block.params || []).forEach(visitBlock);
+        (block.statements || []).forEach((thread) => visitThreads([thread]));
+    };
+    const visitScript = (owner, key) => {
+        const script = parseScript(owner[key]);
+        if (!Array.isArray(script)) {
+            return;
+        }
+        changed = false;
+        visitThreads(script);
+        if (changed && typeof owner[key] === 'string') {
+            owner[key] = JSON.stringify(script);
+        }
+    };
+
+    (project.objects || []).forEach((object) => visitScript(object, 'script'));
+    (project.functions || []).forEach((func) => visitScript(func, 'content'));
+    return project;
+}
+
+/**
+ * @param {Object} project
+ * @param {Object<string, string>} renameMap 이전 블록 이름: 새 블록 이름
+ */
+export function renameBlocks(project, renameMap) {
+    return forEachBlock(project, (block) => {
+        if (renameMap[block.type]) {
+            block.type = renameMap[block.type];
+            return true;
+        }
+        return false;
+    });
+}
+
+/**
+ * @param {Object} project
+ * @param {string} type 블록 이름
+ * @param {Array<number>} indexes 없어진 파라미터의 (이전 버전 기준) 위치
+ */
+export function removeParams(project, type, indexes) {
+    return forEachBlock(project, (block) => {
+        if (block.type === type && Array.isArray(block.params)) {
+            block.params = block.params.filter((param, index) => !indexes.includes(index));
+            return true;
+        }
+        return false;
+    });
+}
+
+export default [
+    {
+        // schemaVersion 이 생기기 전 프로젝트. 생략되어 있던 기본값을 채운다.
+        version: 0,
+        migrate(project) {
+            ['variables', 'messages', 'functions', 'tables'].forEach((key) => {
+                project[key] = project[key] || [];
+            });
+            project.variables.forEach((variable) => {
+                variable.variableType = variable.variableType || 'variable';
+            });
+            (project.objects || []).forEach((object) => {
+                object.objectType = object.objectType || 'sprite';
+                object.script = object.script || '[]';
+                object.entity = object.entity || {};
+                object.sprite = object.sprite || {};
+                object.sprite.pictures = object.sprite.pictures || [];
+                object.sprite.sounds = object.sprite.sounds || [];
+            });
+            project.functions.forEach((func) => {
+                func.type = func.type || 'normal';
+            });
+            return project;
+        },
+    },
+    {
+        version: 1,
+        migrate(project) {
+            return forEachBlock(project, (block) => {
+                const operator = LEGACY_CALC_OPERATORS[block.type];
+                if (!operator) {
+                    return false;
+                }
+                const [leftHand = null, , rightHand = null] = block.params || [];
+                block.type = 'calc_basic';
+                block.params = [leftHand, operator, rightHand];
+                return true;
+            });
+        },
+    },
+];
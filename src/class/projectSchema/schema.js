@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * 프로젝트 파일 형식(JSON Schema draft-07 의 일부 키워드만 사용).
+ * script, function content 처럼 문자열로 저장된 JSON 은 contentMediaType/contentSchema 로 검사한다.
+ * 스키마가 바뀌면 CURRENT_VERSION 을 올리고 migrations.js 에 이전 버전을 변환하는 함수를 추가한다.
+ */
+export const CURRENT_VERSION = 2;
+
+const scriptSchema = {
+    type: 'array',
+    items: { $ref: '#/definitions/thread' },
+};
+
+const jsonScriptSchema = {
+    type: ['string', 'array'],
+    contentMediaType: 'application/json',
+    contentSchema: scriptSchema,
+};
+
+export default {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Entry project',
+    type: 'object',
+    required: ['objects', 'scenes'],
+    definitions: {
+        thread: {
+            type: 'array',
+            items: { $ref: '#/definitions/block' },
+        },
+        block: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                id: { type: 'string' },
+                type: { type: 'string', minLength: 1 },
+                x: { type: ['number', 'string'] },
+                y: { type: ['number', 'string'] },
+                params: {
+                    type: 'array',
+                    items: {
+                        anyOf: [
+                            { type: ['string', 'number', 'boolean', 'null', 'array'] },
+                            { $ref: '#/definitions/block' },
+                        ],
+                    },
+                },
+                statements: {
+                    type: 'array',
+                    items: { $ref: '#/definitions/thread' },
+                },
+            },
+        },
+        picture: {
+            type: 'object',
+            required: ['id', 'name'],
+            properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                fileurl: { type: 'string' },
+                filename: { type: 'string' },
+                dimension: {
+                    type: 'object',
+                    required: ['width', 'height'],
+                    properties: {
+                        width: { type: 'number' },
+                        height: { type: 'number' },
+                    },
+                },
+            },
+        },
+        sound: {
+            type: 'object',
+            required: ['id', 'name'],
+            properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                fileurl: { type: 'string' },
+                filename: { type: 'string' },
+                duration: { type: 'number' },
+            },
+        },
+    },
+    properties: {
+        schemaVersion: { type: 'integer' },
+        speed: { type: 'number' },
+        scenes: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                },
+            },
+        },
+        objects: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'scene', 'objectType', 'sprite', 'entity', 'script'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    scene: { type: 'string' },
+                    objectType: { enum: ['sprite', 'textBox'] },
+                    rotateMethod: { enum: ['free', 'vertical', 'none'] },
+                    selectedPictureId: { type: 'string' },
+                    script: jsonScriptSchema,
+                    sprite: {
+                        type: 'object',
+                        required: ['pictures', 'sounds'],
+                        properties: {
+                            pictures: { type: 'array', items: { $ref: '#/definitions/picture' } },
+                            sounds: { type: 'array', items: { $ref: '#/definitions/sound' } },
+                        },
+                    },
+                    entity: {
+                        type: 'object',
+                        properties: {
+                            x: { type: 'number' },
+                            y: { type: 'number' },
+                            rotation: { type: 'number' },
+                            direction: { type: 'number' },
+                        },
+                    },
+                },
+            },
+        },
+        variables: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'variableType'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    variableType: { type: 'string' },
+                    object: { type: ['string', 'null'] },
+                    array: { type: 'array' },
+                },
+            },
+        },
+        messages: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                },
+            },
+        },
+        functions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'content'],
+                properties: {
+                    id: { type: 'string' },
+                    type: { enum: ['normal', 'value'] },
+                    content: jsonScriptSchema,
+                },
+            },
+        },
+        tables: { type: 'array' },
+        expansionBlocks: { type: 'array', items: { type: 'string' } },
+        aiUtilizeBlocks: { type: 'array', items: { type: 'string' } },
+        hardwareLiteBlocks: { type: 'array', items: { type: 'string' } },
+        tests: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string' },
+                    ticks: { type: 'integer' },
+                    trigger: {
+                        type: 'object',
+                        required: ['type'],
+                        properties: { type: { enum: ['start', 'message', 'key', 'click'] } },
+                    },
+                },
+            },
+        },
+    },
+};
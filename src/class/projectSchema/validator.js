@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * schema.js 에서 사용하는 JSON Schema 키워드만 처리하는 작은 검사기.
+ * type, enum, required, properties, items, minItems, minLength, anyOf, $ref(#/definitions/...),
+ * contentMediaType('application/json') + contentSchema 를 지원한다.
+ */
+
+const getType = (value) => {
+    if (value === null) {
+        return 'null';
+    } else if (Array.isArray(value)) {
+        return 'array';
+    } else if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = getType(value);
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(
+        (expected) => expected === actual || (expected === 'number' && actual === 'integer')
+    );
+};
+
+const joinPath = (path, key) => {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+};
+
+const describe = (value) => {
+    const type = getType(value);
+    return type === 'integer' ? 'number' : type;
+};
+
+export default class SchemaValidator {
+    constructor(rootSchema) {
+        this.rootSchema = rootSchema;
+    }
+
+    /**
+     * @param {*} data
+     * @return {Array<{path: string, message: string}>} 빈 배열이면 유효하다.
+     */
+    validate(data) {
+        const errors = [];
+        this._validate(this.rootSchema, data, '', errors);
+        return errors;
+    }
+
+    _resolve(schema) {
+        let resolved = schema;
+        while (resolved && resolved.$ref) {
+            const keys = resolved.$ref.replace(/^#\//, '').split('/');
+            resolved = keys.reduce((node, key) => node && node[key], this.rootSchema);
+            if (!resolved) {
+                throw new Error(`Unknown schema reference: ${schema.$ref}`);
+            }
+        }
+        return resolved;
+    }
+
+    _validate(schema, data, path, errors) {
+        const resolved = this._resolve(schema);
+        const {
+            type,
+            anyOf,
+            contentMediaType,
+            contentSchema,
+            required = [],
+            properties,
+            items,
+            minItems,
+            minLength,
+        } = resolved;
+        const location = path || '(root)';
+
+        if (type && !matchesType(data, type)) {
+            const expected = Array.isArray(type) ? type.join(' or ') : type;
+            errors.push({
+                path: location,
+                message: `expected ${expected} but got ${describe(data)}`,
+            });
+            return;
+        }
+        if (resolved.enum && !resolved.enum.includes(data)) {
+            const allowed = resolved.enum.map((value) => JSON.stringify(value)).join(', ');
+            errors.push({ path: location, message: `must be one of ${allowed}` });
+            return;
+        }
+        if (anyOf) {
+            this._validateAnyOf(anyOf, data, path, errors);
+            return;
+        }
+
+        if (contentMediaType === 'application/json' && typeof data === 'string') {
+            let parsed;
+            try {
+                parsed = JSON.parse(data);
+            } catch (e) {
+                errors.push({ path: location, message: `is not valid JSON (${e.message})` });
+                return;
+            }
+            contentSchema && this._validate(contentSchema, parsed, path, errors);
+            return;
+        } else if (contentSchema && typeof data !== 'string') {
+            this._validate(contentSchema, data, path, errors);
+            return;
+        }
+
+        const dataType = getType(data);
+        if (dataType === 'string' && minLength !== undefined && data.length < minLength) {
+            errors.push({ path: location, message: 'must not be empty' });
+        }
+        if (dataType === 'array') {
+            if (minItems !== undefined && data.length < minItems) {
+                errors.push({ path: location, message: `must have at least ${minItems} item(s)` });
+            }
+            items &&
+                data.forEach((item, index) =>
+                    this._validate(items, item, joinPath(path, index), errors)
+                );
+        }
+        if (dataType === 'object') {
+            required
+                .filter((key) => data[key] === undefined)
+                .forEach((key) =>
+                    errors.push({ path: joinPath(path, key), message: 'is required' })
+                );
+            Object.entries(properties || {}).forEach(([key, propertySchema]) => {
+                if (data[key] !== undefined) {
+                    this._validate(propertySchema, data[key], joinPath(path, key), errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * 값의 형식과 맞는 첫 번째 후보의 오류를 그대로 보여준다. (블록 파라미터 안의 블록 오류 등)
+     */
+    _validateAnyOf(candidates, data, path, errors) {
+        let fallback = null;
+        for (const candidate of candidates) {
+            const candidateErrors = [];
+            this._validate(candidate, data, path, candidateErrors);
+            if (!candidateErrors.length) {
+                return;
+            }
+            const { type } = this._resolve(candidate);
+            if (!fallback && (!type || matchesType(data, type))) {
+                fallback = candidateErrors;
+            }
+        }
+        errors.push(
+            ...(fallback || [{ path: path || '(root)', message: `unexpected ${describe(data)}` }])
+        );
+    }
+}
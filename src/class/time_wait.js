@@ -23,13 +23,20 @@ Entry.TimeWaitManager = {
     },
 };
 
+const defaultClock = {
+    now: () => performance.now(),
+    setTimeout: (cb, ms) => setTimeout(cb, ms),
+    clearTimeout: (timer) => clearTimeout(timer),
+};
+
 Entry.TimeWait = class TimeWait {
     constructor(id, cb, ms) {
         this.id = id;
         this.cb = cb;
         this.ms = ms;
-        this.startTime = performance.now();
-        this.timer = setTimeout(this.callback.bind(this), ms);
+        this.clock = (Entry.engine && Entry.engine.clock) || defaultClock;
+        this.startTime = this.clock.now();
+        this.timer = this.clock.setTimeout(this.callback.bind(this), ms);
     }
 
     callback() {
@@ -41,14 +48,14 @@ Entry.TimeWait = class TimeWait {
 
     pause() {
         if (this.timer) {
-            this.ms = this.ms - (performance.now() - this.startTime);
-            clearTimeout(this.timer);
+            this.ms = this.ms - (this.clock.now() - this.startTime);
+            this.clock.clearTimeout(this.timer);
         }
     }
 
     resume() {
-        this.timer = setTimeout(this.callback.bind(this), this.ms);
-        this.startTime = performance.now();
+        this.timer = this.clock.setTimeout(this.callback.bind(this), this.ms);
+        this.startTime = this.clock.now();
     }
 
     destroy() {
@@ -0,0 +1,102 @@
+import ListVariable from './listVariable';
+
+/**
+ * 키와 값을 짝지어 저장하는 사전 변수.
+ * 항목을 리스트와 같은 { key, data } 모양으로 넣은 순서대로 저장하므로
+ * 실행 화면의 모양과 공유 변수(dmet) 동기화는 리스트를 따른다.
+ */
+class DictVariable extends ListVariable {
+    get VARIABLE_TYPE() {
+        return 'dict';
+    }
+
+    constructor(variable) {
+        super(variable);
+        this.array_ = this.array_.map(({ key, data }) => ({ key: String(key), data }));
+    }
+
+    /**
+     * @return {Object} 키와 값의 plain object
+     */
+    getDict() {
+        return this.getArray().reduce((dict, { key, data }) => {
+            dict[key] = data;
+            return dict;
+        }, {});
+    }
+
+    /**
+     * @param {Object} dict 키와 값의 plain object. 값은 숫자나 문자만 넣을 수 있다.
+     */
+    setDict(dict) {
+        return this.setArray(_.map(dict, (data, key) => ({ key, data })));
+    }
+
+    getKeys() {
+        return this.getArray().map(({ key }) => key);
+    }
+
+    hasKey(key) {
+        return !!this._findItem(key);
+    }
+
+    getItem(key) {
+        const item = this._findItem(key);
+        return item ? item.data : undefined;
+    }
+
+    setItem(key, data) {
+        key = String(key);
+        if (!this.isRealTime_) {
+            const item = this._findItem(key);
+            if (item) {
+                item.data = data;
+            } else {
+                this.array_.push({ key, data });
+            }
+            this.updateView();
+        } else {
+            return this._syncCloud(() => this.cloudVariable.setItem(this._getTarget(), key, data));
+        }
+    }
+
+    deleteItem(key) {
+        key = String(key);
+        if (!this.isRealTime_) {
+            const item = this._findItem(key);
+            if (item) {
+                this.array_.splice(this.array_.indexOf(item), 1);
+                this.updateView();
+            }
+        } else {
+            return this._syncCloud(() => this.cloudVariable.deleteItem(this._getTarget(), key));
+        }
+    }
+
+    _findItem(key) {
+        key = String(key);
+        return this.getArray().find((item) => item.key === key);
+    }
+
+    _getTarget() {
+        return {
+            variableType: this.type,
+            id: this.id_,
+        };
+    }
+
+    async _syncCloud(operation) {
+        await operation();
+        const dict = this.cloudVariable.get(this._getTarget());
+        if (dict) {
+            this.array_ = dict.array;
+        }
+        this.updateView();
+    }
+
+    _getElementText(item) {
+        return `${item?.key}: ${item?.data ?? 'undefined'}`;
+    }
+}
+
+export default DictVariable;
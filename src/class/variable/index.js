@@ -1,5 +1,6 @@
 import SttVariable from './sttVariable';
 import AnswerVariable from './answerVariable';
+import DictVariable from './dictVariable';
 import ListVariable from './listVariable';
 import SlideVariable from './slideVariable';
 import TimerVariable from './timerVariable';
@@ -15,6 +16,8 @@ Entry.Variable.create = (variableMetadata) => {
             return new AnswerVariable(variableMetadata);
         case 'list':
             return new ListVariable(variableMetadata);
+        case 'dict':
+            return new DictVariable(variableMetadata);
         case 'slide':
             return new SlideVariable(variableMetadata);
         case 'timer':
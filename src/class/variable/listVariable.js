@@ -7,9 +7,13 @@ class ListVariable extends Variable {
         return 5000;
     }
 
+    get VARIABLE_TYPE() {
+        return 'list';
+    }
+
     constructor(variable) {
-        Entry.assert(variable.variableType === 'list', 'Invalid variable type given');
         super(variable);
+        Entry.assert(variable.variableType === this.VARIABLE_TYPE, 'Invalid variable type given');
         this.array_ = variable.array ? variable.array : [];
 
         if (!variable.isClone) {
@@ -404,7 +408,7 @@ class ListVariable extends Variable {
                     this.elementView.indexView.text = i + 1;
                 }
 
-                const text = String(arr?.[i]?.data ?? 'undefined');
+                const text = this._getElementText(arr[i]);
                 const valueView = this.elementView.valueView;
                 const cachedText = _cache[text.substr(0, 150)];
 
@@ -449,6 +453,10 @@ class ListVariable extends Variable {
         Entry.requestUpdate = true;
     }
 
+    _getElementText(item) {
+        return String(item?.data ?? 'undefined');
+    }
+
     _createListElementView(wrapperWidth) {
         const elementView = GEHelper.newContainer();
         const indexView = GEHelper.textHelper.newText('', this.FONT, '#000000', 'middle');
@@ -5,6 +5,7 @@
 
 import SimpleBar from 'simplebar';
 import xssFilters from 'xss-filters';
+import { saveAs } from 'file-saver';
 import CloudVariable from '../extensions/CloudVariable';
 import _get from 'lodash/get';
 import _isFunction from 'lodash/isFunction';
@@ -13,6 +14,17 @@ import _includes from 'lodash/includes';
 import _some from 'lodash/some';
 import _memoize from 'lodash/memoize';
 
+// 지역 변수를 쓰지 않으면 함께 지우는 블록
+const LOCAL_VARIABLE_BLOCKS = [
+    'set_func_variable',
+    'get_func_variable',
+    'add_value_to_func_list',
+    'remove_value_from_func_list',
+    'change_value_func_list_index',
+    'value_of_index_from_func_list',
+    'length_of_func_list',
+];
+
 /**
  * Block variable constructor
  * @param {variable model} variable
@@ -24,6 +36,7 @@ Entry.VariableContainer = class VariableContainer {
         this.variables_ = [];
         this.messages_ = [];
         this.lists_ = [];
+        this.dicts_ = [];
         this.functions_ = {};
         this.viewMode_ = 'all';
         this.selected = null;
@@ -43,6 +56,14 @@ Entry.VariableContainer = class VariableContainer {
                 isRealTime: false,
             },
         };
+        this.dictAddPanel = {
+            isOpen: false,
+            info: {
+                object: null,
+                isCloud: false,
+                isRealTime: false,
+            },
+        };
         this.messageAddPanel = {
             isOpen: false,
             info: {
@@ -140,6 +161,7 @@ Entry.VariableContainer = class VariableContainer {
         this.generateAddButtons();
         this.generateVariableAddView();
         this.generateListAddView();
+        this.generateDictAddView();
         this.generateMessageAddView();
 
         return view;
@@ -159,6 +181,10 @@ Entry.VariableContainer = class VariableContainer {
         listAddButton.textContent = Lang.Workspace.list_create;
         this.listAddButton_ = listAddButton;
 
+        const dictAddButton = createElement('button').addClass('entryVariableAddWorkspace');
+        dictAddButton.textContent = Lang.Workspace.dict_create;
+        this.dictAddButton_ = dictAddButton;
+
         const functionAddButton = createElement('button')
             .addClass('entryVariableAddWorkspace')
             .addClass('funcAddButton');
@@ -221,7 +247,9 @@ Entry.VariableContainer = class VariableContainer {
             normal.addClass('on');
         }
 
-        if (object) {
+        if (!globalCheck) {
+            return;
+        } else if (object) {
             globalCheck.removeClass('on');
             localCheck.addClass('on');
             cloudWrapper.addClass('entryVariableAddSpaceUnCheckedWorkspace');
@@ -261,6 +289,9 @@ Entry.VariableContainer = class VariableContainer {
             } else if (object.type === 'list') {
                 this.generateListSettingView(object);
                 this.updateListSettingView(object);
+            } else if (object.type === 'dict') {
+                this.generateDictSettingView(object);
+                this.updateDictSettingView(object);
             }
             if (object.object_) {
                 Entry.container.selectObject(object.object_, true);
@@ -449,6 +480,7 @@ Entry.VariableContainer = class VariableContainer {
         this.generateFuncDefaultView(funcAttr, func);
         this.generateFuncLocalVariableView(funcAttr, func);
         this.generateFuncValuesView(funcAttr, func);
+        this.generateFuncLocalListView(funcAttr, func);
         this.renderFunctionReference(func);
 
         this.funcSettingView.func = funcAttr;
@@ -509,22 +541,17 @@ Entry.VariableContainer = class VariableContainer {
         element.localVarCheck = createElement('span')
             .addClass('entryFuncAddLocalVarCheckWorkspace')
             .bindOnClick(() => {
-                const isUseBlock = func.content.hasBlockType([
-                    'set_func_variable',
-                    'get_func_variable',
-                ]);
+                const isUseBlock = func.content.hasBlockType(LOCAL_VARIABLE_BLOCKS);
                 if (isUseBlock) {
                     Entry.modal
                         .confirm(Lang.Msgs.local_variable_deletion_warning)
                         .then((result) => {
                             if (result) {
-                                func.content
-                                    .getBlockList(false, ['set_func_variable', 'get_func_variable'])
-                                    .map(
-                                        Entry.Utils.runAsyncCurry(async (block) => {
-                                            Entry.do('destroyBlock', block).isPass(true);
-                                        })
-                                    );
+                                func.content.getBlockList(false, LOCAL_VARIABLE_BLOCKS).map(
+                                    Entry.Utils.runAsyncCurry(async (block) => {
+                                        Entry.do('destroyBlock', block).isPass(true);
+                                    })
+                                );
                                 Entry.do('toggleFuncUseLocalVariables', func);
                             }
                         });
@@ -658,6 +685,94 @@ Entry.VariableContainer = class VariableContainer {
         });
     }
 
+    generateFuncLocalListView(element, func) {
+        const createElement = Entry.createElement;
+        const limitValue = 10;
+
+        const checkInputBox = createElement('div').addClass('check_inpt').appendTo(element);
+        const labelBox = createElement('div').addClass('chk_box').appendTo(checkInputBox);
+        const label = createElement('span')
+            .addClass('chk_text entryFuncLocalListLabel')
+            .appendTo(labelBox);
+        label.textContent = Lang.Workspace.local_list;
+
+        const countInputBox = createElement('div').addClass('cnt_inpt').appendTo(checkInputBox);
+        const buttonMinus = createElement('a')
+            .addClass('btn_cnt')
+            .bindOnClick((e) => {
+                if (e?.target?.hasAttribute('disabled') || !func.localLists.length) {
+                    return;
+                }
+                Entry.do('funcLocalListChangeLength', func, 'minus');
+            })
+            .appendTo(countInputBox);
+
+        const countInput = createElement('input').appendTo(countInputBox);
+        countInput.setAttribute('autocomplete', 'off');
+        countInput.setAttribute('type', 'text');
+        countInput.setAttribute('maxlength', 2);
+        countInput.value = func.localLists.length;
+        countInput.onblur = (e) => {
+            if (e?.target?.hasAttribute('disabled')) {
+                return;
+            }
+            const value = Math.min(_get(e, 'target.value', 0), limitValue);
+            Entry.do('funcLocalListChangeLength', func, value);
+        };
+        countInput.onkeypress = Entry.Utils.blurWhenEnter;
+
+        const buttonPlus = createElement('a')
+            .addClass('btn_cnt')
+            .addClass('plus')
+            .bindOnClick((e) => {
+                if (e?.target?.hasAttribute('disabled') || func.localLists.length >= limitValue) {
+                    return;
+                }
+                Entry.do('funcLocalListChangeLength', func, 'plus');
+            })
+            .appendTo(countInputBox);
+
+        const countGroup = createElement('div').addClass('cnt_group').appendTo(element);
+        const listValues = createElement('ol').addClass('cnt_list').appendTo(countGroup);
+        const $listValues = $(listValues);
+        $listValues.on('change', 'input', ({ target }) => {
+            const index = target.getAttribute('data-index');
+            target.value = func.changeNameLocalList(target.value, index);
+        });
+        $listValues.on('focus', 'input', Entry.Utils.setFocused);
+        $listValues.on('keypress', 'input', Entry.Utils.blurWhenEnter);
+        $listValues.on('click', 'a', function () {
+            const index = this.getAttribute('data-index');
+            Entry.do('removeFuncLocalListByIndex', func, index);
+        });
+
+        this.funcSettingView.localList = {
+            minus: buttonMinus,
+            plus: buttonPlus,
+            lengthInput: countInput,
+            countGroup,
+            listValues,
+        };
+        this.updateFuncLocalListView(func);
+    }
+
+    updateFuncLocalListView(func) {
+        const view = this.funcSettingView && this.funcSettingView.localList;
+        if (!view) {
+            return;
+        }
+        const localLists = func.getLocalLists();
+        view.lengthInput.value = localLists.length;
+        if (localLists.length) {
+            view.countGroup.removeClass('entryRemove');
+        } else {
+            view.countGroup.addClass('entryRemove');
+        }
+        view.listValues.innerHTML = localLists
+            .map(({ name }, i) => this.createListValueElement(i, String(name), 1))
+            .join('');
+    }
+
     updateFuncScrollBar(func) {
         const view = this.funcSettingView;
         if (!view) {
@@ -725,7 +840,19 @@ Entry.VariableContainer = class VariableContainer {
             this.funcSettingView?.countGroup?.setAttribute('disabled', '');
         }
 
+        const { localList } = view;
+        if (localList) {
+            ['minus', 'plus', 'lengthInput', 'countGroup'].forEach((key) => {
+                if (func.useLocalVariables) {
+                    localList[key].removeAttribute('disabled');
+                } else {
+                    localList[key].setAttribute('disabled', '');
+                }
+            });
+        }
+
         this.updateFuncScrollBar(func);
+        this.updateFuncLocalListView(func);
     }
 
     /**
@@ -872,7 +999,13 @@ Entry.VariableContainer = class VariableContainer {
             }
         }
 
-        const arrItems = [this.messages_, this.variables_, this.lists_, this.functions_];
+        const arrItems = [
+            this.messages_,
+            this.variables_,
+            this.lists_,
+            this.dicts_,
+            this.functions_,
+        ];
         arrItems.forEach((items) => {
             Object.values(items).forEach((item) => {
                 if (item.listElement) {
@@ -885,6 +1018,10 @@ Entry.VariableContainer = class VariableContainer {
             $(this.listSettingView).remove();
             delete this.listSettingView;
         }
+        if (this.dictSettingView) {
+            $(this.dictSettingView).remove();
+            delete this.dictSettingView;
+        }
         if (this.variableSettingView) {
             $(this.variableSettingView).remove();
             delete this.variableSettingView;
@@ -909,6 +1046,7 @@ Entry.VariableContainer = class VariableContainer {
         this.makeChildVariableViews(this.messages_, this.createMessageView.bind(this), list);
         this.makeChildVariableViews(this.variables_, this.createVariableView.bind(this), list);
         this.makeChildVariableViews(this.lists_, this.createListView.bind(this), list);
+        this.makeChildVariableViews(this.dicts_, this.createDictView.bind(this), list);
         this.makeChildVariableViews(this.functions_, this.createFunctionView.bind(this), list);
         listView.appendChild(listWrapper);
     }
@@ -1091,6 +1229,43 @@ Entry.VariableContainer = class VariableContainer {
         listView.appendChild(localList);
         this.makeChildVariableViews(localV, this.createListView.bind(this), localListBox);
         this.updateVariableAddView('variable');
+        this.updateDictTab();
+    }
+
+    /**
+     * 사전은 리스트 탭의 리스트 아래에 보여준다.
+     */
+    updateDictTab() {
+        const createElement = Entry.createElement;
+        const listView = this.listView_;
+
+        if (Entry.isTextMode) {
+            this.dictAddButton_.unBindOnClick().addClass('disabled');
+        } else {
+            this.dictAddButton_
+                .unBindOnClick()
+                .bindOnClick(() => this.clickDictAddButton())
+                .removeClass('disabled');
+        }
+        listView.appendChild(this.dictAddButton_);
+        listView.appendChild(this.dictAddPanel.view);
+
+        const dictList = createElement('div').addClass('entryVariableSplitterWorkspace list dict');
+        let isFolded = false;
+        const dictListTitle = createElement('a')
+            .addClass('attr_link')
+            .bindOnClick(() => {
+                isFolded = !isFolded;
+                this.foldTab(dictList, isFolded, this.dicts_.length);
+            })
+            .appendTo(dictList);
+        dictListTitle.textContent = `${Lang.Workspace.dict_used_all_objects} (${this.dicts_.length})`;
+        const dictListBox = createElement('div').addClass('attr_box').appendTo(dictList);
+        this.foldTab(dictList, isFolded, this.dicts_.length);
+
+        listView.appendChild(dictList);
+        this.makeChildVariableViews(this.dicts_, this.createDictView.bind(this), dictListBox);
+        this.updateVariableAddView('dict');
     }
 
     updateFuncTab() {
@@ -1171,6 +1346,10 @@ Entry.VariableContainer = class VariableContainer {
                     variable.generateView(this.lists_.length);
                     this.lists_.push(variable);
                     break;
+                case 'dict':
+                    variable.generateView(this.dicts_.length);
+                    this.dicts_.push(variable);
+                    break;
                 case 'timer':
                     this.generateTimer(variable);
                     break;
@@ -1226,6 +1405,12 @@ Entry.VariableContainer = class VariableContainer {
                 }
                 this.generateVariable(variable, this.lists_, 'lists_');
                 this.lists_.push(variable);
+            } else if (type === 'dict') {
+                if (this.dicts_.some((item) => item.id_ === variable.id_)) {
+                    continue;
+                }
+                this.generateVariable(variable, this.dicts_, 'dicts_');
+                this.dicts_.push(variable);
             }
         }
         if (Entry.isEmpty(Entry.engine.projectTimer)) {
@@ -1374,6 +1559,19 @@ Entry.VariableContainer = class VariableContainer {
         return list;
     }
 
+    /**
+     * @return {Entry.Variable} 사전 변수
+     */
+    getDict(dictId, { isClone, dicts } = {}) {
+        const criteria = { id_: dictId };
+        let dict = _.find(this.dicts_, criteria);
+        if (isClone && dict && dict.object_) {
+            dict = _.find(dicts, criteria);
+        }
+
+        return dict;
+    }
+
     /**
      * Create function
      */
@@ -1521,6 +1719,10 @@ Entry.VariableContainer = class VariableContainer {
         return this._getVariableByName(this.variables_, variableName, isSelf, currentObjectId);
     }
 
+    getDictByName(name, isSelf, currentObjectId) {
+        return this._getVariableByName(this.dicts_, name, isSelf, currentObjectId);
+    }
+
     getListByName(name, isSelf, currentObjectId) {
         return this._getVariableByName(this.lists_, name, isSelf, currentObjectId);
     }
@@ -1659,6 +1861,8 @@ Entry.VariableContainer = class VariableContainer {
 
         if (type === 'variable') {
             this.createVariableView(data);
+        } else if (type === 'dict') {
+            this.createDictView(data);
         } else {
             this.createListView(data);
         }
@@ -1810,6 +2014,59 @@ Entry.VariableContainer = class VariableContainer {
         this.updateList();
     }
 
+    addDict(dict) {
+        this._addVariableOrList.call(this, 'dict', dict);
+    }
+
+    /**
+     * @param {Entry.Variable} dict
+     */
+    removeDict(dict) {
+        if (!(dict instanceof Entry.Variable)) {
+            dict = this.getDict(dict.id);
+        }
+
+        if (this.selected == dict) {
+            this.select(null);
+        }
+        dict.remove();
+        const dicts = this.dicts_;
+        dicts.splice(dicts.indexOf(dict), 1);
+        Entry.playground.reloadPlayground();
+        this.updateList();
+    }
+
+    /**
+     * @param {Entry.Variable} dict
+     * @param {String} name
+     */
+    changeDictName(dict, name) {
+        if (dict.name_ == name) {
+            return;
+        }
+
+        if (Entry.isTextMode) {
+            const alertMsg = Entry.TextCodingUtil.validateNameIncludeSpace(name, 'dict');
+            if (alertMsg) {
+                Entry.modal.alert(alertMsg);
+                dict.listElement.nameField.value = dict.name_;
+                return;
+            }
+        }
+
+        if (Entry.isExist(name, 'name_', this.dicts_)) {
+            return this.changeVariableNameDuplicated(dict, 'dict', name);
+        } else if (name.length > this._maxNameLength) {
+            Entry.toast.alert(Lang.Workspace.dict_rename_failed, Lang.Workspace.dict_too_long);
+        } else {
+            dict.setName(name);
+            Entry.playground.reloadPlayground();
+            Entry.toast.success(Lang.Workspace.dict_rename, Lang.Workspace.dict_rename_ok);
+        }
+
+        dict.listElement.nameField.value = dict.name_;
+    }
+
     /**
      * @param {Entry.Variable} variable
      */
@@ -2166,6 +2423,76 @@ Entry.VariableContainer = class VariableContainer {
         list.listElement = listWrapper;
     }
 
+    /**
+     * 사전은 모든 오브젝트에서 사용하므로 리스트와 달리 지역 표시가 없다.
+     * @param {Entry.Variable} dict
+     */
+    createDictView(dict) {
+        const createElement = Entry.createElement;
+
+        const dictWrapper = createElement('div').addClass('list fold');
+        if (dict.isCloud_) {
+            dictWrapper.addClass('cloud_list');
+        } else if (dict.isRealTime_) {
+            dictWrapper.addClass('real_time_list');
+        } else {
+            dictWrapper.addClass('default_list');
+        }
+
+        const editBoxWrapper = createElement('div')
+            .addClass('inpt_box')
+            .bindOnClick((e) => {
+                e.stopPropagation();
+                if (this.selected === dict) {
+                    editBoxInput.blur();
+                    this.select(null);
+                } else {
+                    this.select(dict);
+                }
+            })
+            .appendTo(dictWrapper);
+        const watchButton = createElement('a')
+            .addClass('watch')
+            .bindOnClick((e) => {
+                e.stopPropagation();
+                Entry.do('dictSetVisibility', dict.id_, !dict.isVisible());
+                watchButton.classList.toggle('on', dict.isVisible());
+            })
+            .appendTo(editBoxWrapper);
+        watchButton.classList.toggle('on', dict.isVisible());
+        watchButton.href = '#';
+        const editBoxInputWrapper = createElement('div').addClass('inpt').appendTo(editBoxWrapper);
+        const editBoxInput = createElement('input')
+            .addClass('editBoxInput')
+            .bindOnClick((e) => e.stopPropagation())
+            .appendTo(editBoxInputWrapper);
+        editBoxInput.setAttribute('autocomplete', 'off');
+        editBoxInput.setAttribute('type', 'text');
+        editBoxInput.setAttribute('name', 'inpt_name');
+        editBoxInput.value = dict.name_;
+        editBoxInput.onblur = function () {
+            const value = this.value.trim();
+            if (!value) {
+                Entry.toast.alert(Lang.Msgs.warn, Lang.Msgs.list_can_not_space);
+                this.value = dict.getName();
+                return this.focus();
+            }
+            Entry.do('dictSetName', dict.getId(), value);
+        };
+        editBoxInput.onkeydown = Entry.Utils.blurWhenEnter;
+        createElement('div').addClass('arrowDown').appendTo(editBoxWrapper);
+        const delButton = createElement('a')
+            .addClass('del')
+            .bindOnClick((e) => {
+                e.stopPropagation();
+                Entry.do('variableContainerRemoveDict', dict);
+            })
+            .appendTo(editBoxWrapper);
+        delButton.href = '#';
+        dictWrapper.nameField = editBoxInput;
+        dict.listElement = dictWrapper;
+    }
+
     /**
      * Apply map function to variables. But this not replace object with returned one.
      * So giving map function don't have to return object.
@@ -2185,6 +2512,10 @@ Entry.VariableContainer = class VariableContainer {
         this.lists_.forEach(_.partial(mapFunction, _, param));
     }
 
+    mapDict(mapFunction, param) {
+        this.dicts_.forEach(_.partial(mapFunction, _, param));
+    }
+
     mapFunc(mapFunction, param) {
         Object.values(this.functions_).forEach(_.partial(mapFunction, _, param));
     }
@@ -2197,6 +2528,7 @@ Entry.VariableContainer = class VariableContainer {
         return [
             ...this.variables_,
             ...this.lists_,
+            ...this.dicts_,
             _.result(Entry.engine, 'projectTimer'),
             _.result(Entry.container, 'inputValue'),
         ]
@@ -2219,12 +2551,16 @@ Entry.VariableContainer = class VariableContainer {
     getFunctionJSON() {
         return _.reduce(
             this.functions_,
-            (acc, { id, content, type = 'normal', useLocalVariables, localVariables }) => [
+            (
+                acc,
+                { id, content, type = 'normal', useLocalVariables, localVariables, localLists }
+            ) => [
                 ...acc,
                 {
                     id,
                     type,
                     localVariables,
+                    localLists,
                     useLocalVariables,
                     content: content.stringify(),
                 },
@@ -2567,6 +2903,117 @@ Entry.VariableContainer = class VariableContainer {
         this.listAddConfirmButton = addSpaceConfirmButton;
     }
 
+    _addDict() {
+        const dictInput = Entry.getDom(['variableContainer', 'dictAddInput']);
+        this.dictAddPanel.view.addClass('off');
+        const blurCallback = () => {
+            delete dictInput.blurCallback;
+            Entry.do(
+                'variableContainerAddDict',
+                Entry.Variable.create(this._makeVariableData('dict'))
+            );
+            const [dict] = this.dicts_;
+            this.updateSelectedVariable(dict);
+        };
+
+        if (dictInput.isBlurred) {
+            dictInput.blurCallback = blurCallback;
+        } else {
+            blurCallback();
+        }
+        this.resetVariableAddPanel('dict');
+    }
+
+    /**
+     * 사전 만들기 폼. 사전은 모든 오브젝트에서 사용하므로 범위 선택은 없다.
+     */
+    generateDictAddView() {
+        const createElement = Entry.createElement;
+        const { info } = this.dictAddPanel;
+
+        const dictAddSpace = createElement('div').addClass('entryVariableAddSpaceWorkspace off');
+        this.dictAddPanel.view = dictAddSpace;
+        this.dictAddPanel.isOpen = false;
+
+        const dataWrapper = createElement('div')
+            .addClass('entryVariableAddSpaceDataWrapperWorkspace')
+            .appendTo(dictAddSpace);
+        const nameWrapper = createElement('div')
+            .addClass('entryVariableAddSpaceNameWrapperWorkspace')
+            .appendTo(dataWrapper);
+
+        const inputLabel = createElement('label')
+            .addClass('entryVariableAddSpaceInputLabelWorkspace')
+            .appendTo(nameWrapper);
+        inputLabel.innerText = Lang.Workspace.dict_name;
+        inputLabel.setAttribute('for', 'entryDictAddSpaceInputWorkspace');
+
+        const nameInput = createElement('input')
+            .addClass('entryVariableAddSpaceInputWorkspace')
+            .appendTo(nameWrapper);
+        nameInput.setAttribute('autocomplete', 'off');
+        nameInput.setAttribute('type', 'text');
+        nameInput.id = 'entryDictAddSpaceInputWorkspace';
+        nameInput.setAttribute('placeholder', Lang.Workspace.dict_create_placeholder);
+        nameInput.onkeypress = Entry.Utils.whenEnter(() => this._addDict());
+        nameInput.onfocus = Entry.Utils.setFocused;
+        const doBlur = Entry.Utils.setBlurredTimer(function () {
+            this.isBlurred = false;
+            this.blurCallback && this.blurCallback();
+        });
+        nameInput.onblur = function () {
+            this.isBlurred = true;
+            doBlur.apply(this);
+        };
+        dictAddSpace.name = nameInput;
+
+        const typeWrapper = createElement('div')
+            .addClass('entryVariableTypeBoxWrapper on')
+            .appendTo(dataWrapper);
+        ['normal', 'cloud', 'real_time'].forEach((type) => {
+            const wrapper = createElement('div')
+                .addClass('entryVariableTypeWrapper')
+                .appendTo(typeWrapper)
+                .bindOnClick((e) => {
+                    e.stopImmediatePropagation();
+                    info.isCloud = type === 'cloud';
+                    info.isRealTime = type === 'real_time';
+                    this.updateVariableAddView('dict');
+                });
+            createElement('span')
+                .addClass(`entryVariable${type}RadioButton radioButton`)
+                .appendTo(wrapper);
+            createElement('span')
+                .addClass(`entryVariable${type}Text`, 'entryVariableAddSpaceCheckWorkspace')
+                .appendTo(wrapper).textContent = Lang.Workspace[`dict_create_${type}`];
+        });
+        dictAddSpace.cloudCheck = typeWrapper;
+
+        const buttonWrapper = createElement('div')
+            .addClass('entryVariableAddSpaceButtonWrapperWorkspace')
+            .appendTo(dictAddSpace);
+
+        const cancelButton = createElement('a')
+            .addClass('entryVariableAddSpaceCancelWorkspace')
+            .addClass('entryVariableAddSpaceButtonWorkspace')
+            .bindOnClick(() => {
+                dictAddSpace.addClass('off');
+                this.resetVariableAddPanel('dict');
+            })
+            .appendTo(buttonWrapper);
+        cancelButton.href = '#';
+        cancelButton.textContent = Lang.Buttons.cancel;
+
+        const confirmButton = createElement('a')
+            .addClass('entryVariableAddSpaceConfirmWorkspace')
+            .addClass('entryVariableAddSpaceButtonWorkspace')
+            .bindOnClick(() => this._addDict())
+            .appendTo(buttonWrapper);
+        confirmButton.href = '#';
+        confirmButton.textContent = Lang.Workspace.dict_add;
+        this.dictAddConfirmButton = confirmButton;
+    }
+
     generateMessageAddView() {
         const createElement = Entry.createElement;
         const that = this;
@@ -2664,7 +3111,7 @@ Entry.VariableContainer = class VariableContainer {
     /**
      * 자료형 블록메뉴에서 변수, 리스트 추가 버튼 클릭시 발생하는 함수
      * 패널을 속성탭으로 옮기고 해당 타입의 컨테이너를 오픈한다.
-     * @param type {'variable'|'list'|'message'}
+     * @param type {'variable'|'list'|'dict'|'message'}
      */
     openVariableAddPanel(type = 'variable') {
         Entry.playground.toggleOnVariableView();
@@ -2680,6 +3127,11 @@ Entry.VariableContainer = class VariableContainer {
                 this.updateVariableAddView(type);
                 this.clickListAddButton(true);
                 break;
+            case 'dict':
+                // 사전은 리스트 탭에서 만든다.
+                this.selectFilter('list');
+                this.clickDictAddButton(true);
+                break;
             case 'message':
                 this.selectFilter(type);
                 this.clickMessageAddButton(true);
@@ -3198,8 +3650,173 @@ Entry.VariableContainer = class VariableContainer {
         this.updateListSettingView();
     }
 
+    /**
+     * 속성 > 사전 편집창 표기
+     */
+    generateDictSettingView(dict) {
+        const createElement = Entry.createElement;
+
+        const element = createElement('div')
+            .addClass('attr_inner_box')
+            .bindOnClick((e) => e.stopPropagation());
+        if (this.dictSettingView) {
+            $(this.dictSettingView).remove();
+        }
+        this.dictSettingView = element;
+
+        const dictAttr = createElement('div').addClass('list_attr dict_attr').appendTo(element);
+        const boxSubject = createElement('span').addClass('box_sjt').appendTo(dictAttr);
+        boxSubject.textContent = Lang.Workspace.dict_property;
+
+        const valTypeText = createElement('span').addClass('val_type_txt').appendTo(dictAttr);
+        if (dict.isRealTime_) {
+            valTypeText.textContent = Lang.Menus.realtime;
+        } else if (dict.isCloud_) {
+            valTypeText.textContent = Lang.Menus.cloud;
+        }
+
+        this.generateDictImportExportView(dictAttr);
+
+        const countGroup = createElement('div').addClass('cnt_group').appendTo(dictAttr);
+        const countLabel = createElement('div').addClass('cnt_label').appendTo(countGroup);
+        countLabel.textContent = Lang.Workspace.dict_default_value;
+        element.itemList = createElement('ol').addClass('cnt_list').appendTo(countGroup);
+
+        const addItem = createElement('div').addClass('dict_add_item').appendTo(dictAttr);
+        const keyInput = createElement('input').appendTo(addItem);
+        keyInput.setAttribute('type', 'text');
+        keyInput.setAttribute('placeholder', Lang.Workspace.dict_key);
+        const valueInput = createElement('input').appendTo(addItem);
+        valueInput.setAttribute('type', 'text');
+        valueInput.setAttribute('placeholder', Lang.Workspace.dict_value);
+        const addButton = createElement('a')
+            .addClass('btn_list')
+            .bindOnClick(async (e) => {
+                e.stopPropagation();
+                const key = keyInput.value.trim();
+                if (!key) {
+                    return;
+                }
+                await this.selected.setItem(key, valueInput.value);
+                keyInput.value = '';
+                valueInput.value = '';
+                this.updateDictSettingView();
+            })
+            .appendTo(addItem);
+        addButton.textContent = Lang.Workspace.dict_add_item;
+        this.renderVariableReference(dict);
+    }
+
+    /**
+     * 사전은 JSON 파일로 내보내고 불러온다.
+     */
+    generateDictImportExportView(element) {
+        const createElement = Entry.createElement;
+
+        const buttonBox = createElement('div').addClass('btn_box').appendTo(element);
+
+        const buttonExport = createElement('a')
+            .addClass('btn_list')
+            .bindOnClick((e) => {
+                e.stopPropagation();
+                const dict = this.selected.getDict();
+                if (_.isEmpty(dict)) {
+                    Entry.modal.alert(Lang.Menus.nothing_to_export);
+                    return;
+                }
+                const blob = new Blob([JSON.stringify(dict, null, 4)], {
+                    type: 'application/json;charset=utf-8',
+                });
+                saveAs(blob, `${this.selected.getName()}.json`);
+            })
+            .appendTo(buttonBox);
+        buttonExport.textContent = Lang.Workspace.dict_export;
+
+        const fileInput = createElement('input').appendTo(buttonBox);
+        fileInput.setAttribute('type', 'file');
+        fileInput.setAttribute('accept', '.json,application/json');
+        fileInput.style.display = 'none';
+        fileInput.onchange = () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (!file) {
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = async () => {
+                const dict = this._parseDictJSON(reader.result);
+                if (!dict) {
+                    Entry.toast.alert(Lang.Msgs.warn, Lang.Workspace.dict_import_failed);
+                    return;
+                }
+                await this.selected.setDict(dict);
+                this.updateDictSettingView();
+            };
+            reader.readAsText(file);
+        };
+
+        const buttonImport = createElement('a')
+            .addClass('btn_list')
+            .bindOnClick((e) => {
+                e.stopPropagation();
+                fileInput.click();
+            })
+            .appendTo(buttonBox);
+        buttonImport.textContent = Lang.Workspace.dict_import;
+    }
+
+    /**
+     * @param {string} text
+     * @return {Object|null} 값이 모두 숫자나 문자인 객체. 아니면 null
+     */
+    _parseDictJSON(text) {
+        let dict;
+        try {
+            dict = JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+        const isValid =
+            _.isPlainObject(dict) &&
+            _.every(dict, (value) => _.isString(value) || _.isFinite(value));
+        return isValid ? dict : null;
+    }
+
+    updateDictSettingView(dict) {
+        const view = this.dictSettingView;
+        if (!view) {
+            return;
+        }
+        dict = dict || this.selected;
+        const { itemList } = view;
+        itemList.innerHTML = '';
+        dict.getArray().forEach(({ key, data }) => {
+            const item = Entry.createElement('li').appendTo(itemList);
+            Entry.createElement('span').addClass('cnt').appendTo(item).textContent = key;
+            const valueInput = Entry.createElement('input').appendTo(item);
+            valueInput.setAttribute('type', 'text');
+            valueInput.value = data;
+            valueInput.onfocus = Entry.Utils.setFocused;
+            valueInput.onkeypress = Entry.Utils.blurWhenEnter;
+            valueInput.onblur = () => {
+                if (String(data) !== valueInput.value) {
+                    dict.setItem(key, valueInput.value);
+                }
+            };
+            Entry.createElement('a')
+                .addClass('del')
+                .bindOnClick(async () => {
+                    await dict.deleteItem(key);
+                    this.updateDictSettingView();
+                })
+                .appendTo(item);
+        });
+        dict.listElement.appendChild(view);
+        dict.updateView();
+    }
+
     updateViews() {
-        [...this.variables_, ...this.lists_].forEach((v) => v.updateView());
+        [...this.variables_, ...this.lists_, ...this.dicts_].forEach((v) => v.updateView());
     }
 
     updateSelectedVariable(object, type = 'variable') {
@@ -3230,6 +3847,14 @@ Entry.VariableContainer = class VariableContainer {
                 this.generateListSettingView(object);
             }
             this.updateListSettingView(object);
+        } else if (objectType === 'dict') {
+            this.selected = object;
+            this.selected.listElement.removeClass('fold');
+            this.selected.listElement.addClass('unfold');
+            if (!this.dictSettingView) {
+                this.generateDictSettingView(object);
+            }
+            this.updateDictSettingView(object);
         }
     }
 
@@ -3309,6 +3934,7 @@ Entry.VariableContainer = class VariableContainer {
                         content: JSON.stringify(func.content.toJSON()),
                         type: func.type,
                         localVariables: func.localVariables,
+                        localLists: func.localLists,
                         useLocalVariables: func.useLocalVariables,
                     });
 
@@ -3331,13 +3957,15 @@ Entry.VariableContainer = class VariableContainer {
     getVariableJSONByBlockList(blockList) {
         const variables = [];
         const messages = [];
-        const variableSet = [...this.variables_, ...this.lists_, ...this.messages_].reduce(
-            (acc, data) => {
-                acc[data.id_ || data.id] = data;
-                return acc;
-            },
-            {}
-        );
+        const variableSet = [
+            ...this.variables_,
+            ...this.lists_,
+            ...this.dicts_,
+            ...this.messages_,
+        ].reduce((acc, data) => {
+            acc[data.id_ || data.id] = data;
+            return acc;
+        }, {});
 
         blockList.forEach((block) => {
             const data = block.data || {};
@@ -3398,7 +4026,7 @@ Entry.VariableContainer = class VariableContainer {
         const _removeFunc = _.partial(_.result, _, 'remove');
         const { engine = {}, container = {}, playground } = Entry;
 
-        [...this.variables_, ...this.lists_].forEach(_removeFunc);
+        [...this.variables_, ...this.lists_, ...this.dicts_].forEach(_removeFunc);
         _removeFunc(engine.projectTimer);
         _removeFunc(container.inputValue);
         _.each(this.functions_, this.removeFunction.bind(this));
@@ -3406,6 +4034,7 @@ Entry.VariableContainer = class VariableContainer {
         this.viewMode_ = 'all';
         this.variables_ = [];
         this.lists_ = [];
+        this.dicts_ = [];
         this.messages_ = [];
         this.functions_ = {};
 
@@ -3446,6 +4075,16 @@ Entry.VariableContainer = class VariableContainer {
                 return this.variableAddPanel.view.name;
             case 'listAddInput':
                 return this.listAddPanel.view.name;
+            case 'dictAddButton':
+                return this.dictAddButton_;
+            case 'dictAddConfirmButton':
+                return this.dictAddConfirmButton;
+            case 'dictAddInput':
+                return this.dictAddPanel.view.name;
+            case 'dictName':
+                return this.getDict(query.shift()).listElement.nameField;
+            case 'dictSetVisibility':
+                return $(this.getDict(query.shift()).listElement).find('.watch')[0];
             case 'messageAddButton':
                 return this.messageAddButton_;
             case 'variableSetVisibility':
@@ -3518,6 +4157,10 @@ Entry.VariableContainer = class VariableContainer {
         this.listAddPanel.view.cloudCheck.addClass('on');
     }
 
+    clickDictAddButton(...args) {
+        this._clickAddButton.call(this, 'dict', ...args);
+    }
+
     clickMessageAddButton(...args) {
         this._clickAddButton.call(this, 'message', ...args);
     }
@@ -130,7 +130,7 @@ class EntryCommander {
 
     removeReporter(reporter) {
         if (reporter.logEventListener) {
-            this.logEvent.detatch(reporter.logEventListener);
+            this.logEvent.detach(reporter.logEventListener);
         }
         delete reporter.logEventListener;
     }
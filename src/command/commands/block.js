@@ -936,7 +936,8 @@ import isFunction from 'lodash/isFunction';
             return [data, block.targetPointer()];
         },
         log(block) {
-            return [];
+            block = this.editor.board.findBlock(block);
+            return [['block', block.pointer()]];
         },
         recordable: Entry.STATIC.RECORDABLE.SUPPORT,
         undo: 'recoverBlockBelow',
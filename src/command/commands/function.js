@@ -233,4 +233,72 @@ const { createTooltip, returnEmptyArr, getExpectedData } = require('../command_u
         dom: ['variableContainer', 'removeFuncLocalVariableByIndex', '&2'],
         undo: 'insertFuncLocalVariable',
     };
+    c[COMMAND_TYPES.funcLocalListChangeLength] = {
+        do(func, value) {
+            const length = func.localLists.length;
+            if (value === 'minus') {
+                func.setLocalListLength(length - 1);
+            } else if (value === 'plus') {
+                func.setLocalListLength(length + 1);
+            } else if (Entry.Utils.isNumber(value) && value >= 0) {
+                func.setLocalListLength(Number(value));
+            }
+        },
+        state(func, value) {
+            let prevValue;
+            if (value === 'minus') {
+                prevValue = 'plus';
+            } else if (value === 'plus') {
+                prevValue = 'minus';
+            } else {
+                prevValue = func.localLists.length;
+            }
+            return [func, prevValue];
+        },
+        log(func, value) {
+            return [
+                ['funcId', func.id],
+                ['value', value],
+            ];
+        },
+        validate: false,
+        dom: ['variableContainer', 'funcLocalListChangeLength', '&2'],
+        undo: 'funcLocalListChangeLength',
+    };
+    c[COMMAND_TYPES.insertFuncLocalList] = {
+        do(func, value, index) {
+            func.insertFuncLocalList(value, index);
+        },
+        state(func, _value, index) {
+            return [func, index];
+        },
+        log(func, value, index) {
+            return [
+                ['funcId', func.id],
+                ['value', value],
+                ['index', index],
+            ];
+        },
+        validate: false,
+        dom: ['variableContainer', 'insertFuncLocalList', '&2'],
+        undo: 'removeFuncLocalListByIndex',
+    };
+    c[COMMAND_TYPES.removeFuncLocalListByIndex] = {
+        do(func, index) {
+            func.removeLocalList(index);
+        },
+        state(func, index) {
+            const value = func.localLists[index];
+            return [func, value, index];
+        },
+        log(func, index) {
+            return [
+                ['funcId', func.id],
+                ['index', index],
+            ];
+        },
+        validate: false,
+        dom: ['variableContainer', 'removeFuncLocalListByIndex', '&2'],
+        undo: 'insertFuncLocalList',
+    };
 })(Entry.Command);
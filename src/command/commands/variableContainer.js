@@ -39,6 +39,10 @@ const { createTooltip, returnEmptyArr, getExpectedData } = require('../command_u
         variableSetName,
         listSetName,
         variableContainerClickMessageAddButton,
+        variableContainerAddDict,
+        variableContainerRemoveDict,
+        dictSetName,
+        dictSetVisibility,
     } = COMMAND_TYPES;
 
     c[variableContainerSelectFilter] = {
@@ -845,6 +849,75 @@ const { createTooltip, returnEmptyArr, getExpectedData } = require('../command_u
         dom: ['variableContainer', 'listName', '&0'],
     };
 
+    c[variableContainerAddDict] = {
+        do(dict) {
+            getVC().addDict(dict);
+        },
+        state(dict) {
+            return [_toJSON(dict)];
+        },
+        log(dict) {
+            return [['dict', _toJSON(dict)]];
+        },
+        recordable: RECORDABLE.SUPPORT,
+        validate: false,
+        undo: 'variableContainerRemoveDict',
+        dom: ['variableContainer', 'dictAddConfirmButton'],
+    };
+
+    c[variableContainerRemoveDict] = {
+        do(dict) {
+            getVC().removeDict(dict);
+        },
+        state(dict) {
+            return [_toJSON(dict)];
+        },
+        log(dict) {
+            return [['dict', _toJSON(dict)]];
+        },
+        recordable: RECORDABLE.SUPPORT,
+        validate: false,
+        undo: 'variableContainerAddDict',
+        dom: ['variableContainer', 'dictAddConfirmButton'],
+    };
+
+    c[dictSetName] = {
+        do(id, value) {
+            const VC = getVC();
+            VC.changeDictName(VC.getDict(id), value);
+        },
+        state(id) {
+            return [id, getVC().getDict(id).getName()];
+        },
+        log(id, value) {
+            return [
+                ['id', id],
+                ['value', value],
+            ];
+        },
+        recordable: RECORDABLE.SUPPORT,
+        undo: 'dictSetName',
+        dom: ['variableContainer', 'dictName', '&0'],
+    };
+
+    c[dictSetVisibility] = {
+        do(id, value) {
+            getVC().getDict(id).setVisible(value);
+        },
+        state(id) {
+            return [id, getVC().getDict(id).isVisible()];
+        },
+        log(id, value) {
+            return [
+                ['id', id],
+                ['value', value],
+            ];
+        },
+        recordable: RECORDABLE.SUPPORT,
+        undo: 'dictSetVisibility',
+        dom: ['variableContainer', 'dictSetVisibility', '&0'],
+    };
+
     //utilities
 
     //if data has toJSON method
@@ -30,6 +30,7 @@ require('./class/doneProject');
 require('./class/engine');
 require('./class/entity');
 require('./class/function');
+require('./class/functionExtractor');
 require('./class/helper');
 require('./class/intro');
 require('./class/object');
@@ -42,12 +43,15 @@ require('./class/popup_helper');
 require('./class/popup_list');
 require('./class/hw');
 require('./class/hw_lite');
+require('./class/headless');
 require('./class/entryModuleLoader');
 require('./class/project');
 require('./class/property_panel');
 require('./class/reporter');
 require('./class/scene');
 require('./class/blockCountViewer');
+require('./class/projectLinter');
+require('./class/collaboration');
 require('./class/stage');
 require('./class/stamp_entity');
 require('./class/toast');
@@ -57,9 +61,13 @@ require('./command/command');
 require('./command/commander');
 require('./extensions/extension');
 require('./extensions/target_checker');
+require('./extensions/project_tester');
 require('./log/activity');
 require('./log/activityReporter');
 require('./log/recorder');
+require('./log/recordPlayer');
+require('./log/recordPanel');
+require('./log/executionTrace');
 require('./log/state');
 require('./log/state_manager');
 require('./model/block_model');
@@ -80,6 +88,7 @@ require('./playground/board');
 require('./playground/code');
 require('./playground/code_view');
 require('./playground/connection_ripple');
+require('./playground/debugger');
 require('./playground/executors');
 require('./playground/scope');
 require('./playground/globalSvg');
@@ -150,7 +159,9 @@ require('./textcoding/ast/pyAstGenerator');
 require('./textcoding/data_processing/map');
 require('./textcoding/data_processing/queue');
 require('./textcoding/error/textCodingError');
+require('./textcoding/export/python');
 require('./textcoding/hint/python');
+require('./textcoding/lint/python');
 require('./textcoding/static/codeMap');
 require('./textcoding/static/keyboardCode');
 require('./textcoding/util/console');
@@ -1,16 +1,31 @@
 import io from 'socket.io-client';
-import { dmet, dmetList, dmetTable, dmetVariable } from './dmet';
+import { dmet, dmetDict, dmetList, dmetTable, dmetVariable } from './dmet';
 import singleInstance from '../core/singleInstance';
 
+const ACTION_TIMEOUT = 5000;
+
+/**
+ * 연결이 끊긴 동안 만든 operation 은 로컬에 먼저 적용하고 #pendingOperations 에 쌓아 두었다가,
+ * 다시 연결되어 서버 값(welcome)을 받으면 순서대로 하나씩 보내고 서버가 승인한 결과만 반영한다.
+ * 리스트의 delete/replace 는 항목 key 기준이라 이미 지워진 항목이면 서버가 거절하여 버려지고,
+ * insert 는 만들 때 바로 앞 항목의 key(afterKey)를 기억해 두었다가 그 항목 뒤로 위치를 다시 계산한다.
+ */
 class CloudVariableExtension {
     #cvSocket = null;
     #data = null;
     #defaultData = null;
+    #pendingOperations = [];
+    #isFlushing = false;
+    #isOnline = false;
 
     get data() {
         return this.#data;
     }
 
+    get pendingOperations() {
+        return this.#pendingOperations.map(({ operation }) => operation);
+    }
+
     setServerInfo(cvServer) {
         this.cvServer = cvServer;
     }
@@ -19,6 +34,7 @@ class CloudVariableExtension {
         if (!this.#cvSocket) {
             return;
         }
+        this.#isOnline = false;
         this.#cvSocket.emit('changeMode', 'offline', target);
     }
 
@@ -26,6 +42,7 @@ class CloudVariableExtension {
         if (!this.#cvSocket) {
             return;
         }
+        this.#isOnline = true;
         this.#cvSocket.emit('changeMode', 'online', target);
     }
 
@@ -77,8 +94,14 @@ class CloudVariableExtension {
                 } catch (e) {
                     console.warn(e);
                 }
+                this.#isOnline = !isOffline;
                 if (isOffline) {
+                    this.#pendingOperations = [];
                     socket.close();
+                } else {
+                    // 한 번 연결된 뒤에는 끊겨도 쌓인 operation 을 보낼 수 있도록 계속 재연결한다.
+                    socket.io.reconnectionAttempts(Infinity);
+                    this.#flushPendingOperations();
                 }
                 resolve();
             });
@@ -91,7 +114,9 @@ class CloudVariableExtension {
             });
             socket.on('changeMode', (mode, target) => {
                 const isOffline = mode === 'offline';
+                this.#isOnline = !isOffline;
                 if (isOffline) {
+                    this.#pendingOperations = [];
                     socket.close();
                 }
                 resolve();
@@ -119,6 +144,8 @@ class CloudVariableExtension {
             await this.#createList(name, id_);
         } else if (type === 'table') {
             await this.#createTable(name, id_);
+        } else if (type === 'dict') {
+            await this.#createDict(name, id_);
         }
         // Entry.dispatchEvent('saveVariable');
     }
@@ -183,25 +210,145 @@ class CloudVariableExtension {
         });
     }
 
+    #createDict(name, id) {
+        if (!this.#cvSocket) {
+            return;
+        }
+        const dict = new dmetDict(
+            {
+                name,
+            },
+            id
+        );
+        return new Promise((resolve) => {
+            this.#cvSocket.emit('create', dict, (isCreate, dict) => {
+                if (isCreate) {
+                    this.createDmet(dict);
+                }
+                resolve();
+            });
+        });
+    }
+
     #run(operation) {
+        const socket = this.#cvSocket;
+        const pending = { operation, afterKey: this.#getAfterKey(operation) };
+        if (socket.connected && !this.#pendingOperations.length) {
+            return this.#emitAction(operation).then(([isUpdate, operation, err]) => {
+                if (err) {
+                    this.#runOffline(pending);
+                } else if (isUpdate) {
+                    this.#data.exec(operation);
+                    this.#applyValue(operation);
+                }
+            });
+        } else if (socket.connected) {
+            // 앞서 쌓인 operation 을 보내는 중이면 순서를 지키기 위해 뒤에 줄을 세운다.
+            return new Promise((resolve) => {
+                pending.resolve = resolve;
+                this.#pendingOperations.push(pending);
+                this.#flushPendingOperations();
+            });
+        }
+        this.#runOffline(pending);
+        return Promise.resolve();
+    }
+
+    #runOffline(pending) {
+        const result = this.#data.exec(pending.operation);
+        if (!result) {
+            return;
+        }
+        if (this.#isOnline) {
+            pending.operation = result;
+            this.#pendingOperations.push(pending);
+        }
+        this.#applyValue(result);
+    }
+
+    #emitAction(operation) {
         return new Promise((resolve) => {
-            if (this.#cvSocket.connected) {
-                this.#cvSocket.emit('action', operation, (isUpdate, operation) => {
-                    if (isUpdate) {
-                        this.#data.exec(operation);
-                        resolve(operation);
-                    } else {
-                        resolve();
-                    }
+            this.#cvSocket
+                .timeout(ACTION_TIMEOUT)
+                .emit('action', operation, (err, isUpdate, operation) => {
+                    resolve(err ? [false, null, err] : [isUpdate, operation]);
                 });
-            } else {
-                this.#data.exec(operation);
-                resolve(operation);
+        });
+    }
+
+    #getAfterKey({ type, id, variableType, index }) {
+        if (type !== 'insert' || !index) {
+            return null;
+        }
+        const list = this.#data.get({ id, variableType });
+        const item = list && list.get(index - 1);
+        return item ? item.key : null;
+    }
+
+    /**
+     * 서버 값이 바뀌었을 수 있으므로 insert 위치를 afterKey 기준으로 다시 계산한다.
+     * afterKey 항목이 지워졌으면 원래 위치(리스트 길이를 넘지 않게)에 넣는다.
+     */
+    #rebase({ operation, afterKey }) {
+        if (operation.type !== 'insert') {
+            return operation;
+        }
+        const list = this.#data.get(operation);
+        if (!list) {
+            return operation;
+        }
+        const afterIndex = afterKey ? list.getIndex(afterKey) : -1;
+        const index =
+            afterIndex > -1 ? afterIndex + 1 : Math.min(operation.index, list.array.length);
+        return { ...operation, index };
+    }
+
+    async #flushPendingOperations() {
+        if (this.#isFlushing) {
+            return;
+        }
+        this.#isFlushing = true;
+        try {
+            while (this.#pendingOperations.length && this.#cvSocket.connected) {
+                const pending = this.#pendingOperations[0];
+                const [isUpdate, operation, err] = await this.#emitAction(this.#rebase(pending));
+                if (err) {
+                    // 응답이 없으면 연결이 끊긴 것으로 보고 다음 welcome 때 다시 보낸다.
+                    break;
+                }
+                this.#pendingOperations.shift();
+                if (isUpdate) {
+                    this.#data.exec(operation);
+                    this.#applyValue(operation);
+                }
+                pending.resolve && pending.resolve();
             }
-        }).then((operation) => {
-            if (operation) {
-                this.#applyValue(operation);
+            if (this.#pendingOperations.length) {
+                this.#runQueuedOffline();
             }
+        } finally {
+            this.#isFlushing = false;
+        }
+    }
+
+    /**
+     * 줄을 서 있다가 연결이 끊기거나 응답이 없어 보내지 못한 operation 은 로컬에 먼저 적용하고
+     * 기다리던 블록을 진행시킨다. 적용한 결과는 다른 오프라인 operation 처럼 다시 연결되면 보낸다.
+     */
+    #runQueuedOffline() {
+        this.#pendingOperations = this.#pendingOperations.filter((pending) => {
+            const { resolve } = pending;
+            if (!resolve) {
+                return true;
+            }
+            delete pending.resolve;
+            const result = this.#data.exec(pending.operation);
+            if (result) {
+                pending.operation = result;
+                this.#applyValue(result);
+            }
+            resolve();
+            return !!result && this.#isOnline;
         });
     }
 
@@ -233,6 +380,18 @@ class CloudVariableExtension {
                 list.array_ = operation.list.map((key) => ({ data: operation.value[key] }));
             }
             list.updateView();
+        } else if (variableType === 'dict') {
+            const dict = Entry.variableContainer.getDict(id);
+            if (!dict) {
+                return;
+            }
+            if (this && this.get) {
+                const { array } = this.get(operation);
+                dict.array_ = array;
+            } else if (operation.array) {
+                dict.array_ = operation.array;
+            }
+            dict.updateView();
         }
     }
 
@@ -261,7 +420,11 @@ class CloudVariableExtension {
         if (!dmetList) {
             console.error('no target ', target);
         }
-        dmetList.from(array.map(({ data }) => data));
+        if (target.variableType === 'dict') {
+            dmetList.from({ array });
+        } else {
+            dmetList.from(array.map(({ data }) => data));
+        }
     }
 
     append(target, data) {
@@ -310,6 +473,37 @@ class CloudVariableExtension {
         return this.#run(operation);
     }
 
+    setItem(target, key, data) {
+        if (!this.#cvSocket) {
+            return;
+        }
+        const variable = this.#data.get(target);
+        if (!variable) {
+            return;
+        }
+        const operation = variable.getOperation({
+            type: 'set',
+            key,
+            data,
+        });
+        return this.#run(operation);
+    }
+
+    deleteItem(target, key) {
+        if (!this.#cvSocket) {
+            return;
+        }
+        const variable = this.#data.get(target);
+        if (!variable) {
+            return;
+        }
+        const operation = variable.getOperation({
+            type: 'delete',
+            key,
+        });
+        return this.#run(operation);
+    }
+
     replace(target, index, data) {
         if (!this.#cvSocket) {
             return;
@@ -0,0 +1,39 @@
+'use strict';
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * 방(작품)마다 하나의 JSON 파일로 공유 변수를 저장하는 저장소. (Node.js 전용)
+ */
+export default class FileStorage {
+    /**
+     * @param {string} directory 파일을 저장할 디렉토리
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    getFilePath(roomId) {
+        return path.join(this.directory, `${encodeURIComponent(roomId)}.json`);
+    }
+
+    async load(roomId) {
+        try {
+            return JSON.parse(await fs.readFile(this.getFilePath(roomId), 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                return null;
+            }
+            throw e;
+        }
+    }
+
+    async save(roomId, variables) {
+        await fs.mkdir(this.directory, { recursive: true });
+        const filePath = this.getFilePath(roomId);
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(variables));
+        await fs.rename(tempPath, filePath);
+    }
+}
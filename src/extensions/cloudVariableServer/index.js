@@ -0,0 +1,247 @@
+'use strict';
+
+import { dmet } from '../dmet';
+import MemoryStorage from './memoryStorage';
+
+const noop = () => {};
+
+/**
+ * CloudVariableExtension 이 사용하는 '/cv' socket.io 프로토콜을 구현한 공유 변수 서버.
+ * 학교 내부망 등에서 공식 서비스 없이 공유 변수/리스트/테이블/사전을 사용할 수 있다.
+ * socket.io 서버는 사용하는 쪽에서 만들어 attach 로 연결한다.
+ * 따로 띄울 때는 scripts/cloudVariableServer.js (npm run serve:cloud-variable) 를 사용한다.
+ *
+ * 사용 예)
+ *   const io = new Server(httpServer, { path: '/cv' });
+ *   const cvServer = new CloudVariableServer({ storage: new FileStorage('./data') });
+ *   cvServer.attach(io);
+ *
+ *   // 작품 쪽
+ *   Entry.cloudVariable.setServerInfo({
+ *       url: 'http://192.168.0.2:3000',
+ *       type: 'project',
+ *       query: projectId,
+ *   });
+ *
+ * 메시지
+ *   서버 → 작품: welcome({ variables, isOffline }), action(operation), reset(variables), check(id),
+ *               changeMode(mode, target)
+ *   작품 → 서버: action(operation, ack), create(variable, ack), changeMode(mode, target), imAlive(id)
+ */
+export default class CloudVariableServer {
+    /**
+     * @param {Object=} options
+     * @param {Object=} options.storage load/save 를 구현한 저장소. 기본은 MemoryStorage
+     * @param {function(Object): Promise<Array<Object>>=} options.getInitialVariables
+     *  저장된 값이 없는 방의 초기 변수 목록. handshake query({ type, q })를 받는다.
+     * @param {number=} options.checkInterval 접속 확인(check) 주기(ms). 응답이 없으면 연결을 끊는다.
+     * @param {number=} options.saveDelay 변경 후 저장까지 기다리는 시간(ms)
+     */
+    constructor({
+        storage = new MemoryStorage(),
+        getInitialVariables = async () => [],
+        checkInterval = 30000,
+        saveDelay = 1000,
+    } = {}) {
+        this.storage = storage;
+        this.getInitialVariables = getInitialVariables;
+        this.checkInterval = checkInterval;
+        this.saveDelay = saveDelay;
+        this.rooms = new Map();
+        this.checkTimer = null;
+        this.lastCheckId = 0;
+    }
+
+    /**
+     * @param {Object} io socket.io Server 또는 Namespace
+     */
+    attach(io) {
+        io.on('connection', (socket) => {
+            this.handleConnection(socket).catch((e) => {
+                console.warn('cloud variable connection failed', e);
+                socket.disconnect(true);
+            });
+        });
+        if (this.checkInterval && !this.checkTimer) {
+            this.checkTimer = setInterval(() => this.checkAlive(), this.checkInterval);
+        }
+        return this;
+    }
+
+    /**
+     * 모든 방의 변경 내용을 저장하고 접속 확인을 멈춘다.
+     */
+    async close() {
+        clearInterval(this.checkTimer);
+        this.checkTimer = null;
+        const rooms = await this.getLoadedRooms();
+        await Promise.all(rooms.map((room) => this.flush(room)));
+    }
+
+    /**
+     * 불러오는 중인 방은 기다리고, 불러오지 못한 방은 뺀다.
+     */
+    async getLoadedRooms() {
+        const rooms = await Promise.allSettled(this.rooms.values());
+        return rooms.filter(({ status }) => status === 'fulfilled').map(({ value }) => value);
+    }
+
+    getRoomId({ type = '', q = '' } = {}) {
+        return `${type}:${q}`;
+    }
+
+    async getRoom(roomId, query) {
+        if (!this.rooms.has(roomId)) {
+            const loading = (async () => {
+                const stored = await this.storage.load(roomId);
+                const variables = stored || (await this.getInitialVariables(query)) || [];
+                return {
+                    id: roomId,
+                    data: new dmet(variables),
+                    mode: 'online',
+                    sockets: new Set(),
+                    saveTimer: null,
+                };
+            })();
+            this.rooms.set(roomId, loading);
+            // 불러오기에 실패한 방은 다음 접속에서 다시 불러오도록 지운다.
+            loading.catch(() => {
+                if (this.rooms.get(roomId) === loading) {
+                    this.rooms.delete(roomId);
+                }
+            });
+        }
+        return this.rooms.get(roomId);
+    }
+
+    async handleConnection(socket) {
+        const query = (socket.handshake && socket.handshake.query) || {};
+        const roomId = this.getRoomId(query);
+        const room = await this.getRoom(roomId, query);
+
+        room.sockets.add(socket);
+        socket.join(roomId);
+        socket.emit('welcome', {
+            variables: this.getVariables(room),
+            isOffline: room.mode === 'offline',
+        });
+
+        socket.on('action', (operation, ack = noop) => {
+            ack(...this.handleAction(room, socket, operation));
+        });
+        socket.on('create', (variable, ack = noop) => {
+            ack(...this.handleCreate(room, socket, variable));
+        });
+        socket.on('changeMode', (mode, target) => {
+            room.mode = mode === 'offline' ? 'offline' : 'online';
+            // INFO : 방 전체의 모드가 바뀌므로 다른 접속도 더 보내지 않고 로컬로 바꾸도록 알린다.
+            socket.emit('changeMode', room.mode, target);
+            socket.to(roomId).emit('changeMode', room.mode, target);
+        });
+        socket.on('imAlive', (id) => {
+            if (socket.cvCheckId === id) {
+                socket.cvCheckId = null;
+            }
+        });
+        socket.on('disconnect', () => {
+            room.sockets.delete(socket);
+            if (!room.sockets.size) {
+                this.flush(room).then(() => {
+                    if (!room.sockets.size) {
+                        this.rooms.delete(roomId);
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * @return {Array} ack 인자. 성공하면 [true, 적용된 operation], 실패하면 [false]
+     */
+    handleAction(room, socket, operation) {
+        const target = operation && room.data.get(operation);
+        if (room.mode === 'offline' || !target) {
+            return [false];
+        }
+        const { type, key, variableType } = operation;
+        if (variableType === 'list' && ['append', 'insert'].includes(type) && target.get(key)) {
+            // 응답을 받지 못해 다시 보낸 operation 은 한 번만 적용한다.
+            return [false];
+        }
+        let result;
+        try {
+            result = room.data.exec(operation);
+        } catch (e) {
+            console.warn('cloud variable action failed', e);
+        }
+        if (!result) {
+            return [false];
+        }
+        socket.to(room.id).emit('action', result);
+        this.scheduleSave(room);
+        return [true, result];
+    }
+
+    handleCreate(room, socket, variable) {
+        if (!variable || !variable.id || room.data.get(variable)) {
+            return [false];
+        }
+        try {
+            room.data.create(variable);
+        } catch (e) {
+            console.warn('cloud variable create failed', e);
+            return [false];
+        }
+        socket.to(room.id).emit('reset', this.getVariables(room));
+        this.scheduleSave(room);
+        return [true, room.data.get(variable).toJSON()];
+    }
+
+    getVariables({ data }) {
+        return [
+            ...Object.values(data.variable),
+            ...Object.values(data.list),
+            ...Object.values(data.table),
+            ...Object.values(data.dict),
+        ].map((variable) => variable.toJSON());
+    }
+
+    scheduleSave(room) {
+        if (room.saveTimer) {
+            return;
+        }
+        room.saveTimer = setTimeout(() => this.flush(room), this.saveDelay);
+    }
+
+    async flush(room) {
+        if (!room.saveTimer) {
+            return;
+        }
+        clearTimeout(room.saveTimer);
+        room.saveTimer = null;
+        try {
+            await this.storage.save(room.id, this.getVariables(room));
+        } catch (e) {
+            console.warn('cloud variable save failed', e);
+        }
+    }
+
+    /**
+     * 이전 check 에 응답하지 않은 연결은 끊고, 나머지에 새 check 를 보낸다.
+     */
+    async checkAlive() {
+        const rooms = await this.getLoadedRooms();
+        rooms.forEach(({ sockets }) => {
+            sockets.forEach((socket) => {
+                if (socket.cvCheckId) {
+                    socket.disconnect(true);
+                    return;
+                }
+                socket.cvCheckId = ++this.lastCheckId;
+                socket.emit('check', socket.cvCheckId);
+            });
+        });
+    }
+}
+
+export { MemoryStorage };
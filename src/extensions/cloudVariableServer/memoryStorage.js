@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * 공유 변수 서버의 기본 저장소. 프로세스가 끝나면 값이 사라진다.
+ *
+ * 저장소는 아래 두 함수만 구현하면 되며, 데이터베이스 등 다른 저장소로 바꿀 수 있다.
+ *   load(roomId): Promise<?Array<Object>>  저장된 변수 목록(dmet 의 toJSON 결과). 없으면 null
+ *   save(roomId, variables): Promise<void>
+ */
+export default class MemoryStorage {
+    #rooms = new Map();
+
+    async load(roomId) {
+        const variables = this.#rooms.get(roomId);
+        return variables ? JSON.parse(variables) : null;
+    }
+
+    async save(roomId, variables) {
+        this.#rooms.set(roomId, JSON.stringify(variables));
+    }
+}
@@ -585,6 +585,129 @@ class dmetList {
     }
 }
 
+/**
+ * 사전 변수. 항목의 key 가 곧 사전의 키이므로 같은 키는 한 번만 들어간다.
+ * array 는 넣은 순서를 지킨 { key, data } 목록이다.
+ */
+class dmetDict {
+    constructor(dict = {}, id) {
+        this.#id = id;
+        this.from(dict);
+    }
+
+    _id = undefined;
+    __isUpdate = false;
+    #id = '';
+    #key = CommonUtils.generateId();
+    #object = {};
+    #array = [];
+    #info = {};
+    #variableType = 'dict';
+
+    get value() {
+        return _mapValues(this.#object, ({ data }) => data);
+    }
+
+    get array() {
+        return this.#array;
+    }
+
+    get isDmet() {
+        return true;
+    }
+
+    get id() {
+        return this.#id;
+    }
+
+    get key() {
+        return this.#key;
+    }
+
+    get variableType() {
+        return this.#variableType;
+    }
+
+    from(data) {
+        if (data.isDmet || isPlainObject(data)) {
+            const { array = [], _id, id = this.#id, variableType, ...info } = data;
+            this.#object = {};
+            this.#array = [];
+            if (Array.isArray(array)) {
+                array.forEach(({ key, data }) => this.#set({ key: String(key), data }));
+            }
+            this._id = _id;
+            this.#id = id;
+            this.#info = info;
+        } else if ('toJSON' in data) {
+            this.from(data.toJSON());
+        } else {
+            throw 'data is wrong.';
+        }
+    }
+
+    get(key) {
+        return this.#object[key];
+    }
+
+    getOperation({ type, key, data } = {}) {
+        const attach = type === 'set' ? { data } : {};
+        return {
+            _id: this._id || undefined,
+            id: this.#id,
+            variableType: this.variableType,
+            key: String(key),
+            type,
+            ...attach,
+        };
+    }
+
+    exec(operation) {
+        const { type } = operation;
+        this.__isUpdate = true;
+        switch (type) {
+            case 'set':
+                return this.#set(operation);
+            case 'delete':
+                return this.#delete(operation);
+        }
+    }
+
+    toJSON() {
+        return {
+            ...this.#info,
+            _id: this._id || undefined,
+            id: this.#id,
+            key: this.#key,
+            array: this.#array,
+            isDmet: true,
+            variableType: this.variableType,
+        };
+    }
+
+    #set({ key, data }) {
+        const item = this.#object[key];
+        if (item) {
+            item.data = data;
+        } else {
+            const newItem = { key, data };
+            this.#object[key] = newItem;
+            this.#array.push(newItem);
+        }
+        return this.getOperation({ type: 'set', key, data });
+    }
+
+    #delete({ key }) {
+        const item = this.#object[key];
+        if (!item) {
+            return;
+        }
+        delete this.#object[key];
+        this.#array.splice(this.#array.indexOf(item), 1);
+        return this.getOperation({ type: 'delete', key });
+    }
+}
+
 class dmetVariable {
     constructor(variable = '', id) {
         this.#id = id;
@@ -696,6 +819,7 @@ class dmet {
     #list = {};
     #variable = {};
     #table = {};
+    #dict = {};
 
     get list() {
         return this.#list;
@@ -709,6 +833,10 @@ class dmet {
         return this.#table;
     }
 
+    get dict() {
+        return this.#dict;
+    }
+
     get id() {
         return this.#id;
     }
@@ -733,6 +861,7 @@ class dmet {
             id: this.#id,
             list: this.list,
             table: this.table,
+            dict: this.dict,
             variable: this.variable,
             isDmet: true,
         };
@@ -754,6 +883,9 @@ class dmet {
                 } else if (variableType === 'table') {
                     const result = new dmetTable(variable);
                     this.#table[result.id] = result;
+                } else if (variableType === 'dict') {
+                    const result = new dmetDict(variable);
+                    this.#dict[result.id] = result;
                 }
             });
         } else if (isPlainObject(variables) && variables.isDmet) {
@@ -763,6 +895,7 @@ class dmet {
                 (variable) => new dmetVariable(variable)
             );
             this.#table = _mapValues(variables.table, (list) => new dmetTable(list));
+            this.#dict = _mapValues(variables.dict, (dict) => new dmetDict(dict));
             this.#id = variables.id;
         }
     }
@@ -777,6 +910,8 @@ class dmet {
                 return this.#list[id];
             case 'table':
                 return this.#table[id];
+            case 'dict':
+                return this.#dict[id];
             case 'default':
                 return undefined;
         }
@@ -795,6 +930,8 @@ class dmet {
             this.#list[id] = new dmetList(object);
         } else if (variableType === 'table') {
             this.#table[id] = new dmetTable(object);
+        } else if (variableType === 'dict') {
+            this.#dict[id] = new dmetDict(object);
         }
     }
 
@@ -825,6 +962,8 @@ class dmet {
                 return this.#list[id].exec(operation);
             } else if (variableType === 'table') {
                 return this.#table[id].exec(operation);
+            } else if (variableType === 'dict') {
+                return this.#dict[id].exec(operation);
             }
         } finally {
             this.notify();
@@ -832,4 +971,4 @@ class dmet {
     }
 }
 
-export { dmetList, dmetVariable, dmet, dmetTable };
+export { dmetList, dmetVariable, dmet, dmetTable, dmetDict };
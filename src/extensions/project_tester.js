@@ -0,0 +1,430 @@
+'use strict';
+
+import ManualClock from '../class/headless/manualClock';
+
+const flushPendingJobs = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const CASE_TEMPLATE = JSON.stringify(
+    {
+        name: '점수가 10 올라간다',
+        given: { variables: { 점수: 0 } },
+        trigger: { type: 'message', value: '득점' },
+        ticks: 60,
+        expect: { variables: { 점수: 10 } },
+    },
+    null,
+    2
+);
+
+const isNumeric = (value) => value !== '' && value !== null && !isNaN(Number(value));
+
+/**
+ * 숫자로 읽을 수 있는 값은 tolerance 안의 차이를 같은 값으로 본다. ('10' 과 10 은 같다)
+ */
+const isSameValue = (actual, expected, tolerance) => {
+    if (isNumeric(actual) && isNumeric(expected)) {
+        return Math.abs(Number(actual) - Number(expected)) <= tolerance;
+    }
+    return String(actual) === String(expected);
+};
+
+/**
+ * 선생님이 작성한 테스트 케이스로 작품을 반복 실행하여 케이스별 통과 여부를 확인한다.
+ * 각 케이스는 실행(toggleRun) 직후 초기 값을 넣고 신호/키/클릭을 발생시킨 뒤 정해진 틱만큼 진행하며,
+ * 끝나면 정지(toggleStop)하여 엔진의 스냅샷으로 실행 전 상태를 되돌린다.
+ *
+ * 테스트 케이스
+ * {
+ *   name: '점수가 10 올라간다',
+ *   given: { variables: { 점수: 0 }, lists: { 기록: [] }, objects: { 엔트리봇: { x: 0, y: 0 } } },
+ *   trigger: { type: 'message', value: '득점' }, // start | message | key | click
+ *   ticks: 60,
+ *   expect: {
+ *     variables: { 점수: 10 },
+ *     lists: { 기록: ['10'] },
+ *     objects: { 엔트리봇: { x: 10, dialog: '안녕' } },
+ *     goals: ['목표1'], // 학습 목표 블록(Entry.TargetChecker)으로 달성한 목표
+ *   },
+ * }
+ */
+class ProjectTester {
+    /**
+     * @param {Array<Object>=} cases
+     */
+    constructor(cases = []) {
+        this.cases = [];
+        this.results = [];
+        this.isRunning = false;
+        this.load(cases);
+    }
+
+    load(cases = []) {
+        this.cases = _.cloneDeep(cases);
+        this.results = [];
+        this.render();
+    }
+
+    toJSON() {
+        return _.cloneDeep(this.cases);
+    }
+
+    addCase(testCase) {
+        this.cases.push(_.cloneDeep(testCase));
+        this.render();
+    }
+
+    removeCase(name) {
+        this.cases = this.cases.filter((testCase) => testCase.name !== name);
+        this.results = this.results.filter((result) => result.name !== name);
+        this.render();
+    }
+
+    getResult(name) {
+        return _.find(this.results, (result) => result.name === name);
+    }
+
+    /**
+     * 모든 케이스를 순서대로 실행한다. 실행 중인 작품은 먼저 정지된다.
+     * @return {Promise<Array<{name: string, passed: boolean, failures: Array<Object>}>>}
+     */
+    async runAll() {
+        const results = [];
+        for (const testCase of this.cases) {
+            results.push(await this.run(testCase));
+        }
+        this.results = results;
+        this.render();
+
+        const passedCount = results.filter(({ passed }) => passed).length;
+        if (Entry.targetChecker) {
+            Entry.targetChecker.showStatusMessage(
+                Lang.Workspace.project_test_result
+                    .replace('%1', passedCount)
+                    .replace('%2', results.length)
+            );
+        }
+        Entry.dispatchEvent('projectTestFinished', results);
+        return results;
+    }
+
+    /**
+     * @param {Object} testCase
+     * @return {Promise<{name: string, passed: boolean, failures: Array<Object>}>}
+     */
+    async run(testCase) {
+        if (this.isRunning) {
+            throw new Error('ProjectTester: another test case is running');
+        }
+        const engine = Entry.engine;
+        const { name, given = {}, trigger = { type: 'start' }, ticks = 60 } = testCase;
+        const result = { name, passed: false, failures: [] };
+
+        this.isRunning = true;
+        this.render();
+        if (!engine.isState('stop')) {
+            await engine.toggleStop();
+        }
+        const prevClock = engine.clock;
+        // INFO : 시계를 넣으면 ticker 가 멈추므로, 돌고 있던 경우에만 끝나고 다시 돌린다.
+        const wasTicking = !!engine.ticker;
+        const clock = new ManualClock();
+        engine.setClock(clock);
+
+        try {
+            engine.toggleRun();
+            if (trigger.type !== 'start') {
+                // 시작하기 버튼을 클릭했을 때 블록은 start 일 때만 실행한다.
+                Entry.container.clearRunningStateOnScene();
+            }
+            this._applyGiven(given);
+            this._fireTrigger(trigger);
+
+            const tickTime = Math.floor(1000 / (Entry.FPS || 60));
+            for (let i = 0; i < ticks && engine.isState('run'); i++) {
+                clock.advance(tickTime);
+                if (engine.projectTimer && engine.projectTimer.isInit) {
+                    engine.updateProjectTimer();
+                }
+                engine.update();
+                await flushPendingJobs();
+            }
+            result.failures = this._check(testCase.expect || {}, testCase.tolerance);
+            result.passed = !result.failures.length;
+        } catch (e) {
+            result.error = e.message;
+        } finally {
+            if (!engine.isState('stop')) {
+                await engine.toggleStop();
+            }
+            if (trigger.type === 'key') {
+                Entry.pressedKeys = _.without(Entry.pressedKeys, trigger.value);
+            }
+            engine.setClock(prevClock);
+            if (wasTicking) {
+                engine.start();
+            }
+            this.isRunning = false;
+        }
+        this.results = [...this.results.filter((prev) => prev.name !== name), result];
+        this.render();
+        Entry.dispatchEvent('projectTestCaseFinished', result);
+        return result;
+    }
+
+    generateView(parentView) {
+        if (this.view) {
+            return;
+        }
+        const view = Entry.createElement('div').addClass('entryProjectTesterWorkspace');
+        const header = Entry.createElement('div')
+            .addClass('entryProjectTesterHeader')
+            .appendTo(view);
+        this._runAllButton = this._createButton(header, Lang.Workspace.project_test_run_all, () =>
+            this.runAll()
+        );
+        this._summaryView = Entry.createElement('span')
+            .addClass('entryProjectTesterSummary')
+            .appendTo(header);
+        this._caseListView = Entry.createElement('ul')
+            .addClass('entryProjectTesterCases')
+            .appendTo(view);
+
+        const editor = Entry.createElement('div')
+            .addClass('entryProjectTesterEditor')
+            .appendTo(view);
+        this._caseInput = Entry.createElement('textarea')
+            .addClass('entryProjectTesterInput')
+            .appendTo(editor);
+        this._caseInput.placeholder = CASE_TEMPLATE;
+        this._addButton = this._createButton(editor, Lang.Workspace.project_test_add, () =>
+            this._addCaseFromInput()
+        );
+
+        this.view = view;
+        parentView && parentView.appendChild(view);
+        this.render();
+    }
+
+    _createButton(parent, text, onClick) {
+        const button = Entry.createElement('button')
+            .addClass('entryProjectTesterButton')
+            .appendTo(parent);
+        button.textContent = text;
+        button.bindOnClick(onClick);
+        return button;
+    }
+
+    /**
+     * 입력 칸의 JSON 을 케이스로 추가한다. 같은 이름의 케이스는 새 내용으로 바뀐다.
+     */
+    _addCaseFromInput() {
+        let testCase;
+        try {
+            testCase = JSON.parse(this._caseInput.value);
+        } catch (e) {
+            testCase = null;
+        }
+        if (!_.isPlainObject(testCase) || !testCase.name) {
+            Entry.toast.alert(Lang.Msgs.warn, Lang.Workspace.project_test_invalid);
+            return;
+        }
+        this.cases = this.cases.filter(({ name }) => name !== testCase.name);
+        this.addCase(testCase);
+        this._caseInput.value = '';
+    }
+
+    getView() {
+        return this.view;
+    }
+
+    /**
+     * 속성 패널에서 탭을 선택하면 불린다.
+     */
+    resize() {
+        this.render();
+    }
+
+    render() {
+        if (!this.view) {
+            return;
+        }
+        this._runAllButton.disabled = this.isRunning || !this.cases.length;
+        this._addButton.disabled = this.isRunning;
+
+        const results = this.cases.map(({ name }) => this.getResult(name)).filter(_.identity);
+        if (!this.cases.length) {
+            this._summaryView.textContent = Lang.Workspace.project_test_empty;
+        } else if (results.length) {
+            this._summaryView.textContent = Lang.Workspace.project_test_result
+                .replace('%1', results.filter(({ passed }) => passed).length)
+                .replace('%2', this.cases.length);
+        } else {
+            this._summaryView.textContent = '';
+        }
+
+        const fragment = document.createDocumentFragment();
+        this.cases.forEach((testCase) => {
+            const result = this.getResult(testCase.name);
+            const item = Entry.createElement('li').appendTo(fragment);
+            const title = Entry.createElement('div')
+                .addClass('entryProjectTesterCaseTitle')
+                .appendTo(item);
+            let status = 'ready';
+            if (result) {
+                status = result.passed ? 'passed' : 'failed';
+            }
+            Entry.createElement('span')
+                .addClass(`entryProjectTesterStatus ${status}`)
+                .appendTo(title).textContent = Lang.Workspace[`project_test_${status}`];
+            Entry.createElement('span')
+                .addClass('entryProjectTesterCaseName')
+                .appendTo(title).textContent = testCase.name;
+            this._createButton(title, Lang.Workspace.project_test_run, () =>
+                this.run(testCase)
+            ).disabled = this.isRunning;
+            this._createButton(title, Lang.Workspace.project_test_remove, () =>
+                this.removeCase(testCase.name)
+            ).disabled = this.isRunning;
+
+            if (result && !result.passed) {
+                const failures = Entry.createElement('ul')
+                    .addClass('entryProjectTesterFailures')
+                    .appendTo(item);
+                const messages = result.error
+                    ? [result.error]
+                    : result.failures.map(({ target, expected, actual }) =>
+                          Entry.Utils.stringFormat(
+                              Lang.Workspace.project_test_failure,
+                              target,
+                              JSON.stringify(expected),
+                              JSON.stringify(actual)
+                          )
+                      );
+                messages.forEach((message) => {
+                    Entry.createElement('li').appendTo(failures).textContent = message;
+                });
+            }
+        });
+        this._caseListView.innerHTML = '';
+        this._caseListView.appendChild(fragment);
+    }
+
+    _applyGiven({ variables = {}, lists = {}, objects = {} }) {
+        _.each(variables, (value, name) => this._getVariable(name).setValue(value));
+        _.each(lists, (array, name) =>
+            this._getList(name).setArray(array.map((data) => ({ data })))
+        );
+        _.each(objects, ({ x, y }, name) => {
+            const { entity } = this._getObject(name);
+            x !== undefined && entity.setX(x);
+            y !== undefined && entity.setY(y);
+        });
+    }
+
+    _fireTrigger({ type, value }) {
+        const engine = Entry.engine;
+        switch (type) {
+            case 'start':
+                break;
+            case 'message': {
+                const message = _.find(Entry.variableContainer.messages_, ({ id, name }) =>
+                    [id, name].includes(value)
+                );
+                if (!message) {
+                    throw new Error(`unknown message "${value}"`);
+                }
+                engine.raiseMessage(message.id);
+                break;
+            }
+            case 'key':
+                Entry.pressedKeys = _.union(Entry.pressedKeys || [], [value]);
+                engine.fireEventWithValue('keyPress', value);
+                break;
+            case 'click': {
+                const { entity } = this._getObject(value);
+                Entry.dispatchEvent('entityClick', entity);
+                Entry.dispatchEvent('entityClickCanceled', entity);
+                break;
+            }
+            default:
+                throw new Error(`unknown trigger "${type}"`);
+        }
+    }
+
+    _check({ variables = {}, lists = {}, objects = {}, goals = [] }, tolerance = 0.001) {
+        const failures = [];
+        const compare = (target, actual, expected) => {
+            const isSame = Array.isArray(expected)
+                ? Array.isArray(actual) &&
+                  actual.length === expected.length &&
+                  expected.every((value, index) => isSameValue(actual[index], value, tolerance))
+                : isSameValue(actual, expected, tolerance);
+            isSame || failures.push({ target, expected, actual });
+        };
+
+        _.each(variables, (expected, name) =>
+            compare(`variable "${name}"`, this._getVariable(name).getValue(), expected)
+        );
+        _.each(lists, (expected, name) =>
+            compare(
+                `list "${name}"`,
+                (this._getList(name).getArray() || []).map(({ data }) => data),
+                expected
+            )
+        );
+        _.each(objects, (expected, name) => {
+            const { entity } = this._getObject(name);
+            const actual = {
+                x: entity.getX(),
+                y: entity.getY(),
+                dialog: entity.dialog ? entity.dialog.message_ : '',
+            };
+            _.each(expected, (value, key) =>
+                compare(`object "${name}" ${key}`, actual[key], value)
+            );
+        });
+        goals.forEach((goal) => {
+            const achieved = !!Entry.targetChecker && Entry.targetChecker.checkGoal(String(goal));
+            achieved || failures.push({ target: `goal "${goal}"`, expected: true, actual: false });
+        });
+        return failures;
+    }
+
+    _getObject(name) {
+        const object = _.find(Entry.container.getAllObjects(), ({ id, name: objectName }) =>
+            [id, objectName].includes(name)
+        );
+        if (!object) {
+            throw new Error(`unknown object "${name}"`);
+        }
+        return object;
+    }
+
+    /**
+     * 전역 변수를 먼저 찾고, 없으면 오브젝트 지역 변수를 찾는다.
+     */
+    _findVariable(variables, name) {
+        const matched = variables.filter(
+            (variable) => variable.getName() === name || variable.getId() === name
+        );
+        return _.find(matched, (variable) => !variable.object_) || matched[0];
+    }
+
+    _getVariable(name) {
+        const variable = this._findVariable(Entry.variableContainer.variables_, name);
+        if (!variable) {
+            throw new Error(`unknown variable "${name}"`);
+        }
+        return variable;
+    }
+
+    _getList(name) {
+        const list = this._findVariable(Entry.variableContainer.lists_, name);
+        if (!list) {
+            throw new Error(`unknown list "${name}"`);
+        }
+        return list;
+    }
+}
+
+Entry.ProjectTester = ProjectTester;
@@ -0,0 +1,509 @@
+'use strict';
+
+import _isEqual from 'lodash/isEqual';
+import _cloneDeep from 'lodash/cloneDeep';
+
+// 이 틱마다 전체 상태를 남겨 두고, 되돌려 볼 때는 가까운 상태부터 차이를 적용한다.
+const CHECKPOINT_INTERVAL = 60;
+
+/**
+ * 실행(run) 중 매 틱마다 실행된 블록과 변수/리스트/엔티티 변화량을 기록하고,
+ * 정지(toggleStop) 후 기록된 임의의 틱으로 화면 상태를 되돌려 볼 수 있게 한다.
+ *
+ * 틱 0 은 실행 시작 직후의 전체 상태이며, 이후 틱은 직전 틱과의 차이만 저장한다.
+ * 되돌려 보기를 시작할 때 실행할 때처럼 엔티티와 변수의 스냅샷을 찍어 두고, 끝내면 되돌린다.
+ * 되돌려 보는 중에 작품을 저장하면 먼저 되돌려 보기를 끝낸다. (Entry.exportProject)
+ * 속성 패널의 'trace' 탭에서 기록을 켜고 끄고, 틱을 골라 되돌려 본다.
+ */
+class ExecutionTrace {
+    /**
+     * @param {Object} options
+     * @param {number=} options.maxTicks 기록할 최대 틱 수. 넘으면 기록을 중단한다.
+     */
+    constructor({ maxTicks = 60 * 60 * 5 } = {}) {
+        this.maxTicks = maxTicks;
+        this.enabled = false;
+        this.recording = false;
+        this.truncated = false;
+        this.frames = [];
+        this.initialState = null;
+        this.currentTick = null;
+        this._checkpoints = [];
+        this._replayState = null;
+        this._replayStateTick = 0;
+        this._lastState = null;
+        this._executedBlocks = [];
+        this._watchListeners = [];
+        this._activatedViews = [];
+    }
+
+    enable() {
+        if (this.enabled) {
+            return;
+        }
+        this.enabled = true;
+        Entry.addEventListener('beforeRun', this._handleBeforeRun);
+        Entry.addEventListener('run', this._handleRun);
+        Entry.addEventListener('engineUpdated', this._handleTick);
+        Entry.addEventListener('beforeStop', this._handleStop);
+        this.render();
+    }
+
+    disable() {
+        if (!this.enabled) {
+            return;
+        }
+        this.enabled = false;
+        this.exitReplay();
+        this._finishRecording();
+        Entry.removeEventListener('beforeRun', this._handleBeforeRun);
+        Entry.removeEventListener('run', this._handleRun);
+        Entry.removeEventListener('engineUpdated', this._handleTick);
+        Entry.removeEventListener('beforeStop', this._handleStop);
+        this.render();
+    }
+
+    isReplaying() {
+        return this.currentTick !== null;
+    }
+
+    getTickCount() {
+        return this.frames.length;
+    }
+
+    _handleBeforeRun = () => {
+        this.exitReplay();
+    };
+
+    _handleRun = () => {
+        if (this.recording) {
+            return;
+        }
+        this.recording = true;
+        this.truncated = false;
+        this.initialState = this._captureState();
+        this._checkpoints = [this.initialState];
+        this._lastState = _cloneDeep(this.initialState);
+        this.frames = [];
+        this._executedBlocks = [];
+        this._watchListeners = Entry.container.getAllObjects().map(({ script }) =>
+            script.watchEvent.attach(this, (blocks) => {
+                this._executedBlocks.push(...blocks);
+            })
+        );
+    };
+
+    _handleTick = () => {
+        if (!this.recording) {
+            return;
+        }
+        if (this.frames.length >= this.maxTicks) {
+            this.truncated = true;
+            this._finishRecording();
+            return;
+        }
+        const state = this._captureState();
+        this.frames.push({
+            blocks: this._executedBlocks
+                .filter((block) => block)
+                .map((block) => ({ id: block.id, type: block.type })),
+            ...this._diffState(this._lastState, state),
+        });
+        if (this.frames.length % CHECKPOINT_INTERVAL === 0) {
+            this._checkpoints.push(state);
+        }
+        this._lastState = state;
+        this._executedBlocks = [];
+    };
+
+    _handleStop = () => {
+        this._finishRecording();
+        this.render();
+    };
+
+    _finishRecording() {
+        this.recording = false;
+        this._lastState = null;
+        this._executedBlocks = [];
+        this._watchListeners.forEach((listener) => listener.destroy());
+        this._watchListeners = [];
+    }
+
+    _captureState() {
+        const entities = {};
+        Entry.container.mapEntityIncludeClone((entity) => {
+            const json = entity.toJSON();
+            json.objectId = entity.parent.id;
+            json.isClone = !!entity.isClone;
+            json.picture = entity.picture ? entity.picture.id : null;
+            entities[entity.id] = json;
+        });
+
+        const variables = {};
+        Entry.variableContainer.variables_.forEach((variable) => {
+            variables[variable.getId()] = variable.getValue();
+        });
+
+        const lists = {};
+        Entry.variableContainer.lists_.forEach((list) => {
+            lists[list.getId()] = (list.getArray() || []).map(({ data }) => data);
+        });
+
+        return {
+            scene: Entry.scene.selectedScene && Entry.scene.selectedScene.id,
+            entities,
+            variables,
+            lists,
+        };
+    }
+
+    _diffState(prev, next) {
+        const diff = {};
+        if (prev.scene !== next.scene) {
+            diff.scene = next.scene;
+        }
+
+        const entities = {};
+        _.each(next.entities, (json, id) => {
+            const before = prev.entities[id];
+            if (!before) {
+                entities[id] = json;
+                return;
+            }
+            const changed = _.pickBy(json, (value, key) => !_isEqual(before[key], value));
+            if (!_.isEmpty(changed)) {
+                entities[id] = changed;
+            }
+        });
+        const removed = Object.keys(prev.entities).filter((id) => !next.entities[id]);
+
+        const variables = _.pickBy(next.variables, (value, id) => prev.variables[id] !== value);
+        const lists = _.pickBy(next.lists, (array, id) => !_isEqual(prev.lists[id], array));
+
+        !_.isEmpty(entities) && (diff.entities = entities);
+        removed.length && (diff.removed = removed);
+        !_.isEmpty(variables) && (diff.variables = variables);
+        !_.isEmpty(lists) && (diff.lists = lists);
+        return diff;
+    }
+
+    /**
+     * tick 시점의 전체 상태. 0 은 실행 시작 직후이다.
+     * @param {number} tick
+     */
+    getStateAt(tick) {
+        if (!this.initialState) {
+            return null;
+        }
+        const until = this._clampTick(tick);
+        const checkpointTick = this._getCheckpointTick(until);
+        const state = _cloneDeep(this._checkpoints[checkpointTick / CHECKPOINT_INTERVAL]);
+        this._applyFrames(state, checkpointTick, until);
+        return state;
+    }
+
+    _clampTick(tick) {
+        return Math.min(Math.max(tick, 0), this.frames.length);
+    }
+
+    _getCheckpointTick(tick) {
+        const index = Math.min(
+            Math.floor(tick / CHECKPOINT_INTERVAL),
+            this._checkpoints.length - 1
+        );
+        return index * CHECKPOINT_INTERVAL;
+    }
+
+    _applyFrames(state, from, to) {
+        for (let i = from; i < to; i++) {
+            this._applyFrame(state, this.frames[i]);
+        }
+    }
+
+    /**
+     * 되돌려 보는 동안 쓰는 상태. 앞으로 가면 지금 상태에 이어서 적용하고,
+     * 뒤로 가거나 멀리 가면 가까운 체크포인트부터 다시 만든다.
+     * @param {number} tick
+     */
+    _getReplayState(tick) {
+        const checkpointTick = this._getCheckpointTick(tick);
+        const { _replayState: state, _replayStateTick: stateTick } = this;
+        if (!state || stateTick > tick || stateTick < checkpointTick) {
+            this._replayState = this.getStateAt(checkpointTick);
+            this._replayStateTick = checkpointTick;
+        }
+        this._applyFrames(this._replayState, this._replayStateTick, tick);
+        this._replayStateTick = tick;
+        return this._replayState;
+    }
+
+    _applyFrame(state, { scene, entities = {}, removed = [], variables, lists }) {
+        if (scene) {
+            state.scene = scene;
+        }
+        _.each(entities, (json, id) => {
+            state.entities[id] = { ...state.entities[id], ...json };
+        });
+        removed.forEach((id) => delete state.entities[id]);
+        Object.assign(state.variables, variables);
+        Object.assign(state.lists, lists);
+    }
+
+    /**
+     * tick 번째 틱에 실행된 블록 목록
+     * @param {number} tick
+     */
+    getExecutedBlocks(tick) {
+        const frame = this.frames[tick - 1];
+        return frame ? frame.blocks : [];
+    }
+
+    /**
+     * predicate 를 만족하는 첫 틱을 찾는다. 값이 잘못되기 시작한 시점을 찾을 때 사용한다.
+     * @param {function(Object, number): boolean} predicate (상태, 틱)
+     * @return {number} 찾지 못하면 -1
+     */
+    findTick(predicate) {
+        if (!this.initialState) {
+            return -1;
+        }
+        const state = _cloneDeep(this.initialState);
+        for (let tick = 0; tick <= this.frames.length; tick++) {
+            if (tick > 0) {
+                this._applyFrame(state, this.frames[tick - 1]);
+            }
+            if (predicate(state, tick)) {
+                return tick;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * 변수(또는 리스트) 값이 바뀐 틱 목록
+     * @param {string} id 변수 또는 리스트 id
+     */
+    getChangedTicks(id) {
+        return this.frames.reduce((ticks, { variables = {}, lists = {} }, index) => {
+            if (id in variables || id in lists) {
+                ticks.push(index + 1);
+            }
+            return ticks;
+        }, []);
+    }
+
+    /**
+     * 정지 상태에서 기록된 tick 시점으로 화면을 되돌린다.
+     * 복제본은 정지 시 모두 제거되므로 상태 값(getStateAt)으로만 확인할 수 있다.
+     * @param {number} tick
+     */
+    seek(tick) {
+        if (!this.initialState || !Entry.engine.isState('stop')) {
+            return;
+        }
+        if (!this.isReplaying()) {
+            this._takeSnapshot();
+        }
+        const clampedTick = this._clampTick(tick);
+        const blocks = this.getExecutedBlocks(clampedTick);
+        this.currentTick = clampedTick;
+        this._applyState(this._getReplayState(clampedTick));
+        this._activateBlocks(blocks);
+        this.render();
+        Entry.dispatchEvent('executionTraceSeek', clampedTick, blocks);
+    }
+
+    stepForward() {
+        this.seek((this.currentTick || 0) + 1);
+    }
+
+    stepBackward() {
+        this.seek((this.currentTick || 0) - 1);
+    }
+
+    /**
+     * 되돌려 보기를 끝내고 정지 직후의 상태로 복원한다.
+     */
+    exitReplay() {
+        if (!this.isReplaying()) {
+            return;
+        }
+        this._loadSnapshot();
+        this._activateBlocks([]);
+        this._replayState = null;
+        this.currentTick = null;
+        this.render();
+        Entry.dispatchEvent('executionTraceSeek', null, []);
+    }
+
+    /**
+     * 실시간 공유 변수는 서버 값을 덮어쓰지 않도록 되돌려 보기 대상에서 제외한다.
+     */
+    _getReplayVariables() {
+        const { variables_, lists_ } = Entry.variableContainer;
+        return [...variables_, ...lists_].filter((variable) => !variable.isRealTime_);
+    }
+
+    _takeSnapshot() {
+        Entry.container.mapEntity((entity) => entity.takeSnapshot());
+        this._getReplayVariables().forEach((variable) => variable.takeSnapshot());
+    }
+
+    _loadSnapshot() {
+        Entry.container.mapEntity((entity) => entity.loadSnapshot());
+        this._getReplayVariables().forEach((variable) => variable.loadSnapshot());
+    }
+
+    _applyState({ entities, variables, lists }) {
+        Entry.container.mapEntity((entity) => {
+            const json = entities[entity.id];
+            if (!json) {
+                return;
+            }
+            entity.syncModel_(json);
+            const picture = json.picture && entity.parent.getPicture(json.picture);
+            picture && entity.picture !== picture && entity.setImage(picture);
+        });
+        Entry.variableContainer.variables_.forEach((variable) => {
+            const id = variable.getId();
+            !variable.isRealTime_ && id in variables && variable.setValue(variables[id]);
+        });
+        Entry.variableContainer.lists_.forEach((list) => {
+            const id = list.getId();
+            if (!list.isRealTime_ && id in lists) {
+                list.setArray(lists[id].map((data) => ({ data })));
+            }
+        });
+        Entry.requestUpdate = true;
+    }
+
+    generateView(parentView) {
+        if (this.view) {
+            return;
+        }
+        const view = Entry.createElement('div').addClass('entryExecutionTraceWorkspace');
+        const header = Entry.createElement('div')
+            .addClass('entryExecutionTraceHeader')
+            .appendTo(view);
+        this._recordButton = this._createButton(header, '', () =>
+            this.enabled ? this.disable() : this.enable()
+        );
+        this._backwardButton = this._createButton(header, Lang.Workspace.trace_step_backward, () =>
+            this.stepBackward()
+        );
+        this._forwardButton = this._createButton(header, Lang.Workspace.trace_step_forward, () =>
+            this.stepForward()
+        );
+        this._exitButton = this._createButton(header, Lang.Workspace.trace_exit_replay, () =>
+            this.exitReplay()
+        );
+
+        this._slider = Entry.createElement('input').addClass('entryExecutionTraceSlider');
+        this._slider.type = 'range';
+        this._slider.min = 0;
+        this._slider.step = 1;
+        this._slider.addEventListener('input', () => this.seek(Number(this._slider.value)));
+        view.appendChild(this._slider);
+
+        this._summaryView = Entry.createElement('div')
+            .addClass('entryExecutionTraceSummary')
+            .appendTo(view);
+        this._blockListView = Entry.createElement('ul')
+            .addClass('entryExecutionTraceBlocks')
+            .appendTo(view);
+
+        this.view = view;
+        parentView && parentView.appendChild(view);
+        Entry.addEventListener('run', () => this.render());
+        Entry.addEventListener('stop', () => this.render());
+        this.render();
+    }
+
+    _createButton(parent, text, onClick) {
+        const button = Entry.createElement('button')
+            .addClass('entryExecutionTraceButton')
+            .appendTo(parent);
+        button.textContent = text;
+        button.bindOnClick(onClick);
+        return button;
+    }
+
+    getView() {
+        return this.view;
+    }
+
+    /**
+     * 속성 패널에서 탭을 선택하면 불린다.
+     */
+    resize() {
+        this.render();
+    }
+
+    render() {
+        if (!this.view) {
+            return;
+        }
+        const tickCount = this.getTickCount();
+        const canReplay =
+            this.enabled && !!this.initialState && !this.recording && Entry.engine.isState('stop');
+        const tick = this.currentTick || 0;
+
+        this._recordButton.textContent = this.enabled
+            ? Lang.Workspace.trace_record_stop
+            : Lang.Workspace.trace_record;
+        this._recordButton.classList.toggle('recording', this.enabled);
+        this._backwardButton.disabled = !canReplay || tick <= 0;
+        this._forwardButton.disabled = !canReplay || tick >= tickCount;
+        this._exitButton.disabled = !this.isReplaying();
+        this._slider.disabled = !canReplay;
+        this._slider.max = tickCount;
+        this._slider.value = tick;
+
+        if (!this.enabled) {
+            this._summaryView.textContent = Lang.Workspace.trace_disabled;
+        } else if (!canReplay) {
+            this._summaryView.textContent = Lang.Workspace.trace_waiting;
+        } else {
+            this._summaryView.textContent = Entry.Utils.stringFormat(
+                this.truncated ? Lang.Workspace.trace_tick_truncated : Lang.Workspace.trace_tick,
+                tick,
+                tickCount
+            );
+        }
+
+        const fragment = document.createDocumentFragment();
+        (this.isReplaying() ? this.getExecutedBlocks(tick) : []).forEach(({ id, type }) => {
+            const item = Entry.createElement('li').appendTo(fragment);
+            item.textContent = type;
+            item.bindOnClick(() => this._focusBlock(id));
+        });
+        this._blockListView.innerHTML = '';
+        this._blockListView.appendChild(fragment);
+    }
+
+    _focusBlock(id) {
+        Entry.container.mapObject(({ id: objectId, script }) => {
+            const block = script && script.findById(id);
+            if (block && block.view) {
+                Entry.container.selectObject(objectId, true);
+                block.view.getBoard().activateBlock(block);
+            }
+        });
+    }
+
+    _activateBlocks(blocks) {
+        this._activatedViews.forEach((view) => view.removeActivated());
+        this._activatedViews = [];
+        blocks.forEach(({ id }) => {
+            Entry.container.mapObject(({ script }) => {
+                const block = script && script.findById(id);
+                if (block && block.view) {
+                    block.view.addActivated();
+                    this._activatedViews.push(block.view);
+                }
+            });
+        });
+    }
+}
+
+Entry.ExecutionTrace = ExecutionTrace;
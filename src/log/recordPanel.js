@@ -0,0 +1,239 @@
+'use strict';
+
+import { saveAs } from 'file-saver';
+
+const SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * 속성 패널의 조립 기록 탭. 블록 조립 과정을 Entry.Recorder 로 기록하여 파일로 저장하고,
+ * 저장한 파일을 불러와 Entry.RecordPlayer 로 속도를 정해 재생하거나 한 단계씩 넘겨 본다.
+ */
+class RecordPanel {
+    constructor() {
+        this.data = [];
+        this.recorder = null;
+        this.player = null;
+        this.speed = 1;
+        this.view = null;
+        Entry.addEventListener('recordPlayStep', () => this.render());
+        Entry.addEventListener('recordPlayFinished', () => this.render());
+    }
+
+    isRecording() {
+        return !!this.recorder;
+    }
+
+    isPlaying() {
+        return !!this.player && this.player.isPlaying && !this.player.isPaused;
+    }
+
+    startRecord() {
+        if (this.recorder) {
+            return;
+        }
+        this.stopPlay();
+        this.recorder = new Entry.Recorder();
+        this.render();
+    }
+
+    stopRecord() {
+        if (!this.recorder) {
+            return;
+        }
+        this.recorder.stop();
+        this.load(this.recorder.getData());
+        this.recorder = null;
+        this.render();
+    }
+
+    /**
+     * @param {Array<Array>} data Entry.Recorder 가 기록한 명령 목록
+     */
+    load(data) {
+        this.stopPlay();
+        this.data = data;
+        this.player = null;
+        this.render();
+    }
+
+    play() {
+        if (this.isRecording() || !this.data.length) {
+            return;
+        }
+        const player = this._getPlayer();
+        if (player.index >= player.getStepCount()) {
+            player.stop();
+        }
+        player.play();
+        this.render();
+    }
+
+    pause() {
+        this.player && this.player.pause();
+        this.render();
+    }
+
+    async step() {
+        if (this.isRecording() || !this.data.length) {
+            return;
+        }
+        const player = this._getPlayer();
+        if (player.isPlaying) {
+            return;
+        }
+        await player.step();
+        this.render();
+    }
+
+    stopPlay() {
+        this.player && this.player.stop();
+        this.render();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.player && this.player.setSpeed(speed);
+    }
+
+    _getPlayer() {
+        if (!this.player) {
+            this.player = new Entry.RecordPlayer(this.data, { speed: this.speed });
+        }
+        return this.player;
+    }
+
+    exportFile() {
+        const blob = new Blob([JSON.stringify(this.data)], {
+            type: 'application/json;charset=utf-8',
+        });
+        saveAs(blob, 'record.json');
+    }
+
+    importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                data = null;
+            }
+            if (!Array.isArray(data) || !data.every(Array.isArray)) {
+                Entry.toast.alert(Lang.Msgs.warn, Lang.Workspace.record_import_failed);
+                return;
+            }
+            this.load(data);
+        };
+        reader.readAsText(file);
+    }
+
+    generateView(parentView) {
+        if (this.view) {
+            return;
+        }
+        const view = Entry.createElement('div').addClass('entryRecordWorkspace');
+        const recordBox = Entry.createElement('div').addClass('entryRecordHeader').appendTo(view);
+        this._recordButton = this._createButton(recordBox, () =>
+            this.isRecording() ? this.stopRecord() : this.startRecord()
+        );
+        this._exportButton = this._createButton(recordBox, () => this.exportFile());
+        this._exportButton.textContent = Lang.Workspace.record_export;
+
+        const fileInput = Entry.createElement('input').appendTo(recordBox);
+        fileInput.setAttribute('type', 'file');
+        fileInput.setAttribute('accept', '.json,application/json');
+        fileInput.style.display = 'none';
+        fileInput.onchange = () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            file && this.importFile(file);
+        };
+        this._importButton = this._createButton(recordBox, () => fileInput.click());
+        this._importButton.textContent = Lang.Workspace.record_import;
+
+        const playBox = Entry.createElement('div').addClass('entryRecordHeader').appendTo(view);
+        this._playButton = this._createButton(playBox, () =>
+            this.isPlaying() ? this.pause() : this.play()
+        );
+        this._stepButton = this._createButton(playBox, () => this.step());
+        this._stepButton.textContent = Lang.Workspace.record_step;
+        this._stopButton = this._createButton(playBox, () => this.stopPlay());
+        this._stopButton.textContent = Lang.Workspace.record_rewind;
+
+        this._speedSelect = Entry.createElement('select')
+            .addClass('entryRecordSpeed')
+            .appendTo(playBox);
+        SPEEDS.forEach((speed) => {
+            const option = Entry.createElement('option').appendTo(this._speedSelect);
+            option.value = speed;
+            option.textContent = `x${speed}`;
+        });
+        this._speedSelect.value = this.speed;
+        this._speedSelect.addEventListener('change', () =>
+            this.setSpeed(Number(this._speedSelect.value))
+        );
+
+        this._statusView = Entry.createElement('div').addClass('entryRecordStatus').appendTo(view);
+
+        this.view = view;
+        parentView && parentView.appendChild(view);
+        this.render();
+    }
+
+    _createButton(parent, onClick) {
+        const button = Entry.createElement('button').addClass('entryRecordButton').appendTo(parent);
+        button.bindOnClick(onClick);
+        return button;
+    }
+
+    getView() {
+        return this.view;
+    }
+
+    /**
+     * 속성 패널에서 탭을 선택하면 불린다.
+     */
+    resize() {
+        this.render();
+    }
+
+    render() {
+        if (!this.view) {
+            return;
+        }
+        const isRecording = this.isRecording();
+        const isPlaying = this.isPlaying();
+        const isBusy = !!this.player && this.player.isPlaying;
+        const stepCount = this.data.length;
+        const index = this.player ? this.player.index : 0;
+
+        this._recordButton.textContent = isRecording
+            ? Lang.Workspace.record_stop
+            : Lang.Workspace.record_start;
+        this._recordButton.classList.toggle('recording', isRecording);
+        this._recordButton.disabled = isBusy;
+        this._exportButton.disabled = isRecording || !stepCount;
+        this._importButton.disabled = isRecording || isBusy;
+
+        this._playButton.textContent = isPlaying
+            ? Lang.Workspace.record_pause
+            : Lang.Workspace.record_play;
+        this._playButton.disabled = isRecording || !stepCount;
+        this._stepButton.disabled = isRecording || isBusy || index >= stepCount;
+        this._stopButton.disabled = isRecording || !index;
+
+        if (isRecording) {
+            this._statusView.textContent = Lang.Workspace.record_recording;
+        } else if (!stepCount) {
+            this._statusView.textContent = Lang.Workspace.record_empty;
+        } else {
+            this._statusView.textContent = Entry.Utils.stringFormat(
+                Lang.Workspace.record_progress,
+                index,
+                stepCount
+            );
+        }
+    }
+}
+
+Entry.RecordPanel = RecordPanel;
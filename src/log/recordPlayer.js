@@ -0,0 +1,190 @@
+'use strict';
+
+const STEP_INTERVAL = 1000;
+
+/**
+ * Entry.Recorder 가 기록한 명령 목록을 현재 보드에서 한 단계씩 다시 실행한다.
+ * 각 단계에서는 옮겨지는 블록으로 스크롤하여 선택 표시를 한 뒤 명령을 실행하고,
+ * 실행 결과의 블록을 다시 표시했다가 다음 단계로 넘어간다.
+ *
+ * 사용 예)
+ *   const player = new Entry.RecordPlayer(recorder.getData(), { speed: 2 });
+ *   await player.play();
+ */
+class RecordPlayer {
+    /**
+     * @param {Array<Array>} data [commandType, [key, value], ...] 목록
+     * @param {Object=} options
+     * @param {number=} options.speed 재생 속도 배율
+     * @param {number=} options.interval 1배속에서 단계 사이의 시간(ms)
+     * @param {boolean=} options.clearBoard 재생 전에 보드의 블록을 모두 지운다.
+     */
+    constructor(data = [], { speed = 1, interval = STEP_INTERVAL, clearBoard = true } = {}) {
+        this.data = data;
+        this.speed = speed;
+        this.interval = interval;
+        this.clearBoard = clearBoard;
+        this.index = 0;
+        this.isPlaying = false;
+        this.isPaused = false;
+        this._timer = null;
+        this._wakeUp = null;
+        this._resume = null;
+        this._selectedView = null;
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(speed, 0.1);
+    }
+
+    getStepCount() {
+        return this.data.length;
+    }
+
+    /**
+     * 남은 단계를 끝까지 재생한다. 일시정지 중이면 이어서 재생한다.
+     * @return {Promise<void>}
+     */
+    async play() {
+        if (this.isPaused) {
+            this.resume();
+            return;
+        }
+        if (this.isPlaying) {
+            return;
+        }
+        this.isPlaying = true;
+        if (this.index === 0 && this.clearBoard) {
+            Entry.do('destroyThreads');
+        }
+        try {
+            while (this.isPlaying && this.index < this.data.length) {
+                await this._waitIfPaused();
+                if (!this.isPlaying) {
+                    break;
+                }
+                await this._playStep(this.data[this.index]);
+                if (!this.isPlaying) {
+                    break;
+                }
+                this.index++;
+                Entry.dispatchEvent('recordPlayStep', this.index, this.data.length);
+            }
+        } finally {
+            const isFinished = this.index >= this.data.length;
+            this.isPlaying = false;
+            this._clearSelected();
+            isFinished && Entry.dispatchEvent('recordPlayFinished');
+        }
+    }
+
+    /**
+     * 재생하지 않는 동안 다음 한 단계만 실행한다.
+     * @return {Promise<boolean>} 실행할 단계가 남아 있었는지
+     */
+    async step() {
+        if (this.isPlaying || this.index >= this.data.length) {
+            return false;
+        }
+        this.isPlaying = true;
+        if (this.index === 0 && this.clearBoard) {
+            Entry.do('destroyThreads');
+        }
+        try {
+            await this._playStep(this.data[this.index]);
+            this.index++;
+            Entry.dispatchEvent('recordPlayStep', this.index, this.data.length);
+        } finally {
+            this.isPlaying = false;
+        }
+        return true;
+    }
+
+    pause() {
+        if (this.isPlaying) {
+            this.isPaused = true;
+        }
+    }
+
+    resume() {
+        this.isPaused = false;
+        if (this._resume) {
+            this._resume();
+            this._resume = null;
+        }
+    }
+
+    /**
+     * 재생을 멈추고 처음으로 되돌린다. 이미 실행한 명령은 되돌리지 않는다.
+     */
+    stop() {
+        this.isPlaying = false;
+        this.index = 0;
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._wakeUp && this._wakeUp();
+        this.resume();
+        this._clearSelected();
+    }
+
+    async _playStep([commandType, ...content]) {
+        const board = Entry.getMainWS().board;
+        const args = _.cloneDeep(content.map(([, value]) => value));
+        const [key, pointer] = content[0] || [];
+
+        if (['block', 'pointer'].includes(key) && Array.isArray(pointer)) {
+            board.scrollToPointer(pointer);
+            this._select(board.findBlock(pointer));
+            await this._wait();
+            if (!this.isPlaying) {
+                return;
+            }
+        }
+
+        const { value } = Entry.do(commandType, ...args);
+        if (value instanceof Entry.Thread) {
+            this._select(value.getFirstBlock());
+        }
+        await this._wait();
+    }
+
+    _select(block) {
+        this._clearSelected();
+        const view = block && block.view;
+        if (view) {
+            view.addSelected();
+            this._selectedView = view;
+        }
+    }
+
+    _clearSelected() {
+        if (this._selectedView) {
+            this._selectedView.removeSelected();
+            this._selectedView = null;
+        }
+    }
+
+    _wait() {
+        return new Promise((resolve) => {
+            this._wakeUp = resolve;
+            this._timer = setTimeout(
+                () => {
+                    this._wakeUp = null;
+                    resolve();
+                },
+                this.interval / 2 / this.speed
+            );
+        });
+    }
+
+    _waitIfPaused() {
+        if (!this.isPaused) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            this._resume = resolve;
+        });
+    }
+}
+
+Entry.RecordPlayer = RecordPlayer;
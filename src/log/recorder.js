@@ -23,7 +23,15 @@ Entry.Recorder = function() {
         }
     };
 
-    p.getData = function() {
+    p.stop = function () {
+        Entry.commander.removeReporter(this);
+    };
+
+    p.getData = function () {
         return this._recordData;
     };
+
+    p.createPlayer = function (options) {
+        return new Entry.RecordPlayer(this._recordData, options);
+    };
 })(Entry.Recorder.prototype);
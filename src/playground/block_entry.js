@@ -386,6 +386,28 @@ function getBlocks() {
                 ],
             },
         },
+        arduino_lite_simulate: {
+            skeleton: 'basic_button',
+            color: EntryStatic.colorSet.common.TRANSPARENT,
+            template: '%1',
+            isNotFor: ['arduinoLiteConnectFailed'],
+            class: 'arduino_default',
+            params: [
+                {
+                    type: 'Text',
+                    text: Lang.Blocks.arduino_lite_simulate,
+                    color: EntryStatic.colorSet.common.BUTTON,
+                    align: 'center',
+                },
+            ],
+            events: {
+                mousedown: [
+                    function () {
+                        Entry.hwLite.connectSimulator();
+                    },
+                ],
+            },
+        },
         arduino_lite_download_firmware: {
             skeleton: 'basic_button',
             color: EntryStatic.colorSet.common.TRANSPARENT,
@@ -575,6 +597,49 @@ function getBlocks() {
             isNotFor: ['arduinoLiteConnectFailed'],
             events: {},
         },
+        when_hardware_lite_connection_changed: {
+            color: EntryStatic.colorSet.block.default.HARDWARE,
+            outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+            skeleton: 'basic_event',
+            statements: [],
+            params: [
+                {
+                    type: 'Indicator',
+                    img: 'block_icon/start_icon_hardwarelite.svg',
+                    size: 14,
+                    position: {
+                        x: 0,
+                        y: -2,
+                    },
+                },
+                {
+                    type: 'Dropdown',
+                    options: [
+                        [Lang.Blocks.hardware_lite_disconnected, 'disconnected'],
+                        [Lang.Blocks.hardware_lite_reconnected, 'reconnected'],
+                    ],
+                    value: 'disconnected',
+                    fontSize: 10,
+                    bgColor: EntryStatic.colorSet.block.darken.HARDWARE,
+                    arrowColor: EntryStatic.colorSet.arrow.default.HARDWARE,
+                },
+            ],
+            events: {},
+            def: {
+                params: [null, 'disconnected'],
+                type: 'when_hardware_lite_connection_changed',
+            },
+            paramsKeyMap: {
+                STATE: 1,
+            },
+            class: 'arduino_lite_event',
+            isNotFor: ['arduinoLiteConnected'],
+            // INFO : Entry.hwLite.handleConnectionLost 에서 끊겼을 때와 다시 연결되었을 때 실행한다.
+            event: 'hwLiteConnectionChanged',
+            func(sprite, script) {
+                return script.callReturn();
+            },
+        },
         arduino_noti: {
             skeleton: 'basic_text',
             color: EntryStatic.colorSet.common.TRANSPARENT,
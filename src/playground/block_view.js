@@ -1427,6 +1427,7 @@ Entry.BlockView = class BlockView {
                     CONTEXT_COPY_option,
                     cut_blocks,
                     Delete_Blocks,
+                    extract_function,
                 },
                 Menus: { save_as_image },
             } = Lang;
@@ -1478,6 +1479,32 @@ Entry.BlockView = class BlockView {
                 },
             };
 
+            const { FunctionExtractor } = Entry;
+            const extractFunction = {
+                text: extract_function,
+                enable: copyable && FunctionExtractor.canExtract(block),
+                callback() {
+                    FunctionExtractor.extract(block);
+                },
+            };
+
+            const extractFunctionStart = {
+                text: Lang.Blocks.extract_function_start,
+                enable: copyable && FunctionExtractor.canExtract(block, block),
+                callback() {
+                    FunctionExtractor.setRangeStart(block);
+                },
+            };
+
+            const rangeStartBlock = FunctionExtractor.getRangeStart(block);
+            const extractFunctionRange = rangeStartBlock && {
+                text: Lang.Blocks.extract_function_range,
+                enable: copyable && FunctionExtractor.canExtract(rangeStartBlock, block),
+                callback() {
+                    FunctionExtractor.extract(rangeStartBlock, block);
+                },
+            };
+
             const addStorage = !EntryOptions.backpackDisable && {
                 text: Lang.Blocks.add_my_storage,
                 enable: copyable && !isBoardReadOnly && !!window.user,
@@ -1507,6 +1534,16 @@ Entry.BlockView = class BlockView {
                 },
             };
 
+            const { blockDebugger } = Entry;
+            const hasBreakpoint = blockDebugger && blockDebugger.hasBreakpoint(block);
+            const breakpoint = blockDebugger && {
+                text: hasBreakpoint ? Lang.Blocks.remove_breakpoint : Lang.Blocks.add_breakpoint,
+                enable: !!Entry.skeleton[blockView._schema.skeleton].executable,
+                callback() {
+                    blockDebugger.toggleBreakpoint(block);
+                },
+            };
+
             let options = [];
             if (_isDownloadable()) {
                 options.push(download);
@@ -1519,9 +1556,13 @@ Entry.BlockView = class BlockView {
                     copy,
                     cut,
                     remove,
+                    extractFunction,
+                    extractFunctionStart,
+                    extractFunctionRange,
                     addStorage,
                     ...options,
                     comment,
+                    breakpoint,
                 ].filter((x) => x);
             }
 
@@ -1,5 +1,74 @@
 import _cloneDeep from 'lodash/cloneDeep';
 
+const localListParam = () => ({
+    type: 'DropdownDynamic',
+    value: null,
+    menuName(block) {
+        const func =
+            Entry.variableContainer.getFunctionByBlockId(block.id) || Entry.Func.targetFunc || {};
+        const localLists = func.localLists || [];
+        if (!localLists.length) {
+            return [[Lang.Blocks.no_target, 'null']];
+        }
+        return localLists.map((localList) => {
+            if (!localList.id) {
+                localList.id = `${func.id}_${Entry.generateHash()}`;
+            }
+            return [localList.name, localList.id];
+        });
+    },
+    fontSize: 10,
+    bgColor: EntryStatic.colorSet.block.darken.FUNC,
+    arrowColor: EntryStatic.colorSet.arrow.default.DEFAULT,
+    defaultValue: (_value, options) => {
+        if (options[0] && options[0][1]) {
+            return options[0][1];
+        }
+        return null;
+    },
+});
+
+const funcIndicator = () => ({
+    type: 'Indicator',
+    img: 'block_icon/func_icon.svg',
+    size: 11,
+});
+
+/**
+ * @return {Array} 지금 실행 중인 함수의 지역 리스트
+ */
+const getLocalListArray = (script) => {
+    const listId = script.getField('LIST', script);
+    const [funcId] = listId.split('_');
+    const func = Entry.variableContainer.getFunction(funcId);
+    return func.getListArray(listId, script.executor.localLists);
+};
+
+/**
+ * @return {number} 지역 리스트의 입력한 순서에 있는 항목의 index
+ */
+const getLocalListIndex = (script, array) => {
+    const index = script.getNumberValue('INDEX', script);
+    if (!Entry.Utils.isNumber(index) || index < 1 || index > array.length) {
+        throw new Error('can not find value in local list');
+    }
+    return Math.floor(index) - 1;
+};
+
+/**
+ * 함수를 부른 실행기의 깊이에 1을 더해 새 함수 실행기의 깊이로 삼는다.
+ * 기다리는 블록이 있어 여러 프레임에 걸쳐 실행되어도 깊이는 호출마다 따로 유지된다.
+ * 너무 깊으면 브라우저의 호출 스택이 넘치기 전에 멈춘다.
+ * @return {number} 새로 부르는 함수의 깊이
+ */
+const getFunctionCallDepth = (func, executor) => {
+    const callDepth = ((executor && executor.callDepth) || 0) + 1;
+    if (callDepth > Entry.maxFunctionCallDepth) {
+        throw new Entry.Utils.RecursionLimitError(func);
+    }
+    return callDepth;
+};
+
 module.exports = {
     getBlocks() {
         return {
@@ -270,6 +339,273 @@ module.exports = {
                 },
                 wikiClass: 'function',
             },
+            add_value_to_func_list: {
+                color: EntryStatic.colorSet.block.default.FUNC,
+                outerLine: EntryStatic.colorSet.block.darken.FUNC,
+                skeleton: 'basic',
+                statements: [],
+                params: [
+                    {
+                        type: 'Block',
+                        accept: 'string',
+                    },
+                    localListParam(),
+                    funcIndicator(),
+                ],
+                events: {},
+                def: {
+                    params: [
+                        {
+                            type: 'text',
+                            params: ['10'],
+                        },
+                        null,
+                        null,
+                    ],
+                    type: 'add_value_to_func_list',
+                },
+                paramsKeyMap: {
+                    VALUE: 0,
+                    LIST: 1,
+                },
+                class: 'local_list',
+                isNotFor: ['useLocalVariables'],
+                func(sprite, script) {
+                    const value = script.getValue('VALUE', script);
+                    getLocalListArray(script).push(value);
+                    return script.callReturn();
+                },
+                syntax: {
+                    js: [],
+                    py: [],
+                },
+                wikiClass: 'function',
+            },
+            remove_value_from_func_list: {
+                color: EntryStatic.colorSet.block.default.FUNC,
+                outerLine: EntryStatic.colorSet.block.darken.FUNC,
+                skeleton: 'basic',
+                statements: [],
+                params: [
+                    {
+                        type: 'Block',
+                        accept: 'string',
+                    },
+                    localListParam(),
+                    funcIndicator(),
+                ],
+                events: {},
+                def: {
+                    params: [
+                        {
+                            type: 'number',
+                            params: ['1'],
+                        },
+                        null,
+                        null,
+                    ],
+                    type: 'remove_value_from_func_list',
+                },
+                paramsKeyMap: {
+                    INDEX: 0,
+                    LIST: 1,
+                },
+                class: 'local_list',
+                isNotFor: ['useLocalVariables'],
+                func(sprite, script) {
+                    const array = getLocalListArray(script);
+                    array.splice(getLocalListIndex(script, array), 1);
+                    return script.callReturn();
+                },
+                syntax: {
+                    js: [],
+                    py: [],
+                },
+                wikiClass: 'function',
+            },
+            change_value_func_list_index: {
+                color: EntryStatic.colorSet.block.default.FUNC,
+                outerLine: EntryStatic.colorSet.block.darken.FUNC,
+                skeleton: 'basic',
+                statements: [],
+                params: [
+                    localListParam(),
+                    {
+                        type: 'Block',
+                        accept: 'string',
+                    },
+                    {
+                        type: 'Block',
+                        accept: 'string',
+                    },
+                    funcIndicator(),
+                ],
+                events: {},
+                def: {
+                    params: [
+                        null,
+                        {
+                            type: 'number',
+                            params: ['1'],
+                        },
+                        {
+                            type: 'text',
+                            params: ['10'],
+                        },
+                        null,
+                    ],
+                    type: 'change_value_func_list_index',
+                },
+                paramsKeyMap: {
+                    LIST: 0,
+                    INDEX: 1,
+                    VALUE: 2,
+                },
+                class: 'local_list',
+                isNotFor: ['useLocalVariables'],
+                func(sprite, script) {
+                    const array = getLocalListArray(script);
+                    const index = getLocalListIndex(script, array);
+                    array[index] = script.getValue('VALUE', script);
+                    return script.callReturn();
+                },
+                syntax: {
+                    js: [],
+                    py: [],
+                },
+                wikiClass: 'function',
+            },
+            value_of_index_from_func_list: {
+                color: EntryStatic.colorSet.block.default.FUNC,
+                outerLine: EntryStatic.colorSet.block.darken.FUNC,
+                skeleton: 'basic_string_field',
+                statements: [],
+                params: [
+                    localListParam(),
+                    {
+                        type: 'Block',
+                        accept: 'string',
+                    },
+                ],
+                events: {},
+                def: {
+                    params: [
+                        null,
+                        {
+                            type: 'number',
+                            params: ['1'],
+                        },
+                    ],
+                    type: 'value_of_index_from_func_list',
+                },
+                paramsKeyMap: {
+                    LIST: 0,
+                    INDEX: 1,
+                },
+                class: 'local_list',
+                isNotFor: ['useLocalVariables'],
+                func(sprite, script) {
+                    const array = getLocalListArray(script);
+                    return array[getLocalListIndex(script, array)];
+                },
+                syntax: {
+                    js: [],
+                    py: [],
+                },
+                wikiClass: 'function',
+            },
+            length_of_func_list: {
+                color: EntryStatic.colorSet.block.default.FUNC,
+                outerLine: EntryStatic.colorSet.block.darken.FUNC,
+                skeleton: 'basic_string_field',
+                statements: [],
+                params: [localListParam()],
+                events: {},
+                def: {
+                    params: [null],
+                    type: 'length_of_func_list',
+                },
+                paramsKeyMap: {
+                    LIST: 0,
+                },
+                class: 'local_list',
+                isNotFor: ['useLocalVariables'],
+                func(sprite, script) {
+                    return getLocalListArray(script).length;
+                },
+                syntax: {
+                    js: [],
+                    py: [],
+                },
+                wikiClass: 'function',
+            },
+            function_exit: {
+                color: EntryStatic.colorSet.block.default.FUNC,
+                outerLine: EntryStatic.colorSet.block.darken.FUNC,
+                skeleton: 'basic_without_next',
+                statements: [],
+                params: [funcIndicator()],
+                events: {},
+                def: {
+                    params: [null],
+                    type: 'function_exit',
+                },
+                class: 'function_return',
+                isNotFor: ['functionEdit'],
+                func(sprite, script) {
+                    if (!script.executor.isFuncExecutor) {
+                        return script.callReturn();
+                    }
+                    return script.executor.end();
+                },
+                syntax: {
+                    js: [],
+                    py: [],
+                },
+                wikiClass: 'function',
+            },
+            function_return_value: {
+                color: EntryStatic.colorSet.block.default.FUNC,
+                outerLine: EntryStatic.colorSet.block.darken.FUNC,
+                skeleton: 'basic_without_next',
+                statements: [],
+                params: [
+                    {
+                        type: 'Block',
+                        accept: 'string',
+                    },
+                    funcIndicator(),
+                ],
+                events: {},
+                def: {
+                    params: [
+                        {
+                            type: 'text',
+                            params: ['10'],
+                        },
+                        null,
+                    ],
+                    type: 'function_return_value',
+                },
+                paramsKeyMap: {
+                    VALUE: 0,
+                },
+                class: 'function_return',
+                isNotFor: ['functionEdit'],
+                func(sprite, script) {
+                    const value = script.getValue('VALUE', script);
+                    if (!script.executor.isFuncExecutor) {
+                        return script.callReturn();
+                    }
+                    script.executor.returnValue = value;
+                    return script.executor.end();
+                },
+                syntax: {
+                    js: [],
+                    py: [],
+                },
+                wikiClass: 'function',
+            },
             function_create_value: {
                 skeleton: 'basic_create_value',
                 statements: [
@@ -378,16 +714,18 @@ module.exports = {
                 func(entity, script) {
                     if (!this.initiated) {
                         this.initiated = true;
-                        Entry.callStackLength++;
                         const func = Entry.variableContainer.getFunction(this.block.getFuncId());
+                        const callDepth = getFunctionCallDepth(func, this.executor);
                         this.funcCode = func.content;
                         this.funcExecutor = this.funcCode.raiseEvent('funcDef', entity)[0];
+                        this.funcExecutor.callDepth = callDepth;
                         this.funcExecutor.register.params = this.values;
                         this.funcExecutor.register.paramMap = func.paramMap;
                         this.funcExecutor.parentExecutor = this.executor;
                         this.funcExecutor.parentScope = script;
                         this.funcExecutor.isFuncExecutor = true;
                         this.funcExecutor.localVariables = _cloneDeep(func.localVariables);
+                        this.funcExecutor.localLists = _cloneDeep(func.localLists);
                     }
 
                     const { promises } = this.funcExecutor.execute();
@@ -406,8 +744,6 @@ module.exports = {
                     } else {
                         this.funcCode.removeExecutor(this.funcExecutor);
                     }
-
-                    Entry.callStackLength--;
                 },
                 syntax: { js: [], py: [''] },
                 wikiClass: 'function',
@@ -453,16 +789,18 @@ module.exports = {
                 func(entity, script) {
                     if (!this.initiated) {
                         this.initiated = true;
-                        Entry.callStackLength++;
                         const func = Entry.variableContainer.getFunction(this.block.getFuncId());
+                        const callDepth = getFunctionCallDepth(func, this.executor);
                         this.funcCode = func.content;
                         this.funcExecutor = this.funcCode.raiseEvent('funcDef', entity)[0];
+                        this.funcExecutor.callDepth = callDepth;
                         this.funcExecutor.register.params = this.values;
                         this.funcExecutor.register.paramMap = func.paramMap;
                         this.funcExecutor.parentExecutor = this.executor;
                         this.funcExecutor.parentScope = script;
                         this.funcExecutor.isFuncExecutor = true;
                         this.funcExecutor.localVariables = _cloneDeep(func.localVariables);
+                        this.funcExecutor.localLists = _cloneDeep(func.localLists);
                     }
 
                     const { promises } = this.funcExecutor.execute();
@@ -481,7 +819,9 @@ module.exports = {
                         this.funcCode.removeExecutor(this.funcExecutor);
                     }
 
-                    Entry.callStackLength--;
+                    if ('returnValue' in this.funcExecutor) {
+                        return this.funcExecutor.returnValue;
+                    }
                     const scope = this.funcExecutor.result;
                     scope.values = scope.getParams();
                     return scope.getValue('VALUE', scope);
@@ -1,3 +1,48 @@
+const dictParam = () => ({
+    type: 'DropdownDynamic',
+    value: null,
+    menuName: 'dicts',
+    fontSize: 10,
+    bgColor: EntryStatic.colorSet.block.darken.VARIABLE,
+    arrowColor: EntryStatic.colorSet.arrow.default.DEFAULT,
+});
+
+const dictTextParam = () => ({
+    type: 'DropdownDynamic',
+    value: null,
+    menuName: 'dicts',
+    fontSize: 11,
+    arrowColor: EntryStatic.colorSet.arrow.default.VARIABLE,
+    converter: Entry.block.converters.returnRawStringKey,
+});
+
+const variableIndicator = () => ({
+    type: 'Indicator',
+    img: 'block_icon/variable_icon.svg',
+    size: 11,
+});
+
+const dictEvents = () => ({
+    dataAdd: [
+        function (block) {
+            const vc = Entry.variableContainer;
+            if (vc) {
+                vc.addRef('_variableRefs', block);
+            }
+        },
+    ],
+    dataDestroy: [
+        function (block) {
+            const vc = Entry.variableContainer;
+            if (vc) {
+                vc.removeRef('_variableRefs', block);
+            }
+        },
+    ],
+});
+
+const getDict = (script) => Entry.variableContainer.getDict(script.getField('DICT', script));
+
 module.exports = {
     getBlocks() {
         return {
@@ -46,6 +91,28 @@ module.exports = {
                     ],
                 },
             },
+            dictAddButton: {
+                skeleton: 'basic_button',
+                color: EntryStatic.colorSet.common.BUTTON_BACKGROUND,
+                params: [
+                    {
+                        type: 'Text',
+                        text: Lang.Workspace.create_dict_block,
+                        color: EntryStatic.colorSet.common.BUTTON,
+                        align: 'center',
+                    },
+                ],
+                def: {
+                    type: 'dictAddButton',
+                },
+                events: {
+                    mousedown: [
+                        function () {
+                            Entry.variableContainer.openVariableAddPanel('dict');
+                        },
+                    ],
+                },
+            },
             ask_and_wait: {
                 color: EntryStatic.colorSet.block.default.VARIABLE,
                 outerLine: EntryStatic.colorSet.block.darken.VARIABLE,
@@ -1784,6 +1851,338 @@ module.exports = {
                     ],
                 },
             },
+            set_value_to_dict: {
+                color: EntryStatic.colorSet.block.default.VARIABLE,
+                outerLine: EntryStatic.colorSet.block.darken.VARIABLE,
+                skeleton: 'basic',
+                statements: [],
+                params: [
+                    dictParam(),
+                    {
+                        type: 'Block',
+                        accept: 'string',
+                    },
+                    {
+                        type: 'Block',
+                        accept: 'string',
+                    },
+                    variableIndicator(),
+                ],
+                events: dictEvents(),
+                def: {
+                    params: [
+                        null,
+                        {
+                            type: 'text',
+                            params: ['key'],
+                        },
+                        {
+                            type: 'text',
+                            params: ['10'],
+                        },
+                        null,
+                    ],
+                    type: 'set_value_to_dict',
+                },
+                paramsKeyMap: {
+                    DICT: 0,
+                    KEY: 1,
+                    VALUE: 2,
+                },
+                class: 'dict',
+                isNotFor: ['dictNotExist'],
+                func(sprite, script) {
+                    const dict = getDict(script);
+                    const key = script.getStringValue('KEY', script);
+                    const value = script.getValue('VALUE', script);
+                    if (!dict.isRealTime_) {
+                        dict.setItem(key, value);
+                        return script.callReturn();
+                    }
+                    return dict.setItem(key, value);
+                },
+                syntax: {
+                    js: [],
+                    py: [
+                        {
+                            syntax: '%1[%2] = %3',
+                            keyOption: 'dict',
+                            passTest: true,
+                            textParams: [
+                                dictTextParam(),
+                                {
+                                    type: 'Block',
+                                    accept: 'string',
+                                },
+                                {
+                                    type: 'Block',
+                                    accept: 'string',
+                                },
+                            ],
+                        },
+                    ],
+                },
+            },
+            get_value_from_dict: {
+                color: EntryStatic.colorSet.block.default.VARIABLE,
+                outerLine: EntryStatic.colorSet.block.darken.VARIABLE,
+                fontColor: '#fff',
+                skeleton: 'basic_string_field',
+                statements: [],
+                params: [
+                    dictParam(),
+                    {
+                        type: 'Block',
+                        accept: 'string',
+                    },
+                ],
+                events: dictEvents(),
+                def: {
+                    params: [
+                        null,
+                        {
+                            type: 'text',
+                            params: ['key'],
+                        },
+                    ],
+                    type: 'get_value_from_dict',
+                },
+                paramsKeyMap: {
+                    DICT: 0,
+                    KEY: 1,
+                },
+                class: 'dict',
+                isNotFor: ['dictNotExist'],
+                func(sprite, script) {
+                    const dict = getDict(script);
+                    const key = script.getStringValue('KEY', script);
+                    if (!dict.hasKey(key)) {
+                        throw new Error('can not find key in dict');
+                    }
+                    return dict.getItem(key);
+                },
+                syntax: {
+                    js: [],
+                    py: [
+                        {
+                            syntax: '%1[%2]',
+                            keyOption: 'dict',
+                            blockType: 'param',
+                            passTest: true,
+                            textParams: [
+                                dictTextParam(),
+                                {
+                                    type: 'Block',
+                                    accept: 'string',
+                                },
+                            ],
+                        },
+                    ],
+                },
+            },
+            is_key_in_dict: {
+                color: EntryStatic.colorSet.block.default.VARIABLE,
+                outerLine: EntryStatic.colorSet.block.darken.VARIABLE,
+                fontColor: '#fff',
+                skeleton: 'basic_boolean_field',
+                statements: [],
+                params: [
+                    dictParam(),
+                    {
+                        type: 'Block',
+                        accept: 'string',
+                    },
+                ],
+                events: dictEvents(),
+                def: {
+                    params: [
+                        null,
+                        {
+                            type: 'text',
+                            params: ['key'],
+                        },
+                    ],
+                    type: 'is_key_in_dict',
+                },
+                paramsKeyMap: {
+                    DICT: 0,
+                    KEY: 1,
+                },
+                class: 'dict',
+                isNotFor: ['dictNotExist'],
+                func(sprite, script) {
+                    return getDict(script).hasKey(script.getStringValue('KEY', script));
+                },
+                syntax: {
+                    js: [],
+                    py: [
+                        {
+                            syntax: '%2 in %1',
+                            keyOption: 'dict',
+                            blockType: 'param',
+                            passTest: true,
+                            textParams: [
+                                dictTextParam(),
+                                {
+                                    type: 'Block',
+                                    accept: 'string',
+                                },
+                            ],
+                        },
+                    ],
+                },
+            },
+            remove_key_from_dict: {
+                color: EntryStatic.colorSet.block.default.VARIABLE,
+                outerLine: EntryStatic.colorSet.block.darken.VARIABLE,
+                skeleton: 'basic',
+                statements: [],
+                params: [
+                    dictParam(),
+                    {
+                        type: 'Block',
+                        accept: 'string',
+                    },
+                    variableIndicator(),
+                ],
+                events: dictEvents(),
+                def: {
+                    params: [
+                        null,
+                        {
+                            type: 'text',
+                            params: ['key'],
+                        },
+                        null,
+                    ],
+                    type: 'remove_key_from_dict',
+                },
+                paramsKeyMap: {
+                    DICT: 0,
+                    KEY: 1,
+                },
+                class: 'dict',
+                isNotFor: ['dictNotExist'],
+                func(sprite, script) {
+                    const dict = getDict(script);
+                    const key = script.getStringValue('KEY', script);
+                    if (!dict.isRealTime_) {
+                        dict.deleteItem(key);
+                        return script.callReturn();
+                    }
+                    return dict.deleteItem(key);
+                },
+                syntax: {
+                    js: [],
+                    py: [
+                        {
+                            syntax: '%1.pop(%2)',
+                            passTest: true,
+                            textParams: [
+                                dictTextParam(),
+                                {
+                                    type: 'Block',
+                                    accept: 'string',
+                                },
+                            ],
+                        },
+                    ],
+                },
+            },
+            length_of_dict: {
+                color: EntryStatic.colorSet.block.default.VARIABLE,
+                outerLine: EntryStatic.colorSet.block.darken.VARIABLE,
+                fontColor: '#fff',
+                skeleton: 'basic_string_field',
+                statements: [],
+                params: [dictParam()],
+                events: dictEvents(),
+                def: {
+                    params: [null],
+                    type: 'length_of_dict',
+                },
+                paramsKeyMap: {
+                    DICT: 0,
+                },
+                class: 'dict',
+                isNotFor: ['dictNotExist'],
+                func(sprite, script) {
+                    return getDict(script).getArray().length;
+                },
+                syntax: {
+                    js: [],
+                    py: [
+                        {
+                            syntax: 'len(%1)',
+                            keyOption: 'length_of_dict',
+                            blockType: 'param',
+                            passTest: true,
+                            textParams: [dictTextParam()],
+                        },
+                    ],
+                },
+            },
+            keys_of_dict: {
+                color: EntryStatic.colorSet.block.default.VARIABLE,
+                outerLine: EntryStatic.colorSet.block.darken.VARIABLE,
+                skeleton: 'basic',
+                statements: [],
+                params: [
+                    dictParam(),
+                    {
+                        type: 'DropdownDynamic',
+                        value: null,
+                        menuName: 'lists',
+                        fontSize: 10,
+                        bgColor: EntryStatic.colorSet.block.darken.VARIABLE,
+                        arrowColor: EntryStatic.colorSet.arrow.default.DEFAULT,
+                    },
+                    variableIndicator(),
+                ],
+                events: dictEvents(),
+                def: {
+                    params: [null, null, null],
+                    type: 'keys_of_dict',
+                },
+                paramsKeyMap: {
+                    DICT: 0,
+                    LIST: 1,
+                },
+                class: 'dict',
+                isNotFor: ['dictNotExist', 'listNotExist'],
+                func(sprite, script) {
+                    const keys = getDict(script).getKeys();
+                    const listId = script.getField('LIST', script);
+                    const list = Entry.variableContainer.getList(listId, sprite);
+                    // 전에 넣어 둔 항목은 지우고 키만 담는다.
+                    const array = keys.map((key) => ({ data: key }));
+                    if (!list.isRealTime_) {
+                        list.setArray(array);
+                        return script.callReturn();
+                    }
+                    return list.setArray(array);
+                },
+                syntax: {
+                    js: [],
+                    py: [
+                        {
+                            syntax: '%2.extend(%1)',
+                            passTest: true,
+                            textParams: [
+                                dictTextParam(),
+                                {
+                                    type: 'DropdownDynamic',
+                                    value: null,
+                                    menuName: 'lists',
+                                    fontSize: 11,
+                                    arrowColor: EntryStatic.colorSet.arrow.default.VARIABLE,
+                                    converter: Entry.block.converters.returnRawStringKey,
+                                },
+                            ],
+                        },
+                    ],
+                },
+            },
         };
     },
 };
@@ -0,0 +1,1119 @@
+'use strict';
+
+import _range from 'lodash/range';
+
+// Firmata 프로토콜 (https://github.com/firmata/protocol)
+// StandardFirmata 를 올린 아두이노 호환 보드라면 전용 모듈 없이 연결한다.
+(function () {
+    const MESSAGE = {
+        DIGITAL: 0x90,
+        ANALOG: 0xe0,
+        REPORT_ANALOG: 0xc0,
+        REPORT_DIGITAL: 0xd0,
+        START_SYSEX: 0xf0,
+        SET_PIN_MODE: 0xf4,
+        END_SYSEX: 0xf7,
+        REPORT_VERSION: 0xf9,
+    };
+    // 명령 바이트를 포함한 길이. 여기에 없는 명령은 무시한다.
+    const MESSAGE_LENGTH = {
+        [MESSAGE.DIGITAL]: 3,
+        [MESSAGE.ANALOG]: 3,
+        [MESSAGE.REPORT_VERSION]: 3,
+    };
+    const SYSEX = {
+        ANALOG_MAPPING_QUERY: 0x69,
+        ANALOG_MAPPING_RESPONSE: 0x6a,
+        CAPABILITY_QUERY: 0x6b,
+        CAPABILITY_RESPONSE: 0x6c,
+        PIN_STATE_QUERY: 0x6d,
+        PIN_STATE_RESPONSE: 0x6e,
+        EXTENDED_ANALOG: 0x6f,
+        SERVO_CONFIG: 0x70,
+        I2C_REQUEST: 0x76,
+        I2C_REPLY: 0x77,
+        I2C_CONFIG: 0x78,
+        REPORT_FIRMWARE: 0x79,
+    };
+    const PIN_MODE = {
+        INPUT: 0x00,
+        OUTPUT: 0x01,
+        ANALOG: 0x02,
+        PWM: 0x03,
+        SERVO: 0x04,
+        I2C: 0x06,
+        PULLUP: 0x0b,
+    };
+    const I2C_MODE = {
+        WRITE: 0x00,
+        READ_ONCE: 0x01,
+    };
+    const NO_ANALOG_CHANNEL = 0x7f;
+    const SERVO_PULSE = { min: 544, max: 2400 };
+    const HANDSHAKE_TIMEOUT = 5000;
+    const QUERY_INTERVAL = 1000;
+    const READ_WAIT = 200;
+    const REPLY_TIMEOUT = 500;
+
+    // 연결하기 전이나 보드가 capability 를 알려주지 않으면 StandardFirmata 를 올린 아두이노 우노로 본다.
+    const createUnoPins = () =>
+        _range(20).map((pin) => {
+            const modes = {};
+            if (pin >= 2) {
+                modes[PIN_MODE.INPUT] = 1;
+                modes[PIN_MODE.OUTPUT] = 1;
+                modes[PIN_MODE.PULLUP] = 1;
+                modes[PIN_MODE.SERVO] = 14;
+            }
+            if ([3, 5, 6, 9, 10, 11].includes(pin)) {
+                modes[PIN_MODE.PWM] = 8;
+            }
+            if (pin >= 14) {
+                modes[PIN_MODE.ANALOG] = 10;
+            }
+            if (pin === 18 || pin === 19) {
+                modes[PIN_MODE.I2C] = 1;
+            }
+            return { modes, analogChannel: pin >= 14 ? pin - 14 : NO_ANALOG_CHANNEL };
+        });
+
+    const createPin = ({ modes = {}, analogChannel = NO_ANALOG_CHANNEL } = {}) => ({
+        modes,
+        analogChannel,
+        mode: undefined,
+        value: 0,
+    });
+
+    // 14비트 값을 7비트씩 나눈다.
+    const toTwoBytes = (value) => [value & 0x7f, (value >> 7) & 0x7f];
+
+    // LSB, MSB 순서로 나누어 보낸 7비트 바이트들을 다시 합친다.
+    const fromTwoBytes = (bytes) =>
+        _range(0, bytes.length - 1, 2).map((index) => bytes[index] | (bytes[index + 1] << 7));
+
+    Entry.FirmataLite = new (class FirmataLite {
+        constructor() {
+            this.id = '010901';
+            this.name = 'FirmataLite';
+            this.url = 'https://github.com/firmata/protocol';
+            this.imageName = 'arduinolite.png';
+            this.title = {
+                ko: 'Firmata 보드',
+                en: 'Firmata Board',
+            };
+            this.duration = 32;
+            this.blockMenuBlocks = [
+                'firmatalite_get_digital_value',
+                'firmatalite_get_analog_value',
+                'firmatalite_set_digital',
+                'firmatalite_set_pwm',
+                'firmatalite_set_servo',
+                'firmatalite_set_pin_mode',
+                'firmatalite_get_pin_mode',
+                'firmatalite_i2c_write',
+                'firmatalite_i2c_read',
+                'firmatalite_get_firmware',
+            ];
+            // INFO : 보드가 값이 바뀔 때만 보내기 때문에 읽기만 하고, 명령은 블록에서 바로 보낸다.
+            this.portData = {
+                baudRate: 57600,
+                dataBits: 8,
+                parity: 'none',
+                stopBits: 1,
+                bufferSize: 1024,
+                constantServing: 'ReadOnly',
+            };
+            // INFO : 값이 바뀌지 않으면 보드가 조용하므로 버전을 물어서 연결이 살아있는지 본다.
+            this.heartbeat = {
+                interval: 1000,
+                timeout: 3000,
+                request: () => [MESSAGE.REPORT_VERSION],
+            };
+            this.resetBoard();
+            this.setZero();
+        }
+
+        get monitorTemplate() {
+            const listPorts = {};
+            this.getPins().forEach(({ modes, analogChannel }, pin) => {
+                if (analogChannel !== NO_ANALOG_CHANNEL) {
+                    listPorts[`A${analogChannel}`] = {
+                        name: `A${analogChannel}`,
+                        type: 'input',
+                        pos: { x: 0, y: 0 },
+                    };
+                } else if (modes[PIN_MODE.INPUT] !== undefined) {
+                    listPorts[`D${pin}`] = { name: `D${pin}`, type: 'input', pos: { x: 0, y: 0 } };
+                }
+            });
+            return {
+                width: 256,
+                height: 256,
+                listPorts,
+                mode: 'list',
+            };
+        }
+
+        // INFO : 아날로그 채널은 A0, 디지털 핀은 D2 처럼 이름을 붙인다. 출력 핀은 마지막으로 쓴 값이다.
+        getMonitorPort() {
+            const ports = {};
+            this.pins.forEach(({ analogChannel, value }, pin) => {
+                if (analogChannel !== NO_ANALOG_CHANNEL) {
+                    ports[`A${analogChannel}`] = value;
+                } else {
+                    ports[`D${pin}`] = value;
+                }
+            });
+            return ports;
+        }
+
+        get simulator() {
+            const pins = createUnoPins();
+            const modes = [];
+            const sysex = (command, data = []) => [
+                MESSAGE.START_SYSEX,
+                command,
+                ...data,
+                MESSAGE.END_SYSEX,
+            ];
+            const sensors = {};
+            pins.forEach(({ analogChannel }, pin) => {
+                if (analogChannel !== NO_ANALOG_CHANNEL) {
+                    sensors[`A${analogChannel}`] = 0;
+                } else if (pin >= 2) {
+                    sensors[`D${pin}`] = 0;
+                }
+            });
+            return {
+                sensors,
+                encode: (values) => {
+                    const bytes = [];
+                    pins.forEach(({ analogChannel }) => {
+                        if (analogChannel !== NO_ANALOG_CHANNEL) {
+                            const value = Number(values[`A${analogChannel}`]) || 0;
+                            bytes.push(MESSAGE.ANALOG | analogChannel, ...toTwoBytes(value));
+                        }
+                    });
+                    _range(2).forEach((port) => {
+                        let mask = 0;
+                        _range(8).forEach((bit) => {
+                            if (Number(values[`D${port * 8 + bit}`])) {
+                                mask |= 1 << bit;
+                            }
+                        });
+                        bytes.push(MESSAGE.DIGITAL | port, ...toTwoBytes(mask));
+                    });
+                    return Uint8Array.from(bytes);
+                },
+                respond: (data) => {
+                    const [command, ...params] = data;
+                    if (command === MESSAGE.SET_PIN_MODE) {
+                        modes[params[0]] = params[1];
+                        return;
+                    } else if (command === MESSAGE.REPORT_VERSION) {
+                        return Uint8Array.from([MESSAGE.REPORT_VERSION, 2, 5]);
+                    } else if (command !== MESSAGE.START_SYSEX) {
+                        return;
+                    }
+                    let response;
+                    switch (params[0]) {
+                        case SYSEX.REPORT_FIRMWARE: {
+                            const name = Array.from('StandardFirmata.ino', (char) =>
+                                toTwoBytes(char.charCodeAt(0))
+                            );
+                            response = sysex(SYSEX.REPORT_FIRMWARE, [2, 5, ...name.flat()]);
+                            break;
+                        }
+                        case SYSEX.CAPABILITY_QUERY: {
+                            const capability = pins.map((pin) => [
+                                ...Object.entries(pin.modes).flat().map(Number),
+                                NO_ANALOG_CHANNEL,
+                            ]);
+                            response = sysex(SYSEX.CAPABILITY_RESPONSE, capability.flat());
+                            break;
+                        }
+                        case SYSEX.ANALOG_MAPPING_QUERY:
+                            response = sysex(
+                                SYSEX.ANALOG_MAPPING_RESPONSE,
+                                pins.map(({ analogChannel }) => analogChannel)
+                            );
+                            break;
+                        case SYSEX.PIN_STATE_QUERY: {
+                            const pin = params[1];
+                            const mode = modes[pin] === undefined ? PIN_MODE.OUTPUT : modes[pin];
+                            response = sysex(SYSEX.PIN_STATE_RESPONSE, [pin, mode, 0]);
+                            break;
+                        }
+                        case SYSEX.I2C_REQUEST: {
+                            // 연결된 I2C 장치가 없으므로 읽으면 0 을 돌려준다.
+                            const [, address, , register, , count] = params;
+                            if (params[2] & (I2C_MODE.READ_ONCE << 3)) {
+                                response = sysex(SYSEX.I2C_REPLY, [
+                                    ...toTwoBytes(address),
+                                    ...toTwoBytes(register),
+                                    ...new Array(count * 2).fill(0),
+                                ]);
+                            }
+                            break;
+                        }
+                    }
+                    return response && Uint8Array.from(response);
+                },
+            };
+        }
+
+        // 보드에서 알아낸 정보를 지운다. 연결할 때마다 다시 물어본다.
+        resetBoard() {
+            this.pins = [];
+            this.firmware = { name: '', version: '' };
+            this.protocolVersion = '';
+            this.hasCapability = false;
+            this.hasAnalogMapping = false;
+            this.reportingPorts = [];
+            this.reportingChannels = [];
+            this.digitalOutputs = [];
+            this.isI2CEnabled = false;
+            this.i2cReplies = {};
+            this.waiters = [];
+            this.buffer = [];
+            this.sysexData = null;
+        }
+
+        setZero() {
+            this.pins.forEach((pin, index) => {
+                if (pin.mode === PIN_MODE.OUTPUT) {
+                    this.digitalWrite(index, 0);
+                } else if (pin.mode === PIN_MODE.PWM) {
+                    this.analogWrite(index, 0);
+                }
+            });
+        }
+
+        isReady() {
+            return this.hasCapability && this.hasAnalogMapping;
+        }
+
+        async initialHandshake() {
+            this.resetBoard();
+            const { reader } = Entry.hwLite.serial;
+            const startTime = Date.now();
+            let queryTime = 0;
+            let pending;
+            // INFO : 보드가 리셋되는 동안에는 응답하지 않기 때문에 응답할 때까지 다시 물어본다.
+            while (!this.isReady()) {
+                const now = Date.now();
+                if (now - startTime > HANDSHAKE_TIMEOUT) {
+                    return false;
+                }
+                if (now - queryTime > QUERY_INTERVAL) {
+                    queryTime = now;
+                    this.queryBoard();
+                }
+                pending = pending || reader.read();
+                const result = await Promise.race([pending, Entry.Utils.sleep(READ_WAIT)]);
+                if (!result) {
+                    continue;
+                }
+                pending = undefined;
+                if (result.done) {
+                    return false;
+                }
+                this.handleLocalData(result.value);
+            }
+            // 보드에 맞는 핀으로 블록의 목록을 다시 그린다.
+            Entry.hwLite.refreshHardwareLiteBlockMenu();
+            return true;
+        }
+
+        queryBoard() {
+            this.write([MESSAGE.START_SYSEX, SYSEX.REPORT_FIRMWARE, MESSAGE.END_SYSEX]);
+            this.write([MESSAGE.START_SYSEX, SYSEX.CAPABILITY_QUERY, MESSAGE.END_SYSEX]);
+            this.write([MESSAGE.START_SYSEX, SYSEX.ANALOG_MAPPING_QUERY, MESSAGE.END_SYSEX]);
+        }
+
+        requestLocalData() {
+            return undefined;
+        }
+
+        // 디바이스에서 값을 읽어온다. 메시지가 여러 번에 나뉘어 와도 이어서 읽는다.
+        handleLocalData(data) {
+            for (const byte of data) {
+                if (this.sysexData) {
+                    if (byte === MESSAGE.END_SYSEX) {
+                        this.handleSysex(this.sysexData);
+                        this.sysexData = null;
+                    } else {
+                        this.sysexData.push(byte);
+                    }
+                    continue;
+                }
+                if (byte === MESSAGE.START_SYSEX) {
+                    this.sysexData = [];
+                    this.buffer = [];
+                    continue;
+                } else if (byte & 0x80) {
+                    this.buffer = [byte];
+                } else if (this.buffer.length) {
+                    this.buffer.push(byte);
+                } else {
+                    continue;
+                }
+                const [command] = this.buffer;
+                const type = command < MESSAGE.START_SYSEX ? command & 0xf0 : command;
+                const length = MESSAGE_LENGTH[type];
+                if (!length) {
+                    this.buffer = [];
+                } else if (this.buffer.length === length) {
+                    this.handleMessage(
+                        type,
+                        command & 0x0f,
+                        this.buffer[1] | (this.buffer[2] << 7)
+                    );
+                    this.buffer = [];
+                }
+            }
+        }
+
+        handleMessage(type, channel, value) {
+            switch (type) {
+                case MESSAGE.DIGITAL:
+                    _range(8).forEach((bit) => {
+                        const pin = this.pins[channel * 8 + bit];
+                        if (pin && (pin.mode === PIN_MODE.INPUT || pin.mode === PIN_MODE.PULLUP)) {
+                            pin.value = (value >> bit) & 1;
+                        }
+                    });
+                    break;
+                case MESSAGE.ANALOG: {
+                    const pin = this.pins.find(({ analogChannel }) => analogChannel === channel);
+                    if (pin && pin.mode === PIN_MODE.ANALOG) {
+                        pin.value = value;
+                    }
+                    break;
+                }
+                case MESSAGE.REPORT_VERSION:
+                    this.protocolVersion = `${value & 0x7f}.${value >> 7}`;
+                    break;
+            }
+        }
+
+        handleSysex([command, ...data]) {
+            switch (command) {
+                case SYSEX.REPORT_FIRMWARE: {
+                    const [major, minor, ...name] = data;
+                    this.firmware = {
+                        name: String.fromCharCode(...fromTwoBytes(name)),
+                        version: `${major}.${minor}`,
+                    };
+                    break;
+                }
+                case SYSEX.CAPABILITY_RESPONSE: {
+                    const pins = [];
+                    let modes = {};
+                    for (let index = 0; index < data.length; index++) {
+                        if (data[index] === NO_ANALOG_CHANNEL) {
+                            pins.push(modes);
+                            modes = {};
+                        } else {
+                            modes[data[index]] = data[++index];
+                        }
+                    }
+                    this.pins = pins.map((modes, index) =>
+                        createPin({ modes, analogChannel: this.pins[index]?.analogChannel })
+                    );
+                    this.hasCapability = true;
+                    break;
+                }
+                case SYSEX.ANALOG_MAPPING_RESPONSE:
+                    data.forEach((analogChannel, index) => {
+                        this.pins[index] = this.pins[index] || createPin();
+                        this.pins[index].analogChannel = analogChannel;
+                    });
+                    this.hasAnalogMapping = true;
+                    break;
+                case SYSEX.PIN_STATE_RESPONSE: {
+                    const [index, mode, ...state] = data;
+                    const pin = this.pins[index];
+                    if (pin) {
+                        pin.mode = mode;
+                    }
+                    this.notify(command, { pin: index, mode, state: fromTwoBytes(state)[0] });
+                    break;
+                }
+                case SYSEX.I2C_REPLY: {
+                    const [address, register, ...bytes] = fromTwoBytes(data);
+                    this.i2cReplies[`${address}-${register}`] = bytes;
+                    this.notify(command, { address, register, bytes });
+                    break;
+                }
+            }
+        }
+
+        // 보드의 응답을 기다린다. 시간 안에 오지 않으면 undefined
+        waitForReply(command, match) {
+            return new Promise((resolve) => {
+                const waiter = { command, match };
+                const timeout = setTimeout(() => {
+                    this.waiters = this.waiters.filter((item) => item !== waiter);
+                    resolve();
+                }, REPLY_TIMEOUT);
+                waiter.resolve = (reply) => {
+                    clearTimeout(timeout);
+                    resolve(reply);
+                };
+                this.waiters.push(waiter);
+            });
+        }
+
+        notify(command, reply) {
+            this.waiters = this.waiters.filter((waiter) => {
+                if (waiter.command === command && waiter.match(reply)) {
+                    waiter.resolve(reply);
+                    return false;
+                }
+                return true;
+            });
+        }
+
+        write(bytes) {
+            const { hwLite } = Entry;
+            const status = hwLite?.getStatus();
+            // INFO : 다시 연결하는 중에 쓴 명령은 커넥터가 모아두었다가 보낸다.
+            if ((status !== 'connected' && status !== 'reconnecting') || !hwLite.serial?.writer) {
+                return;
+            }
+            // INFO : 블록은 쓰기를 기다리지 않으므로 실패하면 기록만 남긴다.
+            hwLite.serial.writer.write(Uint8Array.from(bytes)).catch((error) => {
+                console.error(error);
+            });
+        }
+
+        getPins() {
+            return this.pins.length ? this.pins : createUnoPins();
+        }
+
+        // 보드에 없는 핀이면 멈춘다.
+        getPin(index) {
+            const pin = this.pins[index];
+            if (!pin) {
+                throw new Entry.Utils.IncompatibleError('IncompatibleError', [
+                    Lang.Blocks.firmatalite_pin_not_supported,
+                ]);
+            }
+            return pin;
+        }
+
+        // 드롭다운 목록. 값은 핀 번호 문자열이다.
+        getPinOptions(mode) {
+            return this.getPins().reduce((options, { modes }, pin) => {
+                if (modes[mode] !== undefined) {
+                    options.push([String(pin), String(pin)]);
+                }
+                return options;
+            }, []);
+        }
+
+        getAnalogOptions() {
+            return this.getPins().reduce((options, { modes, analogChannel }) => {
+                if (analogChannel !== NO_ANALOG_CHANNEL && modes[PIN_MODE.ANALOG] !== undefined) {
+                    options.push([`A${analogChannel}`, String(analogChannel)]);
+                }
+                return options;
+            }, []);
+        }
+
+        getMaxValue(index, mode) {
+            const resolution = this.getPin(index).modes[mode] || 8;
+            return Math.pow(2, resolution) - 1;
+        }
+
+        setPinMode(index, mode) {
+            const pin = this.getPin(index);
+            if (pin.mode === mode) {
+                return;
+            }
+            pin.mode = mode;
+            pin.value = 0;
+            this.write([MESSAGE.SET_PIN_MODE, index, mode]);
+        }
+
+        // @returns 처음 값을 받기 시작했으면 true
+        reportDigital(index) {
+            const port = index >> 3;
+            if (this.reportingPorts.includes(port)) {
+                return false;
+            }
+            this.reportingPorts.push(port);
+            this.write([MESSAGE.REPORT_DIGITAL | port, 1]);
+            return true;
+        }
+
+        reportAnalog(channel) {
+            if (this.reportingChannels.includes(channel)) {
+                return false;
+            }
+            this.reportingChannels.push(channel);
+            this.write([MESSAGE.REPORT_ANALOG | channel, 1]);
+            return true;
+        }
+
+        digitalWrite(index, value) {
+            const pin = this.getPin(index);
+            const port = index >> 3;
+            const bit = 1 << (index & 0x07);
+            pin.value = value ? 1 : 0;
+            const mask = this.digitalOutputs[port] || 0;
+            this.digitalOutputs[port] = value ? mask | bit : mask & ~bit;
+            this.write([MESSAGE.DIGITAL | port, ...toTwoBytes(this.digitalOutputs[port])]);
+        }
+
+        analogWrite(index, value) {
+            this.getPin(index).value = value;
+            if (index <= 0x0f && value <= 0x3fff) {
+                this.write([MESSAGE.ANALOG | index, ...toTwoBytes(value)]);
+            } else {
+                this.write([
+                    MESSAGE.START_SYSEX,
+                    SYSEX.EXTENDED_ANALOG,
+                    index,
+                    ...toTwoBytes(value),
+                    (value >> 14) & 0x7f,
+                    MESSAGE.END_SYSEX,
+                ]);
+            }
+        }
+
+        async getDigitalValue(index) {
+            const pin = this.getPin(index);
+            if (pin.mode !== PIN_MODE.INPUT && pin.mode !== PIN_MODE.PULLUP) {
+                this.setPinMode(index, PIN_MODE.INPUT);
+            }
+            if (this.reportDigital(index)) {
+                await Entry.Utils.sleep(this.duration);
+            }
+            return pin.value;
+        }
+
+        async getAnalogValue(channel) {
+            const index = this.pins.findIndex(({ analogChannel }) => analogChannel === channel);
+            if (index < 0) {
+                throw new Entry.Utils.IncompatibleError('IncompatibleError', [
+                    Lang.Blocks.firmatalite_pin_not_supported,
+                ]);
+            }
+            this.setPinMode(index, PIN_MODE.ANALOG);
+            if (this.reportAnalog(channel)) {
+                await Entry.Utils.sleep(this.duration);
+            }
+            return this.pins[index].value;
+        }
+
+        setPwm(index, value) {
+            this.setPinMode(index, PIN_MODE.PWM);
+            const max = this.getMaxValue(index, PIN_MODE.PWM);
+            this.analogWrite(index, Math.round(Math.max(0, Math.min(max, value))));
+        }
+
+        setServo(index, angle) {
+            if (this.getPin(index).mode !== PIN_MODE.SERVO) {
+                this.write([
+                    MESSAGE.START_SYSEX,
+                    SYSEX.SERVO_CONFIG,
+                    index,
+                    ...toTwoBytes(SERVO_PULSE.min),
+                    ...toTwoBytes(SERVO_PULSE.max),
+                    MESSAGE.END_SYSEX,
+                ]);
+                this.setPinMode(index, PIN_MODE.SERVO);
+            }
+            this.analogWrite(index, Math.round(Math.max(0, Math.min(180, angle))));
+        }
+
+        async getPinModeName(index) {
+            this.getPin(index);
+            this.write([MESSAGE.START_SYSEX, SYSEX.PIN_STATE_QUERY, index, MESSAGE.END_SYSEX]);
+            await this.waitForReply(SYSEX.PIN_STATE_RESPONSE, ({ pin }) => pin === index);
+            const { mode } = this.pins[index];
+            const name = Object.keys(PIN_MODE).find((key) => PIN_MODE[key] === mode);
+            return name || '';
+        }
+
+        enableI2C() {
+            if (this.isI2CEnabled) {
+                return;
+            }
+            this.isI2CEnabled = true;
+            this.write([MESSAGE.START_SYSEX, SYSEX.I2C_CONFIG, 0, 0, MESSAGE.END_SYSEX]);
+        }
+
+        i2cRequest(address, mode, data) {
+            this.enableI2C();
+            this.write([
+                MESSAGE.START_SYSEX,
+                SYSEX.I2C_REQUEST,
+                address & 0x7f,
+                mode << 3,
+                ...data.flatMap(toTwoBytes),
+                MESSAGE.END_SYSEX,
+            ]);
+        }
+
+        i2cWrite(address, register, bytes) {
+            this.i2cRequest(address, I2C_MODE.WRITE, [register, ...bytes]);
+        }
+
+        // @returns 읽은 바이트. 하나면 숫자로, 여러 개면 쉼표로 이어서 돌려준다.
+        async i2cRead(address, register, count) {
+            this.i2cRequest(address, I2C_MODE.READ_ONCE, [register, count]);
+            const reply = await this.waitForReply(
+                SYSEX.I2C_REPLY,
+                (reply) => reply.address === address && reply.register === register
+            );
+            const bytes = reply ? reply.bytes : this.i2cReplies[`${address}-${register}`] || [];
+            return bytes.length === 1 ? bytes[0] : bytes.join(',');
+        }
+
+        setLanguage() {
+            return {
+                ko: {
+                    template: {
+                        firmatalite_get_digital_value: '디지털 %1 번 핀 값',
+                        firmatalite_get_analog_value: '아날로그 %1 번 핀 값',
+                        firmatalite_set_digital: '디지털 %1 번 핀 %2 %3',
+                        firmatalite_set_pwm: 'PWM %1 번 핀을 %2 (으)로 정하기 %3',
+                        firmatalite_set_servo: '서보모터 %1 번 핀을 %2 도로 정하기 %3',
+                        firmatalite_set_pin_mode: '%1 번 핀을 %2 모드로 정하기 %3',
+                        firmatalite_get_pin_mode: '%1 번 핀의 모드',
+                        firmatalite_i2c_write: 'I2C 주소 %1 레지스터 %2 에 %3 쓰기 %4',
+                        firmatalite_i2c_read: 'I2C 주소 %1 레지스터 %2 에서 %3 바이트 읽은 값',
+                        firmatalite_get_firmware: '펌웨어 %1',
+                    },
+                    Blocks: {
+                        firmatalite_on: '켜기',
+                        firmatalite_off: '끄기',
+                        firmatalite_mode_input: '입력',
+                        firmatalite_mode_pullup: '풀업 입력',
+                        firmatalite_mode_output: '출력',
+                        firmatalite_firmware_name: '이름',
+                        firmatalite_firmware_version: '버전',
+                        firmatalite_pin_not_supported: '연결한 보드에 없는 핀입니다.',
+                    },
+                    Helper: {
+                        firmatalite_get_digital_value:
+                            '디지털 핀의 값(0 또는 1)입니다. 핀을 입력 모드로 바꾼 뒤 읽습니다.',
+                        firmatalite_get_analog_value:
+                            '아날로그 핀의 값입니다. 값의 범위는 보드의 해상도를 따릅니다. (우노는 0~1023)',
+                        firmatalite_set_digital: '디지털 핀을 켜거나 끕니다.',
+                        firmatalite_set_pwm:
+                            'PWM 핀의 출력값을 정합니다. 값의 범위는 보드의 해상도를 따릅니다. (우노는 0~255)',
+                        firmatalite_set_servo: '서보모터가 연결된 핀의 각도(0~180)를 정합니다.',
+                        firmatalite_set_pin_mode: '핀의 입출력 모드를 정합니다.',
+                        firmatalite_get_pin_mode:
+                            '보드에 물어본 핀의 모드입니다. (INPUT, OUTPUT, ANALOG, PWM, SERVO, I2C, PULLUP)',
+                        firmatalite_i2c_write:
+                            'I2C 장치의 레지스터에 값을 씁니다. 여러 바이트는 쉼표로 나누어 적습니다. (예: 1,2,3)',
+                        firmatalite_i2c_read:
+                            'I2C 장치의 레지스터에서 값을 읽습니다. 여러 바이트는 쉼표로 이어진 값입니다.',
+                        firmatalite_get_firmware:
+                            '보드에 올린 Firmata 펌웨어의 이름이나 버전입니다.',
+                    },
+                    Device: {
+                        firmatalite: 'Firmata 보드',
+                    },
+                    Menus: {
+                        firmatalite: 'Firmata 보드',
+                    },
+                },
+                en: {
+                    template: {
+                        firmatalite_get_digital_value: 'Digital pin %1 value',
+                        firmatalite_get_analog_value: 'Analog pin %1 value',
+                        firmatalite_set_digital: 'Digital pin %1 %2 %3',
+                        firmatalite_set_pwm: 'Set PWM pin %1 to %2 %3',
+                        firmatalite_set_servo: 'Set servo pin %1 to %2 degrees %3',
+                        firmatalite_set_pin_mode: 'Set pin %1 mode to %2 %3',
+                        firmatalite_get_pin_mode: 'Pin %1 mode',
+                        firmatalite_i2c_write: 'I2C write %3 to address %1 register %2 %4',
+                        firmatalite_i2c_read: 'I2C read %3 bytes from address %1 register %2',
+                        firmatalite_get_firmware: 'Firmware %1',
+                    },
+                    Blocks: {
+                        firmatalite_on: 'On',
+                        firmatalite_off: 'Off',
+                        firmatalite_mode_input: 'Input',
+                        firmatalite_mode_pullup: 'Input pull-up',
+                        firmatalite_mode_output: 'Output',
+                        firmatalite_firmware_name: 'name',
+                        firmatalite_firmware_version: 'version',
+                        firmatalite_pin_not_supported:
+                            'The connected board does not have this pin.',
+                    },
+                    Helper: {
+                        firmatalite_get_digital_value:
+                            'Value (0 or 1) of the digital pin. The pin is switched to input mode before reading.',
+                        firmatalite_get_analog_value:
+                            "Value of the analog pin. The range follows the board's resolution. (0~1023 on Uno)",
+                        firmatalite_set_digital: 'Turns the digital pin on or off.',
+                        firmatalite_set_pwm:
+                            "Sets the output of the PWM pin. The range follows the board's resolution. (0~255 on Uno)",
+                        firmatalite_set_servo: 'Sets the angle (0~180) of the servo on the pin.',
+                        firmatalite_set_pin_mode: 'Sets the input/output mode of the pin.',
+                        firmatalite_get_pin_mode:
+                            'Mode of the pin reported by the board. (INPUT, OUTPUT, ANALOG, PWM, SERVO, I2C, PULLUP)',
+                        firmatalite_i2c_write:
+                            'Writes to a register of the I2C device. Separate multiple bytes with commas. (e.g. 1,2,3)',
+                        firmatalite_i2c_read:
+                            'Reads from a register of the I2C device. Multiple bytes are joined with commas.',
+                        firmatalite_get_firmware:
+                            'Name or version of the Firmata firmware on the board.',
+                    },
+                    Device: {
+                        firmatalite: 'Firmata Board',
+                    },
+                    Menus: {
+                        firmatalite: 'Firmata Board',
+                    },
+                },
+            };
+        }
+
+        getBlocks() {
+            const pinDropdown = (menuName) => ({
+                type: 'DropdownDynamic',
+                value: null,
+                menuName,
+                fontSize: 11,
+                bgColor: EntryStatic.colorSet.block.darken.HARDWARE,
+                arrowColor: EntryStatic.colorSet.arrow.default.HARDWARE,
+            });
+            const dropdown = (options) => ({
+                type: 'Dropdown',
+                options,
+                value: options[0][1],
+                fontSize: 11,
+                bgColor: EntryStatic.colorSet.block.darken.HARDWARE,
+                arrowColor: EntryStatic.colorSet.arrow.default.HARDWARE,
+            });
+            const numberParam = {
+                type: 'Block',
+                accept: 'string',
+                defaultType: 'number',
+            };
+            const indicator = {
+                type: 'Indicator',
+                img: 'block_icon/hardwarelite_icon.svg',
+                size: 12,
+            };
+            const digitalPins = () => this.getPinOptions(PIN_MODE.OUTPUT);
+            const pwmPins = () => this.getPinOptions(PIN_MODE.PWM);
+            const servoPins = () => this.getPinOptions(PIN_MODE.SERVO);
+            const analogPins = () => this.getAnalogOptions();
+
+            return {
+                firmatalite_get_digital_value: {
+                    color: EntryStatic.colorSet.block.default.HARDWARE,
+                    outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+                    fontColor: '#fff',
+                    skeleton: 'basic_string_field',
+                    statements: [],
+                    params: [pinDropdown(digitalPins)],
+                    events: {},
+                    def: {
+                        params: [null],
+                        type: 'firmatalite_get_digital_value',
+                    },
+                    paramsKeyMap: {
+                        PIN: 0,
+                    },
+                    class: 'firmatalite_digital',
+                    isNotFor: ['FirmataLite'],
+                    func(sprite, script) {
+                        return Entry.FirmataLite.getDigitalValue(Number(script.getField('PIN')));
+                    },
+                },
+                firmatalite_get_analog_value: {
+                    color: EntryStatic.colorSet.block.default.HARDWARE,
+                    outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+                    fontColor: '#fff',
+                    skeleton: 'basic_string_field',
+                    statements: [],
+                    params: [pinDropdown(analogPins)],
+                    events: {},
+                    def: {
+                        params: [null],
+                        type: 'firmatalite_get_analog_value',
+                    },
+                    paramsKeyMap: {
+                        CHANNEL: 0,
+                    },
+                    class: 'firmatalite_analog',
+                    isNotFor: ['FirmataLite'],
+                    func(sprite, script) {
+                        return Entry.FirmataLite.getAnalogValue(Number(script.getField('CHANNEL')));
+                    },
+                },
+                firmatalite_set_digital: {
+                    color: EntryStatic.colorSet.block.default.HARDWARE,
+                    outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+                    skeleton: 'basic',
+                    statements: [],
+                    params: [
+                        pinDropdown(digitalPins),
+                        dropdown([
+                            [Lang.Blocks.firmatalite_on, 'on'],
+                            [Lang.Blocks.firmatalite_off, 'off'],
+                        ]),
+                        indicator,
+                    ],
+                    events: {},
+                    def: {
+                        params: [null, null, null],
+                        type: 'firmatalite_set_digital',
+                    },
+                    paramsKeyMap: {
+                        PIN: 0,
+                        VALUE: 1,
+                    },
+                    class: 'firmatalite_digital',
+                    isNotFor: ['FirmataLite'],
+                    func(sprite, script) {
+                        const pin = Number(script.getField('PIN'));
+                        Entry.FirmataLite.setPinMode(pin, PIN_MODE.OUTPUT);
+                        Entry.FirmataLite.digitalWrite(pin, script.getField('VALUE') === 'on');
+                        return script.callReturn();
+                    },
+                },
+                firmatalite_set_pwm: {
+                    color: EntryStatic.colorSet.block.default.HARDWARE,
+                    outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+                    skeleton: 'basic',
+                    statements: [],
+                    params: [pinDropdown(pwmPins), numberParam, indicator],
+                    events: {},
+                    def: {
+                        params: [
+                            null,
+                            {
+                                type: 'number',
+                                params: ['255'],
+                            },
+                            null,
+                        ],
+                        type: 'firmatalite_set_pwm',
+                    },
+                    paramsKeyMap: {
+                        PIN: 0,
+                        VALUE: 1,
+                    },
+                    class: 'firmatalite_analog',
+                    isNotFor: ['FirmataLite'],
+                    func(sprite, script) {
+                        Entry.FirmataLite.setPwm(
+                            Number(script.getField('PIN')),
+                            script.getNumberValue('VALUE')
+                        );
+                        return script.callReturn();
+                    },
+                },
+                firmatalite_set_servo: {
+                    color: EntryStatic.colorSet.block.default.HARDWARE,
+                    outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+                    skeleton: 'basic',
+                    statements: [],
+                    params: [pinDropdown(servoPins), numberParam, indicator],
+                    events: {},
+                    def: {
+                        params: [
+                            null,
+                            {
+                                type: 'number',
+                                params: ['90'],
+                            },
+                            null,
+                        ],
+                        type: 'firmatalite_set_servo',
+                    },
+                    paramsKeyMap: {
+                        PIN: 0,
+                        VALUE: 1,
+                    },
+                    class: 'firmatalite_analog',
+                    isNotFor: ['FirmataLite'],
+                    func(sprite, script) {
+                        Entry.FirmataLite.setServo(
+                            Number(script.getField('PIN')),
+                            script.getNumberValue('VALUE')
+                        );
+                        return script.callReturn();
+                    },
+                },
+                firmatalite_set_pin_mode: {
+                    color: EntryStatic.colorSet.block.default.HARDWARE,
+                    outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+                    skeleton: 'basic',
+                    statements: [],
+                    params: [
+                        pinDropdown(digitalPins),
+                        dropdown([
+                            [Lang.Blocks.firmatalite_mode_input, String(PIN_MODE.INPUT)],
+                            [Lang.Blocks.firmatalite_mode_pullup, String(PIN_MODE.PULLUP)],
+                            [Lang.Blocks.firmatalite_mode_output, String(PIN_MODE.OUTPUT)],
+                        ]),
+                        indicator,
+                    ],
+                    events: {},
+                    def: {
+                        params: [null, null, null],
+                        type: 'firmatalite_set_pin_mode',
+                    },
+                    paramsKeyMap: {
+                        PIN: 0,
+                        MODE: 1,
+                    },
+                    class: 'firmatalite_mode',
+                    isNotFor: ['FirmataLite'],
+                    func(sprite, script) {
+                        Entry.FirmataLite.setPinMode(
+                            Number(script.getField('PIN')),
+                            Number(script.getField('MODE'))
+                        );
+                        return script.callReturn();
+                    },
+                },
+                firmatalite_get_pin_mode: {
+                    color: EntryStatic.colorSet.block.default.HARDWARE,
+                    outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+                    fontColor: '#fff',
+                    skeleton: 'basic_string_field',
+                    statements: [],
+                    params: [pinDropdown(digitalPins)],
+                    events: {},
+                    def: {
+                        params: [null],
+                        type: 'firmatalite_get_pin_mode',
+                    },
+                    paramsKeyMap: {
+                        PIN: 0,
+                    },
+                    class: 'firmatalite_mode',
+                    isNotFor: ['FirmataLite'],
+                    func(sprite, script) {
+                        return Entry.FirmataLite.getPinModeName(Number(script.getField('PIN')));
+                    },
+                },
+                firmatalite_i2c_write: {
+                    color: EntryStatic.colorSet.block.default.HARDWARE,
+                    outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+                    skeleton: 'basic',
+                    statements: [],
+                    params: [numberParam, numberParam, numberParam, indicator],
+                    events: {},
+                    def: {
+                        params: [
+                            {
+                                type: 'text',
+                                params: ['0x3C'],
+                            },
+                            {
+                                type: 'number',
+                                params: ['0'],
+                            },
+                            {
+                                type: 'text',
+                                params: ['0'],
+                            },
+                            null,
+                        ],
+                        type: 'firmatalite_i2c_write',
+                    },
+                    paramsKeyMap: {
+                        ADDRESS: 0,
+                        REGISTER: 1,
+                        VALUE: 2,
+                    },
+                    class: 'firmatalite_i2c',
+                    isNotFor: ['FirmataLite'],
+                    func(sprite, script) {
+                        const bytes = String(script.getStringValue('VALUE'))
+                            .split(',')
+                            .map((value) => Number(value.trim()) & 0xff);
+                        Entry.FirmataLite.i2cWrite(
+                            Number(script.getStringValue('ADDRESS')),
+                            Number(script.getStringValue('REGISTER')),
+                            bytes
+                        );
+                        return script.callReturn();
+                    },
+                },
+                firmatalite_i2c_read: {
+                    color: EntryStatic.colorSet.block.default.HARDWARE,
+                    outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+                    fontColor: '#fff',
+                    skeleton: 'basic_string_field',
+                    statements: [],
+                    params: [numberParam, numberParam, numberParam],
+                    events: {},
+                    def: {
+                        params: [
+                            {
+                                type: 'text',
+                                params: ['0x3C'],
+                            },
+                            {
+                                type: 'number',
+                                params: ['0'],
+                            },
+                            {
+                                type: 'number',
+                                params: ['1'],
+                            },
+                        ],
+                        type: 'firmatalite_i2c_read',
+                    },
+                    paramsKeyMap: {
+                        ADDRESS: 0,
+                        REGISTER: 1,
+                        COUNT: 2,
+                    },
+                    class: 'firmatalite_i2c',
+                    isNotFor: ['FirmataLite'],
+                    func(sprite, script) {
+                        return Entry.FirmataLite.i2cRead(
+                            Number(script.getStringValue('ADDRESS')),
+                            Number(script.getStringValue('REGISTER')),
+                            Math.max(1, script.getNumberValue('COUNT'))
+                        );
+                    },
+                },
+                firmatalite_get_firmware: {
+                    color: EntryStatic.colorSet.block.default.HARDWARE,
+                    outerLine: EntryStatic.colorSet.block.darken.HARDWARE,
+                    fontColor: '#fff',
+                    skeleton: 'basic_string_field',
+                    statements: [],
+                    params: [
+                        dropdown([
+                            [Lang.Blocks.firmatalite_firmware_name, 'name'],
+                            [Lang.Blocks.firmatalite_firmware_version, 'version'],
+                        ]),
+                    ],
+                    events: {},
+                    def: {
+                        params: [null],
+                        type: 'firmatalite_get_firmware',
+                    },
+                    paramsKeyMap: {
+                        INFO: 0,
+                    },
+                    class: 'firmatalite_info',
+                    isNotFor: ['FirmataLite'],
+                    func(sprite, script) {
+                        return Entry.FirmataLite.firmware[script.getField('INFO')];
+                    },
+                },
+            };
+        }
+    })();
+})();
+
+module.exports = Entry.FirmataLite;
@@ -271,6 +271,81 @@
             };
         }
 
+        // 가상 햄스터. handleLocalData 가 읽는 센서 데이터를 만들고 requestLocalData 를 읽는다.
+        get simulator() {
+            const address = '000000000000';
+            const toByte = (value) => this.toHex(Math.max(-128, Math.min(255, Number(value) || 0)));
+            const toWord = (value) =>
+                this.toHex2(Math.max(-32768, Math.min(65535, Number(value) || 0)));
+            const toSigned = (hex) => {
+                const value = parseInt(hex, 16);
+                return value > 0x7f ? value - 0x100 : value;
+            };
+            return {
+                sensors: {
+                    signalStrength: -50,
+                    leftProximity: 0,
+                    rightProximity: 0,
+                    leftFloor: 0,
+                    rightFloor: 0,
+                    accelerationX: 0,
+                    accelerationY: 0,
+                    accelerationZ: 0,
+                    light: 0,
+                    temperature: 24,
+                    inputA: 0,
+                    inputB: 0,
+                },
+                encode: (sensors, count) => {
+                    let str = '000010';
+                    str += toByte(sensors.signalStrength);
+                    str += toByte(sensors.leftProximity);
+                    str += toByte(sensors.rightProximity);
+                    str += toByte(sensors.leftFloor);
+                    str += toByte(sensors.rightFloor);
+                    str += toWord(sensors.accelerationX);
+                    str += toWord(sensors.accelerationY);
+                    str += toWord(sensors.accelerationZ);
+                    // 실제 햄스터처럼 밝기와 온도/배터리를 번갈아 보낸다.
+                    if (count % 2 === 0) {
+                        str += '00';
+                        str += toWord(sensors.light);
+                    } else {
+                        str += '01';
+                        str += toByte((sensors.temperature - 24) * 2);
+                        str += 'C8';
+                    }
+                    str += toByte(sensors.inputA);
+                    str += toByte(sensors.inputB);
+                    str += '00-';
+                    str += address;
+                    return `${str}\r`;
+                },
+                respond: (data) => {
+                    const str = new TextDecoder().decode(data);
+                    if (str.slice(0, 2) === 'FF') {
+                        return `FF,Hamster,04,00,${address}\r`;
+                    }
+                },
+                decode: (data) => {
+                    const str = new TextDecoder().decode(data);
+                    if (str.length < 34 || str.slice(2, 6) !== '0010') {
+                        return;
+                    }
+                    return {
+                        leftWheel: toSigned(str.slice(6, 8)),
+                        rightWheel: toSigned(str.slice(8, 10)),
+                        leftLed: parseInt(str.slice(10, 12), 16),
+                        rightLed: parseInt(str.slice(12, 14), 16),
+                        buzzer: parseInt(str.slice(14, 20), 16) / 100,
+                        note: parseInt(str.slice(20, 22), 16),
+                        outputA: parseInt(str.slice(30, 32), 16),
+                        outputB: parseInt(str.slice(32, 34), 16),
+                    };
+                },
+            };
+        }
+
         setZero() {
             this.sensory = {
                 signalStrength: 0,
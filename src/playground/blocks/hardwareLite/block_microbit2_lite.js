@@ -286,6 +286,108 @@ const EVENT_INTERVAL = 150;
             }
             return value;
         }
+
+        /**
+         * 가상 마이크로비트. 블록이 보낸 `명령;인자` 에 `명령;값` 으로 응답한다.
+         * button 은 0(없음), 1(A), 2(B), 3(A+B), 핀 P0 ~ P2 는 아날로그 값(0 ~ 1023)이다.
+         */
+        get simulator() {
+            const keys = this.functionKeys;
+            const getAxis = (sensors, prefix, axis) => {
+                if (axis === 'mag') {
+                    const [x, y, z] = ['X', 'Y', 'Z'].map((key) => Number(sensors[prefix + key]));
+                    return Math.round(Math.sqrt(x * x + y * y + z * z));
+                }
+                return sensors[prefix + String(axis).toUpperCase()];
+            };
+            const parse = (data) => new TextDecoder().decode(data).trim().split(';');
+            return {
+                sensors: {
+                    button: 0,
+                    logo: 0,
+                    P0: 0,
+                    P1: 0,
+                    P2: 0,
+                    accX: 0,
+                    accY: 0,
+                    accZ: -1024,
+                    direction: 0,
+                    fieldX: 0,
+                    fieldY: 0,
+                    fieldZ: 0,
+                    light: 0,
+                    temperature: 24,
+                    soundLevel: 0,
+                    radio: '',
+                },
+                respond: (data, sensors) => {
+                    const [type, ...args] = parse(data);
+                    const pin = sensors[`P${args[0]}`] || 0;
+                    let value = 0;
+                    switch (type) {
+                        case keys.LOCALDATA:
+                            value = sensors.button
+                                ? `${this.version}:btn:${sensors.button}`
+                                : this.version;
+                            break;
+                        case keys.GET_ANALOG:
+                            value = pin;
+                            break;
+                        case keys.GET_DIGITAL:
+                            value = pin >= 512 ? 1 : 0;
+                            break;
+                        case keys.GET_BTN:
+                            value = sensors.button;
+                            break;
+                        case keys.GET_LOGO:
+                            value = sensors.logo;
+                            break;
+                        case keys.GET_ACC:
+                            value = getAxis(sensors, 'acc', args[0]);
+                            break;
+                        case keys.GET_FIELD_STRENGTH:
+                            value = getAxis(sensors, 'field', args[0]);
+                            break;
+                        case keys.GET_DIRECTION:
+                            value = sensors.direction;
+                            break;
+                        case keys.GET_LIGHT_LEVEL:
+                            value = sensors.light;
+                            break;
+                        case keys.GET_TEMPERATURE:
+                            value = sensors.temperature;
+                            break;
+                        case keys.GET_SOUND_LEVEL:
+                            value = sensors.soundLevel;
+                            break;
+                        case keys.GET_RADIO:
+                            value = sensors.radio;
+                            break;
+                    }
+                    return `${type};${value}\r\n`;
+                },
+                decode: (data) => {
+                    const [type, ...args] = parse(data);
+                    switch (type) {
+                        case keys.SET_DIGITAL:
+                        case keys.SET_ANALOG:
+                        case keys.SET_SERVO_ANGLE:
+                            return { [`P${args[0]}`]: Number(args[1]) };
+                        case keys.SET_STRING:
+                        case keys.PRESET_IMAGE:
+                        case keys.SET_CUSTOM_IMAGE:
+                            return { display: args.join(';') };
+                        case keys.RESET_SCREEN:
+                            return { display: '' };
+                        case keys.PLAY_TONE:
+                            return { tone: args.join(';') };
+                        case keys.SET_RADIO:
+                            return { radio: args.join(';') };
+                    }
+                },
+            };
+        }
+
         setZero() {
             this.commandStatus = {};
             return Entry.hwLite.serial.sendAsyncWithThrottle(this.functionKeys.RESET);
@@ -308,6 +308,60 @@
             };
         }
 
+        /**
+         * 가상 네오. 센서값은 모니터의 포트 이름과 같은 키를 쓴다.
+         * 센서 데이터 pdu 를 주기적으로 보내고, 받은 명령에는 같은 blockId 로 응답하여 블록이 끝나게 한다.
+         */
+        get simulator() {
+            const toInt16 = (value) => {
+                const number = Math.max(-32768, Math.min(32767, Math.round(Number(value) || 0)));
+                return [number & 0xff, (number >> 8) & 0xff];
+            };
+            return {
+                sensors: {
+                    IN11: 0,
+                    IN12: 0,
+                    IN13: 0,
+                    IN14: 0,
+                    IN21: 0,
+                    IN22: 0,
+                    IN23: 0,
+                    IN24: 0,
+                    IN31: 0,
+                    IN32: 0,
+                    IN33: 0,
+                    IN34: 0,
+                    IR: 0,
+                    BAT: 100,
+                },
+                interval: this.duration,
+                encode: (sensors) => {
+                    const body = [SensorKind.CONTROLLER, UnitId.CONTROLLER, 6, 0, 0];
+                    body.push(...toInt16(sensors.IR), ...toInt16(sensors.BAT));
+                    [UnitId.CONTROLLER_IN1, UnitId.CONTROLLER_IN2, UnitId.CONTROLLER_IN3].forEach(
+                        (unitId) => {
+                            body.push(SensorKind.DIGITAL, unitId, 8);
+                            [1, 2, 3, 4].forEach((index) => {
+                                body.push(...toInt16(sensors[`IN${unitId}${index}`]));
+                            });
+                        }
+                    );
+                    return Uint8Array.from(
+                        this.makePdu([FrameCode.BASIC, PduBasicCode.SENSOR_DATA, ...body])
+                    );
+                },
+                respond: (data) => {
+                    const pdu = Array.from(data);
+                    if (!this.checkHeader(pdu) || pdu[IDX_FRAME_CODE] !== FrameCode.BASIC) {
+                        return;
+                    }
+                    return Uint8Array.from(
+                        this.makePdu([FrameCode.BASIC, pdu[IDX_PDU_CODE], pdu[IDX_ACK_NUM], 0])
+                    );
+                },
+            };
+        }
+
         setZero() {
             if (Entry.hwLite && Entry.hwLite.serial) {
                 const blockId = this.generateBlockId();
@@ -172,7 +172,7 @@ Entry.Code = class Code {
             } else if (!executor.isEnd()) {
                 const { view } = executor.scope.block || {};
                 _executeEvent(view);
-                result = executor.execute(true);
+                result = executor.execute();
                 if (executor.isLooped) {
                     loopExecutor.push(executor);
                 }
@@ -197,7 +197,7 @@ Entry.Code = class Code {
                 } else if (!executor.isEnd()) {
                     const { view } = executor.scope.block || {};
                     _executeEvent(view);
-                    result = executor.execute(true);
+                    result = executor.execute();
                     if (shouldNotifyWatch) {
                         const { blocks } = result;
                         executedBlocks = executedBlocks.concat(blocks);
@@ -542,6 +542,16 @@ Entry.Code = class Code {
         return scope.getValue('VALUE', scope);
     };
 
+    /**
+     * 결괏값 함수의 결과. 결괏값을 정하고 함수를 끝낸 경우에는 그 값을 쓴다.
+     */
+    static getFuncResult = async (funcExecutor) => {
+        if ('returnValue' in funcExecutor) {
+            return funcExecutor.returnValue;
+        }
+        return await this.getAsyncParamsData(funcExecutor.result);
+    };
+
     static funcValueAsyncExecute = async (funcCode, funcExecutor, _promises = []) => {
         await Promise.all(_promises);
         if (Entry.engine.isState('pause')) {
@@ -549,7 +559,7 @@ Entry.Code = class Code {
             return this.funcValueAsyncExecute(funcCode, funcExecutor, _promises);
         } else if (!Entry.engine.isState('run')) {
             funcCode.removeExecutor(funcExecutor);
-            return await this.getAsyncParamsData(funcExecutor.result);
+            return await this.getFuncResult(funcExecutor);
         }
 
         return new Promise((resolve, reject) => {
@@ -576,7 +586,7 @@ Entry.Code = class Code {
                             funcCode.removeExecutor(funcExecutor);
                         }
                     }
-                    resolve(await this.getAsyncParamsData(funcExecutor.result));
+                    resolve(await this.getFuncResult(funcExecutor));
                 } catch (e) {
                     reject(e);
                 }
@@ -587,7 +597,7 @@ Entry.Code = class Code {
     static funcRestExecute = async (funcCode, funcExecutor) => {
         if (!Entry.engine.isState('run')) {
             funcCode.removeExecutor(funcExecutor);
-            return await this.getAsyncParamsData(funcExecutor.result);
+            return await this.getFuncResult(funcExecutor);
         }
 
         return new Promise((resolve, reject) => {
@@ -612,7 +622,7 @@ Entry.Code = class Code {
                             return resolve(await this.funcRestExecute(funcCode, funcExecutor));
                         }
                     }
-                    resolve(await this.getAsyncParamsData(funcExecutor.result));
+                    resolve(await this.getFuncResult(funcExecutor));
                     funcCode.removeExecutor(funcExecutor);
                 } catch (e) {
                     reject(e);
@@ -0,0 +1,413 @@
+'use strict';
+
+const STEP_INTO = 'stepInto';
+const STEP_OVER = 'stepOver';
+
+/**
+ * 블록 코드용 디버거.
+ * Executor 가 블록을 실행하기 직전에 shouldPause 를 호출하며,
+ * 중단점에 도달하거나 한 단계 실행이 끝나면 엔진을 일시정지 상태로 바꾼다.
+ * 속성 패널의 'debugger' 탭에서 계속 실행/한 단계 실행/안으로 들어가기를 하고,
+ * 멈춘 지점의 지역 변수와 호출 스택을 본다.
+ */
+class BlockDebugger {
+    constructor() {
+        this.breakpoints = new Set();
+        this._clearPausedState();
+
+        Entry.addEventListener('stop', () => {
+            this._clearPausedState();
+            this.render();
+        });
+        // 엔진의 일시정지 버튼으로 다시 실행하면 다음 중단점까지 계속 실행한다.
+        Entry.addEventListener('dispatchEventDidTogglePause', () => {
+            if (this.isPaused() && Entry.engine.isState('run')) {
+                this.resume();
+            }
+        });
+    }
+
+    _clearPausedState() {
+        this.pausedExecutor = null;
+        this.stepMode = null;
+        this.stepExecutor = null;
+        this.stepScope = null;
+        this.stepParentScope = null;
+    }
+
+    hasBreakpoint(block) {
+        return !!block && this.breakpoints.has(block.id);
+    }
+
+    toggleBreakpoint(block) {
+        if (this.hasBreakpoint(block)) {
+            this.removeBreakpoint(block);
+        } else {
+            this.addBreakpoint(block);
+        }
+    }
+
+    addBreakpoint(block) {
+        this.breakpoints.add(block.id);
+        block.view && block.view.svgGroup.addClass('breakpoint');
+        Entry.dispatchEvent('blockDebuggerBreakpointChanged', block, true);
+    }
+
+    removeBreakpoint(block) {
+        this.breakpoints.delete(block.id);
+        block.view && block.view.svgGroup.removeClass('breakpoint');
+        Entry.dispatchEvent('blockDebuggerBreakpointChanged', block, false);
+    }
+
+    clearBreakpoints() {
+        this.breakpoints.forEach((id) => {
+            const { view } = this._findBlock(id) || {};
+            view && view.svgGroup.removeClass('breakpoint');
+        });
+        this.breakpoints.clear();
+    }
+
+    isPaused() {
+        return !!this.pausedExecutor;
+    }
+
+    /**
+     * executor 가 현재 scope 의 블록을 실행하기 전에 호출된다.
+     * 여러 틱에 걸쳐 실행되는 블록(기다리기, 함수 호출 등)은 처음 도달했을 때만 검사한다.
+     * @param {Entry.Executor} executor
+     * @return {boolean} true 이면 블록을 실행하지 않고 이번 틱의 실행을 멈춘다.
+     */
+    shouldPause(executor) {
+        if (this.isPaused()) {
+            return true;
+        }
+        const { scope } = executor;
+        if (scope === executor.debugCheckedScope) {
+            return false;
+        }
+        executor.debugCheckedScope = scope;
+        if (this.hasBreakpoint(scope.block) || this._isStepFinished(executor)) {
+            this.pause(executor);
+            return true;
+        }
+        return false;
+    }
+
+    _isStepFinished(executor) {
+        const { stepMode, stepExecutor } = this;
+        if (!stepMode) {
+            return false;
+        }
+        if (executor === stepExecutor) {
+            return executor.scope !== this.stepScope;
+        }
+        if (_isAncestor(executor, stepExecutor)) {
+            // 함수 실행이 끝나 호출한 쪽으로 돌아온 경우
+            return executor.scope !== this.stepParentScope;
+        }
+        return stepMode === STEP_INTO && _isAncestor(stepExecutor, executor);
+    }
+
+    pause(executor) {
+        this.pausedExecutor = executor;
+        this.stepMode = null;
+        this.stepExecutor = null;
+
+        const engine = Entry.engine;
+        if (engine.isState('run')) {
+            engine.togglePause();
+        }
+
+        const { block } = executor.scope;
+        if (Entry.type === 'workspace' && block && block.view) {
+            const { object } = block.getCode();
+            object && Entry.container.selectObject(object.id, true);
+            block.view.getBoard().activateBlock(block);
+        }
+        const propertyPanel = Entry.propertyPanel;
+        if (this.view && propertyPanel && propertyPanel.modes.debugger) {
+            propertyPanel.select('debugger');
+        }
+        this.render();
+        Entry.dispatchEvent('blockDebuggerPaused', this.getSnapshot());
+    }
+
+    /**
+     * 다음 중단점까지 실행을 이어간다.
+     */
+    resume() {
+        this._resume(null);
+    }
+
+    /**
+     * 현재 블록을 실행하고 같은 흐름의 다음 블록에서 멈춘다. 함수 블록은 끝까지 실행한다.
+     */
+    stepOver() {
+        this._resume(STEP_OVER);
+    }
+
+    /**
+     * 현재 블록을 실행하고 다음 블록에서 멈춘다. 함수 블록이면 함수 안의 첫 블록에서 멈춘다.
+     */
+    stepInto() {
+        this._resume(STEP_INTO);
+    }
+
+    _resume(stepMode) {
+        const executor = this.pausedExecutor;
+        if (!executor) {
+            return;
+        }
+        const { parentExecutor } = executor;
+        this.stepMode = stepMode;
+        this.stepExecutor = executor;
+        this.stepScope = executor.scope;
+        this.stepParentScope = parentExecutor && parentExecutor.scope;
+        this.pausedExecutor = null;
+
+        if (executor.scope.block && executor.scope.block.view) {
+            executor.scope.block.view.removeActivated();
+        }
+        this.render();
+        Entry.dispatchEvent('blockDebuggerResumed', stepMode);
+        if (Entry.engine.isState('pause')) {
+            Entry.engine.togglePause();
+        }
+    }
+
+    /**
+     * 멈춘 지점의 블록, 오브젝트 지역 변수/리스트, 함수 인자와 지역 변수, 호출 스택 정보.
+     * @return {?Object}
+     */
+    getSnapshot() {
+        const executor = this.pausedExecutor;
+        if (!executor) {
+            return null;
+        }
+        const { entity } = executor;
+        return {
+            block: executor.scope.block,
+            entity: entity && {
+                id: entity.id,
+                objectId: entity.parent.id,
+                name: entity.parent.name,
+                isClone: !!entity.isClone,
+            },
+            variables: this._getLocalVariables(entity, 'variables_', 'variables'),
+            lists: this._getLocalVariables(entity, 'lists_', 'lists'),
+            callStack: this.getCallStack(executor),
+        };
+    }
+
+    /**
+     * 가장 안쪽(현재 실행 중인 함수)부터 바깥쪽 순서의 호출 스택.
+     * @param {Entry.Executor} executor
+     */
+    getCallStack(executor = this.pausedExecutor) {
+        const frames = [];
+        let current = executor;
+        while (current) {
+            const { register = {} } = current;
+            const params = register.params || [];
+            const paramMap = register.paramMap || {};
+            frames.push({
+                executor: current,
+                block: current.scope.block,
+                isFunction: !!current.isFuncExecutor,
+                funcBlock: current.parentScope && current.parentScope.block,
+                params: Object.keys(paramMap).map((key) => ({
+                    key,
+                    value: params[paramMap[key]],
+                })),
+                localVariables: (current.localVariables || []).map(({ id, name, value }) => ({
+                    id,
+                    name,
+                    value,
+                })),
+                localLists: (current.localLists || []).map(({ id, name, value }) => ({
+                    id,
+                    name,
+                    value: [...value],
+                })),
+                blocks: current._callStack.map(({ block }) => block).reverse(),
+            });
+            current = current.parentExecutor;
+        }
+        return frames;
+    }
+
+    _getLocalVariables(entity, containerKey, cloneKey) {
+        if (!entity) {
+            return [];
+        }
+        const objectId = entity.parent.id;
+        const source = entity.isClone
+            ? entity[cloneKey] || []
+            : Entry.variableContainer[containerKey].filter(
+                  (variable) => variable.object_ === objectId
+              );
+        return source.map((variable) => ({
+            id: variable.getId(),
+            name: variable.getName(),
+            value: containerKey === 'lists_' ? variable.getArray() : variable.getValue(),
+        }));
+    }
+
+    generateView(parentView) {
+        if (this.view) {
+            return;
+        }
+        const view = Entry.createElement('div').addClass('entryBlockDebuggerWorkspace');
+        const header = Entry.createElement('div')
+            .addClass('entryBlockDebuggerHeader')
+            .appendTo(view);
+        this._buttons = [
+            ['resume', Lang.Workspace.debugger_resume, () => this.resume()],
+            ['stepOver', Lang.Workspace.debugger_step_over, () => this.stepOver()],
+            ['stepInto', Lang.Workspace.debugger_step_into, () => this.stepInto()],
+        ].map(([name, text, callback]) => {
+            const button = Entry.createElement('button')
+                .addClass(`entryBlockDebuggerButton ${name}`)
+                .appendTo(header);
+            button.textContent = text;
+            button.bindOnClick(callback);
+            return button;
+        });
+        this._statusView = Entry.createElement('div')
+            .addClass('entryBlockDebuggerStatus')
+            .appendTo(view);
+        this._contentView = Entry.createElement('div')
+            .addClass('entryBlockDebuggerContent')
+            .appendTo(view);
+
+        this.view = view;
+        parentView && parentView.appendChild(view);
+        this.render();
+    }
+
+    getView() {
+        return this.view;
+    }
+
+    /**
+     * 속성 패널에서 탭을 선택하면 불린다.
+     */
+    resize() {
+        this.render();
+    }
+
+    render() {
+        if (!this.view) {
+            return;
+        }
+        const snapshot = this.getSnapshot();
+        this._buttons.forEach((button) => {
+            button.disabled = !snapshot;
+        });
+        this._contentView.innerHTML = '';
+        if (!snapshot) {
+            this._statusView.textContent = Lang.Workspace.debugger_not_paused;
+            return;
+        }
+        const { entity, variables, lists, callStack } = snapshot;
+        this._statusView.textContent = Entry.Utils.stringFormat(
+            Lang.Workspace.debugger_paused,
+            entity ? entity.name : ''
+        );
+
+        const fragment = document.createDocumentFragment();
+        this._renderSection(fragment, Lang.Workspace.debugger_local_variables, [
+            ...variables.map(({ name, value }) => [name, value]),
+            ...lists.map(({ name, value }) => [name, _formatList(value)]),
+        ]);
+        this._renderSection(fragment, Lang.Workspace.debugger_call_stack, []);
+        callStack.forEach((frame, index) => {
+            const item = Entry.createElement('div')
+                .addClass(`entryBlockDebuggerFrame${index ? '' : ' current'}`)
+                .appendTo(fragment);
+            Entry.createElement('div')
+                .addClass('entryBlockDebuggerFrameName')
+                .appendTo(item).textContent = this._getFrameName(frame, entity);
+            item.bindOnClick(() => this.focusFrame(frame));
+            this._renderValues(item, [
+                ...frame.params.map(({ key, value }) => [_getParamName(key), value]),
+                ...frame.localVariables.map(({ name, value }) => [name, value]),
+                ...frame.localLists.map(({ name, value }) => [name, _formatList(value)]),
+            ]);
+        });
+        this._contentView.appendChild(fragment);
+    }
+
+    _renderSection(parent, title, values) {
+        Entry.createElement('div')
+            .addClass('entryBlockDebuggerSectionTitle')
+            .appendTo(parent).textContent = title;
+        this._renderValues(parent, values);
+    }
+
+    _renderValues(parent, values) {
+        if (!values.length) {
+            return;
+        }
+        const list = Entry.createElement('ul')
+            .addClass('entryBlockDebuggerValues')
+            .appendTo(parent);
+        values.forEach(([name, value]) => {
+            const item = Entry.createElement('li').appendTo(list);
+            Entry.createElement('span').addClass('name').appendTo(item).textContent = name;
+            Entry.createElement('span').addClass('value').appendTo(item).textContent =
+                String(value);
+        });
+    }
+
+    _getFrameName({ isFunction, funcBlock }, entity) {
+        if (isFunction && funcBlock) {
+            const func = Entry.variableContainer.getFunction(funcBlock.getFuncId());
+            return func ? (func.description || '').trim() : funcBlock.type;
+        }
+        return entity ? entity.name : '';
+    }
+
+    /**
+     * 호출 스택에서 고른 단계가 실행 중인 블록을 보여준다.
+     */
+    focusFrame({ block }) {
+        if (!block || !block.view) {
+            return;
+        }
+        const board = block.view.getBoard();
+        board && board.activateBlock(block);
+    }
+
+    _findBlock(id) {
+        let found;
+        Entry.container.mapObject(({ script }) => {
+            found = found || (script && script.findById(id));
+        });
+        return found;
+    }
+}
+
+function _getParamName(key) {
+    const schema = Entry.block[key];
+    return (schema && schema.template) || key;
+}
+
+// 오브젝트 리스트는 { data } 를, 함수의 지역 리스트는 값을 그대로 담는다.
+function _formatList(array) {
+    const items = array.map((item) => (item && typeof item === 'object' ? item.data : item));
+    return `[${items.join(', ')}]`;
+}
+
+function _isAncestor(executor, target) {
+    let current = target && target.parentExecutor;
+    while (current) {
+        if (current === executor) {
+            return true;
+        }
+        current = current.parentExecutor;
+    }
+    return false;
+}
+
+Entry.BlockDebugger = BlockDebugger;
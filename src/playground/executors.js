@@ -18,7 +18,7 @@ class Executor {
         this.id = Entry.Utils.generateId();
     }
 
-    execute(isFromOrigin) {
+    execute() {
         if (Entry.isTurbo && !this.isUpdateTime) {
             this.isUpdateTime = performance.now();
         }
@@ -28,13 +28,14 @@ class Executor {
 
         const executedBlocks = [];
         const promises = [];
-        if (isFromOrigin) {
-            Entry.callStackLength = 0;
-        }
 
         const entity = this.entity;
         const isOffline = window.location.href.indexOf('file://') === 0;
+        const blockDebugger = Entry.blockDebugger;
         while (true) {
+            if (blockDebugger && blockDebugger.shouldPause(this)) {
+                break;
+            }
             let returnVal = null;
             executedBlocks.push(this.scope.block);
             try {
@@ -54,6 +55,10 @@ class Executor {
                     Entry.Utils.stopProjectWithToast(this.scope, 'IncompatibleError', e);
                 } else if (e.name === 'OfflineError') {
                     Entry.Utils.stopProjectWithToast(this.scope, 'OfflineError', e);
+                } else if (e.name === 'RecursionLimitError') {
+                    // 함수를 부른 블록을 보여 주고, 이 함수를 부른 함수들도 더 실행하지 않는다.
+                    Entry.Utils.stopProjectWithToast(this.scope, 'RecursionLimitError', e);
+                    returnVal = Entry.STATIC.BREAK;
                 } else if (this.isFuncExecutor) {
                     Entry.Utils.stopProjectWithToast(this.parentScope, undefined, e);
                 } else if (e.name === 'RangeError') {
@@ -100,6 +105,8 @@ class Executor {
                             returnVal = Entry.STATIC.BREAK;
                         } else if (e.name === 'IncompatibleError') {
                             Entry.Utils.stopProjectWithToast(this.scope, 'IncompatibleError', e);
+                        } else if (e.name === 'RecursionLimitError') {
+                            Entry.Utils.stopProjectWithToast(this.scope, 'RecursionLimitError', e);
                         } else if (this.isFuncExecutor) {
                             //function executor
                             Entry.Utils.stopProjectWithToast(this.parentScope, undefined, e);
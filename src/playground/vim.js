@@ -13,6 +13,7 @@ class Vim {
     static PARSER_TYPE_BLOCK_TO_PY = 3;
 
     static INEDITABLE_LINE_PY = 3;
+    static INEDITABLE_LINE_JS = 2;
 
     static PYTHON_IMPORT_ENTRY = 'import Entry';
     static PYTHON_IMPORT_HW = '';
@@ -32,6 +33,7 @@ class Vim {
         this.createDom(dom);
 
         this._parser = new Entry.Parser(null, null, this.codeMirror);
+        this._jsTemplates = new Map();
 
         Entry.addEventListener('hwChanged', (e) => {
             if (Entry.hw.hwModule) {
@@ -72,7 +74,7 @@ class Vim {
                     cm.replaceSelection(spaces);
                 },
             },
-            //gutters: ["CodeMirror-linenumbers", "breakpoints"],
+            gutters: ['CodeMirror-linenumbers', 'CodeMirror-lint-markers'],
             lint: true,
             viewportMargin: 10,
         });
@@ -135,6 +137,16 @@ class Vim {
         this._parentView.append(this.view);
     }
 
+    destroy() {
+        if (!this._parser) {
+            return;
+        }
+        const target = this.view[0];
+        target.removeEventListener('dragEnd', this.#handleDragEnd);
+        target.removeEventListener('dragOver', this.#handleDragOver);
+        this._parser.destroy();
+    }
+
     clearText() {
         this.codeMirror.setValue('');
     }
@@ -212,6 +224,24 @@ class Vim {
                         );
                 }
 
+                doc = this.codeMirror.getDoc();
+                doc.setCursor({ line: doc.lastLine() - 1 });
+            } else {
+                this.clearText();
+            }
+        } else if (textType === Vim.TEXT_TYPE_JS && this._mode === Vim.WORKSPACE_MODE) {
+            if (this._currentObject) {
+                codeDescription = `// ${this._currentObject.name}${Lang.TextCoding.javascript_code}`;
+                textCode = this._parser.parse(code, Entry.Parser.PARSE_GENERAL);
+                this.codeMirror.setValue(`${codeDescription}\n\n${textCode}`);
+                this.codeMirror
+                    .getDoc()
+                    .markText(
+                        { line: 0, ch: 0 },
+                        { line: Vim.INEDITABLE_LINE_JS, ch: 0 },
+                        { readOnly: true, inclusiveLeft: true }
+                    );
+
                 doc = this.codeMirror.getDoc();
                 doc.setCursor({ line: doc.lastLine() - 1 });
             } else {
@@ -249,9 +279,27 @@ class Vim {
             syntax = this._parser._execParser.searchSyntax(datum);
         }
 
+        if (syntax && this._parser._jsConverter instanceof Entry.PyToJsConverter) {
+            syntax = this.#toJsSyntax(syntax);
+        }
+
         return syntax;
     }
 
+    /**
+     * 일반 작품의 자바스크립트 모드에서 블록 메뉴에 보일 파이썬 템플릿을 자바스크립트로 바꾼다.
+     */
+    #toJsSyntax(syntax) {
+        const { template } = syntax;
+        if (typeof template !== 'string') {
+            return syntax;
+        } else if (!this._jsTemplates.has(template)) {
+            const converted = this._parser._jsConverter.convert(template, { closeBlocks: false });
+            this._jsTemplates.set(template, converted.replace(/;$/, ''));
+        }
+        return { ...syntax, template: this._jsTemplates.get(template) };
+    }
+
     #getAssistScope() {
         const execParser = this._parser._execParser;
         if (execParser && execParser.getAssistScope) {
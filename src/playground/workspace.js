@@ -58,6 +58,7 @@ Entry.Workspace = class Workspace {
         if (option) {
             this.vimBoard = new Entry.Vim(option.dom);
             this.vimBoard.workspace = this;
+            this._destroyer.add(this.vimBoard);
         }
 
         if (this.board && this.vimBoard) {
@@ -159,6 +160,7 @@ Entry.Workspace = class Workspace {
                 blockMenu.banClass('functionInit', true);
                 this.codeToText(this.board.code, mode);
                 this.oldTextType = this.textType;
+                this.oldRunType = this.runType;
                 this.board.clear();
             } catch (e) {
                 this.vimBoard.hide();
@@ -168,7 +170,7 @@ Entry.Workspace = class Workspace {
                 this.mode = WORKSPACE.MODE_BOARD;
                 mode.boardType = WORKSPACE.MODE_BOARD;
                 if (this.oldTextType === VIM.TEXT_TYPE_JS) {
-                    mode.runType = VIM.MAZE_MODE;
+                    mode.runType = this.oldRunType || VIM.MAZE_MODE;
                 } else if (this.oldTextType === VIM.TEXT_TYPE_PY) {
                     mode.runType = VIM.WORKSPACE_MODE;
                 }
@@ -262,7 +264,7 @@ Entry.Workspace = class Workspace {
                     if (this.oldTextType === VIM.TEXT_TYPE_JS) {
                         this.boardType = WORKSPACE.MODE_VIMBOARD;
                         this.textType = VIM.TEXT_TYPE_JS;
-                        this.runType = VIM.MAZE_MODE;
+                        this.runType = this.oldRunType || VIM.MAZE_MODE;
                     } else if (this.oldTextType === VIM.TEXT_TYPE_PY) {
                         this.boardType = WORKSPACE.MODE_VIMBOARD;
                         this.textType = VIM.TEXT_TYPE_PY;
@@ -337,10 +339,15 @@ Entry.Workspace = class Workspace {
 
         code.load(changedCode);
         this.changeBoardCode(code);
+        // 파이썬 annotation 으로 위치를 되살린 스레드가 있으면 정렬하지 않는다.
+        const hasPosition = code.getThreads().some((thread) => {
+            const block = thread.getFirstBlock();
+            return block instanceof Entry.Block && !block.isInOrigin();
+        });
         setTimeout(() => {
             if (code.view) {
                 code.view.reDraw();
-                this.board.alignThreads();
+                !hasPosition && this.board.alignThreads();
             }
         }, 0);
     }
@@ -650,6 +657,7 @@ Entry.Workspace = class Workspace {
         }
         this.vimBoard = new Entry.Vim(dom);
         this.vimBoard.workspace = this;
+        this._destroyer.add(this.vimBoard);
         this.vimBoard.hide();
     }
 
@@ -17,7 +17,6 @@ Entry.PyAstGenerator = function() {};
         } catch (error) {
             var msgTokens = error.message.split("'");
             var title = Entry.TextCodingError.TITLE_SYNTAX;
-            console.log('msgTokens', msgTokens);
 
             var message, subject;
             if (error.expectedType && error.tokType) {
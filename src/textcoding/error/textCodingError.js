@@ -23,6 +23,11 @@ Entry.TextCodingError = {};
     tce.MESSAGE_CONV_NO_OBJECT = 'message_conv_no_object';
     tce.MESSAGE_CONV_NO_FUNCTION = 'message_conv_no_function';
     tce.MESSAGE_CONV_NO_ENTRY_EVENT_FUNCTION = 'message_conv_no_entry_event_function';
+    tce.MESSAGE_CONV_NO_CLASS = 'message_conv_no_class';
+    tce.MESSAGE_CONV_NO_FOR_ITERABLE = 'message_conv_no_for_iterable';
+    tce.MESSAGE_CONV_NO_TUPLE_ASSIGNMENT = 'message_conv_no_tuple_assignment';
+    tce.MESSAGE_CONV_NO_LIST_COMPREHENSION = 'message_conv_no_list_comprehension';
+    tce.MESSAGE_CONV_NO_TUPLE_RETURN = 'message_conv_no_tuple_return';
 
     tce.SUBJECT_SYNTAX_DEFAULT = 'subject_syntax_default';
     tce.SUBJECT_SYNTAX_TOKEN = 'subject_syntax_token';
@@ -0,0 +1,353 @@
+'use strict';
+
+import _sortBy from 'lodash/sortBy';
+import runtime from './pythonRuntime';
+
+const RUNTIME_FILE = 'entry_runtime.py';
+const MAIN_FILE = 'main.py';
+
+// 파이썬 코드로 바꾼 시작 블록. 예) def when_press_key("a"): # 주석
+const EVENT_HEADER = /^def (\w+)\((.*?)\):(.*)$/;
+const FUNCTION_HEADER = /^(\s*)def [\p{L}_][\p{L}\p{Nd}_]*\((.*)\):/u;
+const ASSIGNMENT = /^\s*(?:for\s+)?([\p{L}_][\p{L}\p{Nd}_]*)\s*(?:[-+*/%]?=(?!=)|\bin\b)/u;
+const WAIT_UNTIL = /^(\s*)Entry\.wait_until\((.*)\)(\s*#.*)?$/;
+
+// 이름은 글자, 숫자, _ 로만 만들고 숫자로 시작하지 않는다.
+const NAME = /^[\p{L}_][\p{L}\p{Nd}_]*$/u;
+const NOT_NAME_CHARACTER = /[^\p{L}\p{Nd}_]/gu;
+const PYTHON_KEYWORDS = [
+    'False None True and as assert async await break class continue def del elif else except',
+    'finally for from global if import in is lambda nonlocal not or pass raise return try while',
+    'with yield',
+]
+    .join(' ')
+    .split(' ');
+// main.py 가 따로 쓰는 이름. 오브젝트(object_1)와 시작 블록 함수(when_start) 이름도 쓴다.
+const RESERVED_NAMES = ['Entry', 'self', 'stage', 'math', 'random', 'len', 'range', 'str'];
+const RESERVED_NAME = /^(?:object_\d+|when_\w+)$/;
+
+const toPythonValue = (value) => {
+    if (typeof value === 'number') {
+        return String(value);
+    }
+    const text = String(value === undefined || value === null ? '' : value);
+    const isNumber = text.trim() !== '' && !isNaN(text) && !/^0\d/.test(text.trim());
+    return isNumber ? String(Number(text)) : JSON.stringify(text);
+};
+
+const isUsableName = (name) =>
+    NAME.test(name) &&
+    !PYTHON_KEYWORDS.includes(name) &&
+    !RESERVED_NAMES.includes(name) &&
+    !RESERVED_NAME.test(name);
+
+/**
+ * 파이썬에서 쓸 수 없는 글자는 _ 로 바꾸고, 예약어나 이미 쓰는 이름이면 뒤에 _ 나 번호를 붙인다.
+ * @param {string} name
+ * @param {string[]} usedNames 같은 곳에서 쓰는 이름. 만든 이름을 추가한다.
+ * @return {string}
+ */
+const toPythonName = (name, usedNames) => {
+    let pythonName = String(name).replace(NOT_NAME_CHARACTER, '_');
+    if (!NAME.test(pythonName)) {
+        pythonName = `_${pythonName}`;
+    }
+    if (!isUsableName(pythonName)) {
+        pythonName = `${pythonName}_`;
+    }
+    let uniqueName = pythonName;
+    for (let count = 2; usedNames.includes(uniqueName); count++) {
+        uniqueName = `${pythonName}_${count}`;
+    }
+    usedNames.push(uniqueName);
+    return uniqueName;
+};
+
+const toPythonArgs = (props) =>
+    Object.keys(props)
+        .filter((key) => props[key] !== undefined)
+        .map((key) => `${key}=${props[key]}`)
+        .join(', ');
+
+/**
+ * 작품 전체(장면, 오브젝트, 신호, 변수, 리스트, 함수)를 엔트리 밖에서 실행할 수 있는 파이썬 프로그램으로 내보낸다.
+ * 오브젝트의 코드는 BlockToPyParser 로 바꾼 뒤 다음과 같이 고쳐 main.py 에 모은다.
+ * - 시작 블록(def when_start(): 등)은 오브젝트에 등록하는 decorator 가 붙은 함수로 바꾼다.
+ * - 전역 변수/리스트에 값을 넣는 함수에는 global 문을 넣는다.
+ * - 시작 블록이 없는 스레드는 실행되지 않으므로 주석으로 남긴다.
+ * - 변수, 리스트, 함수 이름은 파이썬에서 쓸 수 있는 겹치지 않는 이름으로 바꾼다. 예) '내 점수' => 내_점수
+ * main.py 는 함께 내보내는 entry_runtime.py(화면 없이 실행하는 런타임)를 사용한다.
+ *
+ * 사용 예)
+ *   const files = new Entry.PythonExporter().export('작품 이름');
+ *   // { 'main.py': '...', 'entry_runtime.py': '...' }
+ */
+class PythonExporter {
+    constructor() {
+        this._parser = new Entry.BlockToPyParser();
+        this._globalNames = [];
+    }
+
+    /**
+     * @param {string=} projectName main.py 첫 줄에 남길 작품 이름
+     * @return {Object<string, string>} 파일 이름과 내용
+     */
+    export(projectName = '') {
+        const restoreNames = this._renameForPython();
+        try {
+            const container = Entry.variableContainer;
+            this._globalNames = container.variables_
+                .concat(container.lists_, container.dicts_)
+                .filter((variable) => !variable.object_)
+                .map(({ name_ }) => name_);
+
+            const objects = Entry.container.getAllObjects();
+            // 함수 선언을 먼저 만들어야 오브젝트 코드에서 함수 호출로 바뀐다.
+            const functions = this._generateFunctions();
+            const sections = [
+                this._generateHeader(projectName),
+                this._generateScenes(),
+                this._generateGlobals(),
+                functions,
+                ...objects.map((object, index) => this._generateObject(object, index)),
+                'if __name__ == "__main__":\n    stage.run()',
+            ];
+
+            return {
+                [MAIN_FILE]: `${sections.filter(Boolean).join('\n\n\n')}\n`,
+                [RUNTIME_FILE]: runtime,
+            };
+        } finally {
+            restoreNames();
+        }
+    }
+
+    /**
+     * 변수, 리스트, 사전, 함수의 이름을 내보내는 동안만 파이썬 이름으로 바꾼다.
+     * BlockToPyParser 는 작품의 이름을 그대로 쓰므로 블록을 바꾸기 전에 이름을 바꿔 둔다.
+     * 전역 변수와 함수는 main.py 에서, 지역 변수는 오브젝트의 self 에서 겹치지 않게 한다.
+     * @return {function} 원래 이름으로 되돌리는 함수
+     */
+    _renameForPython() {
+        const { variables_, lists_, dicts_, functions_ } = Entry.variableContainer;
+        const usedNames = {};
+        const restores = [];
+        const rename = (target, key, name) => {
+            const original = target[key];
+            target[key] = name;
+            restores.push(() => (target[key] = original));
+        };
+
+        const functions = Object.values(functions_).filter(({ block }) => block);
+        const getFunctionName = ({ block }) =>
+            Entry.TextCodingUtil.getFunctionNameFromTemplate(block.template);
+        const renames = variables_
+            .concat(lists_, dicts_)
+            .map((variable) => ({
+                name: variable.name_,
+                scope: variable.object_ || '',
+                apply: (pythonName) => rename(variable, 'name_', pythonName),
+            }))
+            .concat(
+                functions.map((func) => ({
+                    name: getFunctionName(func),
+                    scope: '',
+                    apply: (pythonName) => {
+                        // 함수 이름은 template 에서 첫 인자(%1) 앞까지이다.
+                        const { template } = func.block;
+                        const params = template.slice(template.split(/%\d/)[0].length);
+                        rename(func.block, 'template', `${pythonName} ${params}`);
+                    },
+                }))
+            );
+
+        // 그대로 쓸 수 있는 이름이 먼저 자리를 차지해야 바뀌는 이름이 적다.
+        _sortBy(renames, ({ name }) => !isUsableName(name)).forEach(({ name, scope, apply }) => {
+            usedNames[scope] = usedNames[scope] || [];
+            const pythonName = toPythonName(name, usedNames[scope]);
+            if (pythonName !== name) {
+                apply(pythonName);
+            }
+        });
+        return () => restores.reverse().forEach((restore) => restore());
+    }
+
+    _generateHeader(projectName) {
+        const messages = Entry.variableContainer.messages_.map(({ name }) => name);
+        return [
+            `# ${projectName.trim() || 'Entry'}`,
+            `# 엔트리 작품을 파이썬으로 내보냈습니다. python ${MAIN_FILE} 로 실행합니다.`,
+            messages.length ? `# 신호: ${messages.join(', ')}` : '',
+            `from entry_runtime import Entry, self, stage, math, random`,
+        ]
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    _generateScenes() {
+        return Entry.scene
+            .getScenes()
+            .map(({ name }) => `stage.add_scene(${JSON.stringify(name)})`)
+            .join('\n');
+    }
+
+    _generateGlobals() {
+        const { variables_, lists_, dicts_ } = Entry.variableContainer;
+        const variables = variables_
+            .filter((variable) => !variable.object_)
+            .map(({ name_, value_ }) => `${name_} = ${toPythonValue(value_)}`);
+        const lists = lists_
+            .filter((list) => !list.object_)
+            .map(({ name_, array_ }) => `${name_} = ${this._toPythonList(array_)}`);
+        const dicts = dicts_.map(({ name_, array_ }) => `${name_} = ${this._toPythonDict(array_)}`);
+        return variables.concat(lists, dicts).join('\n');
+    }
+
+    _generateFunctions() {
+        const parser = this._parser;
+        Object.keys(Entry.variableContainer.functions_).forEach((id) => {
+            // 함수를 부르는 블록을 바꾸면 parser.funcDefMap 에 함수 선언이 만들어진다.
+            const code = new Entry.Code([[{ type: `func_${id}` }]]);
+            try {
+                parser.Code(code, Entry.Parser.PARSE_GENERAL);
+            } catch (e) {
+                console.warn('python export: function conversion failed', id, e);
+            }
+        });
+        return Object.values(parser.funcDefMap)
+            .filter(Boolean)
+            .map((funcDef) => this._addGlobalStatement(funcDef))
+            .join('\n\n\n');
+    }
+
+    _generateObject(object, index) {
+        const name = `object_${index + 1}`;
+        const { entity } = object;
+        const variables = Entry.variableContainer.variables_
+            .filter((variable) => variable.object_ === object.id)
+            .map(({ name_, value_ }) => `${JSON.stringify(name_)}: ${toPythonValue(value_)}`)
+            .concat(
+                Entry.variableContainer.lists_
+                    .filter((list) => list.object_ === object.id)
+                    .map(
+                        ({ name_, array_ }) =>
+                            `${JSON.stringify(name_)}: ${this._toPythonList(array_)}`
+                    )
+            );
+        const props = {
+            scene: JSON.stringify(object.scene.name),
+            x: toPythonValue(entity.getX(1)),
+            y: toPythonValue(entity.getY(1)),
+            direction: toPythonValue(entity.getDirection(1)),
+            rotation: toPythonValue(entity.getRotation(1)),
+            size: toPythonValue(entity.getSize(1)),
+            width: toPythonValue(entity.getWidth() * Math.abs(entity.getScaleX())),
+            height: toPythonValue(entity.getHeight() * Math.abs(entity.getScaleY())),
+            visible: entity.getVisible() ? 'True' : 'False',
+            pictures: this._toPythonNames(object.pictures),
+            picture: object.selectedPicture && JSON.stringify(object.selectedPicture.name),
+            sounds: this._toPythonNames(object.sounds),
+            variables: variables.length ? `{${variables.join(', ')}}` : undefined,
+            text: object.objectType === 'textBox' ? JSON.stringify(entity.getText()) : undefined,
+        };
+
+        const declaration = `${name} = stage.add_object(${JSON.stringify(
+            object.name
+        )}, ${toPythonArgs(props)})`;
+        const threads = object.script
+            .getThreads()
+            .map((thread) => this._generateThread(thread, name))
+            .filter(Boolean);
+
+        return [`# ${object.name}\n${declaration}`, ...threads].join('\n\n\n');
+    }
+
+    _generateThread(thread, objectName) {
+        const blocks = thread.getBlocks();
+        const firstBlock = blocks[0];
+        if (!firstBlock) {
+            return '';
+        }
+
+        this._parser._forIdCharIndex = 0;
+        const lines = this._parser
+            .Code(thread, Entry.Parser.PARSE_GENERAL)
+            .split('\n')
+            .filter((line) => !line.startsWith('#@'))
+            .map((line) => line.replace(WAIT_UNTIL, '$1Entry.wait_until(lambda: $2)$3'));
+        const text = lines.join('\n').trim();
+        if (!text) {
+            return firstBlock instanceof Entry.Comment
+                ? ''
+                : '# 파이썬으로 바꿀 수 없는 블록이 있어 내보내지 않았습니다.';
+        }
+
+        if (firstBlock instanceof Entry.Comment) {
+            return text;
+        } else if (!Entry.TextCodingUtil.isEventBlock(firstBlock)) {
+            const comment = text
+                .split('\n')
+                .map((line) => `# ${line}`)
+                .join('\n');
+            return `# 시작 블록이 없어 실행되지 않는 코드\n${comment}`;
+        }
+
+        const [header, ...body] = text.split('\n');
+        const [, eventName, args, rest] = header.match(EVENT_HEADER);
+        const eventArgs = [JSON.stringify(eventName)].concat(args.trim() || []).join(', ');
+        return this._addGlobalStatement(
+            [`@${objectName}.on(${eventArgs})`, `def ${eventName}():${rest}`, ...body].join('\n')
+        );
+    }
+
+    /**
+     * 함수 안에서 값을 넣는 전역 변수/리스트를 global 문으로 선언한다.
+     */
+    _addGlobalStatement(code) {
+        const lines = code.split('\n');
+        const index = lines.findIndex((line) => FUNCTION_HEADER.test(line));
+        if (index < 0) {
+            return code;
+        }
+        const [, indent, params] = lines[index].match(FUNCTION_HEADER);
+        const paramNames = params.split(',').map((param) => param.trim());
+        const assigned = lines
+            .slice(index + 1)
+            .map((line) => (line.match(ASSIGNMENT) || [])[1])
+            .filter(
+                (name, i, names) =>
+                    name &&
+                    names.indexOf(name) === i &&
+                    !paramNames.includes(name) &&
+                    this._globalNames.includes(name)
+            );
+        if (!assigned.length) {
+            return code;
+        }
+        const bodyLine = lines.slice(index + 1).find((line) => line.trim()) || '';
+        const bodyIndent = bodyLine.match(/^\s*/)[0] || `${indent}    `;
+        lines.splice(index + 1, 0, `${bodyIndent}global ${assigned.join(', ')}`);
+        return lines.join('\n');
+    }
+
+    _toPythonNames(items) {
+        return `[${items.map(({ name }) => JSON.stringify(name)).join(', ')}]`;
+    }
+
+    _toPythonList(array) {
+        return `[${array.map(({ data }) => toPythonValue(data)).join(', ')}]`;
+    }
+
+    /**
+     * 사전의 값은 넣은 그대로 숫자와 문자를 구분한다.
+     */
+    _toPythonDict(array) {
+        const items = array.map(({ key, data }) => {
+            const value = typeof data === 'number' ? String(data) : JSON.stringify(String(data));
+            return `${JSON.stringify(key)}: ${value}`;
+        });
+        return `{${items.join(', ')}}`;
+    }
+}
+
+Entry.PythonExporter = PythonExporter;
@@ -0,0 +1,651 @@
+'use strict';
+
+/**
+ * Entry.PythonExporter 가 main.py 와 함께 내보내는 entry_runtime.py
+ */
+export default String.raw`# -*- coding: utf-8 -*-
+"""
+엔트리에서 내보낸 작품을 엔트리 밖에서 실행하기 위한 작은 런타임.
+
+화면을 그리지 않고 오브젝트의 상태(위치, 방향, 크기, 모양, 변수)만 계산하며,
+말하기, 소리 재생과 같이 보이거나 들리는 동작은 콘솔에 출력한다.
+오브젝트의 코드는 엔트리처럼 동시에 실행되고, 기다리는 블록에서 다른 코드에 차례를 넘긴다.
+
+실행 중에 한 줄씩 입력하여 이벤트를 일으킬 수 있다.
+    key <키>            키 누르기 (예: key space)
+    click <오브젝트>    오브젝트 클릭
+    mouse               마우스 클릭
+    signal <신호>       신호 보내기
+    quit                종료
+그 밖의 줄은 차례대로 묻고 기다리기 블록의 대답이 된다.
+"""
+import math as _math
+import random
+import sys
+import threading
+import time
+
+STAGE_WIDTH = 480
+STAGE_HEIGHT = 270
+
+# 결과를 돌려주는 블록이 지원되지 않을 때 돌려주는 값
+UNSUPPORTED_VALUE = 0
+
+# 화면에 보이는 것만 바꾸는 블록. 이 런타임에서는 아무것도 하지 않는다.
+VIEW_ONLY = [
+    'show_variable', 'hide_variable', 'show_list', 'hide_list', 'timer_view', 'answer_view',
+    'add_effect', 'set_effect', 'clear_effect', 'send_layer_to', 'set_brush_color_to',
+    'flip_horizontal', 'flip_vertical', 'text_change_bg_color', 'text_change_font',
+    'text_change_font_color',
+]
+
+
+class StopThread(Exception):
+    """실행 중인 코드(스레드)를 멈춘다."""
+
+
+class Sprite(object):
+    def __init__(self, stage, name, scene, x=0, y=0, direction=90, rotation=0, size=100,
+                 width=100, height=100, visible=True, pictures=None, picture=None, sounds=None,
+                 variables=None, text=None):
+        self.stage = stage
+        self.name = name
+        self.scene = scene
+        self.x = x
+        self.y = y
+        self.direction = direction
+        self.rotation = rotation
+        self.size = size
+        self.base_size = size or 1
+        self.width = width
+        self.height = height
+        self.visible = visible
+        self.pictures = list(pictures or [name])
+        self.picture_index = self.pictures.index(picture) if picture in self.pictures else 0
+        self.sounds = list(sounds or [])
+        self.variables = dict(variables or {})
+        self.text = text
+        self.is_clone = False
+        self.removed = False
+        self.handlers = {}
+
+    def on(self, event, *args):
+        """이벤트 함수를 등록하는 decorator"""
+        def register(handler):
+            self.handlers.setdefault(event, []).append((args, handler))
+            return handler
+        return register
+
+    def clone(self):
+        clone = Sprite(self.stage, self.name, self.scene, self.x, self.y, self.direction,
+                       self.rotation, self.size, self.width, self.height, self.visible,
+                       self.pictures, None, self.sounds, self.variables, self.text)
+        clone.picture_index = self.picture_index
+        clone.base_size = self.base_size
+        clone.handlers = self.handlers
+        clone.is_clone = True
+        for name, value in clone.variables.items():
+            if isinstance(value, list):
+                clone.variables[name] = list(value)
+        return clone
+
+    def say(self, text):
+        print('%s: %s' % (self.name, text))
+
+    def _move(self, x, y):
+        self.x = x
+        self.y = y
+
+    def bounds(self):
+        scale = self.size / float(self.base_size)
+        half_width = self.width * scale / 2
+        half_height = self.height * scale / 2
+        return (self.x - half_width, self.y - half_height, self.x + half_width,
+                self.y + half_height)
+
+    # 움직임
+    def move_to_direction(self, distance):
+        radian = _math.radians(self.direction + self.rotation - 90)
+        self._move(self.x + distance * _math.cos(radian), self.y - distance * _math.sin(radian))
+
+    def move_to_degree(self, distance, degree):
+        radian = _math.radians(degree - 90)
+        self._move(self.x + distance * _math.cos(radian), self.y - distance * _math.sin(radian))
+
+    def add_x(self, value):
+        self._move(self.x + value, self.y)
+
+    def add_y(self, value):
+        self._move(self.x, self.y + value)
+
+    def set_x(self, value):
+        self._move(value, self.y)
+
+    def set_y(self, value):
+        self._move(self.x, value)
+
+    def set_xy(self, x, y):
+        self._move(x, y)
+
+    def add_xy_for_sec(self, x, y, sec):
+        self.stage.sleep(sec)
+        self._move(self.x + x, self.y + y)
+
+    def set_xy_for_sec(self, x, y, sec):
+        self.stage.sleep(sec)
+        self._move(x, y)
+
+    def move_to(self, name):
+        target = self.stage.find(name)
+        if target:
+            self._move(target.x, target.y)
+
+    def move_to_for_sec(self, name, sec):
+        self.stage.sleep(sec)
+        self.move_to(name)
+
+    def bounce_on_edge(self):
+        half_width = STAGE_WIDTH / 2
+        half_height = STAGE_HEIGHT / 2
+        if abs(self.x) > half_width:
+            self.x = max(-half_width, min(half_width, self.x))
+            self.direction = -self.direction
+        if abs(self.y) > half_height:
+            self.y = max(-half_height, min(half_height, self.y))
+            self.direction = 180 - self.direction
+        self.direction %= 360
+
+    def add_rotation(self, value):
+        self.rotation = (self.rotation + value) % 360
+
+    def add_direction(self, value):
+        self.direction = (self.direction + value) % 360
+
+    def set_rotation(self, value):
+        self.rotation = value % 360
+
+    def set_direction(self, value):
+        self.direction = value % 360
+
+    def add_rotation_for_sec(self, value, sec):
+        self.stage.sleep(sec)
+        self.add_rotation(value)
+
+    def add_direction_for_sec(self, value, sec):
+        self.stage.sleep(sec)
+        self.add_direction(value)
+
+    def look_at(self, name):
+        target = self.stage.find(name)
+        if target:
+            degree = _math.degrees(_math.atan2(target.x - self.x, target.y - self.y))
+            self.direction = (degree - self.rotation) % 360
+
+    # 생김새
+    def show(self):
+        self.visible = True
+
+    def hide(self):
+        self.visible = False
+
+    def print(self, text):
+        self.say(text)
+
+    def print_for_sec(self, text, sec):
+        self.say(text)
+        self.stage.sleep(sec)
+
+    def clear_print(self):
+        pass
+
+    def change_shape(self, name):
+        if name in self.pictures:
+            self.picture_index = self.pictures.index(name)
+        elif isinstance(name, (int, float)) and 1 <= name <= len(self.pictures):
+            self.picture_index = int(name) - 1
+
+    def change_shape_to(self, option):
+        step = -1 if option == 'prev' else 1
+        self.picture_index = (self.picture_index + step) % len(self.pictures)
+
+    def add_size(self, value):
+        self.size = max(0, self.size + value)
+
+    def set_size(self, value):
+        self.size = max(0, value)
+
+    # 글상자
+    def write_text(self, text):
+        self.text = str(text)
+
+    def append_text(self, text):
+        self.text = '%s%s' % (self.text or '', text)
+
+    def prepend_text(self, text):
+        self.text = '%s%s' % (text, self.text or '')
+
+    def clear_text(self):
+        self.text = ''
+
+    def contents_of_textbox(self, *args):
+        return self.text or ''
+
+    # 소리
+    def play_sound(self, name, *args):
+        print('%s: (%s 소리)' % (self.name, name))
+
+    def play_sound_for_sec(self, name, sec):
+        self.play_sound(name)
+
+    def play_sound_and_wait(self, name):
+        self.play_sound(name)
+
+    def play_sound_for_sec_and_wait(self, name, sec):
+        self.play_sound(name)
+        self.stage.sleep(sec)
+
+    def play_sound_from_to_and_wait(self, name, start, end):
+        self.play_sound(name)
+        self.stage.sleep(max(0, end - start))
+
+    play_sound_from_to = play_sound
+
+    def stop_sound(self):
+        pass
+
+    # 흐름
+    def wait_for_sec(self, sec):
+        self.stage.sleep(sec)
+
+    def wait_until(self, condition):
+        while not (condition() if callable(condition) else condition):
+            self.stage.sleep(0)
+
+    def stop_code(self, option):
+        if option == 'all':
+            self.stage.stop()
+        elif option == 'thisOnly':
+            self.stage.stop_sprite(self)
+        elif option == 'otherThread':
+            self.stage.stop_sprite(self, threading.current_thread())
+            return
+        raise StopThread()
+
+    def make_clone_of(self, name):
+        target = self if name == 'self' else self.stage.find(name)
+        if target:
+            self.stage.add_clone(target.clone())
+
+    def remove_this_clone(self):
+        if self.is_clone:
+            self.stage.remove(self)
+            raise StopThread()
+
+    def remove_all_clone(self):
+        for sprite in list(self.stage.objects):
+            if sprite.is_clone and sprite.name == self.name:
+                self.stage.remove(sprite)
+
+    # 시작
+    def send_signal(self, name):
+        self.stage.dispatch('when_get_signal', name)
+
+    def send_signal_wait(self, name):
+        self.stage.join(self.stage.dispatch('when_get_signal', name))
+
+    def start_scene(self, name):
+        self.stage.start_scene(name)
+
+    def start_scene_of(self, option):
+        scenes = self.stage.scenes
+        index = scenes.index(self.stage.scene) + (-1 if option == 'prev' else 1)
+        if 0 <= index < len(scenes):
+            self.stage.start_scene(scenes[index])
+
+    # 판단
+    def is_key_pressed(self, key):
+        return key in self.stage.pressed_keys
+
+    def is_mouse_clicked(self):
+        return False
+
+    def is_touched(self, name):
+        left, bottom, right, top = self.bounds()
+        if name.startswith('wall'):
+            half_width = STAGE_WIDTH / 2
+            half_height = STAGE_HEIGHT / 2
+            edges = {
+                'wall_up': top >= half_height,
+                'wall_down': bottom <= -half_height,
+                'wall_left': left <= -half_width,
+                'wall_right': right >= half_width,
+            }
+            return edges[name] if name in edges else any(edges.values())
+        for target in self.stage.objects:
+            if target is self or target.name != name or not target.visible:
+                continue
+            target_left, target_bottom, target_right, target_top = target.bounds()
+            if (left < target_right and target_left < right and bottom < target_top
+                    and target_bottom < top):
+                return True
+        return False
+
+    # 계산
+    def value_of_object(self, name, prop):
+        target = self if name == 'self' else self.stage.find(name)
+        if not target:
+            return 0
+        if prop == 'picture_index':
+            return target.picture_index + 1
+        if prop == 'picture_name':
+            return target.pictures[target.picture_index]
+        return getattr(target, prop, 0)
+
+    def value_of_distance_to(self, name):
+        target = self.stage.find(name)
+        if not target:
+            return 0
+        return _math.hypot(target.x - self.x, target.y - self.y)
+
+    def value_of_mouse_pointer(self, axis):
+        return 0
+
+    def value_of_timer(self):
+        return self.stage.timer()
+
+    def timer(self, option):
+        self.stage.control_timer(option)
+
+    def value_of_current_time(self, option):
+        now = time.localtime()
+        return {
+            'YEAR': now.tm_year, 'MONTH': now.tm_mon, 'DAY': now.tm_mday,
+            'HOUR': now.tm_hour, 'MINUTE': now.tm_min, 'SECOND': now.tm_sec,
+        }.get(str(option).upper(), 0)
+
+    def input(self, question):
+        self.say(question)
+        self.stage.answer = self.stage.ask()
+
+    def answer(self):
+        return self.stage.answer
+
+    def value_of_username(self):
+        return ''
+
+    value_of_nickname = value_of_username
+
+
+class Stage(object):
+    def __init__(self):
+        self.scenes = []
+        self.scene = None
+        self.objects = []
+        self.pressed_keys = set()
+        self.answer = ''
+        self.stopped = False
+        self._lock = threading.Lock()
+        self._local = threading.local()
+        self._threads = []
+        self._stopped_threads = set()
+        self._timer_start = time.time()
+        self._timer_stopped_at = None
+        self._answers = []
+        self._input_closed = False
+        self._answered = threading.Condition()
+
+    def add_scene(self, name):
+        self.scenes.append(name)
+        if self.scene is None:
+            self.scene = name
+
+    def add_object(self, name, **props):
+        sprite = Sprite(self, name, **props)
+        self.objects.append(sprite)
+        return sprite
+
+    def add_clone(self, clone):
+        self.objects.append(clone)
+        self._start(clone, 'when_make_clone')
+
+    def remove(self, sprite):
+        sprite.removed = True
+        if sprite in self.objects:
+            self.objects.remove(sprite)
+
+    def find(self, name):
+        for sprite in self.objects:
+            if sprite.name == name and not sprite.is_clone:
+                return sprite
+
+    @property
+    def current(self):
+        return getattr(self._local, 'sprite', None)
+
+    # 스레드
+    def dispatch(self, event, *args):
+        threads = []
+        for sprite in list(self.objects):
+            if sprite.scene == self.scene:
+                threads.extend(self._start(sprite, event, *args))
+        return threads
+
+    def _start(self, sprite, event, *args):
+        threads = []
+        for handler_args, handler in sprite.handlers.get(event, []):
+            if args and handler_args and handler_args != args:
+                continue
+            thread = threading.Thread(target=self._run, args=(sprite, handler))
+            thread.daemon = True
+            thread.sprite = sprite
+            threads.append(thread)
+            self._threads.append(thread)
+            thread.start()
+        return threads
+
+    def _run(self, sprite, handler):
+        self._local.sprite = sprite
+        with self._lock:
+            try:
+                self._check()
+                handler()
+            except StopThread:
+                pass
+
+    def _check(self):
+        thread = threading.current_thread()
+        sprite = self.current
+        if thread in self._stopped_threads:
+            self._stopped_threads.discard(thread)
+            raise StopThread()
+        if self.stopped or (sprite and (sprite.removed or sprite.scene != self.scene)):
+            raise StopThread()
+
+    def sleep(self, sec):
+        """다른 코드에 차례를 넘기고 기다린다."""
+        self._lock.release()
+        try:
+            time.sleep(max(0, sec))
+        finally:
+            self._lock.acquire()
+        self._check()
+
+    def yield_(self):
+        self.sleep(0)
+
+    def join(self, threads):
+        self._lock.release()
+        try:
+            for thread in threads:
+                thread.join()
+        finally:
+            self._lock.acquire()
+        self._check()
+
+    def stop(self):
+        self.stopped = True
+
+    def stop_sprite(self, sprite, except_thread=None):
+        for thread in self._threads:
+            if thread.is_alive() and thread.sprite is sprite and thread is not except_thread:
+                self._stopped_threads.add(thread)
+
+    def start_scene(self, name):
+        if name not in self.scenes:
+            return
+        self.scene = name
+        self.dispatch('when_start_scene')
+
+    # 타이머, 묻고 기다리기
+    def timer(self):
+        end = self._timer_stopped_at or time.time()
+        return round(end - self._timer_start, 1)
+
+    def control_timer(self, option):
+        if option == 'start':
+            if self._timer_stopped_at:
+                self._timer_start += time.time() - self._timer_stopped_at
+            self._timer_stopped_at = None
+        elif option == 'stop':
+            self._timer_stopped_at = self._timer_stopped_at or time.time()
+        elif option == 'reset':
+            self._timer_start = time.time()
+            self._timer_stopped_at = self._timer_stopped_at and self._timer_start
+
+    def ask(self):
+        """입력이 끝난 뒤의 질문에는 빈 대답을 한다."""
+        self._lock.release()
+        try:
+            with self._answered:
+                while not self._answers and not self._input_closed and not self.stopped:
+                    self._answered.wait(0.1)
+                answer = self._answers.pop(0) if self._answers else ''
+        finally:
+            self._lock.acquire()
+        self._check()
+        return answer
+
+    # 실행
+    def run(self):
+        self.dispatch('when_start')
+        self.dispatch('when_start_scene')
+        reader = threading.Thread(target=self._read_input)
+        reader.daemon = True
+        reader.start()
+        try:
+            while not self.stopped and (reader.is_alive() or self._is_running()):
+                time.sleep(0.05)
+        except KeyboardInterrupt:
+            pass
+        self.stopped = True
+
+    def _read_input(self):
+        for line in sys.stdin:
+            self._handle_input(line.strip())
+            if self.stopped:
+                break
+        with self._answered:
+            self._input_closed = True
+            self._answered.notify_all()
+
+    def _is_running(self):
+        self._threads = [thread for thread in self._threads if thread.is_alive()]
+        return bool(self._threads)
+
+    def _handle_input(self, line):
+        command, _, value = line.partition(' ')
+        if command == 'quit':
+            self.stopped = True
+        elif command == 'key':
+            self.pressed_keys.add(value)
+            self.dispatch('when_press_key', value)
+            threading.Timer(0.1, self.pressed_keys.discard, (value,)).start()
+        elif command == 'click':
+            for sprite in list(self.objects):
+                if sprite.name == value and sprite.scene == self.scene:
+                    self._start(sprite, 'when_click_object_on')
+                    self._start(sprite, 'when_click_object_off')
+        elif command == 'mouse':
+            self.dispatch('when_click_mouse_on')
+            self.dispatch('when_click_mouse_off')
+        elif command == 'signal':
+            self.dispatch('when_get_signal', value)
+        else:
+            with self._answered:
+                self._answers.append(line)
+                self._answered.notify_all()
+
+
+class _EntryProxy(object):
+    """Entry.add_x(10) 처럼 실행 중인 오브젝트의 블록을 부른다."""
+
+    def __getattr__(self, name):
+        sprite = stage.current
+        if name in VIEW_ONLY:
+            return lambda *args: None
+        method = getattr(sprite, name, None) if sprite else None
+        if not callable(method) or name.startswith('_'):
+            return lambda *args: _unsupported(sprite, name, args)
+
+        def call(*args):
+            result = method(*args)
+            # 기다리지 않는 반복문에서도 다른 코드가 실행될 수 있도록 차례를 넘긴다.
+            stage.yield_()
+            return result
+        return call
+
+
+class _SelfProxy(object):
+    """self.변수 로 실행 중인 오브젝트의 지역 변수와 리스트를 읽고 쓴다."""
+
+    def __getattr__(self, name):
+        return stage.current.variables.get(name, 0)
+
+    def __setattr__(self, name, value):
+        stage.current.variables[name] = value
+
+
+class _Math(object):
+    """엔트리의 계산 블록처럼 삼각함수는 각도(도)를 사용한다."""
+
+    def __getattr__(self, name):
+        return getattr(_math, name)
+
+    def sin(self, degree):
+        return _math.sin(_math.radians(degree))
+
+    def cos(self, degree):
+        return _math.cos(_math.radians(degree))
+
+    def tan(self, degree):
+        return _math.tan(_math.radians(degree))
+
+    def asin(self, value):
+        return _math.degrees(_math.asin(value))
+
+    def acos(self, value):
+        return _math.degrees(_math.acos(value))
+
+    def atan(self, value):
+        return _math.degrees(_math.atan(value))
+
+    def round(self, value):
+        return int(_math.floor(value + 0.5))
+
+    def pow(self, value, exponent=2):
+        return value ** exponent
+
+
+def _unsupported(sprite, name, args):
+    owner = sprite.name if sprite else '-'
+    print('[%s] 지원하지 않는 블록: %s(%s)' % (owner, name, ', '.join(map(repr, args))))
+    return UNSUPPORTED_VALUE
+
+
+stage = Stage()
+Entry = _EntryProxy()
+self = _SelfProxy()
+math = _Math()
+
+__all__ = ['Entry', 'self', 'stage', 'math', 'random']
+`;
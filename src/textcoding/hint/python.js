@@ -99,6 +99,10 @@ Entry.PyHint = function(syntax) {
             case 'property':
                 var variableToken = tokens[tokens.length - 2];
                 if (!variableToken) break;
+                if (variableToken.string === 'self') {
+                    result = this.getSelfHints(editor, lastToken.string);
+                    break;
+                }
                 var searchResult;
                 var searchScope = this.getScope(variableToken.string);
                 if (searchScope.length)
@@ -129,10 +133,17 @@ Entry.PyHint = function(syntax) {
                     return this.getMenuElement(scope[key]);
                 }, this);
                 break;
+            case 'string':
+                result = this.getNameHints(editor, lastToken);
+                break;
             default:
                 break;
         }
 
+        if (lastToken.type === 'variable') {
+            result = this.getProjectHints(editor, lastToken.string).concat(result);
+        }
+
         if (menuResult.length) this._blockMenu._setDynamic(menuResult);
         else this._blockMenu._cancelDynamic();
         return {
@@ -283,6 +294,94 @@ Entry.PyHint = function(syntax) {
         if (this.lastHW) this.addScope(this.lastHW);
     };
 
+    /**
+     * 작품의 변수, 리스트, 함수 이름. 편집기에서 많이 쓴 이름이 먼저 나온다.
+     */
+    p.getProjectHints = function (editor, searchString) {
+        const { variableContainer } = Entry;
+        const hints = [];
+        variableContainer.variables_
+            .concat(variableContainer.lists_)
+            .filter((variable) => !variable.object_)
+            .forEach((variable) => {
+                const name = variable.getName();
+                hints.push({ text: name, displayText: name });
+            });
+        Object.values(variableContainer.functions_).forEach((func) => {
+            const name = Entry.TextCodingUtil.getFunctionNameFromTemplate(func.block.template);
+            const params = Object.keys(func.paramMap).map((key, index) => `param${index + 1}`);
+            hints.push({
+                text: `${name}()`,
+                displayText: `${name}(${params.join(', ')})`,
+                cursorOffset: params.length ? 1 : 0,
+            });
+        });
+        return this.rankHints(editor, hints, searchString);
+    };
+
+    /**
+     * self. 다음에 오는 현재 오브젝트의 지역 변수와 리스트
+     */
+    p.getSelfHints = function (editor, searchString) {
+        const { variableContainer, playground } = Entry;
+        const object = playground && playground.object;
+        if (!object) {
+            return [];
+        }
+        const hints = variableContainer.variables_
+            .concat(variableContainer.lists_)
+            .filter((variable) => variable.object_ === object.id)
+            .map((variable) => ({ text: variable.getName(), displayText: variable.getName() }));
+        return this.rankHints(editor, hints, searchString === '.' ? '' : searchString);
+    };
+
+    /**
+     * 문자열 안에서는 신호, 장면, 오브젝트 이름과 현재 오브젝트의 모양, 소리 이름을 보여준다.
+     */
+    p.getNameHints = function (editor, token) {
+        const quote = token.string[0];
+        if (quote !== '"' && quote !== "'") {
+            return [];
+        }
+        const object = Entry.playground && Entry.playground.object;
+        const names = []
+            .concat(Entry.variableContainer.messages_)
+            .concat(Entry.scene.scenes_)
+            .concat(Entry.container.objects_)
+            .concat(object ? object.pictures : [])
+            .concat(object ? object.sounds : [])
+            .map(({ name }) => name);
+        const hints = _.uniq(names).map((name) => ({
+            text: `${quote}${name}${quote}`,
+            displayText: name,
+        }));
+        const searchString = token.string.slice(1).replace(new RegExp(`${quote}$`), '');
+        return this.rankHints(editor, hints, searchString);
+    };
+
+    p.rankHints = function (editor, hints, searchString) {
+        // score 를 셀 때 scores 안의 score 는 세지 않도록 이름 단위로 센다.
+        const counts = _.countBy(editor.getValue().match(/[^\s.,:;()[\]{}'"+\-*/%=<>!#]+/g));
+        const matched = searchString
+            ? Entry.Utils.fuzzy
+                  .filter(searchString, hints, { extract: (hint) => hint.displayText })
+                  .map(({ original }) => original)
+            : hints;
+        const getName = (hint) => hint.text.replace(/^['"]|['"]$|\(\)$/g, '');
+        return _.sortBy(matched, (hint) => -(counts[getName(hint)] || 0)).map((hint) => ({
+            ...hint,
+            hint: this.projectHintFunc,
+        }));
+    };
+
+    p.projectHintFunc = function (cm, self, data) {
+        cm.replaceRange(data.text, self.from, self.to);
+        if (data.cursorOffset) {
+            const cursor = cm.getCursor();
+            cm.setCursor({ line: cursor.line, ch: cursor.ch - data.cursorOffset });
+        }
+    };
+
     p.getMenuElement = function(blockSyntax) {
         var blockType = blockSyntax.key;
         if (
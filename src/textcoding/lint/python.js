@@ -0,0 +1,381 @@
+'use strict';
+
+// 변수나 리스트가 아니어도 쓸 수 있는 이름. Array 는 filbert 가 for 문을 바꾸며 넣는다.
+const RESERVED_NAMES = ['self', 'True', 'False', 'None', 'Array'];
+
+// 문자열 인자를 이름으로 확인하는 드롭다운
+const NAME_MENUS = ['sprites', 'spritesWithSelf', 'pictures', 'sounds'];
+
+// CodeMirror 의 lint helper 는 전역이므로 한 번만 등록하고, 편집기마다 만든 PyLint 로 넘긴다.
+const linters = new WeakMap();
+let isHelperRegistered = false;
+
+/**
+ * 파이썬 텍스트 코딩 편집기의 실시간 진단.
+ * CodeMirror lint 애드온의 python helper 로 등록되어 입력이 멈출 때마다 전체 코드를 검사한다.
+ * - 문법 오류
+ * - 변수/리스트(Entry.variableContainer) 에 없는 이름
+ * - 블록 문법(syntax.py) 에 없는 함수와 인자 개수
+ * - 없는 오브젝트, 모양, 소리 이름
+ * 블록 함수 위에 마우스를 올리면 블록 도움말을 보여준다.
+ */
+class PyLint {
+    /**
+     * @param {Object} syntax Entry.Parser.mappingSyntax(WORKSPACE_MODE) 의 결과
+     * @param {CodeMirror} codeMirror
+     */
+    constructor(syntax, codeMirror) {
+        this.setSyntax(syntax);
+        this.codeMirror = codeMirror;
+        this._tooltip = null;
+        this._tooltipKey = null;
+
+        if (!isHelperRegistered) {
+            CodeMirror.registerHelper('lint', 'python', (text, options, cm) => {
+                const linter = linters.get(cm);
+                return linter ? linter.lint(text) : [];
+            });
+            isHelperRegistered = true;
+        }
+        linters.set(codeMirror, this);
+
+        const wrapper = codeMirror.getWrapperElement();
+        wrapper.addEventListener('mousemove', this._handleMouseMove);
+        wrapper.addEventListener('mouseleave', this._hideTooltip);
+    }
+
+    destroy() {
+        const wrapper = this.codeMirror.getWrapperElement();
+        wrapper.removeEventListener('mousemove', this._handleMouseMove);
+        wrapper.removeEventListener('mouseleave', this._hideTooltip);
+        this._hideTooltip();
+        if (linters.get(this.codeMirror) === this) {
+            linters.delete(this.codeMirror);
+        }
+    }
+
+    setSyntax(syntax) {
+        this.syntax = syntax;
+    }
+
+    /**
+     * @param {string} text 편집기 전체 코드
+     * @return {Array<Object>} CodeMirror lint annotation({ from, to, message, severity }) 목록
+     */
+    lint(text) {
+        let ast;
+        try {
+            ast = new Entry.PyAstGenerator().generate(text.replace(/\t/gm, '    '));
+        } catch (error) {
+            const { line = 1, column = 0 } = error.loc || {};
+            const keyword = error.keyword ? ` '${error.keyword}'` : '';
+            return [
+                {
+                    from: CodeMirror.Pos(line - 1, column),
+                    to: CodeMirror.Pos(line - 1, column + 1),
+                    message: `${error.title}${keyword}: ${error.message}`,
+                    severity: 'error',
+                },
+            ];
+        }
+
+        this._annotations = [];
+        this._definedNames = this._collectDefinedNames(ast);
+        this._walk(ast);
+        return this._annotations;
+    }
+
+    _collectDefinedNames(ast) {
+        const names = new Set();
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') {
+                return;
+            } else if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            switch (node.type) {
+                case 'AssignmentExpression':
+                    []
+                        .concat(node.left)
+                        .forEach((left) => left.type === 'Identifier' && names.add(left.name));
+                    break;
+                case 'VariableDeclarator':
+                    names.add(node.id.name);
+                    break;
+                case 'FunctionDeclaration':
+                    names.add(node.id.name);
+                    (node.arguments || []).forEach(({ name }) => names.add(name));
+                    break;
+                case 'ForInStatement':
+                    node.left.type === 'Identifier' && names.add(node.left.name);
+                    break;
+            }
+            Object.keys(node).forEach((key) => key !== 'loc' && visit(node[key]));
+        };
+        visit(ast);
+        return names;
+    }
+
+    _walk(node) {
+        if (!node || typeof node !== 'object') {
+            return;
+        } else if (Array.isArray(node)) {
+            node.forEach((child) => this._walk(child));
+            return;
+        }
+
+        switch (node.type) {
+            case 'CallExpression':
+                this._checkCall(node);
+                return;
+            case 'MemberExpression':
+                // self.x, Entry.x 와 같은 속성 이름은 확인하지 않는다.
+                if (node.object.type !== 'Identifier' || !this._isNamespace(node.object.name)) {
+                    this._walk(node.object);
+                }
+                node.computed && this._walk(node.property);
+                return;
+            case 'Identifier':
+                this._checkName(node);
+                return;
+            case 'AssignmentExpression':
+                []
+                    .concat(node.left)
+                    .forEach((left) => left.type !== 'Identifier' && this._walk(left));
+                this._walk(node.right);
+                return;
+            case 'VariableDeclarator':
+                this._walk(node.init);
+                return;
+            case 'FunctionDeclaration':
+                this._walk(node.body);
+                return;
+        }
+
+        Object.keys(node).forEach((key) => key !== 'loc' && this._walk(node[key]));
+    }
+
+    _checkName(node) {
+        const { name } = node;
+        if (
+            !node.loc ||
+            node.userCode === false ||
+            name.startsWith('__') ||
+            RESERVED_NAMES.includes(name) ||
+            this._definedNames.has(name) ||
+            this._isNamespace(name) ||
+            this._getSyntax(name)
+        ) {
+            return;
+        }
+        if (this._isVariableName(name)) {
+            return;
+        }
+        this._report(node, 'lint_undefined_name', 'warning', name);
+    }
+
+    /**
+     * 전역 변수, 리스트, 사전의 이름
+     */
+    _isVariableName(name) {
+        const container = Entry.variableContainer;
+        return !!(
+            container.getVariableByName(name, false) ||
+            container.getListByName(name, false) ||
+            container.getDictByName(name, false)
+        );
+    }
+
+    _checkCall(node) {
+        const { callee } = node;
+        const args = node.arguments || [];
+        args.forEach((arg) => this._walk(arg));
+
+        if (callee.type === 'Identifier') {
+            if (
+                callee.name.startsWith('__') ||
+                this._definedNames.has(callee.name) ||
+                this._getSyntax(callee.name)
+            ) {
+                return;
+            }
+            this._report(callee, 'lint_undefined_function', 'error', callee.name);
+            return;
+        }
+        if (
+            callee.type !== 'MemberExpression' ||
+            callee.object.type !== 'Identifier' ||
+            !this._isNamespace(callee.object.name)
+        ) {
+            this._walk(callee);
+            return;
+        }
+
+        const name = `${callee.object.name}.${callee.property.name}`;
+        const variants = this._getSyntaxVariants(callee.object.name, callee.property.name);
+        if (!variants.length) {
+            this._report(callee, 'lint_undefined_function', 'error', name);
+            return;
+        }
+
+        const matched = variants.find(
+            ({ syntax }) => this._getParamIndexes(syntax).length === args.length
+        );
+        if (!matched) {
+            const count = this._getParamIndexes(variants[0].syntax).length;
+            this._report(node, 'lint_argument_count', 'error', name, count);
+            return;
+        }
+        this._getParamIndexes(matched.syntax).forEach((paramIndex, index) => {
+            this._checkMenuValue(args[index], this._getMenuName(matched.key, paramIndex));
+        });
+    }
+
+    _checkMenuValue(arg, menuName) {
+        if (!arg || arg.type !== 'Literal' || typeof arg.value !== 'string') {
+            return;
+        } else if (!NAME_MENUS.includes(menuName)) {
+            return;
+        }
+        const { value } = arg;
+        const object = Entry.playground && Entry.playground.object;
+        switch (menuName) {
+            case 'sprites':
+            case 'spritesWithSelf':
+                if (
+                    value !== 'self' &&
+                    !Entry.container.objects_.some((sprite) => sprite.name === value)
+                ) {
+                    this._report(arg, 'lint_unknown_object', 'warning', value);
+                }
+                break;
+            case 'pictures':
+                if (object && !object.getPicture(value)) {
+                    this._report(arg, 'lint_unknown_picture', 'warning', value);
+                }
+                break;
+            case 'sounds':
+                if (object && !object.getSound(value)) {
+                    this._report(arg, 'lint_unknown_sound', 'warning', value);
+                }
+                break;
+        }
+    }
+
+    /**
+     * 블록 인자가 드롭다운이거나, 드롭다운 하나로 된 블록(get_sounds 등)을 기본으로 가지면 그 메뉴 이름
+     */
+    _getMenuName(blockType, paramIndex) {
+        const schema = Entry.block[blockType];
+        const param = schema && schema.params && schema.params[paramIndex];
+        if (!param) {
+            return;
+        } else if (param.type === 'DropdownDynamic') {
+            return param.menuName;
+        }
+        const defParam = schema.def && schema.def.params && schema.def.params[paramIndex];
+        const defSchema = defParam && Entry.block[defParam.type];
+        const menu = defSchema && defSchema.params && defSchema.params[0];
+        return menu && menu.type === 'DropdownDynamic' ? menu.menuName : undefined;
+    }
+
+    /**
+     * @param {string} syntax 예) Entry.add_x(%1)
+     * @return {Array<number>} 파이썬 인자 순서대로 블록 인자의 index
+     */
+    _getParamIndexes(syntax) {
+        const args = syntax.slice(syntax.indexOf('(') + 1);
+        return (args.match(/%\d+/g) || []).map((param) => Number(param.slice(1)) - 1);
+    }
+
+    _isNamespace(name) {
+        const namespace = this.syntax[name];
+        return !!namespace && typeof namespace === 'object' && !namespace.key;
+    }
+
+    _getSyntax(name) {
+        const syntax = this.syntax[name];
+        return syntax && syntax.key ? syntax : undefined;
+    }
+
+    /**
+     * keyOption 이 있는 블록은 'name#option' 으로 따로 등록되어 있다.
+     */
+    _getSyntaxVariants(namespace, name) {
+        const scope = this.syntax[namespace];
+        return Object.keys(scope)
+            .filter((key) => key.split('#')[0] === name && scope[key].syntax)
+            .map((key) => scope[key]);
+    }
+
+    _report(node, messageKey, severity, ...args) {
+        const { start, end } = node.loc;
+        const message = args.reduce(
+            (result, arg, index) => result.replace(`%${index + 1}`, arg),
+            Lang.TextCoding[messageKey]
+        );
+        // filbert 는 같은 노드를 여러 곳에서 참조하기도 한다.
+        const isReported = this._annotations.some(
+            ({ from }) => from.line === start.line - 1 && from.ch === start.column
+        );
+        if (isReported) {
+            return;
+        }
+        this._annotations.push({
+            from: CodeMirror.Pos(start.line - 1, start.column),
+            to: CodeMirror.Pos(end.line - 1, end.column),
+            message,
+            severity,
+        });
+    }
+
+    _handleMouseMove = (event) => {
+        const cm = this.codeMirror;
+        const pos = cm.coordsChar({ left: event.clientX, top: event.clientY }, 'window');
+        const text = cm.getLine(pos.line) || '';
+        const regex = /[\w.]+/g;
+        let word = '';
+        let match;
+        while ((match = regex.exec(text))) {
+            if (match.index <= pos.ch && pos.ch < match.index + match[0].length) {
+                word = match[0];
+                break;
+            }
+        }
+        const [namespace, ...rest] = word.split('.');
+        const syntax = rest.length
+            ? this._isNamespace(namespace) && this._getSyntaxVariants(namespace, rest.join('.'))[0]
+            : this._getSyntax(namespace);
+        const description = syntax && Lang.Helper[syntax.key];
+        if (!description) {
+            this._hideTooltip();
+        } else if (this._tooltipKey !== syntax.key) {
+            this._showTooltip(event, syntax, description);
+        }
+    };
+
+    _showTooltip(event, syntax, description) {
+        this._hideTooltip();
+        const tooltip = document.createElement('div');
+        tooltip.className = 'CodeMirror-lint-tooltip';
+        tooltip.textContent = `${syntax.syntax.replace(/\$\d+/g, '')}\n${description}`;
+        tooltip.style.whiteSpace = 'pre-wrap';
+        tooltip.style.left = `${event.clientX + 5}px`;
+        tooltip.style.top = `${event.clientY + 15}px`;
+        tooltip.style.opacity = 1;
+        document.body.appendChild(tooltip);
+        this._tooltip = tooltip;
+        this._tooltipKey = syntax.key;
+    }
+
+    _hideTooltip = () => {
+        if (this._tooltip) {
+            this._tooltip.remove();
+            this._tooltip = null;
+            this._tooltipKey = null;
+        }
+    };
+}
+
+Entry.PyLint = PyLint;
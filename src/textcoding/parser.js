@@ -6,6 +6,8 @@
 require('./util/console');
 require('./parser/core/text/pyToBlock');
 require('./parser/core/text/jsToBlock');
+require('./parser/core/text/jsToPy');
+require('./parser/core/text/pyToJs');
 require('./parser/core/block/blockToPy');
 require('./parser/core/block/blockToJs');
 
@@ -42,6 +44,7 @@ Entry.Parser = function(mode, type, cm, syntax) {
             delete this._syntax_cache[_mode];
             this.syntax = this.mappingSyntax(_mode);
             this._pyHinter && this._pyHinter.setSyntax(this.syntax);
+            this._pyLinter && this._pyLinter.setSyntax(this.syntax);
         }.bind(this);
 
         //after hw code generated update syntax for this
@@ -51,6 +54,9 @@ Entry.Parser = function(mode, type, cm, syntax) {
 };
 
 (function(p) {
+    // 자바스크립트 코드를 바꾼 파이썬 코드 앞에 붙인다. makeThreads 에서 네 줄을 건너뛴다.
+    const JS_PYTHON_HEADER = '#\n\nimport Entry\n\n';
+
     const SYNTAX_MAP = {
         'Hamster.LINE_TRACER_MODE_OFF': '0',
         'Hamster.LINE_TRACER_MODE_BLACK_LEFT_SENSOR': '1',
@@ -95,9 +101,19 @@ Entry.Parser = function(mode, type, cm, syntax) {
 
         this.syntax = this.mappingSyntax(mode);
 
+        // 일반 작품의 자바스크립트 모드는 파이썬 모드와 같은 블록 문법을 쓰고,
+        // 자바스크립트와 파이썬 코드 사이만 JsToPyConverter, PyToJsConverter 로 바꾼다.
+        const isWorkspaceJs = mode === Entry.Vim.WORKSPACE_MODE;
+        this._jsConverter = null;
+
         switch (type) {
             case Entry.Vim.PARSER_TYPE_JS_TO_BLOCK:
-                this._execParser = new Entry.JsToBlockParser(this.syntax, this);
+                if (isWorkspaceJs) {
+                    this._execParser = new Entry.PyToBlockParser(this.syntax);
+                    this._jsConverter = new Entry.JsToPyConverter();
+                } else {
+                    this._execParser = new Entry.JsToBlockParser(this.syntax, this);
+                }
                 this._execParserType = Entry.Vim.PARSER_TYPE_JS_TO_BLOCK;
                 break;
             case Entry.Vim.PARSER_TYPE_PY_TO_BLOCK:
@@ -105,7 +121,13 @@ Entry.Parser = function(mode, type, cm, syntax) {
                 this._execParserType = Entry.Vim.PARSER_TYPE_PY_TO_BLOCK;
                 break;
             case Entry.Vim.PARSER_TYPE_BLOCK_TO_JS:
-                this._execParser = new Entry.BlockToJsParser(this.syntax, this);
+                if (isWorkspaceJs) {
+                    this._execParser = new Entry.BlockToPyParser(this.syntax);
+                    this._jsConverter = new Entry.PyToJsConverter();
+                    cm && cm.setOption('mode', { name: 'javascript', globalVars: true });
+                } else {
+                    this._execParser = new Entry.BlockToJsParser(this.syntax, this);
+                }
                 this._execParserType = Entry.Vim.PARSER_TYPE_BLOCK_TO_JS;
                 break;
             case Entry.Vim.PARSER_TYPE_BLOCK_TO_PY:
@@ -116,10 +138,23 @@ Entry.Parser = function(mode, type, cm, syntax) {
         }
     };
 
-    p.parse = function(code, parseMode) {
-        const type = this._type;
+    /**
+     * @param {string|Entry.Code|Entry.Block} code
+     * @param {number=} parseMode
+     * @param {number=} type 지정하지 않으면 setParser 로 정한 parser type
+     */
+    p.parse = function (code, parseMode, type = this._type) {
         let result = '';
 
+        if (this._mode === Entry.Vim.WORKSPACE_MODE) {
+            if (type === Entry.Vim.PARSER_TYPE_JS_TO_BLOCK) {
+                return this._parseJsToBlock(code, parseMode);
+            } else if (type === Entry.Vim.PARSER_TYPE_BLOCK_TO_JS) {
+                const pyCode = this.parse(code, parseMode, Entry.Vim.PARSER_TYPE_BLOCK_TO_PY);
+                return this._jsConverter.convert(pyCode);
+            }
+        }
+
         switch (type) {
             case Entry.Vim.PARSER_TYPE_JS_TO_BLOCK:
                 try {
@@ -199,16 +234,45 @@ Entry.Parser = function(mode, type, cm, syntax) {
                     const astArray = [];
                     let threadCount = 0;
                     let ast;
+                    let position;
+                    let comment;
+                    let commentLines;
                     for (let index = 0; index < threads.length; index++) {
                         let thread = threads[index];
                         if (thread.length === 0) {
                             continue;
                         }
+                        const annotation = Entry.TextCodingUtil.parseAnnotation(thread);
+                        if (annotation) {
+                            comment = null;
+                            const { type, data } = annotation;
+                            if (type === 'thread') {
+                                position = data;
+                            } else if (type === 'comment') {
+                                // 뒤따르는 # 줄들이 주석 내용이 된다.
+                                comment = { ...data, type: 'comment', value: '' };
+                                commentLines = [];
+                                astArray.push({ type: 'Program', body: [], thread: [comment] });
+                            } else if (type === 'blocks') {
+                                astArray.push({ type: 'Program', body: [], thread: data });
+                            }
+                            continue;
+                        }
+                        if (comment && thread.startsWith('#')) {
+                            commentLines.push(thread.trim().replace(/^# ?/, ''));
+                            comment.value = commentLines.join('\n');
+                            continue;
+                        }
+                        comment = null;
                         thread = thread.replace(/\t/gm, '    ');
                         ast = pyAstGenerator.generate(thread);
                         if (!ast) {
                             continue;
                         }
+                        if (position) {
+                            ast.position = position;
+                            position = null;
+                        }
                         this._pyThreadCount = threadCount++;
                         this._pyBlockCount[threadCount] = thread.split('\n').length - 1;
                         if (ast.body.length !== 0) {
@@ -238,16 +302,21 @@ Entry.Parser = function(mode, type, cm, syntax) {
                         } else {
                             err = error.line;
                             if (err) {
-                                // 3 == 최초주석 및 import 구문
+                                // filbert 의 줄 번호는 1부터, CodeMirror 는 0부터 센다.
+                                // makeThreads 에서 최초주석 및 import 구문 두 줄을 뺐으므로 1을 더한다.
                                 annotation = {
-                                    from: { line: err.start.line + 3, ch: err.start.column },
-                                    to: { line: err.end.line + 3, ch: err.end.column },
+                                    from: { line: err.start.line + 1, ch: err.start.column },
+                                    to: { line: err.end.line + 1, ch: err.end.column },
                                 };
                             }
 
                             error.type = 'converting';
                         }
 
+                        if (annotation && this._jsNodes) {
+                            annotation = this._getJsAnnotation(annotation, error);
+                        }
+
                         if (annotation) {
                             const option = {
                                 className: 'CodeMirror-lint-mark-error',
@@ -273,7 +342,7 @@ Entry.Parser = function(mode, type, cm, syntax) {
                                 error.subject,
                                 error.keyword,
                                 error.message,
-                                err.from.line
+                                annotation ? annotation.from.line + 1 : err.from.line
                             );
                         } else if (error.type === 'converting') {
                             title = error.title;
@@ -309,6 +378,10 @@ Entry.Parser = function(mode, type, cm, syntax) {
                         this._pyHinter = new Entry.PyHint(this.syntax);
                     }
 
+                    if (!this._pyLinter && this.codeMirror) {
+                        this._pyLinter = new Entry.PyLint(this.syntax, this.codeMirror);
+                    }
+
                     if (!this._hasDeclaration) {
                         this.initDeclaration();
                     }
@@ -322,14 +395,16 @@ Entry.Parser = function(mode, type, cm, syntax) {
                             result += this.py_listDeclaration;
                         }
 
-                        if (this.py_variableDeclaration || this.py_listDeclaration) {
-                            result += '\n';
+                        if (this.py_dictDeclaration) {
+                            result += this.py_dictDeclaration;
                         }
 
-                        // Global Comment Append
-                        const globalCommentList = this._execParser.globalCommentList;
-                        if (globalCommentList.length > 0) {
-                            result += `${globalCommentList.join('\n')}\n\n`;
+                        if (
+                            this.py_variableDeclaration ||
+                            this.py_listDeclaration ||
+                            this.py_dictDeclaration
+                        ) {
+                            result += '\n';
                         }
 
                         // function Declaration
@@ -371,6 +446,89 @@ Entry.Parser = function(mode, type, cm, syntax) {
         return result;
     };
 
+    p._parseJsToBlock = function (code, parseMode) {
+        // 수정할 수 없는 첫 줄들은 위치가 바뀌지 않도록 공백으로 바꾼다.
+        const jsCode = code
+            .split('\n')
+            .map((line, index) =>
+                index < Entry.Vim.INEDITABLE_LINE_JS ? line.replace(/\S/g, ' ') : line
+            )
+            .join('\n');
+
+        let converted;
+        try {
+            converted = this._jsConverter.convert(jsCode);
+        } catch (error) {
+            this._onError = true;
+            if (this.codeMirror) {
+                this._alertJsError(error);
+            }
+            throw error;
+        }
+
+        this._jsNodes = converted.nodes;
+        try {
+            return this.parse(
+                `${JS_PYTHON_HEADER}${converted.code}`,
+                parseMode,
+                Entry.Vim.PARSER_TYPE_PY_TO_BLOCK
+            );
+        } finally {
+            this._jsNodes = null;
+        }
+    };
+
+    p._alertJsError = function (error) {
+        const tce = Entry.TextCodingError;
+        let annotation;
+        let info;
+        if (error instanceof SyntaxError && error.loc) {
+            // acorn 의 문법 오류
+            const { line, column } = error.loc;
+            annotation = {
+                from: { line: line - 1, ch: column },
+                to: { line: line - 1, ch: column + 1 },
+            };
+            info = tce.getErrorInfo(
+                tce.TITLE_SYNTAX,
+                tce.MESSAGE_SYNTAX_DEFAULT,
+                null,
+                line,
+                tce.SUBJECT_SYNTAX_DEFAULT
+            );
+        } else {
+            const { node = {} } = error || {};
+            annotation = this.getLineNumber(node.start || 0, node.end || 0);
+            info = error;
+        }
+
+        this.codeMirror.markText(annotation.from, annotation.to, {
+            className: 'CodeMirror-lint-mark-error',
+            __annotation: annotation,
+            clearOnEnter: true,
+        });
+        Entry.toast.alert(info.title, info.message);
+    };
+
+    /**
+     * 자바스크립트 코드를 바꾼 파이썬 코드의 오류 위치를 자바스크립트 코드의 위치로 바꾼다.
+     */
+    p._getJsAnnotation = function (annotation, error) {
+        const headerLength = JS_PYTHON_HEADER.split('\n').length - 1;
+        const node = this._jsNodes[annotation.from.line - headerLength];
+        if (!node) {
+            return;
+        }
+        const jsAnnotation = this.getLineNumber(node.start, node.end);
+        if (typeof error.message === 'string') {
+            error.message = error.message.replace(
+                /\(line \d+\)/,
+                `(line ${jsAnnotation.from.line + 1})`
+            );
+        }
+        return jsAnnotation;
+    };
+
     p.getLineNumber = function(start, end) {
         const value = this.codeMirror.getValue();
         const lines = {
@@ -572,13 +730,23 @@ Entry.Parser = function(mode, type, cm, syntax) {
         let optText = '';
         let onEntryEvent = false;
 
-        let startLine = 0;
+        // 첫 스레드도 다른 스레드처럼 원래 줄 번호에서 2를 뺀 줄에서 시작한다.
+        let startLine = 2;
 
         // # 엔트리봇 ~ import Entry 제외
         for (let i = 4; i < textArr.length; i++) {
             const textLine = `${textArr[i]}\n`;
 
-            if (textLine.trim().startsWith('#')) {
+            if (textLine.startsWith('#@')) {
+                // annotation 은 다음 스레드에 대한 정보이므로 앞의 스레드를 먼저 끝낸다.
+                if (optText.length !== 0) {
+                    threads.push(makeLine(optText));
+                }
+                threads.push(`${textLine.trim()}\n`);
+                startLine = i - 1;
+                optText = '';
+                onEntryEvent = false;
+            } else if (textLine.trim().startsWith('#')) {
                 threads.push(`${textLine.trim()}\n`);
             } else if (Entry.TextCodingUtil.isEntryEventFuncByFullText(textLine.trim())) {
                 if (optText.length !== 0) {
@@ -627,12 +795,21 @@ Entry.Parser = function(mode, type, cm, syntax) {
     p.initDeclaration = function() {
         this.py_variableDeclaration = Entry.TextCodingUtil.generateVariablesDeclaration();
         this.py_listDeclaration = Entry.TextCodingUtil.generateListsDeclaration();
+        this.py_dictDeclaration = Entry.TextCodingUtil.generateDictsDeclaration();
         this._hasDeclaration = true;
     };
 
     p.removeDeclaration = function() {
         this.py_variableDeclaration = null;
         this.py_listDeclaration = null;
+        this.py_dictDeclaration = null;
+    };
+
+    p.destroy = function () {
+        if (this._pyLinter) {
+            this._pyLinter.destroy();
+            this._pyLinter = null;
+        }
     };
 
     p._getAnotherSyntaxKey = function(syntax) {
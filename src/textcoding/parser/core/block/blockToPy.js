@@ -4,6 +4,10 @@
 'use strict';
 
 import _includes from 'lodash/includes';
+import _omit from 'lodash/omit';
+
+// 텍스트로 바꾸지 않고 블록 데이터 그대로 남겨 두는 값 블록
+const VALUE_SKELETONS = ['basic_string_field', 'basic_boolean_field', 'basic_param'];
 
 Entry.BlockToPyParser = class {
     constructor() {
@@ -11,8 +15,6 @@ Entry.BlockToPyParser = class {
         this._funcParamMap = new Entry.Map();
         this.funcDefMap = {};
 
-        this.globalCommentList = [];
-
         this._variableDeclaration = null;
         this._listDeclaration = null;
         this._forIdCharIndex = 0;
@@ -56,36 +58,46 @@ Entry.BlockToPyParser = class {
         }
 
         if (blocks[0] instanceof Entry.Comment) {
-            this.Comment(blocks[0]);
+            return this.Comment(blocks[0]);
         } else if (this._parseMode === Entry.Parser.PARSE_SYNTAX) {
             return blocks.map((block) => `${this.Block(block)}\n`).trim();
         } else if (this._parseMode === Entry.Parser.PARSE_GENERAL) {
+            if (VALUE_SKELETONS.includes(blocks[0].getSchema().skeleton)) {
+                return this.BlocksAnnotation(thread);
+            }
+
             let rootResult = '';
             let contentResult = '';
 
-            blocks.forEach((block, index) => {
-                try {
+            try {
+                blocks.forEach((block, index) => {
                     if (index === 0 && Entry.TextCodingUtil.isEventBlock(block)) {
                         rootResult = `${this.Block(block)}\n`;
                     } else {
                         contentResult += `${this.Block(block)}\n`;
                     }
-                } catch (e) {
-                    Entry.toast.alert(
-                        Lang.TextCoding.title_converting,
-                        Lang.TextCoding.alert_legacy_no_support
-                    );
-                }
-            });
+                });
+            } catch (e) {
+                // 바꿀 수 없는 블록이 있으면 스레드를 버리지 않고 블록 데이터로 남긴다.
+                return this.BlocksAnnotation(thread);
+            }
 
             if (rootResult !== '') {
                 contentResult = Entry.TextCodingUtil.indent(contentResult);
             }
 
-            return `${(rootResult + contentResult).trim()}\n`;
+            const { x, y } = blocks[0];
+            const position =
+                x || y ? `${Entry.TextCodingUtil.makeAnnotation('thread', { x, y })}\n` : '';
+
+            return `${position}${(rootResult + contentResult).trim()}\n`;
         }
     }
 
+    BlocksAnnotation(thread) {
+        return `${Entry.TextCodingUtil.makeAnnotation('blocks', thread.toJSON())}\n`;
+    }
+
     Block(block) {
         if (!block || !(block instanceof Entry.Block)) {
             return '';
@@ -229,8 +241,17 @@ Entry.BlockToPyParser = class {
         return results.join('\n');
     }
 
+    /**
+     * 보드에 따로 놓인 주석은 # 줄로 바꾸고, 위치와 크기는 앞줄의 annotation 으로 남긴다.
+     */
     Comment(comment) {
-        this.globalCommentList.push(`# ${comment.value}`);
+        const json = comment.toJSON();
+        const lines = `${json.value}`.split('\n').map((line) => `# ${line}`);
+        const annotation = Entry.TextCodingUtil.makeAnnotation(
+            'comment',
+            _omit(json, ['id', 'type', 'value'])
+        );
+        return `${[annotation, ...lines].join('\n')}\n`;
     }
 
     /**
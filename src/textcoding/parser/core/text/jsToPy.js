@@ -0,0 +1,458 @@
+'use strict';
+
+const INDENT = '    ';
+
+// 파이썬 연산자 우선순위. 값이 클수록 먼저 계산한다.
+const PRECEDENCE = {
+    or: 1,
+    and: 2,
+    not: 3,
+    compare: 4,
+    additive: 9,
+    multiplicative: 10,
+    unary: 11,
+    power: 12,
+    primary: 13,
+};
+const BINARY_OPERATORS = {
+    '+': ['+', PRECEDENCE.additive],
+    '-': ['-', PRECEDENCE.additive],
+    '*': ['*', PRECEDENCE.multiplicative],
+    '/': ['/', PRECEDENCE.multiplicative],
+    '%': ['%', PRECEDENCE.multiplicative],
+    '**': ['**', PRECEDENCE.power],
+    '==': ['==', PRECEDENCE.compare],
+    '===': ['==', PRECEDENCE.compare],
+    '!=': ['!=', PRECEDENCE.compare],
+    '!==': ['!=', PRECEDENCE.compare],
+    '<': ['<', PRECEDENCE.compare],
+    '<=': ['<=', PRECEDENCE.compare],
+    '>': ['>', PRECEDENCE.compare],
+    '>=': ['>=', PRECEDENCE.compare],
+    in: ['in', PRECEDENCE.compare],
+};
+const LOGICAL_OPERATORS = {
+    '&&': ['and', PRECEDENCE.and],
+    '||': ['or', PRECEDENCE.or],
+};
+const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '%=', '**='];
+const CONSTANTS = { true: 'True', false: 'False', null: 'None', undefined: 'None' };
+
+/**
+ * 자바스크립트 모드에서 작성한 코드를 같은 블록을 나타내는 파이썬 코드로 바꾼다.
+ * PyToJsConverter 의 반대 방향이며, 바꾼 파이썬 코드는 PyToBlockParser 로 블록이 된다.
+ * 블록으로 바꿀 수 없는 문법(객체, 화살표 함수, 삼항 연산자 등)은 변환 오류를 낸다.
+ */
+class JsToPyConverter {
+    /**
+     * @param {string} code 자바스크립트 코드
+     * @return {{ code: string, nodes: Array<Object> }}
+     *  nodes 는 파이썬 코드의 줄마다 그 줄을 만든 자바스크립트 노드. 오류 위치를 찾을 때 쓴다.
+     */
+    convert(code) {
+        this._code = code;
+        this._comments = [];
+        this._lines = [];
+        const ast = acorn.parse(code, {
+            ecmaVersion: 2017,
+            locations: true,
+            preserveParens: true,
+            onComment: this._comments,
+        });
+
+        // 맨 위에서는 빈 줄을 남겨 스레드를 나눈다.
+        let lastLine = 0;
+        ast.body.forEach((node) => {
+            while (this._comments.length && this._comments[0].loc.start.line === lastLine) {
+                this._flushComments(this._comments[0].end, 0);
+            }
+            const [comment] = this._comments;
+            const startLine =
+                comment && comment.start < node.start
+                    ? comment.loc.start.line
+                    : node.loc.start.line;
+            if (lastLine && startLine - lastLine > 1) {
+                this._push('', node, 0);
+            }
+            this._flushComments(node.start, 0);
+            this._convertTopLevel(node);
+            lastLine = node.loc.end.line;
+        });
+        this._flushComments(Infinity, 0);
+
+        return {
+            code: this._lines.map(({ text }) => text).join('\n'),
+            nodes: this._lines.map(({ node }) => node),
+        };
+    }
+
+    _convertTopLevel(node) {
+        const event = this._getEvent(node);
+        if (event) {
+            const { name, args, body } = event;
+            const params = args.map((arg) => this._expression(arg)).join(', ');
+            this._pushBlock(`def ${name}(${params}):`, node, 0, body);
+        } else {
+            this._statement(node, 0);
+        }
+    }
+
+    /**
+     * when_start(() => { ... }); 과 같은 시작 블록 호출이면 이름, 인자, 본문
+     */
+    _getEvent(node) {
+        if (node.type !== 'ExpressionStatement' || node.expression.type !== 'CallExpression') {
+            return;
+        }
+        const { callee, arguments: args } = node.expression;
+        const callback = args[args.length - 1];
+        if (
+            callee.type !== 'Identifier' ||
+            !Entry.TextCodingUtil.isEntryEventFuncByFullText(`def ${callee.name}(`)
+        ) {
+            return;
+        } else if (
+            !callback ||
+            !['ArrowFunctionExpression', 'FunctionExpression'].includes(callback.type) ||
+            callback.body.type !== 'BlockStatement' ||
+            callback.params.length
+        ) {
+            this._throw(node.expression);
+        }
+        return { name: callee.name, args: args.slice(0, -1), body: callback.body };
+    }
+
+    _statement(node, depth) {
+        switch (node.type) {
+            case 'ExpressionStatement':
+                this._pushStatement(this._expressionStatement(node.expression), node, depth);
+                break;
+            case 'VariableDeclaration':
+                node.declarations.forEach((declaration) => {
+                    const value = declaration.init ? this._expression(declaration.init) : '0';
+                    this._pushStatement(`${this._target(declaration.id)} = ${value}`, node, depth);
+                });
+                break;
+            case 'FunctionDeclaration': {
+                const params = node.params.map((param) => this._target(param)).join(', ');
+                this._pushBlock(`def ${node.id.name}(${params}):`, node, depth, node.body);
+                break;
+            }
+            case 'IfStatement':
+                this._if(node, depth, 'if');
+                break;
+            case 'WhileStatement':
+                this._pushBlock(`while ${this._expression(node.test)}:`, node, depth, node.body);
+                break;
+            case 'ForStatement':
+                this._pushBlock(`for ${this._forRange(node)}:`, node, depth, node.body);
+                break;
+            case 'ForOfStatement': {
+                const { left } = node;
+                const target = this._target(
+                    left.type === 'VariableDeclaration' ? left.declarations[0].id : left
+                );
+                const iterable = this._expression(node.right);
+                this._pushBlock(`for ${target} in ${iterable}:`, node, depth, node.body);
+                break;
+            }
+            case 'BlockStatement':
+                node.body.forEach((child) => {
+                    this._flushComments(child.start, depth);
+                    this._statement(child, depth);
+                });
+                break;
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                if (node.label) {
+                    this._throw(node);
+                }
+                this._pushStatement(
+                    node.type === 'BreakStatement' ? 'break' : 'continue',
+                    node,
+                    depth
+                );
+                break;
+            case 'ReturnStatement':
+                this._pushStatement(
+                    node.argument ? `return ${this._expression(node.argument)}` : 'return',
+                    node,
+                    depth
+                );
+                break;
+            case 'EmptyStatement':
+                break;
+            default:
+                this._throw(node);
+        }
+    }
+
+    _if(node, depth, keyword) {
+        this._pushBlock(`${keyword} ${this._expression(node.test)}:`, node, depth, node.consequent);
+        const { alternate } = node;
+        if (!alternate) {
+            return;
+        } else if (alternate.type === 'IfStatement') {
+            this._flushComments(alternate.start, depth);
+            this._if(alternate, depth, 'elif');
+        } else {
+            this._pushBlock('else:', alternate, depth, alternate);
+        }
+    }
+
+    /**
+     * for (let i = 0; i < 10; i++) 모양만 range 로 바꿀 수 있다.
+     */
+    _forRange(node) {
+        const { init, test, update } = node;
+        const declaration =
+            init && init.type === 'VariableDeclaration' && init.declarations.length === 1
+                ? init.declarations[0]
+                : null;
+        const name = declaration && declaration.id.name;
+        const isValidTest =
+            test &&
+            test.type === 'BinaryExpression' &&
+            ['<', '<='].includes(test.operator) &&
+            test.left.type === 'Identifier' &&
+            test.left.name === name;
+        const isValidUpdate =
+            update &&
+            update.argument &&
+            update.argument.name === name &&
+            update.type === 'UpdateExpression' &&
+            update.operator === '++';
+        const isValidAssignment =
+            update &&
+            update.type === 'AssignmentExpression' &&
+            update.operator === '+=' &&
+            update.left.name === name &&
+            update.right.type === 'Literal' &&
+            update.right.value === 1;
+        if (!name || !declaration.init || !isValidTest || !(isValidUpdate || isValidAssignment)) {
+            this._throw(node.init || node);
+        }
+
+        const end =
+            test.operator === '<='
+                ? `${this._expression(test.right, PRECEDENCE.additive)} + 1`
+                : this._expression(test.right);
+        const { init: start } = declaration;
+        const isZero = start.type === 'Literal' && start.value === 0;
+        return `${name} in range(${isZero ? '' : `${this._expression(start)}, `}${end})`;
+    }
+
+    _expressionStatement(node) {
+        switch (node.type) {
+            case 'AssignmentExpression':
+                if (!ASSIGNMENT_OPERATORS.includes(node.operator)) {
+                    this._throw(node);
+                }
+                return `${this._target(node.left)} ${node.operator} ${this._expression(
+                    node.right
+                )}`;
+            case 'UpdateExpression':
+                return `${this._target(node.argument)} ${node.operator[0]}= 1`;
+        }
+        return this._expression(node);
+    }
+
+    _target(node) {
+        if (node.type === 'Identifier' || node.type === 'MemberExpression') {
+            return this._expression(node);
+        }
+        this._throw(node);
+    }
+
+    /**
+     * @param {Object} node 자바스크립트 식 노드
+     * @param {number=} precedence 이 식이 놓이는 자리에서 괄호 없이 쓸 수 있는 가장 낮은 우선순위
+     * @return {string} 파이썬 식
+     */
+    _expression(node, precedence = 0) {
+        const [text, ownPrecedence] = this._convertExpression(node);
+        return ownPrecedence < precedence ? `(${text})` : text;
+    }
+
+    _convertExpression(node) {
+        const { primary, not, unary, power } = PRECEDENCE;
+        switch (node.type) {
+            case 'ParenthesizedExpression':
+                return [`(${this._expression(node.expression)})`, primary];
+            case 'Identifier':
+                return [CONSTANTS[node.name] || node.name, primary];
+            case 'Literal':
+                if (node.regex) {
+                    this._throw(node);
+                }
+                return [node.value === null ? 'None' : CONSTANTS[node.raw] || node.raw, primary];
+            case 'ArrayExpression':
+                if (node.elements.some((element) => !element)) {
+                    this._throw(node);
+                }
+                return [
+                    `[${node.elements.map((element) => this._expression(element)).join(', ')}]`,
+                    primary,
+                ];
+            case 'MemberExpression':
+                return [this._member(node), primary];
+            case 'CallExpression':
+                return [this._call(node), primary];
+            case 'UnaryExpression':
+                if (node.operator === '!') {
+                    return [`not ${this._expression(node.argument, not)}`, not];
+                } else if (node.operator === '-' || node.operator === '+') {
+                    return [`${node.operator}${this._expression(node.argument, unary)}`, unary];
+                }
+                break;
+            case 'LogicalExpression': {
+                if (!LOGICAL_OPERATORS[node.operator]) {
+                    break;
+                }
+                const [operator, precedence] = LOGICAL_OPERATORS[node.operator];
+                const left = this._expression(node.left, precedence);
+                const right = this._expression(node.right, precedence + 1);
+                return [`${left} ${operator} ${right}`, precedence];
+            }
+            case 'BinaryExpression': {
+                if (!BINARY_OPERATORS[node.operator]) {
+                    break;
+                }
+                const [operator, precedence] = BINARY_OPERATORS[node.operator];
+                // 파이썬은 a < b < c 를 이어서 비교하므로 비교 안의 비교는 괄호로 감싼다.
+                // ** 는 오른쪽부터 계산한다.
+                const isRightAssociative = precedence === power;
+                const left = this._expression(
+                    node.left,
+                    precedence + (isRightAssociative || precedence === PRECEDENCE.compare ? 1 : 0)
+                );
+                const right = this._expression(
+                    node.right,
+                    isRightAssociative ? unary : precedence + 1
+                );
+                return [`${left} ${operator} ${right}`, precedence];
+            }
+        }
+        this._throw(node);
+    }
+
+    _member(node) {
+        const object = this._expression(node.object, PRECEDENCE.primary);
+        if (node.computed) {
+            return `${object}[${this._expression(node.property)}]`;
+        } else if (node.property.name === 'length') {
+            // list.length → len(list)
+            return `len(${this._expression(node.object)})`;
+        }
+        return `${object}.${node.property.name}`;
+    }
+
+    _call(node) {
+        const { callee } = node;
+        const args = node.arguments;
+        if (args.some(({ type }) => type === 'SpreadElement')) {
+            this._throw(node);
+        }
+        if (callee.type === 'MemberExpression' && !callee.computed) {
+            const { object, property } = callee;
+            const argument =
+                args[0] && args[0].type === 'ParenthesizedExpression'
+                    ? args[0].expression
+                    : args[0];
+            if (property.name === 'slice' && args.length && args.length <= 2) {
+                // list.slice(b, c) → list[b:c]
+                const end = args[1] ? this._expression(args[1]) : '';
+                return `${this._expression(object, PRECEDENCE.primary)}[${this._expression(
+                    args[0]
+                )}:${end}]`;
+            } else if (
+                object.type === 'Identifier' &&
+                object.name === 'Math' &&
+                property.name === 'floor' &&
+                args.length === 1 &&
+                argument.type === 'BinaryExpression' &&
+                argument.operator === '/'
+            ) {
+                // Math.floor(a / b) → (a // b)
+                const { multiplicative } = PRECEDENCE;
+                const left = this._expression(argument.left, multiplicative);
+                const right = this._expression(argument.right, multiplicative + 1);
+                return `(${left} // ${right})`;
+            }
+        }
+        const params = args.map((arg) => this._expression(arg)).join(', ');
+        return `${this._expression(callee, PRECEDENCE.primary)}(${params})`;
+    }
+
+    /**
+     * 블록을 여는 줄과 본문. 여는 줄 끝의 주석은 여는 줄에 붙인다.
+     */
+    _pushBlock(header, node, depth, body) {
+        const [firstStatement] = body.type === 'BlockStatement' ? body.body : [body];
+        const bodyStart = firstStatement ? firstStatement.start : body.end;
+        const comment = this._takeTrailingComment(node.loc.start.line, bodyStart);
+        this._push(`${header}${comment}`, node, depth);
+        this._statement(body, depth + 1);
+        this._flushComments(body.end, depth + 1);
+    }
+
+    _pushStatement(text, node, depth) {
+        const comment = this._takeTrailingComment(node.loc.end.line, Infinity, node.end);
+        this._push(`${text}${comment}`, node, depth);
+    }
+
+    _push(text, node, depth) {
+        this._lines.push({ text: text ? `${INDENT.repeat(depth)}${text}` : '', node });
+    }
+
+    /**
+     * line 줄의 after 와 before 사이에 있는 주석을 꺼내 줄 끝에 붙일 주석으로 만든다.
+     */
+    _takeTrailingComment(line, before, after = 0) {
+        const index = this._comments.findIndex(
+            (comment) =>
+                comment.type === 'Line' &&
+                comment.loc.start.line === line &&
+                comment.start >= after &&
+                comment.end <= before
+        );
+        if (index < 0) {
+            return '';
+        }
+        const [comment] = this._comments.splice(index, 1);
+        return ` #${comment.value}`;
+    }
+
+    /**
+     * before 보다 앞에 있는 주석을 한 줄씩 # 주석으로 옮긴다.
+     */
+    _flushComments(before, depth) {
+        while (this._comments.length && this._comments[0].end <= before) {
+            const comment = this._comments.shift();
+            const lines = comment.type === 'Line' ? [comment.value] : comment.value.split('\n');
+            lines.forEach((line) => {
+                const text = comment.type === 'Line' ? line : line.replace(/^\s*\*?\s?/, ' ');
+                this._push(`#${text.trimEnd()}`, comment, depth);
+            });
+        }
+    }
+
+    _throw(node) {
+        const keyword = this._source(node);
+        const info = Entry.TextCodingError.getErrorInfo(
+            Entry.TextCodingError.TITLE_CONVERTING,
+            Entry.TextCodingError.MESSAGE_CONV_NO_SUPPORT,
+            keyword,
+            node.loc.start.line,
+            Entry.TextCodingError.SUBJECT_CONV_GENERAL
+        );
+        throw { ...info, node };
+    }
+
+    _source(node) {
+        const text = (this._code || '').slice(node.start, node.end).split('\n')[0];
+        return text.length > 30 ? `${text.slice(0, 30)}...` : text;
+    }
+}
+
+Entry.JsToPyConverter = JsToPyConverter;
@@ -11,6 +11,7 @@ Entry.PyToBlockParser = class {
 
         this._funcParamMap = {};
         this._funcMap = {};
+        this._listComprehensions = {};
 
         this._isInFuncDef = false;
 
@@ -58,6 +59,7 @@ Entry.PyToBlockParser = class {
     processPrograms(astArr) {
         this.createFunctionMap();
         this._funcParamMap = {};
+        this._listComprehensions = {};
         this._isInFuncDef = false;
         const ws = Entry.playground.mainWorkspace;
         if (ws && !ws.board.code) {
@@ -90,16 +92,21 @@ Entry.PyToBlockParser = class {
     }
 
     Program(component) {
+        if (component.thread) {
+            // annotation 으로 남겨 둔 블록 데이터
+            return component.thread;
+        }
         const thread = component.body.map((n) => {
             const result = this.Node(n);
             this.assert(typeof result === 'object', '', n, 'NO_SUPPORT', 'GENERAL');
             return result;
         }, this);
-        if (thread[0].constructor === Array) {
-            return thread[0];
-        } else {
-            return thread;
+        // for 문이나 여러 변수 대입처럼 블록 여러 개가 되는 문장은 풀어서 이어 붙인다.
+        const blocks = [].concat(...thread);
+        if (component.position && blocks[0]) {
+            Object.assign(blocks[0], component.position);
         }
+        return blocks;
     }
 
     ExpressionStatement(component) {
@@ -115,6 +122,17 @@ Entry.PyToBlockParser = class {
     CallExpression(component) {
         const callee = component.callee;
         const args = component.arguments;
+        if (
+            callee.type === 'MemberExpression' &&
+            callee.property.name === 'push' &&
+            this._listComprehensions[callee.object.name]
+        ) {
+            // 리스트 내포가 만든 임시 리스트에 넣는 값은 대상 리스트에 추가한다.
+            return {
+                type: 'add_value_to_list',
+                params: [this.Node(args[0]), this._listComprehensions[callee.object.name]],
+            };
+        }
         let obj = this.Node(callee);
         if (obj.type && component.callee.type === 'Identifier') {
             // Duplicate name with variable
@@ -198,6 +216,14 @@ Entry.PyToBlockParser = class {
                 params: [list.id_],
             };
         }
+
+        const dict = Entry.variableContainer.getDictByName(name);
+        if (dict) {
+            return {
+                type: 'get_dict',
+                params: [dict.id_],
+            };
+        }
         return name;
     }
 
@@ -216,6 +242,10 @@ Entry.PyToBlockParser = class {
     }
 
     AssignmentExpression(component) {
+        if (this.isListComprehension(component.right)) {
+            this.assert(component.operator === '=', component.operator, component);
+            return this.ListComprehension(component.left, component.right);
+        }
         const lefts = Array.isArray(component.left) ? component.left : [component.left];
         const results = [];
 
@@ -251,6 +281,12 @@ Entry.PyToBlockParser = class {
                         }
 
                         result.params.push(leftVar.id_);
+                    } else if (Entry.variableContainer.getDictByName(leftName)) {
+                        // d["key"] = value
+                        result.type = 'set_value_to_dict';
+                        leftVar = Entry.variableContainer.getDictByName(leftName);
+                        result.params.push(leftVar.id_);
+                        result.params.push(this.Node(left.property.arguments[1]));
                     } else {
                         leftVar = Entry.variableContainer.getListByName(leftName);
                         this.assert(leftVar, leftName, left.object, 'NO_LIST', 'LIST');
@@ -260,16 +296,7 @@ Entry.PyToBlockParser = class {
                     break;
                 case 'Identifier':
                     result.type = 'set_variable';
-                    leftVar = Entry.variableContainer.getVariableByName(left.name, false);
-                    if (!leftVar) {
-                        Entry.variableContainer.addVariable({
-                            variableType: 'variable',
-                            name: left.name,
-                            visible: true,
-                            value: 0,
-                        });
-                        leftVar = Entry.variableContainer.getVariableByName(left.name, false);
-                    }
+                    leftVar = this.getOrCreateVariable(left.name);
                     result.params.push(leftVar.id_);
                     break;
                 default:
@@ -298,6 +325,11 @@ Entry.PyToBlockParser = class {
                                 type: 'get_variable',
                                 params: [leftVar.id_],
                             };
+                        } else if (result.type === 'set_value_to_dict') {
+                            getBlock = {
+                                type: 'get_value_from_dict',
+                                params: [leftVar.id_, result.params[1]],
+                            };
                         } else {
                             getBlock = {
                                 type: 'value_of_index_from_list',
@@ -386,7 +418,11 @@ Entry.PyToBlockParser = class {
             obj = this.Node(component.object);
         }
 
-        if (typeof obj === 'object') {
+        if (typeof obj === 'object' && obj.type === 'get_dict') {
+            // dict member
+            result.preParams = [obj.params[0]];
+            obj = '%1';
+        } else if (typeof obj === 'object') {
             // list member
             if (obj.type === 'get_list') {
                 result.preParams = [obj.params[0]];
@@ -444,87 +480,222 @@ Entry.PyToBlockParser = class {
     }
 
     BlockStatement(component) {
-        let db = component.body.map(this.Node, this);
-
-        if (db.constructor == Array && db[0].length) {
-            if (db.length > 0) {
-                db[db.length - 1][0].params.push(db[0][0][0]);
-            }
-
-            db = db[db.length - 1][0];
+        const forLoop = this.getForLoop(component);
+        if (forLoop) {
+            return this.ForLoop(forLoop);
         }
-
-        return db;
+        const tupleAssignment = this.getTupleAssignment(component);
+        if (tupleAssignment) {
+            return this.TupleAssignment(tupleAssignment);
+        }
+        return this.setParams(component.body);
     }
 
     IfStatement(component) {
-        let alternate;
-        let blocks;
-
-        const tempAlt = component.alternate;
-        const isForState =
-            tempAlt &&
-            tempAlt.body &&
-            tempAlt.body[0] &&
-            'type' in tempAlt.body[0] &&
-            tempAlt.body[0].type === 'ForInStatement';
-
-        if (isForState) {
-            alternate = component.alternate.body.map(this.Node, this);
-            component.consequent.body[0].body.body.shift();
-
-            blocks = component.consequent.body[0].body.body;
-            alternate[0].statements.push(this.setParams(blocks));
-        } else if (!('alternate' in component) || !component.alternate) {
-            alternate = {
+        const { test, consequent, alternate } = component;
+        let result;
+        if (!alternate) {
+            result = {
                 type: '_if',
-                statements: [this.setParams(component.consequent.body)],
-                params: [this.Node(component.test)],
+                statements: [this.setParams(this.getStatements(consequent))],
+                params: [this.Node(test)],
             };
         } else {
-            const consequent = component.consequent
-                ? component.consequent.body
-                      .map(this.Node, this)
-                      .map((b) => (Array.isArray(b) ? b[0] : b))
-                : [];
-            const alternates = component.alternate
-                ? component.alternate.body
-                      .map(this.Node, this)
-                      .map((b) => (Array.isArray(b) ? b[0] : b))
-                : [];
-            alternate = {
+            // elif 는 else 안의 if 블록이 된다.
+            const alternates =
+                alternate.type === 'IfStatement'
+                    ? [this.Node(alternate)]
+                    : this.setParams(this.getStatements(alternate));
+            result = {
                 type: 'if_else',
-                statements: [consequent, alternates],
-                params: [this.Node(component.test)],
+                statements: [this.setParams(this.getStatements(consequent)), alternates],
+                params: [this.Node(test)],
             };
         }
 
-        if (component.consequent.comment) {
-            alternate.comment = component.consequent.comment;
+        if (consequent.comment) {
+            result.comment = consequent.comment;
         }
 
-        return alternate;
+        return result;
     }
 
-    ForStatement(component) {
-        const body = component.body.body;
-        return this.Node(body[body.length - 1]);
+    /**
+     * for 문은 반복 횟수가 정해진 repeat_basic 으로 바꾼다.
+     * range(시작, 끝) 의 반복 변수와 리스트의 항목 변수는 반복할 때마다 값을 바꾸는 블록을 앞에 넣는다.
+     */
+    ForLoop({ left, iterable, body }) {
+        this.assert(left.type === 'Identifier', '', left, 'NO_SUPPORT', 'GENERAL');
+        const name = left.name;
+        const blocks = [];
+        const loopHead = [];
+        const loop = { type: 'repeat_basic', params: [], statements: [] };
+
+        if (this.isRangeCall(iterable)) {
+            const args = iterable.arguments;
+            this.assert(args.length && args.length <= 2, 'range', iterable, 'NO_SUPPORT');
+            const [start, stop] =
+                args.length === 2 ? args.map((arg) => this.Node(arg)) : [null, this.Node(args[0])];
+            loop.params = [start ? this.calculate(stop, 'MINUS', start) : stop];
+            if (this.isIdentifierUsed(body, name)) {
+                const variable = this.getOrCreateVariable(name);
+                const initialValue = start
+                    ? this.calculate(start, 'MINUS', { type: 'number', params: [1] })
+                    : { type: 'number', params: [-1] };
+                blocks.push({ type: 'set_variable', params: [variable.id_, initialValue] });
+                loopHead.push({
+                    type: 'change_variable',
+                    params: [variable.id_, { type: 'number', params: [1] }],
+                });
+            }
+        } else {
+            const list = this.Node(iterable);
+            this.assert(
+                list && list.type === 'get_list',
+                typeof list === 'string' ? list : '',
+                iterable,
+                'NO_FOR_ITERABLE',
+                'LIST'
+            );
+            const listId = list.params[0];
+            const index = this.getTemporaryVariable(`${name}_index`);
+            const variable = this.getOrCreateVariable(name);
+            blocks.push({
+                type: 'set_variable',
+                params: [index.id_, { type: 'number', params: [0] }],
+            });
+            loop.params = [{ type: 'length_of_list', params: [undefined, listId] }];
+            loopHead.push(
+                {
+                    type: 'change_variable',
+                    params: [index.id_, { type: 'number', params: [1] }],
+                },
+                {
+                    type: 'set_variable',
+                    params: [
+                        variable.id_,
+                        {
+                            type: 'value_of_index_from_list',
+                            params: [
+                                undefined,
+                                listId,
+                                undefined,
+                                { type: 'get_variable', params: [index.id_] },
+                            ],
+                        },
+                    ],
+                }
+            );
+        }
+
+        loop.statements = [loopHead.concat(this.setParams(this.getStatements(body)))];
+        if (body.comment) {
+            loop.comment = body.comment;
+        }
+        blocks.push(loop);
+        return blocks;
     }
 
-    ForInStatement(component) {
-        // let  expression = component.body.body[0] && 'expression' in component.body.body[0] ?
-        //                     this.Node(component.body.body[0].expression) : null;
-        const result = {
-            type: 'repeat_basic',
-            params: [],
-            statements: [],
-        };
+    /**
+     * a, b = b, a 처럼 오른쪽 값이 앞에서 바뀐 변수를 쓰면 임시 변수에 먼저 담아 둔다.
+     */
+    TupleAssignment({ lefts, rights, node }) {
+        this.assert(
+            rights && rights.length === lefts.length,
+            '',
+            node,
+            'NO_TUPLE_ASSIGNMENT',
+            'VARIABLE'
+        );
+        const getName = (left) => (left.type === 'Identifier' ? left.name : left.property.name);
+        const needsTemp = lefts.some((left, index) =>
+            rights.slice(index + 1).some((right) => this.isIdentifierUsed(right, getName(left)))
+        );
 
-        if (component.body.comment) {
-            result.comment = component.body.comment;
+        const blocks = [];
+        let values = rights;
+        if (needsTemp) {
+            values = rights.map((right, index) => {
+                const temp = this.getTemporaryVariable(`_temp${index + 1}`);
+                blocks.push({ type: 'set_variable', params: [temp.id_, this.Node(right)] });
+                return {
+                    type: 'MemberExpression',
+                    object: { type: 'Identifier', name: 'self' },
+                    property: { type: 'Identifier', name: temp.name_ },
+                    loc: right.loc,
+                };
+            });
         }
+        lefts.forEach((left, index) => {
+            blocks.push(
+                ...this.AssignmentExpression({
+                    type: 'AssignmentExpression',
+                    operator: '=',
+                    left,
+                    right: values[index],
+                    loc: left.loc,
+                })
+            );
+        });
+        return blocks;
+    }
 
-        return result;
+    /**
+     * 리스트에 대입하는 리스트 내포만 지원한다. 리스트를 비운 뒤 for 문으로 항목을 추가한다.
+     * l = [x * 2 for x in l] 처럼 대상 리스트를 다시 읽으면 임시 리스트에 모은 뒤 옮긴다.
+     */
+    ListComprehension(left, right) {
+        const [declaration, loop] = right.callee.body.body;
+        let list;
+        if (left.type === 'Identifier') {
+            list = Entry.variableContainer.getListByName(left.name);
+        } else if (left.type === 'MemberExpression' && left.object.name === 'self') {
+            list = Entry.variableContainer.getListByName(left.property.name, true, this.object.id);
+        }
+        this.assert(list, left.name || '', left, 'NO_LIST_COMPREHENSION', 'LIST');
+
+        const listName = left.type === 'Identifier' ? left.name : left.property.name;
+        const target = this.isIdentifierUsed(loop, listName)
+            ? this.getTemporaryList('_tempList')
+            : list;
+        const tempName = declaration.declarations[0].id.name;
+        this._listComprehensions[tempName] = target.id_;
+        const blocks = this.Node(loop);
+        delete this._listComprehensions[tempName];
+
+        const blocksToRemoveAll = (listId, statements = []) => ({
+            type: 'repeat_basic',
+            params: [{ type: 'length_of_list', params: [undefined, listId] }],
+            statements: [
+                statements.concat({
+                    type: 'remove_value_from_list',
+                    params: [{ type: 'number', params: [1] }, listId],
+                }),
+            ],
+        });
+        if (target === list) {
+            return [blocksToRemoveAll(list.id_)].concat(blocks);
+        }
+        return [blocksToRemoveAll(target.id_)].concat(blocks, [
+            blocksToRemoveAll(list.id_),
+            blocksToRemoveAll(target.id_, [
+                {
+                    type: 'add_value_to_list',
+                    params: [
+                        {
+                            type: 'value_of_index_from_list',
+                            params: [
+                                undefined,
+                                target.id_,
+                                undefined,
+                                { type: 'number', params: [1] },
+                            ],
+                        },
+                        list.id_,
+                    ],
+                },
+            ]),
+        ]);
     }
 
     BreakStatement(component) {
@@ -560,7 +731,7 @@ Entry.PyToBlockParser = class {
                     };
                 }
             default:
-                throw new Error(`Unary operator ${component.operator} is not supported`);
+                this.assert(false, component.operator, component, 'NO_SUPPORT', 'GENERAL');
         }
     }
 
@@ -626,7 +797,7 @@ Entry.PyToBlockParser = class {
                 params: [undefined, this.Node(component.left), undefined, 'square'],
             };
         } else {
-            throw new Error(`Not supported operator ${component.operator}`);
+            this.assert(false, component.operator, component, 'NO_SUPPORT', 'GENERAL');
         }
         return {
             type: blockType,
@@ -704,7 +875,17 @@ Entry.PyToBlockParser = class {
     }
 
     ReturnStatement(component) {
-        return component.argument.arguments.map(this.Node, this);
+        const argument = component.argument;
+        // 엔트리 함수는 값을 하나만 돌려줄 수 있어 return a, b 는 바꾸지 않는다.
+        this.assert(
+            !(argument && argument.type === 'NewExpression' && this.isTupleCallee(argument.callee)),
+            'return',
+            component,
+            'NO_TUPLE_RETURN',
+            'FUNCTION'
+        );
+        this.assert(argument && argument.arguments, 'return', component, 'NO_SUPPORT', 'GENERAL');
+        return argument.arguments.map(this.Node, this);
     }
 
     // ThisExpression(component) {};
@@ -720,6 +901,8 @@ Entry.PyToBlockParser = class {
         if (obj.type === 'get_list') {
             // string
             blockInfo = this.blockSyntax['%2[%4]'];
+        } else if (obj.type === 'get_dict') {
+            blockInfo = this.blockSyntax['%1[%2]#dict'];
         } else {
             // var, list
             blockInfo = this.blockSyntax['%2[%4]#char_at'];
@@ -940,6 +1123,10 @@ Entry.PyToBlockParser = class {
                     list = Entry.variableContainer.getListByName(value[0], false, this.object.id);
                 }
                 return list ? list.id_ : undefined;
+            case 'dicts': {
+                const dict = value && Entry.variableContainer.getDictByName(value);
+                return dict ? dict.id_ : undefined;
+            }
             case 'scenes':
                 const scenes = Entry.scene.scenes_.filter((s) => s.name === value);
                 return scenes[0] ? scenes[0].id : undefined;
@@ -993,9 +1180,7 @@ Entry.PyToBlockParser = class {
 
         node = args[0];
 
-        if (!this[node.type]) {
-            throw new Error(`${node.type} is not supported`);
-        }
+        this.assert(this[node.type], node.name || '', node, 'NO_SUPPORT', 'GENERAL');
         return this[node.type].apply(this, args);
     }
 
@@ -1069,6 +1254,153 @@ Entry.PyToBlockParser = class {
         return param && (param.type === 'number' || param.type === 'text');
     }
 
+    calculate(left, operator, right) {
+        const isNumber = (param) =>
+            this.isParamPrimitive(param) && !isNaN(parseFloat(param.params[0]));
+        if (isNumber(left) && isNumber(right)) {
+            const [a, b] = [Number(left.params[0]), Number(right.params[0])];
+            return { type: 'number', params: [operator === 'PLUS' ? a + b : a - b] };
+        }
+        return { type: 'calc_basic', params: [left, operator, right] };
+    }
+
+    getOrCreateVariable(name) {
+        let variable = Entry.variableContainer.getVariableByName(name, false);
+        if (!variable) {
+            Entry.variableContainer.addVariable({
+                variableType: 'variable',
+                name,
+                visible: true,
+                value: 0,
+            });
+            variable = Entry.variableContainer.getVariableByName(name, false);
+        }
+        return variable;
+    }
+
+    /**
+     * for 문의 위치, 여러 변수 대입의 임시 값처럼 변환에만 쓰는 변수는
+     * 다른 오브젝트와 겹치지 않도록 현재 오브젝트의 숨긴 지역 변수로 만든다.
+     */
+    getTemporaryVariable(name) {
+        const objectId = this.object.id;
+        let variable = Entry.variableContainer.getVariableByName(name, true, objectId);
+        if (!variable) {
+            Entry.variableContainer.addVariable({
+                variableType: 'variable',
+                name,
+                visible: false,
+                object: objectId,
+                value: 0,
+            });
+            variable = Entry.variableContainer.getVariableByName(name, true, objectId);
+        }
+        return variable;
+    }
+
+    /**
+     * 리스트 내포의 임시 리스트도 현재 오브젝트의 숨긴 지역 리스트로 만든다.
+     */
+    getTemporaryList(name) {
+        const objectId = this.object.id;
+        let list = Entry.variableContainer.getListByName(name, true, objectId);
+        if (!list) {
+            Entry.variableContainer.addList({
+                variableType: 'list',
+                name,
+                visible: false,
+                object: objectId,
+                array: [],
+            });
+            list = Entry.variableContainer.getListByName(name, true, objectId);
+        }
+        return list;
+    }
+
+    getStatements(node) {
+        return node.type === 'BlockStatement' ? node.body : [node];
+    }
+
+    isIdentifierUsed(node, name) {
+        if (!node || typeof node !== 'object') {
+            return false;
+        } else if (Array.isArray(node)) {
+            return node.some((child) => this.isIdentifierUsed(child, name));
+        } else if (node.type === 'Identifier' && node.name === name) {
+            return true;
+        }
+        return Object.keys(node).some(
+            (key) => key !== 'loc' && this.isIdentifierUsed(node[key], name)
+        );
+    }
+
+    isRangeCall(node) {
+        const callee = node.type === 'CallExpression' && node.callee;
+        return (
+            !!callee &&
+            callee.type === 'MemberExpression' &&
+            callee.object.type === 'MemberExpression' &&
+            callee.object.object.name === '__pythonRuntime' &&
+            callee.property.name === 'range'
+        );
+    }
+
+    /**
+     * filbert 는 for 문을 임시 변수(__filbertRight)와 배열 검사 if 문으로 바꾼다.
+     * 이 모양이면 for x in iterable 의 x, iterable, 본문을 돌려준다.
+     */
+    getForLoop(component) {
+        const [declaration, ifStatement] = component.body;
+        const declarator = declaration && declaration.declarations && declaration.declarations[0];
+        if (
+            component.body.length !== 2 ||
+            !declarator ||
+            !/^__filbertRight\d+$/.test(declarator.id.name) ||
+            !ifStatement ||
+            ifStatement.type !== 'IfStatement'
+        ) {
+            return;
+        }
+        const forIn = ifStatement.alternate && ifStatement.alternate.body[0];
+        if (!forIn || forIn.type !== 'ForInStatement') {
+            return;
+        }
+        return { left: forIn.left, iterable: declarator.init, body: forIn.body };
+    }
+
+    /**
+     * filbert 는 a, b = 1, 2 를 튜플 임시 변수(__filbertTmp)와 각 변수의 대입으로 바꾼다.
+     */
+    getTupleAssignment(component) {
+        const [declaration, ...assignments] = component.body;
+        const declarator = declaration && declaration.declarations && declaration.declarations[0];
+        if (!declarator || !/^__filbertTmp\d+$/.test(declarator.id.name)) {
+            return;
+        }
+        const init = declarator.init;
+        const isTuple = init.type === 'NewExpression' && this.isTupleCallee(init.callee);
+        const lefts = assignments.map((statement) =>
+            statement.type === 'VariableDeclaration'
+                ? statement.declarations[0].id
+                : statement.expression.left
+        );
+        return { lefts, rights: isTuple ? init.arguments : null, node: component };
+    }
+
+    isTupleCallee(callee) {
+        return callee.type === 'MemberExpression' && callee.property.name === 'tuple';
+    }
+
+    isListComprehension(node) {
+        const callee = node && node.type === 'CallExpression' && node.callee;
+        const declaration = callee && callee.type === 'FunctionExpression' && callee.body.body[0];
+        return (
+            !!declaration &&
+            declaration.type === 'VariableDeclaration' &&
+            /^__tmpList\d+$/.test(declaration.declarations[0].id.name)
+        );
+    }
+
     assert(data, keyword, errorNode, message, subject) {
         if (data) {
             return;
@@ -1121,6 +1453,7 @@ Entry.PyToBlockParser = class {
             if (n.operator != '=') {
                 return;
             }
+            this.assert(!this.isListComprehension(right), '', n, 'NO_LIST_COMPREHENSION', 'LIST');
 
             if (right.type === 'NewExpression' && right.callee.property.name == 'list') {
                 type = 'lists_';
@@ -1140,6 +1473,13 @@ Entry.PyToBlockParser = class {
                 });
 
                 array = temp;
+            } else if (right.type === 'NewExpression' && right.callee.property.name == 'dict') {
+                // {"key": value} 는 [key, value] 배열들을 인자로 받는다.
+                type = 'dicts_';
+                array = right.arguments.map(({ elements: [key, data] }) => ({
+                    key: String(this.getValue(key)),
+                    data: this.getValue(data),
+                }));
             } else {
                 value = this.getValue(right);
             }
@@ -1179,7 +1519,7 @@ Entry.PyToBlockParser = class {
                 const existVar = this.variableExist(name, type);
 
                 if (existVar) {
-                    if (type == 'lists_') {
+                    if (type == 'lists_' || type == 'dicts_') {
                         existVar.array_ = obj.array;
                         return;
                     }
@@ -1227,6 +1567,11 @@ Entry.PyToBlockParser = class {
                 type: 'length_of_list',
                 params: [undefined, param.params[0]],
             };
+        } else if (param.type === 'get_dict') {
+            return {
+                type: 'length_of_dict',
+                params: [param.params[0]],
+            };
         } else {
             // array len
             return {
@@ -1282,6 +1627,14 @@ Entry.PyToBlockParser = class {
     }
 
     ['__pythonRuntime.ops.in'](component) {
+        const container = this.Node(component.arguments[1]);
+        if (container && container.type === 'get_dict') {
+            // "key in dict"
+            return {
+                type: 'is_key_in_dict',
+                params: this.Arguments('is_key_in_dict', component.arguments),
+            };
+        }
         // "10 in list"
         return {
             type: 'is_included_in_list',
@@ -1398,11 +1751,11 @@ Entry.PyToBlockParser = class {
 
     /**
      * Not Supported
+     * 클래스는 엔트리 블록으로 나타낼 수 없어 줄 번호와 함께 변환 오류를 낸다.
      */
 
     ClassDeclaration(component) {
-        const funcName = this.Node(component.id);
-        this.assert(false, funcName, component, 'NO_OBJECT', 'OBJECT');
+        this.assert(false, component.id.name, component, 'NO_CLASS', 'GENERAL');
     }
 
     // RegExp(component) {};
@@ -0,0 +1,306 @@
+'use strict';
+
+const NAME = '[A-Za-z_\\u0080-\\uffff][\\w\\u0080-\\uffff]*';
+const TOKEN_REGEX = new RegExp(
+    `\\s+|#.*$|"(?:[^"\\\\]|\\\\.)*"?|'(?:[^'\\\\]|\\\\.)*'?|(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?|${NAME}|\\*\\*=?|//=?|[=!<>]=|[-+*/%]=|\\S`,
+    'gi'
+);
+const NAME_REGEX = new RegExp(`^${NAME}`);
+const DEF_REGEX = new RegExp(`^def\\s+(${NAME})\\s*\\((.*)\\)\\s*:$`);
+const FOR_RANGE_REGEX = new RegExp(`^for\\s+(${NAME})\\s+in\\s+range\\s*\\((.*)\\)\\s*:$`);
+const FOR_IN_REGEX = new RegExp(`^for\\s+(${NAME})\\s+in\\s+(.*):$`);
+const ASSIGNMENT_REGEX = new RegExp(`^(${NAME})\\s*=[^=]`);
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = [')', ']', '}'];
+const KEYWORDS = new Map([
+    ['True', 'true'],
+    ['False', 'false'],
+    ['None', 'null'],
+    ['and', '&&'],
+    ['or', '||'],
+]);
+// not 의 범위가 끝나는 token
+const NOT_TERMINATORS = ['and', 'or', ',', ':', ...CLOSERS];
+
+const tokenize = (code) =>
+    (code.match(TOKEN_REGEX) || []).map((value) => {
+        if (/^\s/.test(value)) {
+            return { type: 'space', value };
+        } else if (value[0] === '#') {
+            return { type: 'comment', value };
+        } else if (value[0] === '"' || value[0] === "'") {
+            return { type: 'string', value };
+        } else if (NAME_REGEX.test(value)) {
+            return { type: 'name', value };
+        }
+        return { type: /^\.?\d/.test(value) ? 'number' : 'op', value };
+    });
+
+/**
+ * @return {number} index 의 여는 괄호와 짝이 맞는 닫는 괄호의 index
+ */
+const findClosing = (tokens, index) => {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+        const { type, value } = tokens[i];
+        if (type !== 'op') {
+            continue;
+        } else if (OPENERS[value]) {
+            depth++;
+        } else if (CLOSERS.includes(value) && --depth === 0) {
+            return i;
+        }
+    }
+    return tokens.length;
+};
+
+/**
+ * @return {Array<number>} start 와 end 사이에서 괄호 밖에 있는 value token 의 index
+ */
+const findTopLevel = (tokens, start, end, value) => {
+    const indexes = [];
+    for (let i = start; i < end; i++) {
+        const token = tokens[i];
+        if (token.type !== 'op') {
+            continue;
+        } else if (OPENERS[token.value]) {
+            i = findClosing(tokens, i);
+        } else if (token.value === value) {
+            indexes.push(i);
+        }
+    }
+    return indexes;
+};
+
+const nextSignificant = (tokens, index) => {
+    for (let i = index; i < tokens.length; i++) {
+        if (tokens[i].type !== 'space') {
+            return i;
+        }
+    }
+    return tokens.length;
+};
+
+const splitComment = (line) => {
+    const tokens = tokenize(line);
+    const comment = tokens.find(({ type }) => type === 'comment');
+    const code = tokens
+        .filter((token) => token !== comment)
+        .map(({ value }) => value)
+        .join('')
+        .trim();
+    return { code, comment: comment && `//${comment.value.slice(1)}` };
+};
+
+/**
+ * BlockToPyParser 가 만든 파이썬 코드를 같은 블록을 나타내는 자바스크립트 코드로 바꾼다.
+ * 블록의 함수 이름과 인자(Entry.add_x(10), len(list) 등)는 파이썬 모드와 같고 문법만 바꾼다.
+ * - def when_start(): → when_start(() => { ... });
+ * - def when_press_key("a"): → when_press_key("a", () => { ... });
+ * - def 함수(param1): → function 함수(param1) { ... }
+ * - if/elif/else, while, for i in range(n), for x in list → 중괄호 문법
+ * - True/False/None, and/or/not, a[b:c], (a // b) → true/false/null, &&/||/!, a.slice(b, c), Math.floor(a / b)
+ * - 맨 위에서 처음 값을 넣는 변수는 let 으로 선언한다.
+ * 주석(# → //)과 annotation(#@ → //@)은 그대로 옮기므로 JsToPyConverter 로 다시 바꿀 수 있다.
+ */
+class PyToJsConverter {
+    /**
+     * @param {string} text 파이썬 코드
+     * @param {Object=} options
+     * @param {boolean=} options.closeBlocks 끝까지 열려 있는 블록을 닫는다.
+     *  블록 메뉴의 템플릿처럼 여는 줄만 필요하면 false
+     * @return {string}
+     */
+    convert(text, { closeBlocks = true } = {}) {
+        const result = [];
+        const blocks = [];
+        const declared = new Set();
+        let blankCount = 0;
+
+        text.split('\n').forEach((rawLine) => {
+            const line = rawLine.replace(/\t/g, '    ');
+            if (!line.trim()) {
+                blankCount++;
+                return;
+            }
+            const indent = line.search(/\S/);
+            const { code, comment } = splitComment(line);
+            const isContinuation = /^(elif\b|else\s*:)/.test(code);
+
+            while (blocks.length && blocks[blocks.length - 1].indent >= indent) {
+                const block = blocks.pop();
+                if (isContinuation && block.indent === indent) {
+                    break;
+                }
+                result.push(`${' '.repeat(block.indent)}${block.closer}`);
+            }
+            while (blankCount) {
+                result.push('');
+                blankCount--;
+            }
+
+            const { text: converted, closer } = this._convertStatement(
+                code,
+                blocks.length === 0 && indent === 0 ? declared : null
+            );
+            const suffix = comment ? `${converted ? ' ' : ''}${comment}` : '';
+            if (converted || suffix) {
+                result.push(`${' '.repeat(indent)}${converted}${suffix}`);
+            }
+            if (closer) {
+                blocks.push({ indent, closer });
+            }
+        });
+
+        if (closeBlocks) {
+            while (blocks.length) {
+                const block = blocks.pop();
+                result.push(`${' '.repeat(block.indent)}${block.closer}`);
+            }
+        }
+        return result.join('\n');
+    }
+
+    /**
+     * @param {string} code 주석을 뺀 한 줄
+     * @param {Set<string>=} declared 맨 위의 코드이면 let 으로 선언한 변수 이름
+     * @return {{ text: string, closer: string= }} closer 는 블록을 여는 줄이면 닫을 때 쓸 문자열
+     */
+    _convertStatement(code, declared) {
+        let match;
+        if (!code) {
+            return { text: '' };
+        } else if ((match = code.match(DEF_REGEX))) {
+            const [, name, params] = match;
+            if (Entry.TextCodingUtil.isEntryEventFuncByFullText(`def ${name}(`)) {
+                const args = params.trim() ? `${this.convertExpression(params)}, ` : '';
+                return { text: `${name}(${args}() => {`, closer: '});' };
+            }
+            return { text: `function ${name}(${params.trim()}) {`, closer: '}' };
+        } else if ((match = code.match(/^(if|elif|while)\s+(.*):$/))) {
+            const [, keyword, test] = match;
+            const condition = this._wrap(this.convertExpression(test));
+            const prefix = keyword === 'elif' ? '} else if' : keyword;
+            return { text: `${prefix} ${condition} {`, closer: '}' };
+        } else if (/^else\s*:$/.test(code)) {
+            return { text: '} else {', closer: '}' };
+        } else if ((match = code.match(FOR_RANGE_REGEX))) {
+            const [, name, args] = match;
+            const tokens = tokenize(args);
+            const commas = findTopLevel(tokens, 0, tokens.length, ',');
+            const [start, end] = commas.length
+                ? [tokens.slice(0, commas[0]), tokens.slice(commas[0] + 1)].map((part) =>
+                      this._convertTokens(part).trim()
+                  )
+                : ['0', this.convertExpression(args)];
+            return {
+                text: `for (let ${name} = ${start}; ${name} < ${end}; ${name}++) {`,
+                closer: '}',
+            };
+        } else if ((match = code.match(FOR_IN_REGEX))) {
+            const [, name, iterable] = match;
+            return {
+                text: `for (const ${name} of ${this.convertExpression(iterable)}) {`,
+                closer: '}',
+            };
+        } else if (code === 'pass') {
+            return { text: '' };
+        } else if (code === 'break' || code === 'continue') {
+            return { text: `${code};` };
+        } else if ((match = code.match(/^return\b\s*(.*)$/))) {
+            const value = match[1] ? ` ${this.convertExpression(match[1])}` : '';
+            return { text: `return${value};` };
+        }
+
+        const text = `${this.convertExpression(code)};`;
+        match = code.match(ASSIGNMENT_REGEX);
+        if (declared && match && !declared.has(match[1])) {
+            declared.add(match[1]);
+            return { text: `let ${text}` };
+        }
+        return { text };
+    }
+
+    /**
+     * @param {string} code 파이썬 식
+     * @return {string} 자바스크립트 식
+     */
+    convertExpression(code) {
+        return this._convertTokens(tokenize(code)).trim();
+    }
+
+    _wrap(condition) {
+        const tokens = tokenize(condition);
+        const isWrapped =
+            tokens.length &&
+            tokens[0].value === '(' &&
+            findClosing(tokens, 0) === tokens.length - 1;
+        return isWrapped ? condition : `(${condition})`;
+    }
+
+    _convertTokens(tokens) {
+        const output = [];
+        // 아직 닫지 않은 not 의 괄호 깊이
+        const nots = [];
+        let depth = 0;
+
+        const closeNots = () => {
+            while (nots.length && nots[nots.length - 1] === depth) {
+                nots.pop();
+                output.push(')');
+            }
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const { type, value } = tokens[i];
+            if (type === 'name' && value === 'not') {
+                const next = nextSignificant(tokens, i + 1);
+                const isGroup = tokens[next] && tokens[next].value === '(';
+                const after =
+                    isGroup && tokens[nextSignificant(tokens, findClosing(tokens, next) + 1)];
+                if (isGroup && (!after || NOT_TERMINATORS.includes(after.value))) {
+                    output.push('!');
+                } else {
+                    output.push('!(');
+                    nots.push(depth);
+                }
+                i = next - 1;
+            } else if (type === 'name' && KEYWORDS.has(value)) {
+                if (value === 'and' || value === 'or') {
+                    closeNots();
+                }
+                output.push(KEYWORDS.get(value));
+            } else if (type === 'op' && OPENERS[value]) {
+                const closing = findClosing(tokens, i);
+                const colons = value === '[' ? findTopLevel(tokens, i + 1, closing, ':') : [];
+                const quotients = value === '(' ? findTopLevel(tokens, i + 1, closing, '//') : [];
+                if (colons.length) {
+                    // a[b:c] → a.slice(b, c)
+                    const start = this._convertTokens(tokens.slice(i + 1, colons[0])).trim();
+                    const end = this._convertTokens(tokens.slice(colons[0] + 1, closing)).trim();
+                    output.push(`.slice(${start || 0}${end ? `, ${end}` : ''})`);
+                    i = closing;
+                    continue;
+                }
+                // (a // b) → Math.floor(a / b)
+                output.push(quotients.length ? 'Math.floor(' : value);
+                depth++;
+            } else if (type === 'op' && CLOSERS.includes(value)) {
+                closeNots();
+                depth--;
+                output.push(value);
+            } else if (type === 'op' && (value === ',' || value === ':')) {
+                closeNots();
+                output.push(value);
+            } else if (type === 'op' && value === '//') {
+                output.push('/');
+            } else {
+                output.push(value);
+            }
+        }
+        nots.forEach(() => output.push(')'));
+        return output.join('');
+    }
+}
+
+Entry.PyToJsConverter = PyToJsConverter;
@@ -110,6 +110,11 @@ class TextCodingUtil {
                 }
                 break;
             }
+            case 'dicts': {
+                const dict = Entry.variableContainer.getDict(id);
+                result = dict && dict.name_;
+                break;
+            }
             case 'messages': {
                 const entryMessages = Entry.variableContainer.messages_;
                 for (const messageKey in entryMessages) {
@@ -553,7 +558,8 @@ class TextCodingUtil {
         }
         return (
             this.validateVariable(vc.variables_ || [], 'v') ||
-            this.validateList(vc.lists_ || [], 'l')
+            this.validateList(vc.lists_ || [], 'l') ||
+            this.validateVariable(vc.dicts_ || [], 'v')
         );
     }
 
@@ -780,7 +786,7 @@ class TextCodingUtil {
             return;
         }
 
-        if (type === 'variable' || type === 'v') {
+        if (type === 'variable' || type === 'v' || type === 'dict') {
             return Lang.TextCoding[Entry.TextCodingError.ALERT_VARIABLE_EMPTY_TEXT_ADD_CHANGE];
         } else if (type === 'list' || type === 'l') {
             return Lang.TextCoding[Entry.TextCodingError.ALERT_LIST_EMPTY_TEXT_ADD_CHANGE];
@@ -962,6 +968,28 @@ class TextCodingUtil {
         return result;
     }
 
+    /**
+     * 사전은 모든 오브젝트에서 사용하므로 self 없이 선언한다.
+     * 예) scores = {"kim": 10, "lee": "A"}
+     */
+    generateDictsDeclaration() {
+        const vc = Entry.variableContainer;
+        if (!vc) {
+            return;
+        }
+
+        return (vc.dicts_ || [])
+            .map((dict) => {
+                const items = dict.getArray().map(({ key, data }) => {
+                    const value = typeof data === 'number' ? data : JSON.stringify(String(data));
+                    return `${JSON.stringify(key)}: ${value}`;
+                });
+                return `${dict.name_} = {${items.join(', ')}}\n`;
+            })
+            .reverse()
+            .join('');
+    }
+
     generateForStmtIndex(index, str) {
         str = str || '';
         const ref = ['i', 'j', 'k'];
@@ -977,6 +1005,33 @@ class TextCodingUtil {
         }
     }
 
+    /**
+     * 블록을 파이썬으로 바꿀 때 코드로 나타낼 수 없는 정보(스레드 위치, 주석 크기, 변환할 수 없는 블록)는
+     * '#@종류 JSON' 모양의 주석 한 줄로 남기고, 파이썬을 블록으로 바꿀 때 되살린다.
+     * @param type{string} thread, comment, blocks
+     * @param data{Object}
+     * @return {string}
+     */
+    makeAnnotation(type, data) {
+        return `#@${type} ${JSON.stringify(data)}`;
+    }
+
+    /**
+     * @param text{string} 한 줄
+     * @return {{type: string, data: Object}|undefined} annotation 이 아니거나 JSON 이 잘못되었으면 undefined
+     */
+    parseAnnotation(text) {
+        const [, type, json] = text.trim().match(/^#@(\w+) (.*)$/) || [];
+        if (!type) {
+            return;
+        }
+        try {
+            return { type, data: JSON.parse(json) };
+        } catch (e) {
+            return;
+        }
+    }
+
     /**
      * 함수명 템플릿에서 함수명을 추출한다.
      * 함수명은 아래의 규칙을 따른다.
@@ -61,6 +61,8 @@ Entry.init = function (container, options) {
     this.loadInterfaceState();
     this.overridePrototype();
     this.maxCloneLimit = 360;
+    // 함수 안에서 함수를 부를 수 있는 깊이
+    this.maxFunctionCallDepth = options.maxFunctionCallDepth || 500;
     this.cloudSavable = true;
     this.startTime = new Date().getTime();
 
@@ -207,6 +209,23 @@ Entry.initialize_ = function () {
         this.stateManager = new Entry.StateManager();
     }
     this.commander = new Entry.Commander(this.type, this.doNotSkipAny);
+    if (!this.options.debuggerDisable) {
+        this.blockDebugger = new Entry.BlockDebugger();
+    }
+    this.executionTrace = new Entry.ExecutionTrace();
+    if (this.options.executionTraceEnable) {
+        this.executionTrace.enable();
+    }
+    this.projectTester = new Entry.ProjectTester();
+    this.recordPanel = new Entry.RecordPanel();
+    if (!this.options.collaborationDisable) {
+        this.collaborationPanel = new Entry.Collaboration.Panel({
+            serverUrl: this.options.collaborationServerUrl,
+        });
+    }
+    if (!this.options.projectLinterDisable) {
+        this.projectLinter = new Entry.ProjectLinter();
+    }
 
     this.scene = new Entry.Scene();
     this._destroyer.add(this.scene);
@@ -421,6 +440,30 @@ Entry.createDom = function (container, type) {
             this.helper.generateView(this.containerView, type);
             this.propertyPanel.addMode('helper', this.helper);
 
+            if (this.projectLinter) {
+                this.projectLinter.generateView(this.containerView);
+                this.propertyPanel.addMode('linter', this.projectLinter);
+            }
+
+            if (this.blockDebugger) {
+                this.blockDebugger.generateView(this.containerView);
+                this.propertyPanel.addMode('debugger', this.blockDebugger);
+            }
+
+            this.executionTrace.generateView(this.containerView);
+            this.propertyPanel.addMode('trace', this.executionTrace);
+
+            this.projectTester.generateView(this.containerView);
+            this.propertyPanel.addMode('projectTest', this.projectTester);
+
+            this.recordPanel.generateView(this.containerView);
+            this.propertyPanel.addMode('record', this.recordPanel);
+
+            if (this.collaborationPanel) {
+                this.collaborationPanel.generateView(this.containerView);
+                this.propertyPanel.addMode('collaboration', this.collaborationPanel);
+            }
+
             const introView = Entry.createElement('div');
             container.appendChild(introView);
             this.introView = introView;
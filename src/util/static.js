@@ -113,6 +113,9 @@ Entry.STATIC = {
         toggleFuncUseLocalVariables: 1007,
         insertFuncLocalVariable: 1008,
         removeFuncLocalVariableByIndex: 1009,
+        funcLocalListChangeLength: 1010,
+        insertFuncLocalList: 1011,
+        removeFuncLocalListByIndex: 1012,
 
         createComment: 1201,
         removeComment: 1202,
@@ -175,6 +178,10 @@ Entry.STATIC = {
         variableSetName: 828,
         listSetName: 829,
         variableContainerClickMessageAddButton: 830,
+        variableContainerAddDict: 831,
+        variableContainerRemoveDict: 832,
+        dictSetName: 833,
+        dictSetVisibility: 834,
 
         dismissModal: 900,
 
@@ -9,6 +9,8 @@ import _throttle from 'lodash/throttle';
 import FontFaceOnload from 'fontfaceonload';
 import DataTable from '../class/DataTable';
 import entryModuleLoader from '../class/entryModuleLoader';
+import ProjectBundle from '../class/projectBundle';
+import ProjectSchema from '../class/projectSchema';
 import { bignumber, chain } from 'mathjs';
 import { Scheduler } from './scheduler';
 import { UAParser } from 'ua-parser-js';
@@ -38,6 +40,7 @@ Entry.loadProject = function (project) {
     if (!project) {
         project = Entry.getStartProject(Entry.mediaFilePath);
     }
+    project = ProjectSchema.prepare(project, { strict: !!this.options.strictProjectValidation });
     if (this.type === 'workspace') {
         Entry.stateManager.startIgnore();
     }
@@ -49,6 +52,7 @@ Entry.loadProject = function (project) {
     Entry.variableContainer.setFunctions(project.functions);
     DataTable?.setTables(project.tables);
     Entry.aiLearning?.load(project.learning);
+    Entry.projectTester?.load(project.tests);
     Entry.scene.addScenes(project.scenes);
     Entry.stage.initObjectContainers();
     Entry.container.setObjects(project.objects);
@@ -116,6 +120,11 @@ Entry.loadProject = function (project) {
                 mode.boardType = Entry.Workspace.MODE_VIMBOARD;
                 mode.textType = Entry.Vim.TEXT_TYPE_JS;
                 mode.runType = Entry.Vim.MAZE_MODE;
+            } else if (pMode == 3) {
+                // Javascript in Text Coding for workspace
+                mode.boardType = Entry.Workspace.MODE_VIMBOARD;
+                mode.textType = Entry.Vim.TEXT_TYPE_JS;
+                mode.runType = Entry.Vim.WORKSPACE_MODE;
             }
             Entry.getMainWS().setMode(mode);
         }
@@ -149,6 +158,8 @@ Entry.clearProject = function () {
         Entry.scene.clear();
         Entry.stateManager?.clear();
         DataTable?.clear();
+        Entry.projectTester?.load();
+        ProjectBundle.unload();
         GEHelper.resManager.clearProject();
         Entry.Loader && (Entry.Loader.loaded = false);
 
@@ -172,6 +183,8 @@ Entry.exportProject = function (project) {
     if (!Entry.engine.isState('stop')) {
         Entry.engine.toggleStop();
     }
+    // 실행 기록을 되돌려 보는 중이면 정지 직후의 상태로 돌린 뒤 저장한다.
+    Entry.executionTrace?.exitReplay();
     project.objects = Entry.container.toJSON();
     const objects = project.objects;
     project.scenes = Entry.scene.toJSON();
@@ -187,6 +200,10 @@ Entry.exportProject = function (project) {
     project.learning = Entry.aiLearning?.toJSON();
     project.externalModules = entryModuleLoader.moduleList;
     project.externalModulesLite = entryModuleLoader.moduleListLite;
+    project.schemaVersion = ProjectSchema.CURRENT_VERSION;
+    if (Entry.projectTester?.cases.length) {
+        project.tests = Entry.projectTester.toJSON();
+    }
 
     if (!objects || !objects.length) {
         return false;
@@ -195,6 +212,23 @@ Entry.exportProject = function (project) {
     return project;
 };
 
+/**
+ * 모양, 소리, 글꼴, 데이터 테이블, 학습 모델을 포함한 오프라인 묶음(zip) 파일로 내보낸다.
+ * @param {Object=} options ProjectBundle.export 옵션
+ * @return {Promise<Blob>}
+ */
+Entry.exportProjectBundle = function (options) {
+    return ProjectBundle.export(null, options);
+};
+
+/**
+ * Entry.exportProjectBundle 로 만든 묶음 파일을 불러온다.
+ * @param {Blob|ArrayBuffer|Uint8Array} file
+ */
+Entry.loadProjectBundle = function (file) {
+    return ProjectBundle.load(file);
+};
+
 /**
  * inject blocks to Entry menu.
  * Available block is different by object type.
@@ -2149,6 +2183,10 @@ Entry.Utils.stopProjectWithToast = _throttle(
             } else if (scope.funcExecutor) {
                 block = scope.funcExecutor.scope.block;
                 Entry.Func.edit(scope.type);
+            } else if (message === 'RecursionLimitError' && block) {
+                // 함수를 부르는 블록이 함수 안에 있으면 그 함수를 열어서 보여준다.
+                const func = Entry.variableContainer.getFunctionByBlockId(block.id);
+                func && Entry.Func.edit(func);
             }
 
             if (block) {
@@ -2169,7 +2207,18 @@ Entry.Utils.stopProjectWithToast = _throttle(
             );
             Entry.engine.hideAllAudioPanel();
         }
-        if (message === 'OfflineError' && Entry.toast) {
+        if (message === 'RecursionLimitError' && Entry.toast) {
+            const name = _.result(error.func, 'description', '').trim();
+            Entry.toast.alert(
+                Lang.Workspace.RecursiveCallWarningTitle,
+                Entry.Utils.stringFormat(
+                    Lang.Workspace.function_call_depth_exceeded,
+                    name,
+                    Entry.maxFunctionCallDepth
+                ),
+                true
+            );
+        } else if (message === 'OfflineError' && Entry.toast) {
             Entry.toast.alert(
                 Lang.Msgs.warn,
                 toast || [
@@ -2218,6 +2267,18 @@ Entry.Utils.OfflineError = function (message, toast) {
 Entry.Utils.OfflineError.prototype = new Error();
 Entry.Utils.OfflineError.prototype.constructor = Entry.Utils.OfflineError;
 
+/**
+ * 함수를 부르는 깊이가 Entry.maxFunctionCallDepth 를 넘었을 때
+ * @param {Entry.Func} func 마지막으로 부르려던 함수
+ */
+Entry.Utils.RecursionLimitError = function (func) {
+    this.name = 'RecursionLimitError';
+    this.message = `function call depth exceeded ${Entry.maxFunctionCallDepth}`;
+    this.func = func;
+};
+Entry.Utils.RecursionLimitError.prototype = new Error();
+Entry.Utils.RecursionLimitError.prototype.constructor = Entry.Utils.RecursionLimitError;
+
 Entry.Utils.isChrome = function () {
     return /chrom(e|ium)/.test(navigator.userAgent.toLowerCase());
 };
@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * 오프라인 프로젝트 묶음 파일에서 사용하는 최소한의 zip 읽기/쓰기.
+ * 쓰기는 압축하지 않는(stored) 방식만 지원한다. 이미지와 소리는 이미 압축된 형식이라 손해가 적다.
+ * 읽기는 stored 와, 브라우저가 DecompressionStream 을 지원하면 deflate 도 처리한다.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+const toBytes = (data) => {
+    if (typeof data === 'string') {
+        return new TextEncoder().encode(data);
+    } else if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    return data;
+};
+
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * @param {Array<{name: string, data: (string|ArrayBuffer|Uint8Array)}>} files
+ * @param {Date=} date 모든 항목에 기록할 수정 시각
+ * @return {Uint8Array}
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date: dosDate } = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const bytes = toBytes(data);
+        const crc = crc32(bytes);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_FILE_HEADER, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, UTF8_FLAG, true);
+        local.setUint16(8, METHOD_STORE, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, bytes.length, true);
+        local.setUint32(22, bytes.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, UTF8_FLAG, true);
+        central.setUint16(10, METHOD_STORE, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, bytes.length, true);
+        central.setUint32(24, bytes.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), nameBytes, bytes);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+        offset += 30 + nameBytes.length + bytes.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const result = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach((part) => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+}
+
+const inflateRaw = async (bytes) => {
+    const { DecompressionStream } = window;
+    if (!DecompressionStream) {
+        throw new Error('deflate compressed zip entries are not supported in this browser');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @return {Promise<Map<string, Uint8Array>>} 경로별 파일 내용. 디렉토리 항목은 제외된다.
+ */
+export async function readZip(buffer) {
+    const bytes = toBytes(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    let endOffset = bytes.length - 22;
+    while (endOffset >= 0 && view.getUint32(endOffset, true) !== END_OF_CENTRAL_DIRECTORY) {
+        endOffset--;
+    }
+    if (endOffset < 0) {
+        throw new Error('Invalid zip file');
+    }
+
+    const count = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new Error('Invalid zip central directory');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) {
+            continue;
+        }
+
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === METHOD_STORE) {
+            entries.set(name, data);
+        } else if (method === METHOD_DEFLATE) {
+            entries.set(name, await inflateRaw(data));
+        } else {
+            throw new Error(`Unsupported zip compression method: ${method}`);
+        }
+    }
+    return entries;
+}
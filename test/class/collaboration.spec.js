@@ -0,0 +1,160 @@
+const listeners = {};
+global.Entry = {
+    addEventListener: (name, listener) => (listeners[name] = listeners[name] || []).push(listener),
+    removeEventListener: (name, listener) =>
+        (listeners[name] = (listeners[name] || []).filter((item) => item !== listener)),
+    dispatchEvent: (name, ...args) => (listeners[name] || []).forEach((fn) => fn(...args)),
+    createElement: (type) => document.createElement(type),
+    Utils: { stringFormat: (text, ...args) => text.replace(/{(\d)}/g, (_m, i) => args[i]) },
+};
+global.Lang = {
+    Workspace: {
+        collaboration_join: 'join',
+        collaboration_leave: 'leave',
+        collaboration_not_joined: 'not joined',
+        collaboration_joined: '{0}: {1}',
+        collaboration_me: 'me',
+    },
+};
+Object.assign(HTMLElement.prototype, {
+    addClass(className) {
+        this.className = className;
+        return this;
+    },
+    appendTo(parent) {
+        parent.appendChild(this);
+        return this;
+    },
+    bindOnClick(callback) {
+        this.addEventListener('click', callback);
+        return this;
+    },
+});
+require('../../src/class/collaboration');
+
+const INSERT_BLOCK = 104;
+
+/**
+ * 같은 방의 참여자에게 메시지를 바로 전달하는 전송 계층
+ */
+const createRoom = () => {
+    const members = new Set();
+    return () => {
+        let listener;
+        const transport = {
+            send: (message) =>
+                members.forEach((member) => member !== transport && member.receive(message)),
+            onMessage: (fn) => {
+                listener = fn;
+                members.add(transport);
+                return () => members.delete(transport);
+            },
+            receive: (message) => listener(JSON.parse(JSON.stringify(message))),
+        };
+        return transport;
+    };
+};
+
+const createCode = (objectId, json) => ({
+    object: { id: objectId },
+    json,
+    toJSON() {
+        return this.json;
+    },
+    load: jest.fn(function (json) {
+        this.json = json;
+    }),
+    changeEvent: { notify: () => {} },
+});
+
+let code;
+
+beforeEach(() => {
+    code = createCode('o1', [[{ id: 'a', type: 'move_x' }]]);
+    Object.assign(Entry, {
+        generateHash: () => Math.random().toString(36).substr(2, 4),
+        do: jest.fn(),
+        commander: {
+            addReporter: () => {},
+            removeReporter: () => {},
+            doEvent: { attach: (obj, fn) => fn.bind(obj), detach: () => {} },
+        },
+        container: {
+            getObject: (id) => (id === 'o1' ? { id, script: code } : null),
+            getAllObjects: () => [{ id: 'o1', script: code }],
+        },
+        engine: { isState: (state) => state === 'stop' },
+        getMainWS: () => ({ board: { code } }),
+        STATIC: {
+            COMMAND_TYPES: { do: 1, undo: 2, redo: 3, insertBlock: INSERT_BLOCK },
+            getCommandName: (type) => (type === INSERT_BLOCK ? 'insertBlock' : ''),
+        },
+    });
+});
+
+test('새 참여자는 다른 참여자의 코드를 받아 맞추고, 나가면 참여자 목록에서 빠진다', () => {
+    const connect = createRoom();
+    const first = new Entry.Collaboration({ transport: connect(), clientId: 'a' }).start();
+    const second = new Entry.Collaboration({ transport: connect(), clientId: 'b' });
+    const changed = jest.fn();
+    Entry.addEventListener('collaborationChanged', changed);
+
+    second.start();
+    expect(code.load).toHaveBeenCalledWith([[{ id: 'a', type: 'move_x' }]]);
+    expect([...first.participants]).toEqual(['b']);
+    expect([...second.participants]).toEqual(['a']);
+
+    second.stop();
+    expect(first.participants.size).toBe(0);
+    expect(changed).toHaveBeenCalled();
+    first.stop();
+});
+
+test('보드에서 실행한 블록 명령은 실행 전 코드가 같은 참여자에게 다시 실행된다', () => {
+    const connect = createRoom();
+    const first = new Entry.Collaboration({ transport: connect(), clientId: 'a' }).start();
+    const second = new Entry.Collaboration({ transport: connect(), clientId: 'b' }).start();
+
+    first.add([INSERT_BLOCK, ['block', 'a'], ['target', 'b']]);
+    first._handleDo(INSERT_BLOCK);
+    expect(Entry.do).toHaveBeenCalledWith(INSERT_BLOCK, 'a', 'b');
+
+    first.stop();
+    second.stop();
+});
+
+test('함께 만들기 탭에서 방에 참여하고 나갈 수 있다', () => {
+    const channels = [];
+    window.BroadcastChannel = class {
+        constructor(name) {
+            this.name = name;
+            this.sent = [];
+            channels.push(this);
+        }
+        postMessage(message) {
+            this.sent.push(message);
+        }
+        addEventListener(name, handler) {
+            this.handler = handler;
+        }
+        removeEventListener() {}
+        close() {}
+    };
+    Entry.projectId = 'p1';
+    const panel = new Entry.Collaboration.Panel();
+    panel.generateView(document.body);
+    const button = panel.getView().querySelector('button');
+
+    button.click();
+    const [channel] = channels;
+    expect(channel.name).toBe('entry-collaboration:p1');
+    expect(channel.sent[0].type).toBe('hello');
+    channel.handler({ data: { type: 'hello', clientId: 'other' } });
+    expect(panel.getView().querySelector('.entryCollaborationStatus').textContent).toBe('p1: 1');
+    expect(panel.getView().querySelectorAll('li')).toHaveLength(2);
+
+    button.click();
+    expect(channel.sent.pop().type).toBe('bye');
+    expect(Entry.collaboration).toBe(null);
+    expect(button.textContent).toBe('join');
+});
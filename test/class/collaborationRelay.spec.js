@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+import CollaborationRelayServer from '../../src/class/collaboration/relayServer';
+
+const createSocket = () => {
+    const handlers = {};
+    return {
+        readyState: 1,
+        sent: [],
+        on: (name, handler) => (handlers[name] = handler),
+        send(text) {
+            this.sent.push(JSON.parse(text));
+        },
+        receive: (message) => handlers.message(Buffer.from(JSON.stringify(message))),
+        close: () => handlers.close(),
+    };
+};
+
+const connect = (server, room) => {
+    const socket = createSocket();
+    server.handleConnection(socket, { url: `/collaboration?room=${room}` });
+    return socket;
+};
+
+test('받은 메시지는 같은 방의 다른 접속에만 전달한다', () => {
+    const server = new CollaborationRelayServer();
+    const [a, b, other] = [connect(server, 'p1'), connect(server, 'p1'), connect(server, 'p2')];
+
+    a.receive({ type: 'hello', clientId: 'a' });
+    expect(b.sent).toEqual([{ type: 'hello', clientId: 'a' }]);
+    expect(a.sent).toEqual([]);
+    expect(other.sent).toEqual([]);
+
+    b.readyState = 3;
+    a.receive({ type: 'command', clientId: 'a' });
+    expect(b.sent).toHaveLength(1);
+});
+
+test('bye 없이 끊긴 접속은 대신 bye 를 보내고, 빈 방은 지운다', () => {
+    const server = new CollaborationRelayServer();
+    const [a, b, c] = [connect(server, 'p1'), connect(server, 'p1'), connect(server, 'p1')];
+    a.receive({ type: 'hello', clientId: 'a' });
+    b.receive({ type: 'hello', clientId: 'b' });
+    b.receive({ type: 'bye', clientId: 'b' });
+
+    a.close();
+    b.close();
+    expect(c.sent).toEqual([
+        { type: 'hello', clientId: 'a' },
+        { type: 'hello', clientId: 'b' },
+        { type: 'bye', clientId: 'b' },
+        { type: 'bye', clientId: 'a' },
+    ]);
+
+    c.close();
+    expect(server.rooms.size).toBe(0);
+});
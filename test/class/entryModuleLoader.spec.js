@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+global.Entry = {};
+global.Lang = { type: 'ko', fallbackType: 'en', template: {}, Helper: {}, Device: {}, Menus: {} };
+global.EntryStatic = {
+    colorSet: {
+        block: { default: { HARDWARE: '#00b6b1' }, darken: { HARDWARE: '#008380' } },
+        arrow: { default: { HARDWARE: '#fff' } },
+    },
+};
+const moduleLoader = require('../../src/class/entryModuleLoader').default;
+
+const YAML_DEFINITION = `
+id: FF0101
+name: SampleLite
+title:
+    ko: 샘플
+    en: Sample
+ports:
+    light: { type: input }
+    led: { type: output, max: 255 }
+packet:
+    receive: { header: [255, 85], fields: [light] }
+    send: { header: [255, 85], fields: [led] }
+blocks:
+    - { name: light, type: reporter, template: 밝기, get: light }
+`;
+
+const createFile = (name, text) => ({ name, text: async () => text });
+
+beforeEach(() => {
+    Entry.block = {};
+    Entry.HARDWARE_LITE_LIST = {};
+    Entry.getMainWS = () => undefined;
+    Entry.hwLite = { banClassAllHardwareLite: jest.fn(), setExternalModule: jest.fn() };
+    moduleLoader.moduleListLite = [];
+});
+
+test('YAML 로 작성한 모듈 정의로 블록을 등록한다', async () => {
+    await Entry.loadLiteTestModule(createFile('sample.yml', YAML_DEFINITION), '');
+
+    const [moduleObject] = Entry.hwLite.setExternalModule.mock.calls[0];
+    expect(moduleObject.title).toEqual({ ko: '샘플', en: 'Sample' });
+    expect(Entry.HARDWARE_LITE_LIST.FF0101).toBe(moduleObject);
+    expect(Entry.block.samplelite_light.skeleton).toBe('basic_string_field');
+    expect(Lang.template.samplelite_light).toBe('밝기');
+});
+
+test('작품에 저장한 선언형 모듈은 작품을 불러올 때 다시 등록한다', async () => {
+    await moduleLoader.registerHardwareLiteDefinition(YAML_DEFINITION);
+    const project = JSON.parse(
+        JSON.stringify({ externalModulesLite: moduleLoader.moduleListLite })
+    );
+    expect(project.externalModulesLite[0].id).toBe('FF0101');
+
+    Entry.block = {};
+    Entry.hwLite.setExternalModule.mockClear();
+    await Entry.loadLiteExternalModules(project);
+
+    expect(Entry.hwLite.setExternalModule).toHaveBeenCalledTimes(1);
+    expect(Entry.hwLite.setExternalModule.mock.calls[0][0].blockMenuBlocks).toEqual([
+        'samplelite_light',
+    ]);
+    expect(Entry.block.samplelite_light).toBeDefined();
+});
@@ -0,0 +1,179 @@
+global._ = require('lodash');
+
+const svgGroup = () => {
+    const classes = new Set();
+    return {
+        classes,
+        addClass: (name) => classes.add(name),
+        removeClass: (name) => classes.delete(name),
+    };
+};
+
+class Block {
+    constructor(json, board) {
+        Object.assign(this, { board, json, id: json.id, type: json.type, _schema: {} });
+        this.view = { getBoard: () => board, svgGroup: svgGroup() };
+    }
+
+    getBlockType() {
+        return 'basic';
+    }
+
+    isDeletable() {
+        return true;
+    }
+
+    isCopyable() {
+        return true;
+    }
+
+    toJSON() {
+        return _.cloneDeep(this.json);
+    }
+
+    targetPointer() {
+        return ['pointer', this.id];
+    }
+}
+
+class Thread {
+    constructor(blocksJSON, board) {
+        this.blocks = blocksJSON.map((json) => new Block(json, board));
+        this.blocks.forEach((block) => (block.thread = this));
+    }
+
+    getBlocks() {
+        return this.blocks;
+    }
+
+    toJSON(isNew, block) {
+        return this.blocks.slice(this.blocks.indexOf(block)).map((item) => item.toJSON());
+    }
+}
+
+let paramCount = 0;
+class Func {
+    static isEdit = false;
+
+    static requestParamBlock() {
+        return `stringParam_p${++paramCount}`;
+    }
+
+    constructor({ content }) {
+        this.id = 'f1';
+        this.content = JSON.parse(content);
+    }
+
+    generateBlock() {}
+}
+
+global.Entry = {
+    Thread,
+    Block,
+    Func,
+    block: {},
+    Utils: {
+        generateId: () => 'call',
+        stringFormat: (text, ...args) => text.replace(/{(\d)}/g, (_m, i) => args[i]),
+    },
+};
+global.Lang = { Workspace: { extract_function_name: 'func{0}' } };
+require('../../src/class/functionExtractor');
+
+const number = (value) => ({ type: 'number', params: [value] });
+const getVariable = (id) => ({ type: 'get_variable', params: [id] });
+
+let board;
+
+beforeEach(() => {
+    paramCount = 0;
+    board = { readOnly: false, findById: () => null };
+    Object.assign(Entry, {
+        functionEnable: true,
+        getMainWS: () => ({ board }),
+        variableContainer: { functions_: {}, saveFunction: jest.fn() },
+        do: jest.fn(() => ({ isPass: () => {} })),
+    });
+});
+
+const createThread = () =>
+    new Thread(
+        [
+            { id: 'a', type: 'move_x', params: [number(10)] },
+            {
+                id: 'b',
+                type: 'repeat_while_true',
+                params: [
+                    {
+                        type: 'boolean_basic_operator',
+                        params: [getVariable('x'), 'LESS', number(10)],
+                    },
+                ],
+                statements: [[{ id: 'c', type: 'wait_second', params: [number(1)] }]],
+            },
+            { id: 'd', type: 'move_y', params: [getVariable('x')] },
+            { id: 'e', type: 'move_x', params: [number(5)] },
+        ],
+        board
+    );
+
+test('시작 블록부터 끝 블록까지 함수로 만들고, 변수 값 블록은 함수 안에 그대로 둔다', () => {
+    const [start, , end, rest] = createThread().getBlocks();
+
+    const func = Entry.FunctionExtractor.extract(start, end);
+    const [[definition, ...body]] = func.content;
+
+    expect(body.map(({ type }) => type)).toEqual(['move_x', 'repeat_while_true', 'move_y']);
+    expect(definition.params[0]).toEqual({
+        type: 'function_field_label',
+        params: [
+            'func1',
+            {
+                type: 'function_field_string',
+                params: [
+                    { type: 'stringParam_p1' },
+                    { type: 'function_field_string', params: [{ type: 'stringParam_p2' }] },
+                ],
+            },
+        ],
+    });
+    // 10 은 하나의 인자를 같이 쓰고, 1 은 두 번째 인자가 된다.
+    expect(body[0].params[0]).toEqual({ type: 'stringParam_p1' });
+    expect(body[1].params[0].params).toMatchObject([
+        getVariable('x'),
+        'LESS',
+        { type: 'stringParam_p1' },
+    ]);
+    expect(body[2].params[0]).toMatchObject(getVariable('x'));
+
+    const [, [, callBlocks, pointer]] = Entry.do.mock.calls;
+    expect(callBlocks.map(({ type }) => type)).toEqual(['func_f1', 'move_x']);
+    expect(callBlocks[0].params).toMatchObject([number(10), number(1), null]);
+    expect(callBlocks[1]).toEqual(rest.toJSON());
+    expect(pointer).toEqual(['pointer', 'a']);
+});
+
+test('블록 메뉴에서 표시한 시작 블록은 같은 스레드의 아래 블록에서만 범위가 된다', () => {
+    const [a, b, c] = createThread().getBlocks();
+    const other = createThread().getBlocks()[2];
+    const extractor = Entry.FunctionExtractor;
+
+    extractor.setRangeStart(b);
+    expect(b.view.svgGroup.classes.has('extractRangeStart')).toBe(true);
+    expect(extractor.getRangeStart(c)).toBe(b);
+    expect(extractor.getRangeStart(a)).toBe(null);
+    expect(extractor.getRangeStart(b)).toBe(null);
+    expect(extractor.getRangeStart(other)).toBe(null);
+
+    extractor.extract(extractor.getRangeStart(c), c);
+    expect(extractor.rangeStartBlock).toBe(null);
+    expect(b.view.svgGroup.classes.has('extractRangeStart')).toBe(false);
+});
+
+test('블록 밖의 반복을 멈추는 블록이 있으면 함수로 만들지 않는다', () => {
+    const thread = new Thread([{ id: 'a', type: 'stop_repeat', params: [] }], board);
+    const [block] = thread.getBlocks();
+
+    expect(Entry.FunctionExtractor.canExtract(block)).toBe(false);
+    expect(Entry.FunctionExtractor.extract(block)).toBe(null);
+});
@@ -0,0 +1,79 @@
+/**
+ * @jest-environment node
+ */
+import HardwareConnectionHealth from '../../src/class/hardware/hardwareConnectionHealth';
+
+let now;
+let health;
+
+// INFO : jest 24 의 가짜 타이머는 Date.now 를 바꾸지 않으므로 같이 움직인다.
+const advance = (time) => {
+    for (let elapsed = 0; elapsed < time; elapsed += 100) {
+        now += 100;
+        jest.advanceTimersByTime(100);
+    }
+};
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    health = new HardwareConnectionHealth();
+});
+
+afterEach(() => {
+    health.stop();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+});
+
+test('heartbeat 가 없는 모듈은 연결 상태를 확인하지 않는다', () => {
+    const onLost = jest.fn();
+    health.start(undefined, { onLost });
+
+    advance(10000);
+    expect(health.isRunning()).toBe(false);
+    expect(onLost).not.toHaveBeenCalled();
+});
+
+test('주기마다 request 를 보내고, 데이터를 받는 동안은 끊긴 것으로 보지 않는다', () => {
+    const send = jest.fn();
+    const onLost = jest.fn();
+    health.start({ timeout: 3000, interval: 1000, request: () => [0xf9] }, { send, onLost });
+
+    for (let count = 0; count < 5; count++) {
+        advance(1000);
+        health.markReceived();
+    }
+    expect(send).toHaveBeenCalledTimes(5);
+    expect(send).toHaveBeenLastCalledWith([0xf9]);
+    expect(health.getLastReceivedAt()).toBe(5000);
+    expect(onLost).not.toHaveBeenCalled();
+});
+
+test('timeout 동안 받은 데이터가 없으면 onLost 를 한 번 부르고 멈춘다', () => {
+    const onLost = jest.fn();
+    health.start({ timeout: 500, interval: 1000 }, { onLost });
+
+    advance(500);
+    expect(onLost).not.toHaveBeenCalled();
+    advance(500);
+    expect(onLost).toHaveBeenCalledTimes(1);
+    expect(health.isRunning()).toBe(false);
+
+    advance(5000);
+    expect(onLost).toHaveBeenCalledTimes(1);
+});
+
+test('다시 시작하면 이전 확인은 멈추고 받은 시간을 새로 센다', () => {
+    const onLost = jest.fn();
+    health.start({ timeout: 1000 }, { onLost });
+    advance(900);
+
+    health.start({ timeout: 1000 }, { onLost });
+    advance(900);
+    expect(onLost).not.toHaveBeenCalled();
+    // 확인은 interval 마다 하므로 timeout 이 지난 다음 확인에서 끊긴 것을 안다.
+    advance(1100);
+    expect(onLost).toHaveBeenCalledTimes(1);
+});
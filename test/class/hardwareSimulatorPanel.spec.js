@@ -0,0 +1,98 @@
+import HardwareSimulatorPanel from '../../src/class/hardware/hardwareSimulatorPanel';
+
+const { TextEncoder, TextDecoder } = require('util');
+
+Object.assign(global, { TextEncoder, TextDecoder });
+global.Entry = {
+    createElement: (type) => document.createElement(type),
+    propertyPanel: { select: jest.fn() },
+    toast: { alert: jest.fn() },
+};
+global.Lang = {
+    Workspace: {
+        hw_simulator_sensors: 'sensors',
+        hw_simulator_outputs: 'outputs',
+        hw_simulator_script: 'script',
+        hw_simulator_script_placeholder: '[]',
+        hw_simulator_play: 'play',
+        hw_simulator_stop: 'stop',
+        hw_simulator_sent: 'sent',
+    },
+    Msgs: {
+        hw_simulator_script_invalid_title: 'invalid',
+        hw_simulator_script_invalid_desc: 'invalid script',
+    },
+};
+
+const createSimulator = (outputs = null) => {
+    const sensors = { light: 10, inputA: 0 };
+    let resolveScript;
+    return {
+        getSensors: () => ({ ...sensors }),
+        setSensor: jest.fn((key, value) => (sensors[key] = value)),
+        getOutputPorts: () => outputs,
+        getSentLog: () => [
+            { time: 0, data: new TextEncoder().encode('print;hi\r\n') },
+            { time: 0, data: Uint8Array.from([0xaa, 0x01]) },
+        ],
+        playScript: jest.fn(() => new Promise((resolve) => (resolveScript = resolve))),
+        stopScript: jest.fn(),
+        finishScript: () => resolveScript(true),
+    };
+};
+
+const createPanel = (simulator) => {
+    const panel = new HardwareSimulatorPanel();
+    const view = panel.getView();
+    document.body.appendChild(view);
+    panel.setSimulator(simulator, { light: '밝기' });
+    return { panel, view };
+};
+
+afterEach(() => (document.body.innerHTML = ''));
+
+test('센서값을 모니터 포트 이름으로 보여주고, 입력하면 가상 하드웨어의 센서값을 바꾼다', () => {
+    const simulator = createSimulator();
+    const { panel, view } = createPanel(simulator);
+    const labels = view.querySelectorAll('.entryHwSimulatorSensorList label');
+
+    expect([...labels].map((label) => label.textContent)).toEqual(['밝기', 'inputA']);
+    const [light, inputA] = view.querySelectorAll('.entryHwSimulatorSensorList input');
+    expect(light.value).toBe('10');
+
+    inputA.value = '42';
+    inputA.dispatchEvent(new Event('change'));
+    expect(simulator.setSensor).toHaveBeenCalledWith('inputA', 42);
+
+    panel.focusSensor('inputA');
+    expect(Entry.propertyPanel.select).toHaveBeenCalledWith('hwSimulator');
+    expect(document.activeElement).toBe(inputA);
+});
+
+test('스크립트를 실행하는 동안 멈추기 버튼을 보여주고, 잘못된 스크립트는 알린다', async () => {
+    const simulator = createSimulator();
+    const { panel, view } = createPanel(simulator);
+    const button = view.querySelector('.entryHwSimulatorButton');
+
+    expect(await panel.playScript('{ "light": 1 }')).toBe(false);
+    expect(Entry.toast.alert).toHaveBeenCalledWith('invalid', 'invalid script', false);
+
+    const script = [{ delay: 100, sensors: { light: 50 } }];
+    view.querySelector('textarea').value = JSON.stringify(script);
+    button.click();
+    expect(simulator.playScript).toHaveBeenCalledWith(script);
+    expect(button.textContent).toBe('stop');
+
+    simulator.finishScript();
+    await Promise.resolve();
+    expect(button.textContent).toBe('play');
+});
+
+test('보낸 명령은 글자면 그대로, 아니면 HEX 로 보여주고 출력값이 있으면 함께 보여준다', () => {
+    const { panel, view } = createPanel(createSimulator({ light: 1 }));
+    panel.render();
+
+    const sent = [...view.querySelectorAll('.entryHwSimulatorSentList .data')];
+    expect(sent.map((item) => item.textContent)).toEqual(['print;hi', 'AA 01']);
+    expect(view.querySelector('.entryHwSimulatorOutputList').textContent).toBe('밝기: 1');
+});
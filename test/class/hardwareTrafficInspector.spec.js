@@ -0,0 +1,96 @@
+import { saveAs } from 'file-saver';
+import HardwareTrafficInspector from '../../src/class/hardware/hardwareTrafficInspector';
+
+jest.mock('file-saver', () => ({ saveAs: jest.fn() }));
+
+const { TextEncoder, TextDecoder } = require('util');
+
+Object.assign(global, { TextEncoder, TextDecoder });
+global.Entry = {
+    createElement: (type) => document.createElement(type),
+    Utils: { stringFormat: (text, ...args) => text.replace(/{(\d)}/g, (_m, i) => args[i]) },
+};
+global.Lang = {
+    Workspace: {
+        hw_traffic_all: 'all',
+        hw_traffic_send: 'send',
+        hw_traffic_receive: 'receive',
+        hw_traffic_search: 'search',
+        hw_traffic_clear: 'clear',
+        hw_traffic_export: 'export',
+        hw_traffic_record: 'record',
+        hw_traffic_stop: 'stop',
+        hw_traffic_count: '{0} entries',
+    },
+};
+
+const readBlob = (blob) =>
+    new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+    });
+
+test('기록하기를 켠 동안 주고받은 데이터만 남기고 방향과 검색어로 거른다', () => {
+    const inspector = new HardwareTrafficInspector();
+    inspector.record('send', 'ignored');
+
+    inspector.enable();
+    inspector.record('send', [0xff, 0x01, 0x41]);
+    inspector.record('receive', 'hello\n', 'uuid-1');
+    inspector.record('receive', new Uint8Array([0x10, 0x20]).buffer);
+
+    expect(inspector.getEntries()).toHaveLength(3);
+    expect(inspector.getEntries({ direction: 'receive' })).toHaveLength(2);
+    expect(inspector.getEntries({ keyword: 'ff01' })[0].direction).toBe('send');
+    expect(inspector.getEntries({ keyword: 'HELLO' })[0].channel).toBe('uuid-1');
+    expect(inspector.getEntries({ keyword: '10 20' })).toHaveLength(1);
+
+    const [entry] = inspector.getEntries();
+    expect(HardwareTrafficInspector.toHex(entry.bytes)).toBe('FF 01 41');
+    expect(HardwareTrafficInspector.toAscii(entry.bytes)).toBe('..A');
+
+    inspector.disable();
+    inspector.record('send', 'ignored');
+    expect(inspector.getEntries()).toHaveLength(3);
+});
+
+test('기록은 최근 2000개까지만 남긴다', () => {
+    const inspector = new HardwareTrafficInspector();
+    inspector.enable();
+    for (let i = 0; i < 2001; i++) {
+        inspector.record('send', [i % 256]);
+    }
+    const entries = inspector.getEntries();
+    expect(entries).toHaveLength(2000);
+    expect(entries[0].bytes[0]).toBe(1);
+});
+
+test('탭에서 거른 기록을 보여주고, 거른 기록만 파일로 내보낸다', async () => {
+    const inspector = new HardwareTrafficInspector();
+    inspector.enable();
+    inspector.record('send', 'AB');
+    inspector.record('receive', 'CD');
+
+    const view = inspector.getView();
+    inspector.visible = true;
+    inspector.render();
+    expect(view.querySelector('.entryHwTrafficSummary').textContent).toBe('2 entries');
+    expect(view.querySelector('.entryHwTrafficItem.send .data').textContent).toBe('41 42');
+
+    const select = view.querySelector('select');
+    select.value = 'receive';
+    select.dispatchEvent(new Event('change'));
+    expect(view.querySelectorAll('.entryHwTrafficItem')).toHaveLength(1);
+
+    const formatButton = [...view.querySelectorAll('button')].find(
+        (button) => button.textContent === 'ASCII'
+    );
+    formatButton.click();
+    expect(view.querySelector('.entryHwTrafficItem .data').textContent).toBe('CD');
+
+    inspector.export();
+    const [blob, fileName] = saveAs.mock.calls[0];
+    expect(fileName).toBe('hardware_traffic.txt');
+    expect((await readBlob(blob)).split('\t').slice(1)).toEqual(['receive', '', '43 44', 'CD']);
+});
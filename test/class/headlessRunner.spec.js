@@ -0,0 +1,109 @@
+global._ = require('lodash');
+global.Entry = { type: 'invisible' };
+require('../../src/class/headless');
+
+const createEntity = (object, { x = 0, y = 0 }) => ({
+    object,
+    x,
+    y,
+    picture: { name: 'cat_1' },
+    dialog: null,
+    toJSON() {
+        return { x: this.x, y: this.y };
+    },
+});
+
+const createVariable = (id, name, value) => ({
+    value,
+    object_: null,
+    getId: () => id,
+    getName: () => name,
+    getValue() {
+        return this.value;
+    },
+    setValue(value) {
+        this.value = value;
+    },
+});
+
+/**
+ * 오브젝트마다 틱마다 dx 만큼 움직이고, 시작하고 wait(ms) 가 지나면 '도착' 변수를 1 로 바꾸는 엔진
+ */
+const createEngine = () => {
+    let objects = [];
+    const arrived = createVariable('v1', '도착', 0);
+    const engine = {
+        state: 'stop',
+        isState: (state) => engine.state === state,
+        setClock: (clock) => (engine.clock = clock),
+        toggleRun: () => {
+            engine.state = 'run';
+            objects.forEach(({ wait }) => engine.clock.setTimeout(() => arrived.setValue(1), wait));
+        },
+        toggleStop: async () => {
+            engine.state = 'stop';
+        },
+        update: () => objects.forEach(({ entity, dx }) => (entity.x += dx)),
+    };
+    Object.assign(Entry, {
+        engine,
+        scene: { selectedScene: { id: 's1' } },
+        clearProject: () => (objects = []),
+        loadProject: (project) => {
+            objects = project.objects.map(({ id, name, entity, dx, wait }) => {
+                const object = { id, name, dx, wait, scene: { id: 's1' } };
+                object.entity = createEntity(object, entity);
+                object.getClonedEntities = () => [];
+                return object;
+            });
+            Entry.FPS = project.speed;
+        },
+        container: { getAllObjects: () => objects },
+        variableContainer: { variables_: [arrived], lists_: [], messages_: [] },
+    });
+    return engine;
+};
+
+const project = {
+    speed: 50,
+    objects: [{ id: 'o1', name: '고양이', entity: { x: 0, y: 5 }, dx: 10, wait: 100 }],
+};
+
+beforeEach(() => {
+    Entry.FPS = undefined;
+    createEngine();
+});
+
+test('불러온 작품을 정한 틱만큼 진행하고 오브젝트와 변수 상태를 돌려준다', async () => {
+    const runner = new Entry.HeadlessRunner();
+    runner.load(project).start();
+
+    await runner.step(4);
+    expect(runner.getState()).toMatchObject({
+        tick: 4,
+        time: 80,
+        scene: 's1',
+        objects: [{ id: 'o1', entity: { x: 40, y: 5, picture: 'cat_1', dialog: null } }],
+        variables: [{ name: '도착', value: 0 }],
+    });
+
+    // 100ms 를 기다리는 타이머는 시계가 100ms 를 지나는 다섯 번째 틱에서 실행된다.
+    await runner.step();
+    expect(runner.getVariable('도착').getValue()).toBe(1);
+    expect(runner.getObject('고양이').entity.x).toBe(50);
+});
+
+test('runUntil 은 조건을 만족하면 멈추고, 정지한 엔진은 더 진행하지 않는다', async () => {
+    const runner = new Entry.HeadlessRunner({ fps: 100 });
+    runner.load({ ...project, speed: undefined }).start();
+    expect(runner.tickTime).toBe(10);
+
+    const isFar = () => runner.getObject('o1').entity.x >= 30;
+    await expect(runner.runUntil(isFar)).resolves.toBe(true);
+    expect(runner.tickCount).toBe(3);
+
+    await runner.stop();
+    await runner.step(5);
+    expect(runner.getState().tick).toBe(3);
+    expect(() => runner.sendMessage('없는 신호')).toThrow('unknown message');
+});
@@ -0,0 +1,141 @@
+/**
+ * @jest-environment node
+ */
+import HWLiteDefinitionModule, {
+    HWLitePacketCodec,
+} from '../../src/class/hardware/hwLiteModuleDefinition';
+
+const binaryPacket = {
+    header: [255, 85],
+    fields: [{ port: 'light', type: 'uint16' }, 'button'],
+    checksum: 'sum8',
+    footer: [13],
+};
+
+const createDefinition = (blocks) => ({
+    id: 'FF0101',
+    name: 'SampleLite',
+    title: { ko: '샘플', en: 'Sample' },
+    ports: {
+        light: { type: 'input' },
+        button: { type: 'input' },
+        led: { type: 'output', max: 255 },
+    },
+    packet: {
+        receive: binaryPacket,
+        send: { header: [255, 85], fields: ['led'] },
+    },
+    blocks: blocks || [
+        { name: 'light', type: 'reporter', template: '밝기', get: 'light' },
+        {
+            name: 'set_led',
+            template: 'LED %1',
+            params: [{ key: 'VALUE', type: 'number' }],
+            set: [{ port: 'led', value: { param: 'VALUE' } }],
+        },
+    ],
+});
+
+describe('HWLitePacketCodec', () => {
+    test('binary 패킷은 header, 필드, checksum, footer 순서로 만든다', () => {
+        const codec = new HWLitePacketCodec(binaryPacket);
+
+        expect(codec.length).toBe(7);
+        // 300 = 0x012c, checksum = (0x2c + 0x01 + 0x01) & 0xff
+        expect(codec.encode({ light: 300, button: 1 })).toEqual([255, 85, 44, 1, 1, 46, 13]);
+        expect(new HWLitePacketCodec({ ...binaryPacket, checksum: 'xor8' }).encode({})).toEqual([
+            255, 85, 0, 0, 0, 0, 13,
+        ]);
+    });
+
+    test('binary 패킷은 나눠 받아도 모아서 읽고, 앞의 쓰레기값과 checksum 이 틀린 패킷은 버린다', () => {
+        const codec = new HWLitePacketCodec(binaryPacket);
+        const packet = codec.encode({ light: 300, button: 1 });
+        const broken = [...packet];
+        broken[5] = 0;
+
+        expect(codec.decode(Uint8Array.from([7, 7, ...packet.slice(0, 3)]))).toEqual([]);
+        expect(codec.decode(Uint8Array.from([...packet.slice(3), ...broken, ...packet]))).toEqual([
+            { light: 300, button: 1 },
+            { light: 300, button: 1 },
+        ]);
+
+        codec.decode(Uint8Array.from(packet.slice(0, 4)));
+        codec.clear();
+        expect(codec.decode(Uint8Array.from(packet.slice(4)))).toEqual([]);
+    });
+
+    test('ascii 패킷은 구분자로 나눈 한 줄이고, 숫자가 아닌 값은 글자 그대로 읽는다', () => {
+        const codec = new HWLitePacketCodec({
+            format: 'ascii',
+            header: 'S',
+            fields: ['light', 'name'],
+        });
+
+        expect(codec.encode({ light: 12, name: 'abc' })).toBe('S12,abc');
+        expect(codec.decode('S12,abc\r\n')).toEqual([{ light: 12, name: 'abc' }]);
+        expect(codec.decode('X12,abc')).toEqual([]);
+    });
+
+    test('모르는 필드 타입은 정의 오류가 된다', () => {
+        expect(() => new HWLitePacketCodec({ fields: [{ port: 'light', type: 'float' }] })).toThrow(
+            "unknown field type 'float' of 'light'"
+        );
+    });
+});
+
+describe('HWLiteDefinitionModule.validate', () => {
+    test('맞는 정의는 통과하고, 모듈은 정의대로 포트 값을 보낸다', () => {
+        expect(() => HWLiteDefinitionModule.validate(createDefinition())).not.toThrow();
+
+        const module = new HWLiteDefinitionModule(createDefinition());
+        module.setValue('led', 300);
+        expect(module.blockMenuBlocks).toEqual(['samplelite_light', 'samplelite_set_led']);
+        expect(module.requestLocalData()).toEqual([255, 85, 255]);
+    });
+
+    test.each([
+        ['id 가 없으면', (definition) => delete definition.id, 'id is required'],
+        [
+            '이름이 글자로 시작하지 않으면',
+            (definition) => (definition.name = '1lite'),
+            'name must start with a letter',
+        ],
+        [
+            '포트 종류가 틀리면',
+            (definition) => (definition.ports.led.type = 'both'),
+            "port 'led' must be an input or output",
+        ],
+        [
+            '패킷에 없는 포트가 있으면',
+            (definition) => definition.packet.send.fields.push('motor'),
+            "unknown port 'motor' in send packet",
+        ],
+        [
+            '블록 이름이 겹치면',
+            (definition) => definition.blocks.push(definition.blocks[0]),
+            "block name 'light' is missing or duplicated",
+        ],
+        [
+            '값 블록에 get 이 없으면',
+            (definition) => delete definition.blocks[0].get,
+            "block 'light' must have get",
+        ],
+        [
+            '출력 포트를 읽으면',
+            (definition) => (definition.blocks[0].get = 'led'),
+            "'led' in block 'light' is not an input port",
+        ],
+        [
+            '없는 인자를 쓰면',
+            (definition) => (definition.blocks[1].set[0].value = { param: 'SPEED' }),
+            "unknown param 'SPEED' in block 'set_led'",
+        ],
+    ])('%s 잘못된 곳을 알려준다', (_, change, message) => {
+        const definition = createDefinition();
+        change(definition);
+        expect(() => HWLiteDefinitionModule.validate(definition)).toThrow(
+            `INVALID MODULE DEFINITION : ${message}`
+        );
+    });
+});
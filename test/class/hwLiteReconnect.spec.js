@@ -0,0 +1,84 @@
+const { TextEncoder, TextDecoder } = require('util');
+
+Object.assign(global, { TextEncoder, TextDecoder });
+global.Entry = {
+    addEventListener: () => {},
+};
+global.Lang = { Msgs: {} };
+const HardwareLite = require('../../src/class/hw_lite').default;
+
+// 부른 순서와 그때의 연결 상태를 적는 커넥터
+const createConnector = (hwLite, handshakes) => {
+    const calls = [];
+    const record = (name, result) =>
+        jest.fn(async () => {
+            calls.push([name, hwLite.getStatus()]);
+            return result?.();
+        });
+    return {
+        calls,
+        bufferWrites: jest.fn(() => calls.push(['bufferWrites', hwLite.getStatus()])),
+        reconnect: record('reconnect', () => true),
+        initialDevice: record('initialDevice', () => {
+            if (!handshakes.shift()) {
+                throw new Error('Handshake Error');
+            }
+        }),
+        flushWrites: record('flushWrites'),
+        discardWrites: jest.fn(),
+    };
+};
+
+let hwLite;
+
+beforeEach(() => {
+    Entry.Utils = { sleep: async () => {} };
+    Entry.engine = { fireEventWithValue: jest.fn() };
+    Entry.toast = { warning: jest.fn(), success: jest.fn(), alert: jest.fn() };
+    hwLite = new HardwareLite({});
+    hwLite.hwModule = {};
+    hwLite.setStatus('connected');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.error.mockRestore();
+});
+
+test('다시 연결하면 디바이스를 초기화한 뒤 연결 상태로 바꾸고 모아둔 명령을 보낸다', async () => {
+    const connector = createConnector(hwLite, [true]);
+    hwLite.webConnector = connector;
+
+    await hwLite.handleConnectionLost();
+
+    expect(connector.calls).toEqual([
+        ['bufferWrites', 'reconnecting'],
+        ['reconnect', 'reconnecting'],
+        ['initialDevice', 'reconnecting'],
+        ['flushWrites', 'connected'],
+    ]);
+    expect(hwLite.getStatus()).toBe('connected');
+    expect(Entry.engine.fireEventWithValue.mock.calls).toEqual([
+        ['hwLiteConnectionChanged', 'disconnected'],
+        ['hwLiteConnectionChanged', 'reconnected'],
+    ]);
+});
+
+test('초기화에 실패하면 모아둔 명령을 보내지 않고 다시 모으며 다음 시도에서 보낸다', async () => {
+    const connector = createConnector(hwLite, [false, true]);
+    hwLite.webConnector = connector;
+
+    await hwLite.handleConnectionLost();
+
+    expect(connector.calls).toEqual([
+        ['bufferWrites', 'reconnecting'],
+        ['reconnect', 'reconnecting'],
+        ['initialDevice', 'reconnecting'],
+        ['bufferWrites', 'reconnecting'],
+        ['reconnect', 'reconnecting'],
+        ['initialDevice', 'reconnecting'],
+        ['flushWrites', 'connected'],
+    ]);
+    expect(connector.discardWrites).not.toHaveBeenCalled();
+    expect(hwLite.getStatus()).toBe('connected');
+});
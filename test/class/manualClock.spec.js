@@ -0,0 +1,30 @@
+import ManualClock from '../../src/class/headless/manualClock';
+
+test('ManualClock 은 advance 한 만큼만 시간이 흐르고 만료된 타이머를 순서대로 실행한다', () => {
+    const clock = new ManualClock();
+    const called = [];
+    clock.setTimeout(() => called.push('b'), 20);
+    clock.setTimeout(() => called.push('a'), 10);
+    const canceled = clock.setTimeout(() => called.push('c'), 15);
+    clock.clearTimeout(canceled);
+
+    clock.advance(16);
+    expect(called).toEqual(['a']);
+    expect(clock.now()).toEqual(16);
+
+    clock.advance(16);
+    expect(called).toEqual(['a', 'b']);
+    expect(clock.now()).toEqual(32);
+});
+
+test('ManualClock 타이머 콜백에서 등록한 타이머도 같은 advance 안에서 실행된다', () => {
+    const clock = new ManualClock();
+    const called = [];
+    clock.setTimeout(() => {
+        called.push(clock.now());
+        clock.setTimeout(() => called.push(clock.now()), 5);
+    }, 5);
+
+    clock.advance(10);
+    expect(called).toEqual([5, 10]);
+});
@@ -0,0 +1,120 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { createZip, readZip } from '../../src/util/zip';
+import ProjectBundle from '../../src/class/projectBundle';
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+global._ = require('lodash');
+
+const toBytes = (blob) =>
+    new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.readAsArrayBuffer(blob);
+    });
+
+const createProject = () => ({
+    objects: [
+        {
+            id: 'o1',
+            sprite: {
+                pictures: [{ id: 'p1', fileurl: 'https://cdn/p1.png', thumbUrl: 'thumb' }],
+                sounds: [{ id: 's1', fileurl: 'https://cdn/s1.mp3', ext: '.mp3' }],
+            },
+        },
+    ],
+    tables: [{ name: 'table', fields: ['a'] }],
+});
+
+let objectUrlCount = 0;
+
+beforeEach(() => {
+    objectUrlCount = 0;
+    document.head.innerHTML = '';
+    global.EntryStatic = {
+        fonts: [{ family: 'Nanum', url: 'https://cdn/nanum.css' }],
+    };
+    global.Entry = {
+        getSoundPath: ({ fileurl }) => fileurl,
+        Utils: { getUsedFonts: () => ['Nanum'] },
+        clearProject: jest.fn(() => ProjectBundle.unload()),
+        loadProject: jest.fn((project) => project),
+    };
+    global.fetch = jest.fn(async (url) => ({
+        ok: true,
+        text: async () => "@font-face { src: url('nanum.woff2'); }",
+        arrayBuffer: async () => new TextEncoder().encode(`data of ${url}`).buffer,
+    }));
+    URL.createObjectURL = jest.fn(() => `blob:${++objectUrlCount}`);
+    URL.revokeObjectURL = jest.fn();
+});
+
+test('zip 으로 쓴 파일은 같은 이름과 내용으로 다시 읽힌다', async () => {
+    const entries = await readZip(
+        createZip([
+            { name: 'a.json', data: '{"한글":1}' },
+            { name: 'b.bin', data: new Uint8Array([0, 1, 255]) },
+        ])
+    );
+
+    expect(Array.from(entries.keys())).toEqual(['a.json', 'b.bin']);
+    expect(new TextDecoder().decode(entries.get('a.json'))).toBe('{"한글":1}');
+    expect(Array.from(entries.get('b.bin'))).toEqual([0, 1, 255]);
+});
+
+test('내보낸 묶음을 읽으면 모양, 소리, 글꼴, 테이블이 blob url 과 함께 되살아난다', async () => {
+    const bundle = await toBytes(await ProjectBundle.export(createProject()));
+    const { project, manifest, revoke } = await ProjectBundle.read(bundle);
+
+    const [picture] = project.objects[0].sprite.pictures;
+    const [sound] = project.objects[0].sprite.sounds;
+    expect(picture.fileurl).toMatch(/^blob:/);
+    expect(picture.thumbUrl).toBe(picture.fileurl);
+    expect(sound.fileurl).toMatch(/^blob:/);
+    expect(project.tables).toEqual([{ name: 'table', fields: ['a'] }]);
+    expect(manifest.fontStyles).toHaveLength(1);
+    expect(manifest.fontStyles[0].css).toMatch(/url\('blob:\d+'\)/);
+
+    revoke();
+    expect(URL.revokeObjectURL).toHaveBeenCalledTimes(URL.createObjectURL.mock.calls.length);
+});
+
+test('묶음을 다시 불러오면 이전 blob url 을 해제하고 글꼴 스타일을 바꾼다', async () => {
+    const bundle = await toBytes(await ProjectBundle.export(createProject()));
+
+    await ProjectBundle.load(bundle);
+    const firstUrls = URL.createObjectURL.mock.results.map(({ value }) => value);
+    expect(document.head.querySelectorAll('style')).toHaveLength(1);
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+    await ProjectBundle.load(bundle);
+    expect(document.head.querySelectorAll('style')).toHaveLength(1);
+    expect(URL.revokeObjectURL.mock.calls.map(([url]) => url)).toEqual(firstUrls);
+    expect(Entry.loadProject).toHaveBeenCalledTimes(2);
+});
+
+test('학습 모델이 든 묶음은 모델 주소만 바꾸고, 닫으면 호스트의 data api 를 되돌린다', async () => {
+    const bundle = await toBytes(
+        await ProjectBundle.export(
+            { ...createProject(), learning: { url: 'model' } },
+            { getModelDownloadUrl: async (url) => `https://cdn/${url}.json` }
+        )
+    );
+    const hostApi = {
+        loadModel: jest.fn(),
+        getModelDownloadUrl: async (url) => `https://host/${url}`,
+    };
+    let dataApi = hostApi;
+    Entry.aiLearning = {
+        setDataApi: (api) => (dataApi = api),
+        getDataApi: () => dataApi,
+    };
+
+    await ProjectBundle.load(bundle);
+    expect(dataApi.loadModel).toBe(hostApi.loadModel);
+    await expect(dataApi.getModelDownloadUrl('model')).resolves.toMatch(/^blob:/);
+    await expect(dataApi.getModelDownloadUrl('other')).resolves.toBe('https://host/other');
+
+    ProjectBundle.unload();
+    expect(dataApi).toBe(hostApi);
+});
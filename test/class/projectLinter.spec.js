@@ -0,0 +1,171 @@
+global._ = require('lodash');
+
+class Block {
+    constructor(type, params = [], statements = [], isEvent = false) {
+        this.type = type;
+        this.params = params;
+        this.statements = statements;
+        this._schema = { event: isEvent ? type : undefined };
+    }
+}
+
+class Thread {
+    constructor(blocks) {
+        this.blocks = blocks;
+    }
+
+    getFirstBlock() {
+        return this.blocks[0];
+    }
+
+    getBlockList() {
+        return this.blocks.reduce(
+            (list, block) =>
+                list.concat(block, ...block.statements.map((thread) => thread.getBlockList())),
+            []
+        );
+    }
+}
+
+class Code {
+    constructor(threads) {
+        this.threads = threads.map((blocks) => new Thread(blocks));
+    }
+
+    getThreads() {
+        return this.threads;
+    }
+}
+
+global.Entry = {
+    Block,
+    Thread,
+    Code,
+    createElement: (type) => document.createElement(type),
+    Event: class {
+        attach() {}
+    },
+    Utils: { stringFormat: (text, ...args) => text.replace(/{(\d)}/g, (_m, i) => args[i]) },
+};
+global.Lang = {
+    Workspace: {
+        project_lint_unreachable_block: 'unreachable',
+        project_lint_message_not_received: '{0} not received',
+        project_lint_message_not_cast: '{0} not cast',
+        project_lint_variable_not_read: '{0} not read',
+        project_lint_function_not_called: '{0} not called',
+        project_lint_repeat_without_wait: 'no wait',
+        project_lint_scene_not_started: '{0} not started',
+        project_lint_count: '{0} issues',
+        project_lint_no_problem: 'no problem',
+        project_lint_refresh: 'refresh',
+    },
+};
+Object.assign(HTMLElement.prototype, {
+    addClass(className) {
+        this.className = className;
+        return this;
+    },
+    appendTo(parent) {
+        parent.appendChild(this);
+        return this;
+    },
+    bindOnClick(callback) {
+        this.addEventListener('click', callback);
+        return this;
+    },
+});
+require('../../src/class/projectLinter');
+
+const start = (...blocks) => [new Block('when_run_button_click', [], [], true), ...blocks];
+const loop = (...blocks) => new Block('repeat_inf', [], [new Thread(blocks)]);
+
+const setProject = ({ threads, functions = {}, variables = [], scenes = [] }) => {
+    const object = { id: 'o1', name: 'entrybot', script: new Code(threads) };
+    Object.assign(Entry, {
+        container: { getAllObjects: () => [object] },
+        variableContainer: {
+            messages_: [
+                { id: 'm1', name: 'ping' },
+                { id: 'm2', name: 'pong' },
+            ],
+            variables_: variables,
+            functions_: functions,
+        },
+        scene: { getScenes: () => scenes },
+    });
+    return object;
+};
+
+const createFunction = (id, ...blocks) => ({
+    id,
+    description: `f${id} `,
+    content: new Code([[new Block('function_create'), ...blocks]]),
+});
+
+test('실행되지 않거나 쓰이지 않는 코드를 찾는다', () => {
+    const object = setProject({
+        threads: [
+            start(new Block('message_cast', ['m1']), new Block('set_variable', ['v1', 0])),
+            [new Block('when_message_cast', ['m2'], [], true)],
+            [new Block('move_x', [10])],
+            start(loop(new Block('move_x', [1]))),
+        ],
+        functions: { f1: createFunction('f1', new Block('func_f1')) },
+        variables: [{ id_: 'v1', name_: 'score', isVisible: () => false }],
+        scenes: [
+            { id: 's1', name: 'first' },
+            { id: 's2', name: 'second' },
+        ],
+    });
+
+    const issues = new Entry.ProjectLinter().lint();
+    expect(issues.map(({ rule, message }) => [rule, message])).toEqual([
+        ['unreachable_block', 'unreachable'],
+        ['repeat_without_wait', 'no wait'],
+        ['message_not_received', 'ping not received'],
+        ['message_not_cast', 'pong not cast'],
+        ['variable_not_read', 'score not read'],
+        ['function_not_called', 'ff1 not called'],
+        ['scene_not_started', 'second not started'],
+    ]);
+    expect(issues[0]).toMatchObject({ object, severity: 'warning' });
+    expect(issues[4].severity).toBe('info');
+});
+
+test('기다리는 함수를 부르는 반복, 읽거나 보이는 변수, 이웃 장면 시작은 문제로 보지 않는다', () => {
+    setProject({
+        threads: [
+            start(
+                loop(new Block('func_f1')),
+                new Block('set_variable', ['v1', 0]),
+                new Block('set_variable', ['v2', 0]),
+                new Block('move_x', ['v1']),
+                new Block('start_neighbor_scene', ['next'])
+            ),
+        ],
+        functions: { f1: createFunction('f1', new Block('wait_second', [1])) },
+        variables: [
+            { id_: 'v1', name_: 'read', isVisible: () => false },
+            { id_: 'v2', name_: 'shown', isVisible: () => true },
+        ],
+        scenes: [
+            { id: 's1', name: 'first' },
+            { id: 's2', name: 'second' },
+        ],
+    });
+
+    expect(new Entry.ProjectLinter().lint()).toEqual([]);
+});
+
+test('점검 탭은 찾은 항목 수와 목록을 보여준다', () => {
+    setProject({ threads: [[new Block('move_x', [10])]] });
+    const linter = new Entry.ProjectLinter();
+    linter.generateView(document.body);
+    linter.render();
+
+    const view = linter.getView();
+    expect(view.querySelector('.entryProjectLinterSummary').textContent).toBe('1 issues');
+    expect(view.querySelector('.location').textContent).toBe('entrybot');
+    expect(view.querySelector('.message').textContent).toBe('unreachable');
+});
@@ -0,0 +1,131 @@
+import projectSchema from '../../src/class/projectSchema/schema';
+import SchemaValidator from '../../src/class/projectSchema/validator';
+import migrations, { renameBlocks } from '../../src/class/projectSchema/migrations';
+
+const createProject = () => ({
+    scenes: [{ id: 's1', name: 'scene' }],
+    objects: [
+        {
+            id: 'o1',
+            name: 'object',
+            scene: 's1',
+            objectType: 'sprite',
+            script: JSON.stringify([[{ type: 'when_run_button_click' }, { type: 'move_x' }]]),
+            sprite: { pictures: [{ id: 'p1', name: 'picture' }], sounds: [] },
+            entity: { x: 0, y: 0 },
+        },
+    ],
+});
+
+test('프로젝트 형식 오류는 위치와 함께 보고된다', () => {
+    const validator = new SchemaValidator(projectSchema);
+    expect(validator.validate(createProject())).toEqual([]);
+
+    const project = createProject();
+    delete project.scenes;
+    project.objects[0].script = JSON.stringify([[{ type: 'move_x', params: [{ x: 1 }] }]]);
+    expect(validator.validate(project)).toEqual([
+        { path: 'scenes', message: 'is required' },
+        { path: 'objects[0].script[0][0].params[0].type', message: 'is required' },
+    ]);
+});
+
+test('이전 버전 프로젝트의 블록 이름을 바꾸고 생략된 값을 채운다', () => {
+    const project = createProject();
+    delete project.objects[0].sprite.sounds;
+    migrations.forEach(({ migrate }) => migrate(project));
+    renameBlocks(project, { move_x: 'move_y' });
+
+    expect(project.functions).toEqual([]);
+    expect(project.objects[0].sprite.sounds).toEqual([]);
+    expect(JSON.parse(project.objects[0].script)[0][1].type).toEqual('move_y');
+});
+
+describe('ProjectSchema', () => {
+    let ProjectSchema;
+
+    beforeAll(() => {
+        global.Entry = {
+            block: { when_run_button_click: {}, move_x: {}, calc_basic: {}, number: {} },
+        };
+        ProjectSchema = require('../../src/class/projectSchema').default;
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    test('버전이 없는 프로젝트는 예전 계산 블록을 calc_basic 으로 바꾸고 최신 버전이 된다', () => {
+        const project = createProject();
+        const calcTimes = {
+            type: 'calc_times',
+            params: [{ type: 'number', params: ['2'] }, null, { type: 'number', params: ['3'] }],
+        };
+        project.objects[0].script = JSON.stringify([
+            [{ type: 'when_run_button_click' }, { type: 'move_x', params: [calcTimes] }],
+        ]);
+
+        const migrated = ProjectSchema.prepare(project);
+
+        expect(migrated).not.toBe(project);
+        expect(migrated.schemaVersion).toBe(ProjectSchema.CURRENT_VERSION);
+        expect(JSON.parse(migrated.objects[0].script)[0][1].params[0]).toEqual({
+            type: 'calc_basic',
+            params: [{ type: 'number', params: ['2'] }, 'MULTI', { type: 'number', params: ['3'] }],
+        });
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    test('블록에 붙지 않은 메모는 모르는 블록으로 보지 않는다', () => {
+        const project = createProject();
+        project.objects[0].script = JSON.stringify([
+            [{ type: 'when_run_button_click' }, { type: 'unknown_block' }],
+            [{ type: 'comment', value: 'memo' }],
+        ]);
+
+        expect(ProjectSchema.validate(ProjectSchema.migrate(project)).warnings).toEqual([
+            { path: 'script', message: 'uses unknown block "unknown_block"' },
+        ]);
+    });
+
+    test('id 참조가 맞지 않으면 위치와 함께 오류가 된다', () => {
+        const project = ProjectSchema.migrate(createProject());
+        project.objects.push({ ...project.objects[0], scene: 's2', selectedPictureId: 'p2' });
+        project.functions = [
+            { id: 'f1', content: '[]' },
+            { id: 'f1', content: '[]' },
+        ];
+
+        expect(ProjectSchema.validate(project).errors).toEqual([
+            { path: 'objects[1].id', message: 'duplicates object id "o1"' },
+            { path: 'objects[1].scene', message: 'refers to unknown scene "s2"' },
+            { path: 'objects[1].selectedPictureId', message: 'refers to unknown picture "p2"' },
+            { path: 'functions[1].id', message: 'duplicates function id "f1"' },
+        ]);
+    });
+
+    test('형식 오류는 기본으로 경고만 남기고 불러오며, strict 이면 불러오지 않는다', () => {
+        const project = createProject();
+        project.objects[0].scene = 's2';
+
+        expect(ProjectSchema.prepare(project).objects[0].scene).toBe('s2');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('unknown scene "s2"'));
+        expect(() => ProjectSchema.prepare(project, { strict: true })).toThrow(
+            ProjectSchema.ProjectValidationError
+        );
+    });
+
+    test('지원하는 버전보다 새 프로젝트는 strict 가 아니면 그대로 불러온다', () => {
+        const project = { ...createProject(), schemaVersion: ProjectSchema.CURRENT_VERSION + 1 };
+
+        expect(ProjectSchema.prepare(project)).toBe(project);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('is newer than'));
+        expect(() => ProjectSchema.prepare(project, { strict: true })).toThrow(
+            'is newer than the supported version'
+        );
+    });
+});
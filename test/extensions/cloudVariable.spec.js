@@ -0,0 +1,60 @@
+import io from 'socket.io-client';
+import CloudVariable from '../../src/extensions/CloudVariable';
+
+jest.mock('socket.io-client', () => jest.fn());
+
+/**
+ * 서버 응답(ack)을 테스트에서 직접 돌려줄 수 있는 socket
+ */
+const createSocket = () => {
+    const handlers = {};
+    const socket = {
+        connected: false,
+        acks: [],
+        io: { reconnectionAttempts: () => {} },
+        on: (name, handler) => (handlers[name] = handler),
+        emit: () => {},
+        timeout: () => ({
+            emit: (name, operation, ack) => socket.acks.push({ operation, ack }),
+        }),
+        close: () => {},
+        receive: (name, ...args) => handlers[name](...args),
+    };
+    return socket;
+};
+
+test('앞선 operation 을 보내는 중에 줄을 선 operation 은 응답이 없으면 로컬에 적용되고 끝난다', async () => {
+    const socket = createSocket();
+    io.mockReturnValue(socket);
+    const variable = { updateView: () => {} };
+    global.Entry = { variableContainer: { getVariable: () => variable } };
+    const target = { id: 'v1', variableType: 'variable' };
+
+    const cloudVariable = CloudVariable.getInstance();
+    cloudVariable.setServerInfo({ url: 'http://localhost', type: 'project', query: 'p1' });
+    const connecting = cloudVariable.connect();
+    socket.connected = true;
+    socket.receive('welcome', { variables: [{ ...target, name: 'a', value: '0' }] });
+    await connecting;
+
+    // 연결이 끊긴 동안 만든 operation 은 쌓아 두었다가 다시 연결되면 보낸다.
+    socket.connected = false;
+    await cloudVariable.set(target, '1');
+    socket.connected = true;
+    socket.receive('welcome', { variables: [{ ...target, name: 'a', value: '0' }] });
+    expect(socket.acks.map(({ operation }) => operation.value)).toEqual(['1']);
+
+    let isDone = false;
+    const queued = cloudVariable.set(target, '2').then(() => (isDone = true));
+    await Promise.resolve();
+    expect(isDone).toBe(false);
+
+    socket.connected = false;
+    socket.acks[0].ack(new Error('operation has timed out'));
+    await queued;
+
+    expect(isDone).toBe(true);
+    expect(variable.value_).toBe('2');
+    expect(cloudVariable.get(target).value).toBe('2');
+    expect(cloudVariable.pendingOperations.map(({ value }) => value)).toEqual(['1', '2']);
+});
@@ -0,0 +1,121 @@
+import CloudVariableServer from '../../src/extensions/cloudVariableServer';
+
+const createSocket = (broadcasts) => {
+    const handlers = {};
+    const socket = {
+        handshake: { query: { type: 'project', q: 'p1' } },
+        emitted: [],
+        join: () => {},
+        on: (name, handler) => (handlers[name] = handler),
+        emit: (...args) => socket.emitted.push(args),
+        to: () => ({ emit: (...args) => broadcasts.push(args) }),
+        disconnect: () => handlers.disconnect(),
+        receive: (name, ...args) => handlers[name](...args),
+    };
+    return socket;
+};
+
+test('공유 변수 서버는 welcome 으로 현재 값을 보내고 action 을 다른 접속에 전달한다', async () => {
+    const server = new CloudVariableServer({
+        checkInterval: 0,
+        getInitialVariables: async () => [{ id: 'v1', variableType: 'variable', value: '0' }],
+    });
+    const broadcasts = [];
+    const socket = createSocket(broadcasts);
+    await server.handleConnection(socket);
+
+    const [, welcome] = socket.emitted[0];
+    expect(welcome.isOffline).toBe(false);
+    expect(welcome.variables[0].value).toBe('0');
+
+    const ack = jest.fn();
+    const operation = { id: 'v1', variableType: 'variable', type: 'set', value: '10' };
+    socket.receive('action', operation, ack);
+    expect(ack).toHaveBeenCalledWith(true, operation);
+    expect(broadcasts).toEqual([['action', operation]]);
+
+    socket.receive('action', { ...operation, id: 'unknown' }, ack);
+    expect(ack).toHaveBeenLastCalledWith(false);
+
+    socket.disconnect();
+    await server.close();
+    expect(await server.storage.load('project:p1')).toEqual([
+        expect.objectContaining({ id: 'v1', value: '10' }),
+    ]);
+});
+
+test('다시 보낸 리스트 추가 operation 은 한 번만 적용된다', async () => {
+    const server = new CloudVariableServer({
+        checkInterval: 0,
+        getInitialVariables: async () => [{ id: 'l1', variableType: 'list', array: [] }],
+    });
+    const socket = createSocket([]);
+    await server.handleConnection(socket);
+
+    const ack = jest.fn();
+    const operation = { id: 'l1', variableType: 'list', type: 'append', key: 'k1', data: 'a' };
+    socket.receive('action', operation, ack);
+    socket.receive('action', operation, ack);
+    expect(ack.mock.calls.map(([isUpdate]) => isUpdate)).toEqual([true, false]);
+    expect(server.getVariables(await server.getRoom('project:p1'))[0].array).toHaveLength(1);
+    await server.close();
+});
+
+test('사전 operation 은 키 기준으로 값을 넣고 지운다', async () => {
+    const server = new CloudVariableServer({
+        checkInterval: 0,
+        getInitialVariables: async () => [
+            { id: 'd1', variableType: 'dict', array: [{ key: 'a', data: 1 }] },
+        ],
+    });
+    const socket = createSocket([]);
+    await server.handleConnection(socket);
+
+    const ack = jest.fn();
+    const action = (type, key, data) => ({ id: 'd1', variableType: 'dict', type, key, data });
+    socket.receive('action', action('set', 'a', 2), ack);
+    socket.receive('action', action('set', 'b', 3), ack);
+    socket.receive('action', action('delete', 'a'), ack);
+    socket.receive('action', action('delete', 'a'), ack);
+    expect(ack.mock.calls.map(([isUpdate]) => isUpdate)).toEqual([true, true, true, false]);
+
+    const room = await server.getRoom('project:p1');
+    expect(room.data.get({ id: 'd1', variableType: 'dict' }).value).toEqual({ b: 3 });
+    expect(server.getVariables(room)[0].array).toEqual([{ key: 'b', data: 3 }]);
+    await server.close();
+});
+
+test('방을 불러오지 못하면 캐시에서 지워 다음 접속에서 다시 불러온다', async () => {
+    const storage = {
+        load: jest
+            .fn()
+            .mockRejectedValueOnce(new Error('storage is not ready'))
+            .mockResolvedValue([{ id: 'v1', variableType: 'variable', value: '3' }]),
+        save: async () => {},
+    };
+    const server = new CloudVariableServer({ checkInterval: 0, storage });
+
+    await expect(server.getRoom('project:p1')).rejects.toThrow('storage is not ready');
+    expect(server.rooms.has('project:p1')).toBe(false);
+
+    const room = await server.getRoom('project:p1');
+    expect(server.getVariables(room)[0].value).toBe('3');
+    expect(storage.load).toHaveBeenCalledTimes(2);
+    await server.close();
+});
+
+test('한 접속이 방을 오프라인으로 바꾸면 방의 모든 접속에 알리고 새 접속도 오프라인으로 시작한다', async () => {
+    const server = new CloudVariableServer({ checkInterval: 0 });
+    const broadcasts = [];
+    const socket = createSocket(broadcasts);
+    await server.handleConnection(socket);
+
+    socket.receive('changeMode', 'offline', 'target');
+    expect(socket.emitted).toContainEqual(['changeMode', 'offline', 'target']);
+    expect(broadcasts).toEqual([['changeMode', 'offline', 'target']]);
+
+    const next = createSocket([]);
+    await server.handleConnection(next);
+    expect(next.emitted[0][1].isOffline).toBe(true);
+    await server.close();
+});
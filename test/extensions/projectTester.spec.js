@@ -0,0 +1,134 @@
+global._ = require('lodash');
+global.Entry = {
+    dispatchEvent: () => {},
+    createElement: (type) => document.createElement(type),
+    Utils: { stringFormat: (text, ...args) => text.replace(/{(\d)}/g, (_m, i) => args[i]) },
+};
+global.Lang = {
+    Msgs: { warn: 'warn' },
+    Workspace: {
+        project_test_result: '%1 / %2',
+        project_test_failure: '{0}: {1} != {2}',
+        project_test_ready: 'ready',
+        project_test_passed: 'passed',
+        project_test_failed: 'failed',
+    },
+};
+Object.assign(HTMLElement.prototype, {
+    addClass(className) {
+        this.className = className;
+        return this;
+    },
+    appendTo(parent) {
+        parent.appendChild(this);
+        return this;
+    },
+    bindOnClick(callback) {
+        this.addEventListener('click', callback);
+        return this;
+    },
+});
+require('../../src/extensions/project_tester');
+
+const createVariable = (id, name, value) => ({
+    value,
+    getId: () => id,
+    getName: () => name,
+    getValue() {
+        return this.value;
+    },
+    setValue(value) {
+        this.value = value;
+    },
+});
+
+/**
+ * '득점' 신호를 받으면 틱마다 점수를 1 올리고, 정지하면 실행 전 값으로 되돌리는 작품
+ */
+const createProject = () => {
+    const score = createVariable('v1', '점수', 0);
+    let scoring = false;
+    let snapshot;
+    const engine = {
+        state: 'stop',
+        isState: (state) => engine.state === state,
+        setClock: (clock) => (engine.clock = clock),
+        start: jest.fn(),
+        toggleRun: () => {
+            snapshot = score.getValue();
+            engine.state = 'run';
+        },
+        toggleStop: async () => {
+            score.setValue(snapshot);
+            scoring = false;
+            engine.state = 'stop';
+        },
+        raiseMessage: (id) => (scoring = id === 'm1'),
+        update: () => scoring && score.setValue(score.getValue() + 1),
+    };
+    Object.assign(Entry, {
+        engine,
+        container: { clearRunningStateOnScene: () => {}, getAllObjects: () => [] },
+        variableContainer: {
+            variables_: [score],
+            lists_: [],
+            messages_: [{ id: 'm1', name: '득점' }],
+        },
+    });
+    return score;
+};
+
+const scoreCase = (name, expected) => ({
+    name,
+    given: { variables: { 점수: 5 } },
+    trigger: { type: 'message', value: '득점' },
+    ticks: 3,
+    expect: { variables: { 점수: expected } },
+});
+
+test('케이스마다 초기 값과 신호로 실행한 뒤 결과를 확인하고, 끝나면 실행 전 상태로 되돌린다', async () => {
+    const score = createProject();
+    const tester = new Entry.ProjectTester([scoreCase('통과', 8), scoreCase('실패', 10)]);
+
+    const [passed, failed] = await tester.runAll();
+
+    expect(passed).toEqual({ name: '통과', passed: true, failures: [] });
+    expect(failed.passed).toBe(false);
+    expect(failed.failures).toEqual([{ target: 'variable "점수"', expected: 10, actual: 8 }]);
+    expect(score.getValue()).toBe(0);
+    expect(Entry.engine.isState('stop')).toBe(true);
+});
+
+test('테스트 탭에서 케이스를 추가하고 실행하면 케이스별 결과와 실패 이유를 보여준다', async () => {
+    createProject();
+    const tester = new Entry.ProjectTester();
+    tester.generateView(document.body);
+    const [runAllButton, addButton] = tester.getView().querySelectorAll('button');
+    expect(runAllButton.disabled).toBe(true);
+
+    tester._caseInput.value = JSON.stringify(scoreCase('실패', 10));
+    addButton.click();
+    expect(tester.cases).toHaveLength(1);
+    expect(tester.getView().querySelector('.entryProjectTesterStatus').textContent).toBe('ready');
+
+    await tester.runAll();
+
+    const status = tester.getView().querySelector('.entryProjectTesterStatus');
+    expect(status.className).toContain('failed');
+    expect(tester.getView().querySelector('.entryProjectTesterFailures').textContent).toBe(
+        'variable "점수": 10 != 8'
+    );
+    expect(tester.getView().querySelector('.entryProjectTesterSummary').textContent).toBe('0 / 1');
+});
+
+test('테스트가 끝나면 돌고 있던 엔진 ticker 만 다시 돌린다', async () => {
+    createProject();
+    const tester = new Entry.ProjectTester([scoreCase('통과', 8)]);
+
+    await tester.runAll();
+    expect(Entry.engine.start).not.toHaveBeenCalled();
+
+    Entry.engine.ticker = 1;
+    await tester.runAll();
+    expect(Entry.engine.start).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,94 @@
+global._ = require('lodash');
+
+const listeners = {};
+const createEntity = () => {
+    const entity = {
+        id: 'e1',
+        x: 0,
+        parent: { id: 'o1', getPicture: () => null },
+        toJSON: () => ({ x: entity.x }),
+        syncModel_: ({ x }) => (entity.x = x),
+        takeSnapshot: () => (entity.snapshot_ = entity.toJSON()),
+        loadSnapshot: () => entity.syncModel_(entity.snapshot_),
+    };
+    return entity;
+};
+const createVariable = () => {
+    const variable = {
+        value: 0,
+        getId: () => 'v1',
+        getValue: () => variable.value,
+        setValue: (value) => (variable.value = value),
+        takeSnapshot: () => (variable.snapshot_ = variable.value),
+        loadSnapshot: () => (variable.value = variable.snapshot_),
+    };
+    return variable;
+};
+
+const entity = createEntity();
+const variable = createVariable();
+let engineState = 'stop';
+global.Entry = {
+    addEventListener: (name, listener) => (listeners[name] = listener),
+    removeEventListener: () => {},
+    dispatchEvent: () => {},
+    engine: { isState: (state) => engineState === state },
+    scene: { selectedScene: { id: 's1' } },
+    container: {
+        getAllObjects: () => [],
+        mapEntity: (callback) => callback(entity),
+        mapEntityIncludeClone: (callback) => callback(entity),
+        mapObject: () => {},
+    },
+    variableContainer: { variables_: [variable], lists_: [] },
+};
+require('../../src/log/executionTrace');
+
+const record = (trace, tickCount) => {
+    engineState = 'run';
+    listeners.beforeRun();
+    listeners.run();
+    for (let tick = 1; tick <= tickCount; tick++) {
+        entity.x = tick;
+        variable.value = tick * 10;
+        listeners.engineUpdated();
+    }
+    listeners.beforeStop();
+    engineState = 'stop';
+    entity.x = 0;
+    variable.value = 0;
+};
+
+test('되돌려 보기는 가까운 체크포인트부터 상태를 만들고, 앞으로 가면 이어서 적용한다', () => {
+    const trace = new Entry.ExecutionTrace();
+    trace.enable();
+    record(trace, 130);
+    expect(trace.getTickCount()).toBe(130);
+    expect(trace._checkpoints).toHaveLength(3);
+
+    const getStateAt = jest.spyOn(trace, 'getStateAt');
+    trace.seek(125);
+    expect(entity.x).toBe(125);
+    expect(variable.value).toBe(1250);
+    trace.stepForward();
+    expect(entity.x).toBe(126);
+    expect(getStateAt).toHaveBeenCalledTimes(1);
+
+    trace.seek(10);
+    expect(entity.x).toBe(10);
+    expect(getStateAt).toHaveBeenCalledTimes(2);
+    expect(trace.getStateAt(70)).toEqual(expect.objectContaining({ variables: { v1: 700 } }));
+});
+
+test('되돌려 보기를 끝내면 정지 직후의 상태로 돌아간다', () => {
+    const trace = new Entry.ExecutionTrace();
+    trace.enable();
+    record(trace, 5);
+
+    trace.seek(3);
+    expect(entity.x).toBe(3);
+    trace.exitReplay();
+    expect(trace.isReplaying()).toBe(false);
+    expect(entity.x).toBe(0);
+    expect(variable.value).toBe(0);
+});
@@ -0,0 +1,100 @@
+global._ = require('lodash');
+const listeners = {};
+global.Entry = {
+    addEventListener: (name, listener) => (listeners[name] = listeners[name] || []).push(listener),
+    dispatchEvent: (name, ...args) => (listeners[name] || []).forEach((fn) => fn(...args)),
+    createElement: (type) => document.createElement(type),
+    Utils: { stringFormat: (text, ...args) => text.replace(/{(\d)}/g, (_m, i) => args[i]) },
+    STATIC: { RECORDABLE: { SUPPORT: 1, SKIP: 2, ABANDON: 3 } },
+    Command: { 104: { recordable: 1 }, 105: { recordable: 2 } },
+    Thread: class {},
+    toast: { warning: () => {} },
+};
+global.Lang = {
+    Command: {},
+    Workspace: {
+        record_start: 'start',
+        record_stop: 'stop',
+        record_play: 'play',
+        record_pause: 'pause',
+        record_recording: 'recording',
+        record_empty: 'empty',
+        record_progress: '{0}/{1}',
+    },
+};
+Object.assign(HTMLElement.prototype, {
+    addClass(className) {
+        this.className = className;
+        return this;
+    },
+    appendTo(parent) {
+        parent.appendChild(this);
+        return this;
+    },
+    bindOnClick(callback) {
+        this.addEventListener('click', callback);
+        return this;
+    },
+});
+require('../../src/log/recorder');
+require('../../src/log/recordPlayer');
+require('../../src/log/recordPanel');
+
+beforeEach(() => {
+    const reporters = new Set();
+    Entry.commander = {
+        addReporter: (reporter) => reporters.add(reporter),
+        removeReporter: (reporter) => reporters.delete(reporter),
+        report: (data) => reporters.forEach((reporter) => reporter.add(data)),
+    };
+    Entry.do = jest.fn(() => ({ value: null }));
+    Entry.getMainWS = () => ({
+        board: { scrollToPointer: () => {}, findBlock: () => null },
+    });
+});
+
+test('조립 기록 탭에서 기록한 명령만 모아 두고, 기록을 멈추면 더 모으지 않는다', () => {
+    const panel = new Entry.RecordPanel();
+    panel.generateView(document.body);
+    const [recordButton] = panel.getView().querySelectorAll('button');
+    const status = panel.getView().querySelector('.entryRecordStatus');
+    expect(status.textContent).toBe('empty');
+
+    recordButton.click();
+    expect(recordButton.textContent).toBe('stop');
+    expect(status.textContent).toBe('recording');
+    Entry.commander.report([104, ['block', [0, 0]], ['target', 'a']]);
+    Entry.commander.report([105, ['board', 'b']]);
+
+    recordButton.click();
+    Entry.commander.report([104, ['block', [1, 0]]]);
+    expect(panel.data).toEqual([[104, ['block', [0, 0]], ['target', 'a']]]);
+    expect(status.textContent).toBe('0/1');
+});
+
+test('한 단계씩 넘기면 보드를 지운 뒤 기록한 명령을 차례로 실행하고, 재생은 끝까지 실행한다', async () => {
+    const panel = new Entry.RecordPanel();
+    panel.generateView(document.body);
+    panel.load([
+        [104, ['block', 'a'], ['target', 'b']],
+        [104, ['block', 'c'], ['target', 'd']],
+    ]);
+    panel.setSpeed(1000);
+
+    await panel.step();
+    expect(Entry.do.mock.calls).toEqual([['destroyThreads'], [104, 'a', 'b']]);
+    expect(panel.getView().querySelector('.entryRecordStatus').textContent).toBe('1/2');
+
+    await panel.step();
+    expect(Entry.do).toHaveBeenCalledTimes(3);
+
+    // 끝까지 재생한 뒤 다시 재생하면 처음부터 조립한다.
+    panel.play();
+    await new Promise((resolve) => listeners.recordPlayFinished.push(resolve));
+    expect(Entry.do.mock.calls.slice(3)).toEqual([
+        ['destroyThreads'],
+        [104, 'a', 'b'],
+        [104, 'c', 'd'],
+    ]);
+    expect(panel.getView().querySelectorAll('button')[3].textContent).toBe('play');
+});
@@ -0,0 +1,98 @@
+const listeners = {};
+global.Entry = {
+    addEventListener: (name, listener) => (listeners[name] = listener),
+    dispatchEvent: () => {},
+    block: {},
+};
+require('../../src/playground/debugger');
+
+const createEngine = () => {
+    const engine = {
+        state: 'run',
+        isState: (state) => engine.state === state,
+        togglePause: () => {
+            engine.state = engine.state === 'run' ? 'pause' : 'run';
+            listeners.dispatchEventDidTogglePause();
+        },
+    };
+    return engine;
+};
+
+const createBlock = (id) => ({ id, type: 'move_x' });
+const createExecutor = (block, parentExecutor = null) => ({
+    scope: { block },
+    parentExecutor,
+    _callStack: [],
+    register: {},
+});
+
+beforeEach(() => {
+    Entry.engine = createEngine();
+});
+
+test('중단점에서 멈추면 모든 실행을 멈추고, 엔진의 일시정지 버튼으로 다시 실행하면 멈춘 상태가 풀린다', () => {
+    const blockDebugger = new Entry.BlockDebugger();
+    const block = createBlock('a');
+    const executor = createExecutor(block);
+    const other = createExecutor(createBlock('b'));
+    blockDebugger.addBreakpoint(block);
+
+    expect(blockDebugger.shouldPause(executor)).toBe(true);
+    expect(blockDebugger.isPaused()).toBe(true);
+    expect(Entry.engine.state).toBe('pause');
+    expect(blockDebugger.shouldPause(other)).toBe(true);
+
+    Entry.engine.togglePause();
+    expect(blockDebugger.isPaused()).toBe(false);
+    expect(blockDebugger.shouldPause(other)).toBe(false);
+    // 같은 블록에 머물러 있는 동안에는 다시 멈추지 않는다.
+    expect(blockDebugger.shouldPause(executor)).toBe(false);
+});
+
+test('한 단계 실행은 같은 흐름의 다음 블록에서, 안으로 들어가기는 함수 안의 첫 블록에서 멈춘다', () => {
+    const blockDebugger = new Entry.BlockDebugger();
+    const first = createBlock('first');
+    const executor = createExecutor(first);
+    const other = createExecutor(createBlock('other'));
+    blockDebugger.addBreakpoint(first);
+    blockDebugger.shouldPause(executor);
+
+    blockDebugger.stepOver();
+    expect(Entry.engine.state).toBe('run');
+    expect(blockDebugger.shouldPause(other)).toBe(false);
+    executor.scope = { block: createBlock('second') };
+    expect(blockDebugger.shouldPause(executor)).toBe(true);
+
+    blockDebugger.stepInto();
+    const funcExecutor = createExecutor(createBlock('inner'), executor);
+    expect(blockDebugger.shouldPause(funcExecutor)).toBe(true);
+    expect(blockDebugger.getSnapshot().block.id).toBe('inner');
+});
+
+test('호출 스택은 안쪽 함수부터 인자와 지역 변수를 보여준다', () => {
+    const blockDebugger = new Entry.BlockDebugger();
+    const callBlock = createBlock('call');
+    const executor = createExecutor(callBlock);
+    const funcExecutor = createExecutor(createBlock('inner'), executor);
+    Object.assign(funcExecutor, {
+        isFuncExecutor: true,
+        parentScope: { block: callBlock },
+        register: { params: [3], paramMap: { stringParam_a: 0 } },
+        localVariables: [{ id: 'v', name: 'count', value: 1 }],
+        localLists: [{ id: 'l', name: 'items', value: ['x'] }],
+    });
+    blockDebugger.pause(funcExecutor);
+
+    const [inner, outer] = blockDebugger.getSnapshot().callStack;
+    expect(inner).toMatchObject({
+        isFunction: true,
+        funcBlock: callBlock,
+        params: [{ key: 'stringParam_a', value: 3 }],
+        localVariables: [{ id: 'v', name: 'count', value: 1 }],
+        localLists: [{ id: 'l', name: 'items', value: ['x'] }],
+    });
+    expect(outer).toMatchObject({ isFunction: false, block: callBlock });
+
+    listeners.stop();
+    expect(blockDebugger.getSnapshot()).toBe(null);
+});
@@ -0,0 +1,72 @@
+global._ = require('lodash');
+
+// 블록 정의를 만들 때 읽는 색상과 문구는 이 테스트에서 쓰지 않으므로 아무 값이나 돌려준다.
+const anything = new Proxy(() => '', {
+    get: (target, key) => (key in target ? target[key] : anything),
+});
+global.EntryStatic = anything;
+global.Lang = anything;
+global.Entry = {
+    STATIC: { BREAK: 'BREAK' },
+    block: { converters: {} },
+    Utils: {
+        RecursionLimitError: class RecursionLimitError extends Error {
+            constructor(func) {
+                super();
+                this.name = 'RecursionLimitError';
+                this.func = func;
+            }
+        },
+    },
+};
+const { getBlocks } = require('../../src/playground/blocks/block_func');
+
+const { function_general: functionGeneral, function_value: functionValue } = getBlocks();
+
+const func = {
+    id: 'f1',
+    paramMap: {},
+    localVariables: [],
+    localLists: [],
+    content: {
+        raiseEvent: () => [
+            { register: {}, execute: () => ({ promises: [] }), isEnd: () => true, returnValue: 0 },
+        ],
+        removeExecutor: () => {},
+    },
+};
+
+const call = (schema, executor) => {
+    const script = {
+        block: { getFuncId: () => func.id },
+        executor,
+        values: [],
+    };
+    schema.func.call(script, {}, script);
+    return script.funcExecutor;
+};
+
+beforeEach(() => {
+    Object.assign(Entry, {
+        maxFunctionCallDepth: 3,
+        variableContainer: { getFunction: () => func },
+    });
+});
+
+test('함수 실행기는 자신을 부른 실행기보다 한 단계 깊다', () => {
+    const first = call(functionGeneral, {});
+    expect(first.callDepth).toBe(1);
+
+    const second = call(functionGeneral, first);
+    expect(second.callDepth).toBe(2);
+    expect(call(functionValue, second).callDepth).toBe(3);
+});
+
+test('여러 프레임에 걸쳐 실행되어도 부르는 깊이가 쌓여 제한을 넘으면 멈춘다', () => {
+    const first = call(functionGeneral, {});
+    const second = call(functionGeneral, first);
+    const third = call(functionGeneral, second);
+
+    expect(() => call(functionGeneral, third)).toThrow(Entry.Utils.RecursionLimitError);
+    expect(() => call(functionValue, third)).toThrow(Entry.Utils.RecursionLimitError);
+});
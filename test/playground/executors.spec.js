@@ -0,0 +1,59 @@
+class RecursionLimitError extends Error {
+    constructor() {
+        super();
+        this.name = 'RecursionLimitError';
+    }
+}
+
+global.Entry = {
+    STATIC: { BREAK: 'BREAK' },
+    skeleton: { basic: { executable: true } },
+    Scope: class {
+        constructor(block, executor) {
+            this.block = block;
+            this.executor = executor;
+        }
+
+        run(entity) {
+            return this.block.run(entity);
+        }
+    },
+    Utils: { generateId: () => 'executor' },
+    dispatchEvent: () => {},
+    generateHash: () => 'hash',
+};
+require('../../src/playground/executors');
+
+const createBlock = (run) => ({
+    run,
+    getSchema: () => ({ skeleton: 'basic' }),
+    getNextBlock: () => null,
+});
+
+beforeEach(() => {
+    Entry.Utils.stopProjectWithToast = jest.fn();
+    Entry.engine = { isState: () => true };
+});
+
+test.each([
+    [
+        '바로',
+        () => {
+            throw new RecursionLimitError();
+        },
+    ],
+    ['기다리는 블록을 실행한 뒤', () => Promise.reject(new RecursionLimitError())],
+])('%s 함수 호출 깊이 제한을 넘으면 함수를 부른 블록을 알려주며 멈춘다', async (_, run) => {
+    const executor = new Entry.Executor(createBlock(run), {});
+    const { scope } = executor;
+
+    executor.execute();
+    await new Promise((resolve) => setTimeout(resolve));
+
+    expect(Entry.Utils.stopProjectWithToast).toHaveBeenCalledTimes(1);
+    expect(Entry.Utils.stopProjectWithToast).toHaveBeenCalledWith(
+        scope,
+        'RecursionLimitError',
+        expect.any(RecursionLimitError)
+    );
+});
@@ -0,0 +1,84 @@
+/**
+ * @jest-environment node
+ */
+global.Entry = {};
+const FirmataLite = require('../../src/playground/blocks/hardwareLite/block_firmata_lite');
+
+const sysex = (...bytes) => Uint8Array.from([0xf0, ...bytes, 0xf7]);
+
+const connectSimulator = () => {
+    const { respond, sensors } = FirmataLite.simulator;
+    const written = [];
+    Entry.hwLite = {
+        getStatus: () => 'connected',
+        serial: {
+            writer: {
+                write: async (data) => {
+                    written.push(Array.from(data));
+                },
+            },
+        },
+    };
+    FirmataLite.resetBoard();
+    [0x79, 0x6b, 0x69].forEach((query) => {
+        const response = respond(sysex(query), sensors);
+        // 응답이 여러 번에 나뉘어 와도 이어서 읽는다.
+        FirmataLite.handleLocalData(response.slice(0, 5));
+        FirmataLite.handleLocalData(response.slice(5));
+    });
+    return written;
+};
+
+test('capability 와 analog mapping 응답으로 보드의 핀을 알아낸다', () => {
+    connectSimulator();
+
+    expect(FirmataLite.isReady()).toBe(true);
+    expect(FirmataLite.firmware).toEqual({ name: 'StandardFirmata.ino', version: '2.5' });
+    expect(FirmataLite.getPinOptions(0x03).map(([, value]) => value)).toEqual([
+        '3',
+        '5',
+        '6',
+        '9',
+        '10',
+        '11',
+    ]);
+    expect(FirmataLite.getAnalogOptions()[0]).toEqual(['A0', '0']);
+    expect(FirmataLite.pins[14].analogChannel).toBe(0);
+});
+
+test('블록 명령을 Firmata 메시지로 보내고 보고된 값을 읽는다', async () => {
+    const written = connectSimulator();
+
+    FirmataLite.setPinMode(13, 0x01);
+    FirmataLite.digitalWrite(13, true);
+    FirmataLite.setPwm(3, 300);
+    expect(written).toEqual([
+        [0xf4, 13, 0x01],
+        [0x91, 0x20, 0x00],
+        [0xf4, 3, 0x03],
+        [0xe3, 0x7f, 0x01],
+    ]);
+
+    FirmataLite.setPinMode(2, 0x00);
+    FirmataLite.setPinMode(14, 0x02);
+    FirmataLite.handleLocalData(Uint8Array.from([0x90, 0x04, 0x00, 0xe0, 0x7f, 0x07]));
+    expect(FirmataLite.pins[2].value).toBe(1);
+    expect(FirmataLite.pins[14].value).toBe(1023);
+
+    const reading = FirmataLite.i2cRead(0x3c, 0x10, 2);
+    FirmataLite.handleLocalData(sysex(0x77, 0x3c, 0x00, 0x10, 0x00, 0x12, 0x00, 0x7f, 0x01));
+    await expect(reading).resolves.toBe('18,255');
+});
+
+test('보내지 못한 명령은 기록만 남기고 블록을 멈추지 않는다', async () => {
+    connectSimulator();
+    const error = new Error('The port is closed.');
+    Entry.hwLite.serial.writer.write = () => Promise.reject(error);
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => FirmataLite.digitalWrite(13, false)).not.toThrow();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(consoleError).toHaveBeenCalledWith(error);
+    consoleError.mockRestore();
+});
@@ -0,0 +1,46 @@
+/**
+ * @jest-environment node
+ */
+global.Entry = {};
+const HamsterLite = require('../../src/playground/blocks/hardwareLite/block_hamster_lite');
+
+const toText = (data) => (typeof data === 'string' ? data : new TextDecoder().decode(data));
+const toBytes = (text) => new TextEncoder().encode(text);
+
+test('가상 햄스터의 센서 데이터를 handleLocalData 가 그대로 읽는다', () => {
+    const { sensors, encode } = HamsterLite.simulator;
+    Object.assign(sensors, {
+        leftProximity: 40,
+        rightFloor: 90,
+        accelerationX: -120,
+        light: 300,
+        temperature: 27,
+        inputA: 12,
+    });
+
+    HamsterLite.handleLocalData(toText(encode(sensors, 0)).replace('\r', ''));
+    HamsterLite.handleLocalData(toText(encode(sensors, 1)).replace('\r', ''));
+
+    expect(HamsterLite.sensory).toMatchObject({
+        signalStrength: -50,
+        leftProximity: 40,
+        rightFloor: 90,
+        accelerationX: -120,
+        light: 300,
+        temperature: '27.0',
+        inputA: 12,
+    });
+});
+
+test('가상 햄스터는 연결 요청에 응답하고 requestLocalData 를 출력값으로 읽는다', () => {
+    const { sensors, respond, decode } = HamsterLite.simulator;
+    const info = toText(respond(toBytes(HamsterLite.requestInitialData()), sensors));
+    expect(info.startsWith('FF,Hamster,04')).toBe(true);
+
+    Object.assign(HamsterLite.motoring, { leftWheel: -30, rightWheel: 50, buzzer: 440 });
+    expect(decode(toBytes(HamsterLite.requestLocalData()))).toMatchObject({
+        leftWheel: -30,
+        rightWheel: 50,
+        buzzer: 440,
+    });
+});
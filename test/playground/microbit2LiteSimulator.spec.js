@@ -0,0 +1,30 @@
+/**
+ * @jest-environment node
+ */
+global.Entry = {};
+const Microbit2Lite = require('../../src/playground/blocks/hardwareLite/block_microbit2_lite');
+
+const toBytes = (text) => new TextEncoder().encode(text);
+
+test('가상 마이크로비트는 블록이 보낸 명령에 센서값으로 응답한다', () => {
+    const { sensors, respond } = Microbit2Lite.simulator;
+    const request = (command) => respond(toBytes(command), sensors).replace('\r\n', '');
+    expect(request('localdata')).toBe('localdata;2');
+
+    Object.assign(sensors, { P1: 700, button: 2, accX: 3, accY: 4, accZ: 0, light: 120 });
+    expect(request('localdata;').split(':btn:')[1]).toBe('2');
+    expect(Microbit2Lite.getResponse(request('get-analog;1'))).toBe('700');
+    expect(request('get-digital;1')).toBe('get-digital;1');
+    expect(request('get-digital;0')).toBe('get-digital;0');
+    expect(request('get-acc;mag')).toBe('get-acc;5');
+    expect(request('light-level;')).toBe('light-level;120');
+    expect(request('set-pixel;0;0;9')).toBe('set-pixel;0');
+});
+
+test('가상 마이크로비트는 출력 명령을 출력값으로 읽는다', () => {
+    const { decode } = Microbit2Lite.simulator;
+    expect(decode(toBytes('set-digital;8;1'))).toEqual({ P8: 1 });
+    expect(decode(toBytes('print;hi;there'))).toEqual({ display: 'hi;there' });
+    expect(decode(toBytes('display-clear;'))).toEqual({ display: '' });
+    expect(decode(toBytes('get-btn;'))).toBeUndefined();
+});
@@ -0,0 +1,32 @@
+/**
+ * @jest-environment node
+ */
+global.Entry = {};
+const NeoLite = require('../../src/playground/blocks/hardwareLite/block_neo_lite');
+
+test('가상 네오의 센서 데이터를 handleLocalData 가 모니터 포트 값으로 읽는다', () => {
+    const { sensors, encode } = NeoLite.simulator;
+    Object.assign(sensors, { IN11: 120, IN24: -5, IN33: 1000, IR: 7, BAT: 80 });
+
+    NeoLite.handleLocalData(encode(sensors, 0));
+
+    expect(NeoLite.getMonitorPort()).toMatchObject({
+        IN11: 120,
+        IN24: -5,
+        IN33: 1000,
+        IR: 7,
+        BAT: 80,
+    });
+});
+
+test('가상 네오는 받은 명령에 응답하여 기다리는 블록을 끝낸다', () => {
+    const { sensors, respond } = NeoLite.simulator;
+    const blockId = NeoLite.generateBlockId();
+    NeoLite.requestCommand(blockId, 0x13, [1]);
+    const { pdu } = NeoLite.executeList.pop();
+    expect(NeoLite.pendingResponseList[blockId]).toBe('executed');
+
+    NeoLite.handleLocalData(respond(Uint8Array.from(pdu), sensors));
+    expect(NeoLite.pendingResponseList[blockId]).toBeUndefined();
+    expect(respond(Uint8Array.from([1, 2, 3]), sensors)).toBeUndefined();
+});
@@ -0,0 +1,66 @@
+global.acorn = require('acorn');
+global.Entry = {};
+global.Lang = {
+    TextCoding: {
+        title_converting: '변환 오류',
+        message_conv_no_support: '변환될 수 없는 코드입니다.',
+        subject_conv_general: '일반',
+    },
+};
+require('../../src/textcoding/error/textCodingError');
+require('../../src/textcoding/util/textCodingUtil');
+require('../../src/textcoding/parser/core/text/jsToPy');
+require('../../src/textcoding/parser/core/text/pyToJs');
+
+const PYTHON = [
+    'count = 0',
+    '',
+    'def when_start():',
+    '    Entry.add_x(10)',
+    '    for i in range(10):',
+    '        if count > 1 and True:',
+    '            count = (count // 2)',
+    '        elif count == None:',
+    '            Entry.print("hi") # note',
+    '        else:',
+    '            count += 1',
+].join('\n');
+
+const JAVASCRIPT = [
+    'let count = 0;',
+    '',
+    'when_start(() => {',
+    '    Entry.add_x(10);',
+    '    for (let i = 0; i < 10; i++) {',
+    '        if (count > 1 && true) {',
+    '            count = Math.floor(count / 2);',
+    '        } else if (count == null) {',
+    '            Entry.print("hi"); // note',
+    '        } else {',
+    '            count += 1;',
+    '        }',
+    '    }',
+    '});',
+].join('\n');
+
+test('블록을 바꾼 파이썬 코드를 같은 블록을 나타내는 자바스크립트 코드로 바꾼다', () => {
+    expect(new Entry.PyToJsConverter().convert(PYTHON)).toBe(JAVASCRIPT);
+});
+
+test('자바스크립트 코드는 원래의 파이썬 코드로 되돌아간다', () => {
+    const { code, nodes } = new Entry.JsToPyConverter().convert(JAVASCRIPT);
+    expect(code).toBe(PYTHON);
+    // 파이썬 줄마다 그 줄을 만든 자바스크립트 노드의 줄 번호
+    expect(nodes[8].loc.start.line).toBe(9);
+});
+
+test('블록으로 바꿀 수 없는 문법은 줄 번호와 함께 변환 오류를 낸다', () => {
+    expect(() =>
+        new Entry.JsToPyConverter().convert('when_start(() => {\n    let f = () => 1;\n});')
+    ).toThrow(
+        expect.objectContaining({
+            title: '변환 오류',
+            message: "[일반] '() => 1'  : 변환될 수 없는 코드입니다. (line 2)",
+        })
+    );
+});
@@ -0,0 +1,87 @@
+global.acorn = require('acorn');
+global.filbert = require('../../extern/util/filbert');
+
+global.Entry = {
+    Vim: {
+        WORKSPACE_MODE: 2,
+        PARSER_TYPE_JS_TO_BLOCK: 0,
+        PARSER_TYPE_PY_TO_BLOCK: 1,
+        INEDITABLE_LINE_JS: 2,
+    },
+    generateHash: () => Math.random().toString(36).substr(2, 4),
+};
+global.Lang = { TextCoding: {} };
+require('../../src/textcoding/error/textCodingError');
+require('../../src/textcoding/util/textCodingUtil');
+require('../../src/textcoding/ast/pyAstGenerator');
+require('../../src/textcoding/parser/core/text/jsToPy');
+require('../../src/textcoding/parser');
+
+// 일반 작품의 자바스크립트 편집기처럼 고칠 수 없는 설명 두 줄이 앞에 있다.
+const HEADER = '// 엔트리봇의 자바스크립트 코드\n\n';
+
+let parser;
+let codeMirror;
+
+const convert = (code) => {
+    codeMirror.getValue = () => `${HEADER}${code}`;
+    return parser.parse(`${HEADER}${code}`, undefined, Entry.Vim.PARSER_TYPE_JS_TO_BLOCK);
+};
+
+beforeEach(() => {
+    Entry.variableContainer = {
+        getVariableByName: (name) => (name === 'y' ? { id_: 'v_y' } : undefined),
+        getListByName: () => undefined,
+        getDictByName: () => undefined,
+        functions_: {},
+    };
+    Entry.playground = { object: { id: 'o1' } };
+    Entry.toast = { alert: jest.fn() };
+    codeMirror = { markText: jest.fn() };
+    parser = new Entry.Parser(null, null, null, {});
+    parser._mode = Entry.Vim.WORKSPACE_MODE;
+    parser.codeMirror = codeMirror;
+    parser._jsConverter = new Entry.JsToPyConverter();
+    parser._execParser = new Entry.PyToBlockParser({ '#dic': {} });
+});
+
+const LOOP = 'for (let i = 0; i < 3; i++) {\n    y = (1 +\n        2);\n}\n';
+
+test('고칠 수 없는 머리말은 같은 길이의 공백으로 바꿔 블록이 되지 않게 한다', () => {
+    const spy = jest.spyOn(parser._jsConverter, 'convert');
+    const threads = convert(LOOP);
+
+    const [jsCode] = spy.mock.calls[0];
+    const [description, blank, ...rest] = jsCode.split('\n');
+    expect(description).toBe(' '.repeat(HEADER.indexOf('\n')));
+    expect(blank).toBe('');
+    expect(rest.join('\n')).toBe(LOOP);
+    // 공백으로 바꾸어도 노드의 위치는 편집기의 위치와 같다.
+    expect(jsCode).toHaveLength(`${HEADER}${LOOP}`.length);
+    expect(threads).toHaveLength(1);
+    expect(threads[0][0].type).not.toBe('comment');
+});
+
+test('블록으로 바꿀 수 없는 자바스크립트 문법은 그 줄에 오류를 표시한다', () => {
+    expect(() => convert(`${LOOP}\nclass Foo {}\n`)).toThrow();
+
+    const [from, to] = codeMirror.markText.mock.calls[0];
+    expect(from).toEqual({ line: 7, ch: 0 });
+    expect(to).toEqual({ line: 7, ch: 12 });
+    expect(Entry.toast.alert).toHaveBeenCalled();
+});
+
+test('바꾼 파이썬 코드의 변환 오류는 원래 자바스크립트 코드의 줄에 표시한다', () => {
+    // 여러 줄에 걸친 문장은 파이썬 코드 한 줄이 되므로 파이썬 코드와 줄 번호가 다르다.
+    let error;
+    try {
+        convert(`${LOOP}\nfor (const x of l) {\n    y = x;\n}\n`);
+    } catch (e) {
+        error = e;
+    }
+
+    const [from, to] = codeMirror.markText.mock.calls[0];
+    expect(from).toEqual({ line: 7, ch: 0 });
+    expect(to).toEqual({ line: 9, ch: 1 });
+    expect(error.message).toContain('(line 8)');
+});
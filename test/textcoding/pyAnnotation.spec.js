@@ -0,0 +1,165 @@
+global.filbert = require('../../extern/util/filbert');
+
+global.Entry = {
+    Vim: { WORKSPACE_MODE: 2, PARSER_TYPE_PY_TO_BLOCK: 1 },
+    Block: class {},
+    Comment: class {},
+    Thread: class {},
+    generateHash: () => Math.random().toString(36).substr(2, 4),
+};
+global.Lang = { TextCoding: {} };
+require('../../src/textcoding/error/textCodingError');
+require('../../src/textcoding/util/textCodingUtil');
+require('../../src/textcoding/data_processing/map');
+require('../../src/textcoding/ast/pyAstGenerator');
+require('../../src/textcoding/parser/core/block/blockToPy');
+require('../../src/textcoding/parser');
+require('../../src/playground/workspace');
+
+const HEADER = '# 엔트리봇\n\nimport Entry\n\n';
+
+const createBlock = (data, schema = {}) =>
+    Object.assign(new Entry.Block(), data, {
+        data,
+        getSchema: () => schema,
+    });
+
+const createThread = (blocks) => ({
+    getBlocks: () => blocks,
+    getFirstBlock: () => blocks[0],
+    toJSON: () => blocks.map(({ data }) => data),
+});
+
+// 보드에 따로 놓인 주석, 위치를 옮긴 스레드, 파이썬으로 바꿀 수 없는 값 블록
+const comment = Object.assign(new Entry.Comment(), {
+    toJSON: () => ({
+        id: 'c1',
+        type: 'comment',
+        value: '첫 줄\n둘째 줄',
+        x: 40,
+        y: 50,
+        width: 160,
+        height: 80,
+    }),
+});
+const stringBlock = { id: 'b2', type: 'text', params: ['안녕'], x: 300, y: 10 };
+const threads = [
+    createThread([comment]),
+    createThread([createBlock({ id: 'b1', type: 'set_variable', x: 100, y: 200 })]),
+    createThread([createBlock(stringBlock, { skeleton: 'basic_string_field' })]),
+];
+
+let parser;
+
+beforeEach(() => {
+    Entry.variableContainer = {
+        getVariableByName: (name) => (name === 'y' ? { id_: 'v_y' } : undefined),
+        getListByName: () => undefined,
+        getDictByName: () => undefined,
+        functions_: {},
+    };
+    Entry.playground = { object: { id: 'o1' } };
+    parser = new Entry.Parser(null, null, null, {});
+    parser._execParser = new Entry.PyToBlockParser({ '#dic': {} });
+});
+
+const blockToPy = () => {
+    const blockToPyParser = new Entry.BlockToPyParser();
+    // INFO : 블록 하나를 바꾸는 일은 문법 정의가 필요하므로 결과만 정해 둔다.
+    blockToPyParser.Block = () => 'y = 1';
+    return blockToPyParser.Code({ getThreads: () => threads }, Entry.Parser.PARSE_GENERAL);
+};
+
+const pyToBlock = (code) => parser.parse(`${HEADER}${code}\n`, undefined, 1);
+
+describe('annotation', () => {
+    test('makeAnnotation 으로 만든 줄은 parseAnnotation 으로 되살린다', () => {
+        const data = { x: 1.5, y: -2, text: '#@thread {}' };
+        const line = Entry.TextCodingUtil.makeAnnotation('thread', data);
+
+        expect(line).toBe('#@thread {"x":1.5,"y":-2,"text":"#@thread {}"}');
+        expect(Entry.TextCodingUtil.parseAnnotation(`${line}\n`)).toEqual({ type: 'thread', data });
+    });
+
+    test.each([
+        ['# 그냥 주석'],
+        ['# @thread {"x":1}'],
+        ['#@ {"x":1}'],
+        ['#@thread'],
+        ['#@thread {"x":1'],
+    ])('%s 는 annotation 이 아니다', (line) => {
+        expect(Entry.TextCodingUtil.parseAnnotation(line)).toBeUndefined();
+    });
+});
+
+test('주석, 스레드 위치, 바꿀 수 없는 블록은 파이썬으로 바꾸었다가 되돌려도 남는다', () => {
+    const code = blockToPy();
+    expect(code.split('\n')).toEqual([
+        '#@comment {"x":40,"y":50,"width":160,"height":80}',
+        '# 첫 줄',
+        '# 둘째 줄',
+        '',
+        '#@thread {"x":100,"y":200}',
+        'y = 1',
+        '',
+        `#@blocks ${JSON.stringify([stringBlock])}`,
+    ]);
+
+    const [commentThread, positionThread, blocksThread] = pyToBlock(code);
+    expect(commentThread).toEqual([
+        { type: 'comment', value: '첫 줄\n둘째 줄', x: 40, y: 50, width: 160, height: 80 },
+    ]);
+    expect(positionThread).toEqual([
+        {
+            type: 'set_variable',
+            params: ['v_y', { type: 'number', params: [1] }],
+            x: 100,
+            y: 200,
+        },
+    ]);
+    expect(blocksThread).toEqual([stringBlock]);
+});
+
+test('잘못된 annotation 은 보통 주석으로 보고, 다음 스레드에 위치를 붙이지 않는다', () => {
+    const threads = pyToBlock('#@thread {"x":100\ny = 1\n\n#@blocks [');
+
+    expect(threads).toEqual([
+        [{ type: 'comment', value: '@thread {"x":100' }],
+        [{ type: 'set_variable', params: ['v_y', { type: 'number', params: [1] }] }],
+        [{ type: 'comment', value: '@blocks [' }],
+    ]);
+});
+
+describe('Workspace.textToCode', () => {
+    const createWorkspace = (blocks) => {
+        const code = {
+            load: jest.fn(),
+            view: { reDraw: jest.fn() },
+            getThreads: () => blocks.map((block) => createThread([block])),
+        };
+        return {
+            vimBoard: { textToCode: () => [] },
+            board: { code, alignThreads: jest.fn() },
+            changeBoardCode: jest.fn(),
+        };
+    };
+    const textToCode = (workspace) => {
+        jest.useFakeTimers();
+        Entry.Workspace.prototype.textToCode.call(workspace, Entry.Workspace.MODE_VIMBOARD);
+        jest.runAllTimers();
+        jest.useRealTimers();
+        return workspace.board.alignThreads;
+    };
+    const createPlacedBlock = (x, y) =>
+        Object.assign(new Entry.Block(), { x, y, isInOrigin: () => x === 0 && y === 0 });
+
+    test('위치를 되살린 스레드가 있으면 스레드를 정렬하지 않는다', () => {
+        const workspace = createWorkspace([createPlacedBlock(0, 0), createPlacedBlock(100, 200)]);
+        expect(textToCode(workspace)).not.toHaveBeenCalled();
+    });
+
+    test('모든 스레드가 원점에 있으면 스레드를 정렬한다', () => {
+        const workspace = createWorkspace([createPlacedBlock(0, 0), new Entry.Comment()]);
+        expect(textToCode(workspace)).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,75 @@
+global._ = require('lodash');
+global.CodeMirror = { registerHelper: () => {} };
+global.Entry = {
+    Utils: {},
+    hw: {},
+    addEventListener: () => {},
+    getMainWS: () => ({ blockMenu: {} }),
+};
+require('../../src/util/fuzzy');
+require('../../src/textcoding/util/textCodingUtil');
+require('../../src/textcoding/hint/python');
+
+const createVariable = (name, object) => ({ getName: () => name, object_: object });
+
+const createEditor = (value) => ({
+    getValue: () => value,
+    getCursor: () => ({ line: 0, ch: 10 }),
+    replaceRange: jest.fn(),
+    setCursor: jest.fn(),
+});
+
+let hint;
+
+beforeEach(() => {
+    Object.assign(Entry, {
+        variableContainer: {
+            variables_: [createVariable('score'), createVariable('speed', 'o1')],
+            lists_: [createVariable('scores')],
+            messages_: [{ name: 'start' }],
+            functions_: {
+                f1: { block: { template: 'jump %1' }, paramMap: { p1: 0 } },
+            },
+        },
+        playground: {
+            object: { id: 'o1', pictures: [{ name: 'cat' }], sounds: [{ name: 'meow' }] },
+        },
+        scene: { scenes_: [{ name: 'scene1' }] },
+        container: { objects_: [{ name: 'cat' }] },
+    });
+    hint = new Entry.PyHint({});
+});
+
+test('작품의 전역 변수, 리스트, 함수 이름을 편집기에서 많이 쓴 순서로 보여준다', () => {
+    const editor = createEditor('scores\nscores\nscore\n');
+    const hints = hint.getProjectHints(editor, 'sc');
+
+    expect(hints.map(({ displayText }) => displayText)).toEqual(['scores', 'score']);
+    expect(hint.getProjectHints(editor, 'ju')[0]).toMatchObject({
+        text: 'jump()',
+        displayText: 'jump(param1)',
+        cursorOffset: 1,
+    });
+});
+
+test('self. 다음에는 현재 오브젝트의 지역 변수만 보여준다', () => {
+    const hints = hint.getSelfHints(createEditor(''), '.');
+    expect(hints.map(({ text }) => text)).toEqual(['speed']);
+});
+
+test('문자열 안에서는 신호, 장면, 오브젝트, 모양, 소리 이름을 같은 따옴표로 감싸 보여준다', () => {
+    const hints = hint.getNameHints(createEditor(''), { string: "'" });
+    expect(hints.map(({ text }) => text)).toEqual(["'start'", "'scene1'", "'cat'", "'meow'"]);
+    expect(hint.getNameHints(createEditor(''), { string: '"me' })[0].text).toBe('"meow"');
+    expect(hint.getNameHints(createEditor("'cat'\n'cat'"), { string: "'" })[0].text).toBe("'cat'");
+});
+
+test('인자가 있는 함수를 고르면 괄호 안으로 커서를 옮긴다', () => {
+    const editor = createEditor('');
+    const [data] = hint.getProjectHints(editor, 'jump');
+    const range = { from: { line: 0, ch: 6 }, to: { line: 0, ch: 10 } };
+
+    data.hint(editor, range, data);
+    expect(editor.replaceRange).toHaveBeenCalledWith('jump()', range.from, range.to);
+    expect(editor.setCursor).toHaveBeenCalledWith({ line: 0, ch: 9 });
+});
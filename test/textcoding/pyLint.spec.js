@@ -0,0 +1,100 @@
+global.filbert = require('../../extern/util/filbert');
+
+const helpers = [];
+global.CodeMirror = {
+    registerHelper: jest.fn((type, name, helper) => helpers.push(helper)),
+    Pos: (line, ch) => ({ line, ch }),
+};
+global.Entry = {
+    variableContainer: {
+        getVariableByName: (name) => (name === 'a' ? { id_: 'a' } : undefined),
+        getListByName: () => undefined,
+        getDictByName: (name) => (name === 'd' ? { id_: 'd' } : undefined),
+    },
+    block: {},
+};
+global.Lang = {
+    TextCoding: {
+        lint_undefined_name: "'%1' undefined",
+        lint_undefined_function: "'%1' function",
+        lint_argument_count: "'%1' needs %2",
+    },
+    Helper: { move_x: 'move x' },
+};
+require('../../src/textcoding/error/textCodingError');
+require('../../src/textcoding/ast/pyAstGenerator');
+require('../../src/textcoding/lint/python');
+
+const SYNTAX = {
+    Entry: { add_x: { key: 'move_x', syntax: 'Entry.add_x(%1)' } },
+};
+
+const createCodeMirror = () => {
+    const wrapper = document.createElement('div');
+    return {
+        getWrapperElement: () => wrapper,
+        coordsChar: () => ({ line: 0, ch: 7 }),
+        getLine: () => 'Entry.add_x(10)',
+    };
+};
+
+const lint = (codeMirror, text) => helpers[0](text, {}, codeMirror);
+
+afterEach(() =>
+    document.body.querySelectorAll('.CodeMirror-lint-tooltip').forEach((el) => el.remove())
+);
+
+test('없는 이름과 인자 개수가 다른 블록 함수를 알려준다', () => {
+    const codeMirror = createCodeMirror();
+    const linter = new Entry.PyLint(SYNTAX, codeMirror);
+
+    const annotations = lint(codeMirror, 'Entry.add_x(a)\nEntry.add_x(b)\nEntry.add_x(1, 2)\n');
+    expect(annotations.map(({ from, message }) => [from.line, message])).toEqual([
+        [1, "'b' undefined"],
+        [2, "'Entry.add_x' needs 1"],
+    ]);
+    linter.destroy();
+});
+
+test('사전 이름은 값을 읽거나 사전의 함수를 부를 때 모두 정의된 이름으로 본다', () => {
+    const codeMirror = createCodeMirror();
+    const linter = new Entry.PyLint(SYNTAX, codeMirror);
+
+    const annotations = lint(
+        codeMirror,
+        'd["a"] = 1\nEntry.add_x(d["a"])\nd.pop("a")\ne.pop("a")\n'
+    );
+    expect(annotations.map(({ from, message }) => [from.line, message])).toEqual([
+        [3, "'e' undefined"],
+    ]);
+    linter.destroy();
+});
+
+test('lint helper 는 한 번만 등록하고 편집기마다 자신의 PyLint 로 검사한다', () => {
+    const first = createCodeMirror();
+    const second = createCodeMirror();
+    const firstLinter = new Entry.PyLint(SYNTAX, first);
+    const secondLinter = new Entry.PyLint({ Entry: {} }, second);
+
+    expect(CodeMirror.registerHelper).toHaveBeenCalledTimes(1);
+    expect(lint(first, 'Entry.add_x(1)\n')).toEqual([]);
+    expect(lint(second, 'Entry.add_x(1)\n')).toHaveLength(1);
+
+    secondLinter.destroy();
+    expect(lint(second, 'Entry.add_x(1)\n')).toEqual([]);
+    firstLinter.destroy();
+});
+
+test('destroy 하면 편집기에 단 마우스 이벤트를 떼어 도움말을 더 띄우지 않는다', () => {
+    const codeMirror = createCodeMirror();
+    const linter = new Entry.PyLint(SYNTAX, codeMirror);
+    const wrapper = codeMirror.getWrapperElement();
+
+    wrapper.dispatchEvent(new MouseEvent('mousemove'));
+    expect(document.body.querySelector('.CodeMirror-lint-tooltip').textContent).toContain('move x');
+
+    linter.destroy();
+    expect(document.body.querySelector('.CodeMirror-lint-tooltip')).toBe(null);
+    wrapper.dispatchEvent(new MouseEvent('mousemove'));
+    expect(document.body.querySelector('.CodeMirror-lint-tooltip')).toBe(null);
+});
@@ -0,0 +1,163 @@
+global.filbert = require('../../extern/util/filbert');
+
+global.Entry = {
+    Vim: { WORKSPACE_MODE: 2, PARSER_TYPE_PY_TO_BLOCK: 1 },
+    generateHash: () => Math.random().toString(36).substr(2, 4),
+};
+global.Lang = { TextCoding: {} };
+require('../../src/textcoding/error/textCodingError');
+require('../../src/textcoding/util/textCodingUtil');
+require('../../src/textcoding/ast/pyAstGenerator');
+require('../../src/textcoding/parser');
+
+/**
+ * 이름으로 변수를 찾는 동작만 흉내 낸 변수 컨테이너
+ */
+const findByName = (variables, name, isSelf, objectId) =>
+    variables.find(
+        (variable) =>
+            variable.name_ === name &&
+            (isSelf === undefined || (isSelf ? variable.object_ === objectId : !variable.object_))
+    );
+
+const createVariableContainer = () => ({
+    variables_: [],
+    lists_: [{ id_: 'list_l', name_: 'l' }],
+    functions_: {},
+    addVariable({ name, visible, object }) {
+        this.variables_.push({
+            id_: `${object || 'global'}_${name}`,
+            name_: name,
+            visible_: visible,
+            object_: object,
+        });
+    },
+    getVariableByName(name, isSelf, objectId) {
+        return findByName(this.variables_, name, isSelf, objectId);
+    },
+    addList({ name, visible, object }) {
+        this.lists_.push({
+            id_: `list_${object || 'global'}_${name}`,
+            name_: name,
+            visible_: visible,
+            object_: object,
+        });
+    },
+    getListByName(name, isSelf, objectId) {
+        return findByName(this.lists_, name, isSelf, objectId);
+    },
+    dicts_: [],
+    addDict({ name, array }) {
+        this.dicts_.push({ id_: `dict_${name}`, name_: name, array_: array });
+    },
+    getDictByName(name) {
+        return this.dicts_.find((dict) => dict.name_ === name);
+    },
+});
+
+const HEADER = '# 엔트리봇\n\nimport Entry\n\n';
+
+let parser;
+
+beforeEach(() => {
+    Entry.variableContainer = createVariableContainer();
+    Entry.playground = { object: { id: 'o1' } };
+    Entry.toast = { alert: jest.fn() };
+    parser = new Entry.Parser(null, null, null, {});
+    parser._execParser = new Entry.PyToBlockParser({ '#dic': {} });
+});
+
+const convert = (code) => parser.parse(`${HEADER}${code}`, undefined, 1);
+
+test('리스트를 도는 for 문의 위치 변수는 현재 오브젝트의 숨긴 지역 변수로 만든다', () => {
+    Entry.variableContainer.addVariable({ name: 'y', visible: true });
+    const [[set, loop]] = convert('for x in l:\n    y = x\n');
+
+    const index = Entry.variableContainer.getVariableByName('x_index', true, 'o1');
+    expect(index).toMatchObject({ object_: 'o1', visible_: false });
+    expect(Entry.variableContainer.getVariableByName('x_index', false)).toBeUndefined();
+    expect(set.params[0]).toBe(index.id_);
+    expect(loop.statements[0][0].params[0]).toBe(index.id_);
+});
+
+test('값을 맞바꾸는 여러 변수 대입은 지역 임시 변수를 거쳐 대입한다', () => {
+    ['a', 'b'].forEach((name) => Entry.variableContainer.addVariable({ name, visible: true }));
+    const [blocks] = convert('a, b = b, a\n');
+
+    expect(Entry.variableContainer.getVariableByName('_temp1', false)).toBeUndefined();
+    expect(blocks.map(({ params }) => params[0])).toEqual([
+        'o1__temp1',
+        'o1__temp2',
+        'global_a',
+        'global_b',
+    ]);
+    expect(blocks[2].params[1]).toEqual({ type: 'get_variable', params: ['o1__temp1'] });
+});
+
+test('변환 오류는 편집기에서 오류가 난 줄에 표시한다', () => {
+    const codeMirror = { markText: jest.fn() };
+    parser.codeMirror = codeMirror;
+
+    // 머리말 네 줄 다음 줄(0부터 세면 4)
+    expect(() => convert('class Foo:\n    pass\n')).toThrow();
+    expect(codeMirror.markText.mock.calls[0][0].line).toBe(4);
+
+    // 빈 줄 뒤의 두 번째 스레드
+    Entry.variableContainer.addVariable({ name: 'y', visible: true });
+    codeMirror.markText.mockClear();
+    expect(() => convert('for x in l:\n    y = x\n\nclass Foo:\n    pass\n')).toThrow();
+    expect(codeMirror.markText.mock.calls[0][0].line).toBe(7);
+});
+
+test('값을 여러 개 돌려주는 return 은 변환 오류를 낸다', () => {
+    Lang.TextCoding.message_conv_no_tuple_return = 'one value';
+    parser.codeMirror = { markText: jest.fn() };
+
+    expect(() => convert('def f():\n    return 1, 2\n')).toThrow();
+    expect(Entry.toast.alert.mock.calls[0][1]).toContain('one value');
+});
+
+test('사전 변수 선언은 사전을 만들고, 사전의 키에 대입하면 사전 블록으로 바꾼다', () => {
+    const [, loop] = convert('d = {"a": 1, "b": "x"}\n\nfor x in l:\n    d["a"] = x\n')[0];
+
+    expect(Entry.variableContainer.getDictByName('d').array_).toEqual([
+        { key: 'a', data: 1 },
+        { key: 'b', data: 'x' },
+    ]);
+    const set = loop.statements[0][2];
+    expect(set.type).toBe('set_value_to_dict');
+    expect(set.params[0]).toBe('dict_d');
+    expect(set.params[1].params).toEqual(['a']);
+    expect(set.params[2]).toEqual({ type: 'get_variable', params: ['global_x'] });
+});
+
+// INFO : 리스트 내포는 스레드 안에서만 변환하므로 if 문 안에 쓴다.
+const convertStatements = (code) => convert(`if True:\n    ${code}\n`)[0][0].statements[0];
+
+test('리스트 내포는 대상 리스트를 비운 뒤 항목을 추가한다', () => {
+    Entry.variableContainer.addList({ name: 'm', visible: true });
+    const [clear, , loop] = convertStatements('m = [x * 2 for x in l]');
+
+    expect(clear.params[0].params[1]).toBe('list_global_m');
+    expect(loop.statements[0][2]).toMatchObject({
+        type: 'add_value_to_list',
+        params: [{ type: 'calc_basic' }, 'list_global_m'],
+    });
+    expect(Entry.variableContainer.getListByName('_tempList', true, 'o1')).toBeUndefined();
+});
+
+test('대상 리스트를 읽는 리스트 내포는 숨긴 지역 임시 리스트에 모은 뒤 대상 리스트로 옮긴다', () => {
+    const [clearTemp, , loop, clear, copy] = convertStatements('l = [x * 2 for x in l]');
+
+    const temp = Entry.variableContainer.getListByName('_tempList', true, 'o1');
+    expect(temp).toMatchObject({ object_: 'o1', visible_: false });
+    expect(clearTemp.params[0].params[1]).toBe(temp.id_);
+    expect(loop.params[0].params[1]).toBe('list_l');
+    expect(loop.statements[0][2].params[1]).toBe(temp.id_);
+    expect(clear.params[0].params[1]).toBe('list_l');
+    expect(copy.params[0].params[1]).toBe(temp.id_);
+    const [add, remove] = copy.statements[0];
+    expect(add).toMatchObject({ type: 'add_value_to_list', params: [{}, 'list_l'] });
+    expect(add.params[0].params[1]).toBe(temp.id_);
+    expect(remove).toMatchObject({ type: 'remove_value_from_list', params: [{}, temp.id_] });
+});
@@ -0,0 +1,190 @@
+/**
+ * @jest-environment node
+ */
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+global.Entry = {
+    Code: class {
+        constructor(threads) {
+            this.threads = threads;
+        }
+    },
+    Comment: class {},
+    Parser: { PARSE_GENERAL: 1 },
+    BlockToPyParser: class {},
+};
+global.Lang = { Workspace: { func: '함수' } };
+require('../../src/textcoding/util/textCodingUtil');
+require('../../src/textcoding/export/python');
+
+const hasPython = !spawnSync('python3', ['--version']).error;
+
+const createVariable = (id, name, value, object) => ({
+    id_: id,
+    name_: name,
+    value_: value,
+    array_: value,
+    object_: object,
+});
+
+// 블록을 바꾸는 BlockToPyParser 처럼 변환할 때 작품의 이름을 읽는다.
+const toName = (id) => Entry.TextCodingUtil.dropdownDynamicIdToNameConvertor(id, 'variables');
+const toListName = (id) => Entry.TextCodingUtil.dropdownDynamicIdToNameConvertor(id, 'lists');
+const toFunctionName = (id) =>
+    Entry.TextCodingUtil.getFunctionNameFromTemplate(
+        Entry.variableContainer.getFunction(id).block.template
+    );
+
+const createThread = (type, toPython) => ({
+    getBlocks: () => [{ data: { type } }],
+    toPython,
+});
+
+const createParser = () => ({
+    funcDefMap: {},
+    Code(code) {
+        if (code instanceof Entry.Code) {
+            const id = code.threads[0][0].type.replace('func_', '');
+            this.funcDefMap[id] = [
+                `def ${toFunctionName(id)}(param1):`,
+                `    ${toName('score')} = ${toName('score')} + param1`,
+            ].join('\n');
+            return '';
+        }
+        return code.toPython();
+    },
+});
+
+let exporter;
+
+beforeEach(() => {
+    const functions = {
+        f1: { block: { template: '점수 올리기 %1 %2' } },
+        f2: { block: { template: 'print! %1 %2' } },
+    };
+    Entry.variableContainer = {
+        variables_: [
+            createVariable('score', '내 점수', 0),
+            createVariable('keyword', 'if', 1),
+            createVariable('digit', '1st', 2),
+            createVariable('valid', 'a_b', 3),
+            createVariable('collision', 'a b', 4),
+            createVariable('reserved', 'stage', 5),
+            createVariable('local', 'hp-max', 10, 'o1'),
+        ],
+        lists_: [createVariable('list', 'my-list', [{ data: 1 }, { data: '가' }])],
+        dicts_: [],
+        messages_: [],
+        functions_: functions,
+        getFunction: (id) => functions[id],
+    };
+    Entry.scene = { getScenes: () => [{ name: '장면 1' }] };
+    Entry.container = {
+        getAllObjects: () => [
+            {
+                id: 'o1',
+                name: '엔트리봇',
+                scene: { name: '장면 1' },
+                entity: {
+                    getX: () => 0,
+                    getY: () => 0,
+                    getDirection: () => 90,
+                    getRotation: () => 0,
+                    getSize: () => 100,
+                    getWidth: () => 100,
+                    getHeight: () => 100,
+                    getScaleX: () => 1,
+                    getScaleY: () => 1,
+                    getVisible: () => true,
+                },
+                pictures: [{ name: '엔트리봇_걷기1' }],
+                sounds: [],
+                script: {
+                    getThreads: () => [
+                        createThread('when_run_button_click', () =>
+                            [
+                                'def when_start():',
+                                `    ${toFunctionName('f1')}(10)`,
+                                `    ${toFunctionName('f2')}(1)`,
+                                `    ${toName('local')} = ${toName('local')} - 1`,
+                                `    ${toListName('list')}.append(${toName('collision')})`,
+                                `    Entry.print(${toName('score')} + ${toName('keyword')})`,
+                                `    Entry.print(${toName('local')})`,
+                                `    Entry.print(${toListName('list')})`,
+                            ].join('\n')
+                        ),
+                    ],
+                },
+            },
+        ],
+    };
+    exporter = new Entry.PythonExporter();
+    exporter._parser = createParser();
+});
+
+test('파이썬에서 쓸 수 없는 이름은 바꾸고, 예약어와 겹치는 이름은 피한다', () => {
+    const main = exporter.export('이름 테스트')['main.py'];
+
+    expect(main).toContain(
+        ['내_점수 = 0', 'if_ = 1', '_1st = 2', 'a_b = 3', 'a_b_2 = 4', 'stage_ = 5'].join('\n')
+    );
+    expect(main).toContain('my_list = [1, "가"]');
+    expect(main).toContain('variables={"hp_max": 10}');
+    expect(main).toContain('def 점수__올리기(param1):\n    global 내_점수\n');
+    expect(main).toContain('def print_(param1):');
+    expect(main).toContain(
+        [
+            '@object_1.on("when_start")',
+            'def when_start():',
+            '    점수__올리기(10)',
+            '    print_(1)',
+            '    self.hp_max = self.hp_max - 1',
+            '    my_list.append(a_b_2)',
+        ].join('\n')
+    );
+});
+
+test('내보낸 뒤에는 작품의 이름을 되돌린다', () => {
+    exporter.export();
+
+    const { variables_, lists_, functions_ } = Entry.variableContainer;
+    expect(variables_.map(({ name_ }) => name_)).toEqual([
+        '내 점수',
+        'if',
+        '1st',
+        'a_b',
+        'a b',
+        'stage',
+        'hp-max',
+    ]);
+    expect(lists_[0].name_).toBe('my-list');
+    expect(functions_.f1.block.template).toBe('점수 올리기 %1 %2');
+    expect(functions_.f2.block.template).toBe('print! %1 %2');
+});
+
+(hasPython ? test : test.skip)('내보낸 파이썬 프로그램은 파이썬으로 실행된다', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'entry-python-'));
+    try {
+        const files = exporter.export();
+        Object.keys(files).forEach((name) =>
+            fs.writeFileSync(path.join(directory, name), files[name])
+        );
+
+        const output = execFileSync('python3', ['main.py'], {
+            cwd: directory,
+            input: '',
+            timeout: 10000,
+            encoding: 'utf8',
+        });
+        expect(output.trim().split('\n')).toEqual([
+            '엔트리봇: 12',
+            '엔트리봇: 9',
+            "엔트리봇: [1, '가', 4]",
+        ]);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -210,6 +210,7 @@ export declare interface EntryHWLiteBaseModule extends EntryBlockModule {
     monitorTemplate?: UnknownAny;
     portData?: HWLiteSerialInfo;
     bluetoothInfo?: HWLiteBluetoothInfo;
+    simulator?: HWLiteSimulatorDevice;
     type?: 'master' | 'slave';
     delimeter?: string | number;
     webapiType?: 'ble' | 'usb' | 'serial';
@@ -221,6 +222,11 @@ export declare interface EntryHWLiteBaseModule extends EntryBlockModule {
         negativeButtonText: string;
         positiveButtonText: string;
     };
+    // 기본값이 없으므로 연결 상태를 확인하려면 모듈이 직접 넣는다.
+    // 없으면 포트 제거나 BLE 연결 끊김만 알고, 응답이 멈춘 디바이스는 알지 못한다.
+    heartbeat?: HWLiteHeartbeat;
+    // false 이면 연결이 끊겼을 때 다시 연결하지 않고 바로 연결 실패로 바꾼다.
+    autoReconnect?: boolean;
 
     // 필수 함수 목록
     setZero: () => void;
@@ -247,6 +253,128 @@ export declare interface HWLiteSerialInfo {
     flowControl?: 'hardware';
 }
 
+export declare type HWLiteSimulatorValues = { [key: string]: number | string };
+
+// 가상 하드웨어. 실제 디바이스 대신 시리얼 포트 너머에서 데이터를 주고받는다.
+export declare interface HWLiteSimulatorDevice {
+    // 센서 초기값. 모니터나 스크립트로 바꾼다.
+    sensors: HWLiteSimulatorValues;
+    // encode 결과를 보내는 주기(ms)
+    interval?: number;
+    // 주기적으로 보내는 데이터. count 는 보낸 횟수
+    encode?: (sensors: HWLiteSimulatorValues, count: number) => string | Uint8Array | void;
+    // 받은 데이터에 대한 응답
+    respond?: (data: Uint8Array, sensors: HWLiteSimulatorValues) => string | Uint8Array | void;
+    // 받은 데이터 → 모니터에 보여줄 출력 포트 값
+    decode?: (data: Uint8Array) => HWLiteSimulatorValues | void;
+}
+
+// 선언형 하드웨어 모듈 정의. entryModuleLoader 가 EntryHWLiteBaseModule 로 바꾼다.
+// 글자는 그대로 쓰거나 { ko, en } 처럼 언어마다 적는다.
+export declare type HWLiteDefinitionText = string | { [langType: string]: string };
+// 값을 그대로 적거나 { param: 'VALUE' } 처럼 블록 파라미터의 값을 쓴다.
+export declare type HWLiteDefinitionValue = number | string | { param: string };
+
+export declare interface HWLiteDefinitionPort {
+    type: 'input' | 'output';
+    name?: HWLiteDefinitionText;
+    default?: number | string;
+    min?: number;
+    max?: number;
+    // 모니터 이미지 위의 위치. 없으면 목록에 보여준다.
+    pos?: { x: number; y: number };
+}
+
+export declare interface HWLiteDefinitionField {
+    port: string;
+    type?: 'uint8' | 'int8' | 'uint16' | 'int16' | 'uint32' | 'int32';
+    // 패킷 처음부터의 위치. 없으면 앞 필드 바로 뒤
+    offset?: number;
+    littleEndian?: boolean;
+}
+
+export declare interface HWLiteDefinitionPacket {
+    format?: 'binary' | 'ascii';
+    header?: number[] | string;
+    footer?: number[] | string;
+    // 포트 이름만 적으면 uint8 이다. ascii 는 순서만 쓴다.
+    fields: (HWLiteDefinitionField | string)[];
+    // header 와 checksum 사이 바이트로 계산한 1바이트. footer 바로 앞에 둔다.
+    checksum?: 'sum8' | 'xor8';
+    // ascii 필드 구분자
+    separator?: string;
+}
+
+export declare interface HWLiteDefinitionParam {
+    key: string;
+    type: 'number' | 'string' | 'dropdown' | 'port';
+    default?: number | string;
+    options?: [HWLiteDefinitionText, number | string][];
+    // type 이 port 일 때 목록에 넣을 포트
+    portType?: 'input' | 'output';
+}
+
+export declare interface HWLiteDefinitionBlock {
+    // 실제 블록 이름은 '모듈이름(소문자)_name'
+    name: string;
+    type?: 'command' | 'reporter' | 'boolean';
+    // %1 부터 params 순서. command 블록의 마지막 아이콘은 자동으로 붙는다.
+    template: HWLiteDefinitionText;
+    help?: HWLiteDefinitionText;
+    class?: string;
+    params?: HWLiteDefinitionParam[];
+    // 돌려줄 포트
+    get?: HWLiteDefinitionValue;
+    // 출력 포트에 쓸 값
+    set?: { port: HWLiteDefinitionValue; value: HWLiteDefinitionValue }[];
+    // set 뒤에 기다리는 시간(초)
+    wait?: HWLiteDefinitionValue;
+}
+
+export declare interface HWLiteModuleDefinition {
+    id: string;
+    name: string;
+    title: HWLiteDefinitionText;
+    description?: string;
+    url?: string;
+    imageName?: string;
+    duration?: number;
+    portData?: Partial<HWLiteSerialInfo>;
+    // ascii 로 받을 때 한 줄의 끝. 기본값은 '\r\n'
+    delimiter?: string;
+    ports: { [portName: string]: HWLiteDefinitionPort };
+    packet: {
+        // 디바이스 → 엔트리
+        receive?: HWLiteDefinitionPacket;
+        // 엔트리 → 디바이스. 출력 포트 값을 duration 마다 보낸다.
+        send?: HWLiteDefinitionPacket;
+    };
+    handshake?: {
+        send?: number[] | string;
+        expect?: number[] | string;
+        timeout?: number;
+    };
+    blocks: HWLiteDefinitionBlock[];
+    // setLanguage 에 그대로 더한다. { ko: { Blocks: { ... } }, en: { ... } }
+    translations?: { [langType: string]: { [type: string]: { [key: string]: string } } };
+    monitor?: {
+        imgPath?: string;
+        width?: number;
+        height?: number;
+        mode?: 'both' | 'list';
+    };
+}
+
+// 디바이스가 살아있는지 확인하는 방법. 없으면 읽기 오류나 포트 제거로만 끊긴 것을 안다.
+export declare interface HWLiteHeartbeat {
+    // 이 시간(ms) 동안 받은 데이터가 없으면 끊긴 것으로 본다.
+    timeout: number;
+    // request 를 보내는 주기(ms)
+    interval?: number;
+    // 디바이스가 응답하는 데이터. 평소에 조용한 디바이스에 쓴다. (시리얼만)
+    request?: () => string | number[] | Uint8Array;
+}
+
 export declare interface HWLiteBluetoothInfo {
     filters: BluetoothLEScanFilter[];
     optionalServices: string[];
@@ -256,4 +384,5 @@ export declare type HWLiteStatus =
     | 'disconnected'
     | 'connected'
     | 'willDisconnect'
+    | 'reconnecting'
     | 'connectFailed';